@@ -0,0 +1,216 @@
+/**
+ * Ad Policy
+ * Decides when ads may be shown: frequency caps that survive reloads, a quiet start
+ * for new players and sessions, and no ads right after a failed attempt.
+ * While an ad is playing the game is paused and muted.
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[Ad Policy][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const DEFAULT_CONFIG = {
+    // Interstitials: at least this long apart, and at most this many per hour and per day
+    minInterval: 3 * 60 * 1000,
+    maxPerHour: 4,
+    maxPerDay: 12,
+    // No interstitials until the player has completed this many levels
+    freeLevels: 3,
+    // No interstitials in the first minutes of a session
+    sessionGrace: 2 * 60 * 1000,
+    // No interstitials for a while after a program failed to complete the level
+    failureCooldown: 60 * 1000
+  };
+
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+  // Timestamps of shown interstitials, kept for a day
+  const HISTORY_KEY = 'ad_history';
+  const MAX_DECISIONS = 50;
+
+  const sessionStartedAt = Date.now();
+  const decisions = [];
+  let lastFailureAt = 0;
+  let adPlaying = false;
+
+  function readHistory() {
+    const history = window.GameStorage ? window.GameStorage.getJSON(HISTORY_KEY, []) : [];
+    const since = Date.now() - DAY;
+    return Array.isArray(history) ? history.filter(time => typeof time === 'number' && time > since) : [];
+  }
+
+  function recordShown() {
+    const history = readHistory();
+    history.push(Date.now());
+    if (window.GameStorage) {
+      window.GameStorage.setJSON(HISTORY_KEY, history);
+    }
+  }
+
+  function getStore() {
+    return window.__REDUX_STORE__ || null;
+  }
+
+  function countCompletedLevels() {
+    const store = getStore();
+    const completedLevels = store ? store.getState().app.completedLevels : window.GameStorage && window.GameStorage.getJSON('completedLevels', null);
+    return Object.keys(completedLevels || {}).reduce(function(count, group) {
+      return count + (Array.isArray(completedLevels[group]) ? completedLevels[group].length : 0);
+    }, 0);
+  }
+
+  /**
+   * Remember the decision and log it
+   * @returns {{allowed: boolean, reason: string}} The decision
+   */
+  function decide(format, trigger, allowed, reason, data) {
+    const decision = Object.assign({ time: Date.now(), format, trigger, allowed, reason }, data);
+    decisions.push(decision);
+    if (decisions.length > MAX_DECISIONS) {
+      decisions.shift();
+    }
+    log('info', allowed ? 'Ad allowed' : 'Ad skipped', decision);
+    return { allowed, reason };
+  }
+
+  /**
+   * Pause and mute the game while an ad plays
+   * @param {Function} show - Shows the ad, resolves to whether it was shown
+   * @returns {Promise<boolean>} Result of show
+   */
+  async function playAd(show) {
+    const store = getStore();
+    adPlaying = true;
+    if (store) store.dispatch({ type: 'SET_AD_PLAYING', value: true });
+
+    try {
+      return await show();
+    } finally {
+      adPlaying = false;
+      if (store) store.dispatch({ type: 'SET_AD_PLAYING', value: false });
+    }
+  }
+
+  /**
+   * Notice failed attempts: a run that ends without finishing the level
+   * Watching a replay is not an attempt
+   */
+  function watchFailures() {
+    const store = getStore();
+    if (!store) {
+      log('warn', 'Game store not found, failures are not tracked');
+      return;
+    }
+
+    let wasRunning = store.getState().game.gameRunning;
+    let wasReplay = Boolean(store.getState().game.replay);
+    store.subscribe(function() {
+      const game = store.getState().game;
+      if (wasRunning && !game.gameRunning && !wasReplay && game.currentLevelData && !game.currentLevelData.finished) {
+        lastFailureAt = Date.now();
+      }
+      wasRunning = game.gameRunning;
+      wasReplay = Boolean(game.replay);
+    });
+  }
+
+  window.AdPolicy = {
+    config: Object.assign({}, DEFAULT_CONFIG, window.__AD_POLICY__),
+
+    /**
+     * Change caps or rules
+     * @param {Object} config - Partial config, e.g. { maxPerDay: 6 }
+     */
+    configure(config) {
+      this.config = Object.assign({}, this.config, config);
+      log('info', 'Policy configured', this.config);
+    },
+
+    /**
+     * Check whether an interstitial may be shown now, without logging a decision
+     * @returns {{allowed: boolean, reason: string}} Reason is "ok" or the rule that blocks the ad
+     */
+    checkInterstitial() {
+      const config = this.config;
+      const now = Date.now();
+      const history = readHistory();
+      const lastShownAt = history.length ? history[history.length - 1] : 0;
+
+      if (adPlaying) return { allowed: false, reason: 'adPlaying' };
+      if (!window.VKBridgeWrapper || !window.VKBridgeWrapper.initialized) return { allowed: false, reason: 'unavailable' };
+      if (countCompletedLevels() < config.freeLevels) return { allowed: false, reason: 'firstLevels' };
+      if (now - sessionStartedAt < config.sessionGrace) return { allowed: false, reason: 'sessionStart' };
+      if (now - lastFailureAt < config.failureCooldown) return { allowed: false, reason: 'recentFailure' };
+      if (now - lastShownAt < config.minInterval) return { allowed: false, reason: 'minInterval' };
+      if (history.filter(time => time > now - HOUR).length >= config.maxPerHour) return { allowed: false, reason: 'hourlyCap' };
+      if (history.length >= config.maxPerDay) return { allowed: false, reason: 'dailyCap' };
+      return { allowed: true, reason: 'ok' };
+    },
+
+    /**
+     * Show an interstitial if the policy allows it
+     * @param {string} trigger - What asked for the ad, e.g. "next"
+     * @returns {Promise<boolean>} True if an ad was shown
+     */
+    async showInterstitial(trigger) {
+      const check = this.checkInterstitial();
+      if (!decide('interstitial', trigger, check.allowed, check.reason, { completedLevels: countCompletedLevels() }).allowed) {
+        return false;
+      }
+
+      const shown = await playAd(() => window.VKBridgeWrapper.showInterstitialAd());
+      if (shown) {
+        recordShown();
+      }
+      log('info', shown ? 'Interstitial shown' : 'Interstitial was not shown', { trigger });
+      return shown;
+    },
+
+    /**
+     * Show a rewarded ad the player asked for; these are not capped
+     * @param {string} trigger - What the reward is for, e.g. "hint"
+     * @returns {Promise<boolean|null>} True if watched to the end, false if not, null if rewarded ads are unavailable
+     */
+    async showRewarded(trigger) {
+      const bridge = window.VKBridgeWrapper;
+      if (adPlaying) {
+        decide('reward', trigger, false, 'adPlaying');
+        return false;
+      }
+      if (!bridge || !await bridge.initAds()) {
+        decide('reward', trigger, false, 'unavailable');
+        return null;
+      }
+
+      decide('reward', trigger, true, 'ok');
+      const watched = await playAd(() => bridge.showRewardAd());
+      log('info', watched ? 'Rewarded ad watched' : 'Rewarded ad was not watched', { trigger });
+      return watched;
+    },
+
+    /**
+     * @returns {Object[]} Recent ad decisions, oldest first
+     */
+    getDecisions() {
+      return decisions.slice();
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', watchFailures);
+  } else {
+    watchFailures();
+  }
+})();
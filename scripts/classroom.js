@@ -0,0 +1,312 @@
+/**
+ * Classroom
+ * Pupils join a class with a join code and a nickname, and their progress is synced to the
+ * classroom server (see server/). Teachers create classes, follow their pupils and lock level groups
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[Classroom][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const DEFAULT_CONFIG = {
+    baseUrl: null,
+    syncInterval: 15000
+  };
+
+  const SYNC_DELAY = 2000;
+
+  // The class or the pupil is gone on the server, so there is nothing left to sync to
+  const REMOVED_ERRORS = ['classroom.notFound', 'classroom.notMember'];
+
+  let syncTimer = null;
+  let syncedProgress = null;
+
+  function getStore() {
+    return window.__REDUX_STORE__ || null;
+  }
+
+  function getErrorMessage(error) {
+    return error && error.errors && error.errors.message;
+  }
+
+  /**
+   * Post to a classroom endpoint, rejecting with { errors: { message } } like the level backend
+   * @param {string} endpoint - Endpoint name, e.g. "joinClass"
+   * @param {Object} body - Request payload
+   * @returns {Promise<Object>} Response payload
+   */
+  async function request(endpoint, body) {
+    const config = window.Classroom.config;
+    const baseUrl = (config.baseUrl || (window.LevelBackend && window.LevelBackend.config.baseUrl) || 'api/').replace(/\/?$/, '/');
+    let response;
+
+    try {
+      response = await fetch(baseUrl + endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw { errors: { message: 'classroom.offline' } };
+    }
+
+    const data = await response.json().catch(function() {
+      return null;
+    });
+    if (data && data.errors) {
+      throw data;
+    }
+    if (!response.ok || !data) {
+      throw { errors: { message: 'nav.apiError' } };
+    }
+    return data;
+  }
+
+  /**
+   * Collect what the teacher dashboard shows from the game state; custom levels aren't shared
+   * @param {Object} state - Game store state
+   * @returns {{completedLevels: Object, attempts: Object, programs: Object, current: Object|null}} Progress
+   */
+  function collectProgress(state) {
+    const levelScores = state.app.levelScores || {};
+    const levelAttempts = state.app.levelAttempts || {};
+    const completedLevels = {};
+    const attempts = {};
+
+    state.game.levelGroups.forEach(function(group, index) {
+      if (group.isCustom) return;
+
+      completedLevels[index] = (state.app.completedLevels[index] || []).slice();
+      group.levels.forEach(function(level, levelIndex) {
+        const score = levelScores[index] && levelScores[index][levelIndex];
+        const running = levelAttempts[index] && levelAttempts[index][levelIndex];
+        const count = Math.max(running || 0, score ? score.attempts || 0 : 0);
+        if (count) attempts[index + '-' + levelIndex] = count;
+      });
+    });
+
+    // The newest replay of each level holds the program the pupil ran last
+    const replays = state.app.replays || {};
+    const programs = {};
+    Object.keys(replays).forEach(function(key) {
+      const replay = replays[key][0];
+      if (replay && !replay.level.code) {
+        programs[key] = { program: replay.program, completed: replay.completed, time: replay.time };
+      }
+    });
+
+    const game = state.game;
+    const group = game.levelGroups[game.currentLevelGroup];
+    return {
+      completedLevels,
+      attempts,
+      programs,
+      current: state.app.game && group && !group.isCustom ? { group: game.currentLevelGroup, level: game.currentLevel } : null
+    };
+  }
+
+  /**
+   * Send the pupil's progress and pick up the class's locked groups
+   * @param {boolean} [force] - Sync even if the progress hasn't changed, so the teacher sees the pupil is online
+   */
+  async function syncProgress(force) {
+    const store = getStore();
+    const classroom = store && store.getState().app.classroom;
+    if (!classroom) return;
+
+    const progress = collectProgress(store.getState());
+    const text = JSON.stringify(progress);
+    if (!force && text === syncedProgress) return;
+
+    try {
+      const result = await request('syncProgress', {
+        code: classroom.code,
+        pupilId: classroom.pupilId,
+        pupilKey: classroom.pupilKey,
+        progress
+      });
+      syncedProgress = text;
+
+      const current = store.getState().app.classroom;
+      if (current && current.pupilId === classroom.pupilId &&
+          (current.name !== result.name || JSON.stringify(current.lockedGroups) !== JSON.stringify(result.lockedGroups))) {
+        log('info', 'Class updated', { lockedGroups: result.lockedGroups });
+        store.dispatch({ type: 'SET_CLASSROOM', value: Object.assign({}, current, { name: result.name, lockedGroups: result.lockedGroups }) });
+      }
+    } catch (error) {
+      const message = getErrorMessage(error);
+      if (REMOVED_ERRORS.indexOf(message) === -1) {
+        log('warn', 'Sync failed', { message });
+        return;
+      }
+      log('warn', 'No longer a member of the class', { code: classroom.code, message });
+      const current = store.getState().app.classroom;
+      if (current && current.pupilId === classroom.pupilId) {
+        store.dispatch({ type: 'SET_CLASSROOM', value: null });
+      }
+    }
+  }
+
+  function scheduleSync() {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(syncProgress, SYNC_DELAY);
+  }
+
+  function getTeacherClass(code) {
+    const store = getStore();
+    const classes = store ? store.getState().app.teacherClasses : [];
+    const found = classes.find(item => item.code === code);
+    if (!found) {
+      throw { errors: { message: 'classroom.forbidden' } };
+    }
+    return found;
+  }
+
+  window.Classroom = {
+    config: Object.assign({}, DEFAULT_CONFIG, window.__CLASSROOM__),
+
+    /**
+     * Join a class as a pupil
+     * @param {string} code - Join code from the teacher
+     * @param {string} nickname - Name shown to the teacher, no personal data
+     * @returns {Promise<Object>} The class, rejects with { errors } e.g. classroom.nicknameTaken
+     */
+    async join(code, nickname) {
+      const result = await request('joinClass', { code, nickname });
+      const classroom = {
+        code: result.code,
+        name: result.name,
+        pupilId: result.pupilId,
+        pupilKey: result.pupilKey,
+        nickname: result.nickname,
+        lockedGroups: result.lockedGroups
+      };
+      log('info', 'Joined class', { code: result.code });
+      getStore().dispatch({ type: 'SET_CLASSROOM', value: classroom });
+      return classroom;
+    },
+
+    /**
+     * Leave the current class; the pupil is forgotten locally even if the server can't be reached
+     */
+    async leave() {
+      const store = getStore();
+      const classroom = store && store.getState().app.classroom;
+      if (!classroom) return;
+
+      store.dispatch({ type: 'SET_CLASSROOM', value: null });
+      await request('leaveClass', {
+        code: classroom.code,
+        pupilId: classroom.pupilId,
+        pupilKey: classroom.pupilKey
+      }).catch(function(error) {
+        log('warn', 'Could not leave class on the server', { message: getErrorMessage(error) });
+      });
+    },
+
+    /**
+     * Create a class; its teacher key is kept with the player's progress
+     * @param {string} name - Class name, e.g. "4B"
+     * @returns {Promise<{code: string, name: string, teacherKey: string}>} The new class
+     */
+    async createClass(name) {
+      const result = await request('createClass', { name });
+      const store = getStore();
+      store.dispatch({ type: 'SET_TEACHER_CLASSES', value: [result].concat(store.getState().app.teacherClasses) });
+      log('info', 'Created class', { code: result.code });
+      return result;
+    },
+
+    /**
+     * Remove a class from this device's list; it stays on the server
+     * @param {string} code - Join code
+     */
+    forgetClass(code) {
+      const store = getStore();
+      store.dispatch({ type: 'SET_TEACHER_CLASSES', value: store.getState().app.teacherClasses.filter(item => item.code !== code) });
+    },
+
+    /**
+     * @param {string} code - Join code of one of the teacher's classes
+     * @returns {Promise<Object>} Class with name, lockedGroups and pupils with their progress
+     */
+    async getClass(code) {
+      return request('getClass', { code, teacherKey: getTeacherClass(code).teacherKey });
+    },
+
+    /**
+     * @param {string} code - Join code of one of the teacher's classes
+     * @param {number[]} lockedGroups - Level group indexes pupils can't play
+     * @returns {Promise<Object>} The updated class
+     */
+    async lockGroups(code, lockedGroups) {
+      return request('lockGroups', { code, teacherKey: getTeacherClass(code).teacherKey, lockedGroups });
+    },
+
+    /**
+     * @param {string} code - Join code of one of the teacher's classes
+     * @param {string} pupilId - Pupil to remove
+     * @returns {Promise<Object>} The updated class
+     */
+    async removePupil(code, pupilId) {
+      return request('removePupil', { code, teacherKey: getTeacherClass(code).teacherKey, pupilId });
+    },
+
+    /**
+     * Sync right away instead of waiting for the next change or heartbeat
+     * @returns {Promise<void>}
+     */
+    syncNow() {
+      return syncProgress(true);
+    }
+  };
+
+  function watchProgress() {
+    const store = getStore();
+    if (!store) {
+      log('error', 'Game store not found');
+      return;
+    }
+
+    let state = store.getState();
+    store.subscribe(function() {
+      const next = store.getState();
+      if (next.app.classroom !== state.app.classroom) {
+        const joined = next.app.classroom && (!state.app.classroom || next.app.classroom.pupilId !== state.app.classroom.pupilId);
+        if (joined) {
+          syncedProgress = null;
+          scheduleSync();
+        }
+      } else if (next.app.completedLevels !== state.app.completedLevels || next.app.replays !== state.app.replays ||
+          next.app.game !== state.app.game || next.game.currentLevel !== state.game.currentLevel ||
+          next.game.currentLevelGroup !== state.game.currentLevelGroup || next.game.gameRunning !== state.game.gameRunning) {
+        scheduleSync();
+      }
+      state = next;
+    });
+
+    // Heartbeat, so the teacher sees who is online and lock changes reach the pupil
+    setInterval(function() {
+      if (!document.hidden) syncProgress(true);
+    }, window.Classroom.config.syncInterval);
+    scheduleSync();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', watchProgress);
+  } else {
+    watchProgress();
+  }
+})();
@@ -17,71 +17,6 @@
     return isWebView;
   }
 
-  // Safe storage wrapper with VK Storage integration
-  const safeStorage = {
-    getItem: async function(storage, key) {
-      try {
-        // Try to get from VK Storage first
-        if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-          debugLog('Trying to get from VK Storage:', key);
-          const vkValue = await window.VKBridgeWrapper.storageGet(key);
-          if (vkValue !== null && vkValue !== '') {
-            debugLog('Got value from VK Storage:', { key, value: vkValue });
-            return vkValue;
-          }
-          debugLog('No value in VK Storage, falling back to localStorage');
-        }
-
-        // Fallback to localStorage
-        const localValue = storage.getItem(key);
-        debugLog('Got value from localStorage:', { key, value: localValue });
-        return localValue;
-      } catch (e) {
-        debugLog('Storage getItem error:', e.message);
-        // Try localStorage as final fallback
-        try {
-          return storage.getItem(key);
-        } catch (e2) {
-          return null;
-        }
-      }
-    },
-    setItem: async function(storage, key, value) {
-      try {
-        // Save to localStorage
-        storage.setItem(key, value);
-        debugLog('Saved to localStorage:', { key, value });
-
-        // Also save to VK Storage
-        if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-          debugLog('Saving to VK Storage:', { key, value });
-          await window.VKBridgeWrapper.storageSet(key, value);
-          debugLog('Saved to VK Storage successfully');
-        }
-
-        return true;
-      } catch (e) {
-        debugLog('Storage setItem error:', e.message);
-        return false;
-      }
-    },
-    removeItem: async function(storage, key) {
-      try {
-        storage.removeItem(key);
-
-        // Also remove from VK Storage (by setting to empty string)
-        if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-          await window.VKBridgeWrapper.storageSet(key, '');
-        }
-
-        return true;
-      } catch (e) {
-        debugLog('Storage removeItem error:', e.message);
-        return false;
-      }
-    }
-  };
-
   // Reset navigation to home page for WebView on first load
   function resetNavigationForWebView() {
     if (!isAndroidWebView()) return;
@@ -111,9 +46,10 @@
     }
 
     // Force navigation to root if not already there (without reload)
+    // Launch params and the hash (e.g. a shared #level=CODE) are kept for VK Bridge and the game
     if (window.location.pathname !== '/' && window.location.pathname !== '' && window.location.hash !== '#/') {
       debugLog('Redirecting to root from:', window.location.pathname);
-      window.history.replaceState(null, '', '/');
+      window.history.replaceState(null, '', '/' + window.location.search + window.location.hash);
     }
   }
 
@@ -125,7 +61,6 @@
     style.textContent = `
       nav._8578b a[href="/kodedager"],
       nav._8578b button._54d8a,
-      nav._8578b button._6ba2f,
       ._30648,
       .fe408,
       svg._08ab7,
@@ -180,8 +115,14 @@
         top: calc(50% + 100px) !important;
       }
 
-      /* Adjust note button for all devices */
-      ._400b2 {
+      /* Level selection that has grown with custom levels or level packs scrolls from the top */
+      .be2f2._6f0d8 {
+        top: auto !important;
+      }
+
+      /* Adjust note and voice buttons for all devices */
+      ._400b2,
+      ._3f1d8 {
         bottom: 35px !important;
       }
 
@@ -191,7 +132,8 @@
           top: calc(50% + 70px) !important;
         }
 
-        ._400b2 {
+        ._400b2,
+        ._3f1d8 {
           bottom: 28px !important;
         }
       }
@@ -351,9 +293,9 @@
   }
 
   function hideAddBoardButton(root = document) {
-    const button = Array.from(root.querySelectorAll('button, a')).find(
-      (el) => el.textContent.trim() === 'Legg til brett'
-    );
+    // The add button follows the code input; its label depends on the locale
+    const input = root.querySelector('input[name="codeInput"]');
+    const button = input && input.nextElementSibling;
 
     if (button) {
       button.style.display = 'none';
@@ -371,9 +313,9 @@
   }
 
   function clearCodePlaceholder(root = document) {
-    const input = root.querySelector('input[placeholder="Kode f.eks 6AXP"]');
+    const input = root.querySelector('input[name="codeInput"]');
 
-    if (input) {
+    if (input && input.placeholder) {
       input.placeholder = '';
       input.dataset.robocotPlaceholderCleared = 'true';
     }
@@ -397,35 +339,16 @@
   }
 
   // Setup interstitial ads for "Next" button
+  // Whether an ad is actually shown is up to the ad policy (scripts/ad-policy.js)
   function setupInterstitialAds() {
-    let lastAdTime = 0;
-    const AD_COOLDOWN = 60000; // Show ad at most once per minute
-
     const handleNextButtonClick = async (event) => {
-      const now = Date.now();
-
-      // Check if enough time has passed since last ad
-      if (now - lastAdTime < AD_COOLDOWN) {
-        debugLog('Ad cooldown active, skipping');
-        return;
-      }
-
-      // Check if VK Bridge is available
-      if (!window.VKBridgeWrapper || !window.VKBridgeWrapper.initialized) {
-        debugLog('VK Bridge not available for ads');
+      if (!window.AdPolicy) {
+        debugLog('Ad policy not loaded, skipping ad');
         return;
       }
 
       try {
-        debugLog('Showing interstitial ad for Next button click');
-        const adShown = await window.VKBridgeWrapper.showInterstitialAd();
-
-        if (adShown) {
-          lastAdTime = now;
-          debugLog('Interstitial ad shown successfully');
-        } else {
-          debugLog('Interstitial ad was not shown');
-        }
+        await window.AdPolicy.showInterstitial('next');
       } catch (error) {
         debugLog('Error showing interstitial ad:', error);
       }
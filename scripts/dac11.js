@@ -32,6 +32,14 @@
                 return Pn
             }), n.d(r, "TILES_ANIM_WIFI_OBSTRUCTION_OFF", function() {
                 return Bn
+            }), n.d(r, "CHARACTER_ANIM_WAIT", function() {
+                return CHARACTER_ANIM_WAIT
+            }), n.d(r, "TILES_ANIM_BLINK_ON", function() {
+                return TILES_ANIM_BLINK_ON
+            }), n.d(r, "TILES_ANIM_BLINK_OFF", function() {
+                return TILES_ANIM_BLINK_OFF
+            }), n.d(r, "TILES_ANIM_PLATFORM_MOVE", function() {
+                return TILES_ANIM_PLATFORM_MOVE
             }), n.d(r, "BIIP_FACE_CANVAS_SIZE", function() {
                 return Nn
             }), n.d(r, "BIIP_FACE_DOM_SIZE", function() {
@@ -150,6 +158,17 @@
                         return e.type !== F.t
                     }), t
                 },
+                toSavedLevel = function(e) {
+                    // The saveLevel body: the tiles without the editor's empty ones and the settings the author picked
+                    var t = {
+                        tiles: Q(e).tiles,
+                        commands: e.commands,
+                        maxCommands: e.maxCommands
+                    };
+                    return ["functions", "heading", "math", "title", "hint"].forEach(function(n) {
+                        void 0 !== e[n] && (t[n] = e[n])
+                    }), t
+                },
                 _ = function(e) {
                     var t = e.tiles.filter(function(e) {
                             return e.type !== F.t
@@ -354,6 +373,105 @@
                         r: "2.5"
                     })))
                 },
+                VoiceIcon = function(e) {
+                    var t = e.muted;
+                    return o.a.createElement("svg", {
+                        height: "24",
+                        viewBox: "0 0 24 24",
+                        width: "24",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("g", {
+                        fill: "none",
+                        stroke: "#ff003a"
+                    }, o.a.createElement("path", {
+                        d: "M3.5 4.5h17v11h-9l-5 4v-4h-3z",
+                        strokeLinejoin: "round"
+                    }), t ? o.a.createElement("path", {
+                        d: "M2.5 21.5l19-19",
+                        strokeLinecap: "square"
+                    }) : o.a.createElement("path", {
+                        d: "M7.5 8.5h9M7.5 11.5h6",
+                        strokeLinecap: "square"
+                    })))
+                },
+                ReplayIcon = function() {
+                    return o.a.createElement("svg", {
+                        height: "24",
+                        viewBox: "0 0 24 24",
+                        width: "24",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("g", {
+                        fill: "none",
+                        stroke: "#ff003a"
+                    }, o.a.createElement("path", {
+                        d: "M3.5 12a8.5 8.5 0 1 0 2.5-6",
+                        strokeLinecap: "round"
+                    }), o.a.createElement("path", {
+                        d: "M5.5 1.5v5h5",
+                        strokeLinejoin: "round"
+                    }), o.a.createElement("path", {
+                        d: "M10 8.5v7l5.5-3.5z",
+                        fill: "#ff003a",
+                        strokeWidth: "0"
+                    })))
+                },
+                ClassroomIcon = function() {
+                    return o.a.createElement("svg", {
+                        height: "24",
+                        viewBox: "0 0 24 24",
+                        width: "24",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("g", {
+                        fill: "none",
+                        stroke: "#ff003a"
+                    }, o.a.createElement("path", {
+                        d: "M2.5 3.5h19v12h-19z",
+                        strokeLinejoin: "round"
+                    }), o.a.createElement("path", {
+                        d: "M6.5 7.5h8M6.5 11.5h5M8.5 20.5l2-5M15.5 20.5l-2-5",
+                        strokeLinecap: "round"
+                    })))
+                },
+                PodiumIcon = function() {
+                    return o.a.createElement("svg", {
+                        height: "24",
+                        viewBox: "0 0 24 24",
+                        width: "24",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("g", {
+                        fill: "none",
+                        stroke: "#ff003a"
+                    }, o.a.createElement("path", {
+                        d: "M1.5 21.5v-8h7v8M8.5 21.5v-13h7v13M15.5 21.5v-6h7v6",
+                        strokeLinejoin: "round"
+                    }), o.a.createElement("path", {
+                        d: "M12 2.5l.8 1.6 1.7.2-1.2 1.2.3 1.7-1.6-.8-1.6.8.3-1.7-1.2-1.2 1.7-.2z",
+                        fill: "#ff003a",
+                        strokeWidth: "0"
+                    })))
+                },
+                BadgeIcon = function() {
+                    return o.a.createElement("svg", {
+                        height: "24",
+                        viewBox: "0 0 24 24",
+                        width: "24",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("g", {
+                        fill: "none",
+                        stroke: "#ff003a"
+                    }, o.a.createElement("path", {
+                        d: "M8.5 13.5l-2 9 5.5-3 5.5 3-2-9",
+                        strokeLinejoin: "round"
+                    }), o.a.createElement("circle", {
+                        cx: "12",
+                        cy: "8.5",
+                        r: "6"
+                    }), o.a.createElement("path", {
+                        d: "M12 5.5l1 2 2 .3-1.5 1.4.4 2.1-1.9-1-1.9 1 .4-2.1L9 7.8l2-.3z",
+                        fill: "#ff003a",
+                        strokeWidth: "0"
+                    })))
+                },
                 K = Object.assign || function(e) {
                     for (var t = 1; t < arguments.length; t++) {
                         var n = arguments[t];
@@ -620,7 +738,24 @@
                 },
                 he = n("hMCn"),
                 fe = n.n(he),
-                ve = "lagbrett";
+                replayRecords = n("Rq5e"),
+                clipRecorder = n("Ob2q"),
+                ve = "lagbrett",
+                // Level server codes have 4 characters, codes of levels kept only in VK Storage have 5
+                LEVEL_CODE_MAX_LENGTH = 5,
+                sharedLevelHash = /(?:^|[#&])level=([A-Za-z0-9]{2,8})(?=&|$)/,
+                getSharedLevelCode = function(e) {
+                    var t = sharedLevelHash.exec(e || "");
+                    return t ? t[1].toUpperCase() : null
+                },
+                // Levels kept only in the author's VK Storage can't be opened by anyone else from their code
+                isPrivateLevelCode = function(e) {
+                    return !!e && !!window.VKLevelStorage && window.VKLevelStorage.isStorageCode(e)
+                },
+                // Resolves to whether the post was published; the share.php window can't tell, so it never counts
+                shareOnWall = function(e, t) {
+                    return window.VKBridgeWrapper ? window.VKBridgeWrapper.shareToWall(e, t) : (window.open("https://vk.com/share.php?url=" + encodeURIComponent(window.location.href.split("#")[0] + (t ? "#" + t : "")), "_blank"), Promise.resolve(!1))
+                };
             var ge = function(e) {
                 function t(n) {
                     ! function(e, t) {
@@ -639,9 +774,25 @@
                         }), r.state.getLevelFieldVisible || r.getLevelInput.focus()
                     }, r.handleInput = function(e) {
                         var t = e.target.value;
-                        e.target.value.length > 4 && (t = e.target.value.slice(0, 4)), r.setState({
+                        e.target.value.length > LEVEL_CODE_MAX_LENGTH && (t = e.target.value.slice(0, LEVEL_CODE_MAX_LENGTH)), r.setState({
                             codeInputValue: t.toUpperCase()
                         })
+                    }, r.openSharedLevel = function() {
+                        var e = getSharedLevelCode(window.location.hash);
+                        e && e !== r.openedLevelCode && (r.openedLevelCode = e, y("shared_level"), r.props.getLevel(e));
+                        var t = Object(replayRecords.f)(window.location.hash),
+                            n = t && t !== r.openedReplayCode && Object(replayRecords.b)(t);
+                        t && (r.openedReplayCode = t), n && (y("shared_replay"), r.props.playReplay(n).then(function(e) {
+                            e && r.props.history.push("/")
+                        }))
+                    }, r.share = function() {
+                        var e = r.props,
+                            t = e.editorModeActive ? e.currentCustomLevelCode : e.currentLevelData && e.currentLevelData.levelId;
+                        isPrivateLevelCode(t) ? u().dispatch(Object(j.m)(f()("helptext.level-private"))) : t ? shareOnWall(f()("share.level", {
+                            code: t
+                        }), "level=" + t).then(function(n) {
+                            n && e.shareLevel(t)
+                        }) : shareOnWall(f()("share.app")), y("share")
                     }, r
                 }
                 return function(e, t) {
@@ -654,11 +805,19 @@
                             configurable: !0
                         }
                     }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
-                }(t, e), t.prototype.render = function() {
+                }(t, e), t.prototype.componentDidMount = function() {
+                    window.addEventListener("hashchange", this.openSharedLevel), this.openSharedLevel()
+                }, t.prototype.componentWillUnmount = function() {
+                    window.removeEventListener("hashchange", this.openSharedLevel)
+                }, t.prototype.render = function() {
                     var e, t = this,
                         n = this.props,
                         r = n.audio,
                         a = n.toggleAudio,
+                        voice = n.voice,
+                        toggleVoice = n.toggleVoice,
+                        locale = n.locale,
+                        setLocale = n.setLocale,
                         i = n.displayInstructions,
                         s = n.game,
                         l = n.setStart,
@@ -699,7 +858,31 @@
                                 onClick: function() {
                                     y("brett"), l(!0)
                                 }
-                            }, o.a.createElement(U, null), o.a.createElement("span", null, f()("nav.level"))), o.a.createElement("button", {
+                            }, o.a.createElement(U, null), o.a.createElement("span", null, f()("nav.level"))), o.a.createElement(T.a, {
+                                key: "toppliste",
+                                to: "/toppliste",
+                                onClick: function() {
+                                    y("toppliste"), l(!0)
+                                }
+                            }, o.a.createElement(PodiumIcon, null), o.a.createElement("span", null, f()("nav.leaderboard"))), o.a.createElement(T.a, {
+                                key: "merker",
+                                to: "/merker",
+                                onClick: function() {
+                                    y("merker"), l(!0)
+                                }
+                            }, o.a.createElement(BadgeIcon, null), o.a.createElement("span", null, f()("nav.achievements"))), o.a.createElement(T.a, {
+                                key: "opptak",
+                                to: "/opptak",
+                                onClick: function() {
+                                    y("opptak"), l(!0)
+                                }
+                            }, o.a.createElement(ReplayIcon, null), o.a.createElement("span", null, f()("nav.replays"))), o.a.createElement(T.a, {
+                                key: "klasse",
+                                to: "/klasse",
+                                onClick: function() {
+                                    y("klasse"), l(!0)
+                                }
+                            }, o.a.createElement(ClassroomIcon, null), o.a.createElement("span", null, f()("nav.classroom"))), o.a.createElement("button", {
                                 key: "getLevelInputLabel",
                                 className: fe.a.getLevelField,
                                 onClick: t.toggleGetLevelField
@@ -740,9 +923,9 @@
                         }
                     }, o.a.createElement($, null), o.a.createElement("span", null, f()("nav.help"))), c && [o.a.createElement("button", {
                         className: fe.a.save,
-                        disabled: !_(u),
+                        disabled: !isLevelSaveable(u),
                         onClick: function() {
-                            return V(Q(u).tiles)
+                            return V(toSavedLevel(u))
                         },
                         key: S()("nav-")
                     }, p ? o.a.createElement(ue, {
@@ -758,14 +941,34 @@
                             a(), y("sound/" + (r ? "turned_on" : "turned_off"))
                         }
                     }, r ? o.a.createElement(Y, null) : o.a.createElement(X, null)), o.a.createElement("button", {
-                        className: fe.a.shareButton,
+                        className: fe.a.voiceButton,
+                        title: f()(voice ? "nav.voice.on" : "nav.voice.off"),
+                        "aria-pressed": voice,
                         onClick: function() {
-                            var e;
-                            e = window.open("https://www.facebook.com/dialog/feed?app_id=2161789180707842&display=popup&amp;caption=Kodingergøy&link=" + window.location.href, "Koding er gøy", "height=200,width=150"), window.focus && e.focus(), y("share")
+                            toggleVoice(), y("voice/" + (voice ? "turned_off" : "turned_on"))
                         }
+                    }, o.a.createElement(VoiceIcon, {
+                        muted: !voice
+                    })), o.a.createElement("button", {
+                        className: fe.a.shareButton,
+                        title: f()("nav.share"),
+                        onClick: t.share
                     }, o.a.createElement(Z, null))), o.a.createElement("div", {
                         className: fe.a.right
-                    }, o.a.createElement("button", {
+                    }, o.a.createElement("select", {
+                        className: fe.a.localeSelect,
+                        value: locale,
+                        title: f()("nav.language"),
+                        "aria-label": f()("nav.language"),
+                        onChange: function(e) {
+                            setLocale(e.target.value), y("language/" + e.target.value)
+                        }
+                    }, Object.keys(LOCALES).map(function(e) {
+                        return o.a.createElement("option", {
+                            key: e,
+                            value: e
+                        }, LOCALES[e].name)
+                    })), o.a.createElement("button", {
                         onClick: function() {
                             return l(!0)
                         },
@@ -775,18 +978,26 @@
             }(a.Component);
             ge.propTypes = {
                 audio: p.bool,
+                voice: p.bool,
                 game: p.bool,
                 editorModeActive: p.bool,
                 toggleAudio: p.func,
+                toggleVoice: p.func,
+                locale: p.string,
+                setLocale: p.func,
                 displayInstructions: p.func,
                 setStart: p.func,
                 saveLevel: p.func,
                 currentLevelData: p.object,
+                currentCustomLevelCode: p.string,
                 savingInProgress: p.bool,
                 resetTileData: p.func,
                 getLevel: p.func,
                 getLevelInProgress: p.bool,
-                getLevelError: p.bool
+                getLevelError: p.bool,
+                shareLevel: p.func,
+                playReplay: p.func,
+                history: p.object
             }, ge.defaultProps = {
                 audio: !1,
                 voice: !1,
@@ -794,32 +1005,42 @@
                 editorModeActive: !1,
                 toggleAudio: function() {},
                 toggleVoice: function() {},
+                setLocale: function() {},
                 displayInstructions: function() {},
                 setStart: function() {},
-                resetTileData: function() {}
+                resetTileData: function() {},
+                shareLevel: function() {}
             };
-            var ye = Object(s.b)(function(e) {
+            var ye = Object(m.a)(Object(s.b)(function(e) {
                     return {
                         audio: e.app.audio,
+                        voice: e.app.voice,
+                        locale: e.app.locale,
                         game: e.app.game,
                         editorModeActive: e.app.editorModeActive,
                         currentLevelData: e.game.currentLevelData,
+                        currentCustomLevelCode: e.game.currentCustomLevelCode,
                         savingInProgress: e.game.savingInProgress,
                         getLevelInProgress: e.game.getLevelInProgress,
                         getLevelError: e.game.getLevelError
                     }
                 }, {
                     toggleAudio: j.v,
+                    toggleVoice: j.w,
+                    setLocale: j.y,
                     displayInstructions: j.n,
                     setStart: j.t,
                     saveLevel: q.r,
                     resetTileData: q.q,
                     getLevel: q.p,
                     setGame: j.r,
-                    setLevel: q.u
-                })(ge),
+                    setLevel: q.u,
+                    shareLevel: j.K,
+                    playReplay: replayRecords.g
+                })(ge)),
                 be = n("HKMw"),
                 we = n("GMIN"),
+                programText = n("Kx7d"),
                 Ee = n("WjpJ"),
                 xe = n.n(Ee),
                 Ce = n("zJgK"),
@@ -844,6 +1065,9 @@
                         return t !== e
                     })
                 },
+                fitsMaxCommands = function(e, t) {
+                    return void 0 === t || we.p(e, e.commandCounting) <= t
+                },
                 ke = {
                     drop: function(e, t) {
                         if (!t.didDrop()) {
@@ -852,22 +1076,26 @@
                                 a = e.index,
                                 o = e.commands,
                                 i = e.parentRowId,
-                                s = e.numCommands,
-                                l = e.setProgramRow,
-                                c = e.setNumCommands;
+                                s = e.allCommands,
+                                l = e.setProgramRow;
                             if (i !== we.g) {
-                                var V = [].concat(o);
-                                if (n.action === we.d && i !== we.h) return {
+                                var u, V = [].concat(o);
+                                if (we.x(n).length && i !== we.h && (r !== we.i && we.s(s, n, i) || we.q(s, i) + we.r(s, n) > we.k)) return {
                                     nested: !0,
                                     rowId: i
                                 };
-                                if (r !== i && (V = Me(n, a, o)), r === i && (V = function(e, t, n) {
-                                        var r = n.filter(function(t) {
-                                            return t !== e
-                                        });
-                                        return r.splice(t, 0, e), r
-                                    }(n, a, o)), l(i, V), r === we.i) c(s + 1);
-                                return {
+                                r !== i && (V = Me(n, a, o)), r === i && (V = function(e, t, n) {
+                                    var r = n.filter(function(t) {
+                                        return t !== e
+                                    });
+                                    return r.splice(t, 0, e), r
+                                }(n, a, o));
+                                var c = Te({}, s, ((u = {})[i] = V, u));
+                                if (r !== i && r !== we.i && c[r] && (c[r] = Le(n, c[r])), !fitsMaxCommands(c, e.maxCommands)) return {
+                                    nested: !0,
+                                    rowId: i
+                                };
+                                return l(i, V), {
                                     nested: !1,
                                     rowId: i
                                 }
@@ -975,8 +1203,8 @@
                     ! function(e, t) {
                         if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
                     }(this, e), this.checkMuted = function() {
-                        Be.Howler.mute(!t.audio || t.hidden)
-                    }, this.hidden = !1, this.audio = !0, this.clips = {}, at()(function() {
+                        Be.Howler.mute(!t.audio || t.hidden || t.adPlaying)
+                    }, this.hidden = !1, this.audio = !0, this.adPlaying = !1, this.clips = {}, at()(function() {
                         t.hidden = document.hidden, t.checkMuted()
                     }), this.clips.background = new Be.Howl({
                         src: [nt.a],
@@ -1031,7 +1259,99 @@
                         loop: !1
                     }), V.subscribe(function() {
                         var e = V.getState().app.audio;
-                        e !== t.audio && (t.audio = e), t.checkMuted()
+                        e !== t.audio && (t.audio = e), t.adPlaying = V.getState().app.adPlaying, t.checkMuted()
+                    })
+                },
+                isLastLevel = function(e, t, n) {
+                    var r = e.filter(function(e) {
+                            return !e.isCustom
+                        }),
+                        a = r.indexOf(e[t]);
+                    return e[t] && e[t].pack ? n + 1 >= e[t].levels.length : -1 === a || a + 1 >= r.length && n + 1 >= e[t].levels.length
+                },
+                nextLevelGroup = function(e, t, n) {
+                    // Group of the level "next" goes to, -1 after the last level; a pack is played through on its own
+                    var r = e.filter(function(e) {
+                            return !e.isCustom
+                        }),
+                        a = r.indexOf(e[t]);
+                    return e[t] && e[t].pack ? n + 1 < e[t].levels.length ? t : -1 : -1 === a ? -1 : n + 1 < e[t].levels.length ? t : a + 1 < r.length ? e.indexOf(r[a + 1]) : -1
+                },
+                packText = function(e) {
+                    // Texts in level packs are plain strings or { <locale>: string } maps
+                    return "string" == typeof e ? e : e[f.a.getLocale()] || e[DEFAULT_LOCALE] || e[Object.keys(e)[0]]
+                },
+                introText = function(e) {
+                    return e.pack ? packText(e.intro.text) : f()(e.intro.text)
+                },
+                levelNote = function(e) {
+                    // Authors can give their levels a title and a hint, shown like a group's intro
+                    return !!e && !!(e.title || e.hint)
+                },
+                NARRATION_DUCKED_VOLUME = .1,
+                NARRATION_FADE_DURATION = 400,
+                stripMarkup = function(e) {
+                    var t = document.createElement("div");
+                    return t.innerHTML = e.replace(/<br\s*\/?>/gi, " "), (t.textContent || "").replace(/\s+/g, " ").trim()
+                },
+                findTranslationKey = function(e, t, n) {
+                    for (var r in t)
+                        if (Object.prototype.hasOwnProperty.call(t, r)) {
+                            var a = n ? n + "." + r : r,
+                                o = "object" == typeof t[r] ? findTranslationKey(e, t[r], a) : t[r] === e ? a : null;
+                            if (o) return o
+                        } return null
+                },
+                narrator = new function e() {
+                    var t = this;
+                    ! function(e, t) {
+                        if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                    }(this, e), this.voice = !1, this.ducked = !1, this.musicVolume = null, this.clip = null, this.utterance = null, this.state = V.getState(), this.duck = function(e) {
+                        var n = ot.clips.background,
+                            r = void 0;
+                        e !== t.ducked && (t.ducked = e, null === t.musicVolume && (t.musicVolume = n.volume()), r = e ? NARRATION_DUCKED_VOLUME : t.musicVolume, n.playing() ? n.fade(n.volume(), r, NARRATION_FADE_DURATION) : n.volume(r))
+                    }, this.finish = function() {
+                        t.clip = null, t.utterance = null, t.duck(!1)
+                    }, this.cancel = function() {
+                        t.clip && (t.clip.onended = t.clip.onerror = null, t.clip.pause()), t.utterance && (t.utterance.onend = t.utterance.onerror = null, window.speechSynthesis.cancel()), t.clip = null, t.utterance = null
+                    }, this.stop = function() {
+                        t.cancel(), t.duck(!1)
+                    }, this.synthesize = function(e) {
+                        if (!window.speechSynthesis || !window.SpeechSynthesisUtterance) return t.finish();
+                        var n = new window.SpeechSynthesisUtterance(e);
+                        n.lang = LOCALES[f.a.getLocale()].speechLang, n.rate = .9, n.onend = n.onerror = t.finish, t.utterance = n, window.speechSynthesis.speak(n)
+                    }, this.speak = function(e, n) {
+                        var r = stripMarkup(n || ""),
+                            a = (window.__NARRATION_CLIPS__ || {})[f.a.getLocale()] || {};
+                        if (t.cancel(), !t.voice || !r) return t.duck(!1);
+                        if (t.duck(!0), e && a[e]) {
+                            var o = new Audio(a[e]),
+                                i = function() {
+                                    t.clip === o && (t.clip = null, t.synthesize(r))
+                                };
+                            o.onended = t.finish, o.onerror = i, t.clip = o, o.play().catch(i)
+                        } else t.synthesize(r)
+                    }, this.narrateIntro = function() {
+                        t.speak("introduction.body", f()("introduction.body"))
+                    }, this.narrateInstructions = function(e) {
+                        var n = e.game.levelGroups[e.game.currentLevelGroup];
+                        n && n.intro && t.speak(n.pack ? null : n.intro.text, introText(n))
+                    }, this.narrateLevelComplete = function(e) {
+                        var r = e.app.classroom ? e.app.classroom.lockedGroups : [],
+                            n = isLastLevel(e.game.levelGroups, e.game.currentLevelGroup, e.game.currentLevel) ? "levelCompleteDialog.lastLevel" : -1 !== r.indexOf(nextLevelGroup(e.game.levelGroups, e.game.currentLevelGroup, e.game.currentLevel)) ? "classroom.nextLocked" : "levelCompleteDialog.body";
+                        t.speak(n, f()(n))
+                    }, this.narrateHelpText = function(e) {
+                        t.speak(findTranslationKey(e, LOCALES[f.a.getLocale()].translations), e)
+                    }, this.narrateCurrent = function(e) {
+                        var n = e.app;
+                        n.levelCompleteDialogVisible ? t.narrateLevelComplete(e) : n.instructionsVisible ? t.narrateInstructions(e) : n.intro ? t.narrateIntro() : n.helpText && t.narrateHelpText(n.helpText)
+                    }, V.subscribe(function() {
+                        var e = V.getState(),
+                            n = e.app,
+                            r = t.state.app;
+                        t.state = e, n.voice !== r.voice ? (t.voice = n.voice, t.voice ? t.narrateCurrent(e) : t.stop()) : n.levelCompleteDialogVisible && !r.levelCompleteDialogVisible ? t.narrateLevelComplete(e) : n.instructionsVisible && !r.instructionsVisible ? t.narrateInstructions(e) : n.intro && !r.intro ? t.narrateIntro() : n.helpText && n.helpText !== r.helpText ? t.narrateHelpText(n.helpText) : (r.levelCompleteDialogVisible && !n.levelCompleteDialogVisible || r.instructionsVisible && !n.instructionsVisible || r.intro && !n.intro) && t.stop()
+                    }), at()(function() {
+                        document.hidden && t.stop()
                     })
                 },
                 it = n("5eUr"),
@@ -1073,7 +1393,10 @@
                 isDragging: !1
             };
             var ct = Object(s.b)(function(e) {
-                    return {}
+                    return {
+                        allCommands: e.commands,
+                        maxCommands: e.game.currentLevelData.maxCommands
+                    }
                 }, {
                     setProgramRow: be.n,
                     setNumCommands: be.m
@@ -1092,7 +1415,14 @@
                     n = e.rowId,
                     r = (e.connectDropTarget, e.numCommands);
                 return o.a.createElement("div", {
-                    className: ut.a.main
+                    className: ut.a.main,
+                    role: "group",
+                    tabIndex: we.C(n) ? 0 : -1,
+                    "aria-label": e.label || f()("a11y.innerRow"),
+                    "data-row-id": n,
+                    onKeyDown: function(e) {
+                        return handleRowKeyDown(n, e)
+                    }
                 }, o.a.createElement("div", {
                     className: ut.a.dropTargets
                 }, xe()(t.length + 1).map(function(e, a) {
@@ -1115,7 +1445,8 @@
                 }))
             };
             pt.propTypes = {
-                commands: p.array
+                commands: p.array,
+                label: p.string
             }, pt.defaultProps = {
                 commands: []
             };
@@ -1215,17 +1546,22 @@
                     }(this, t);
                     for (var a = arguments.length, o = Array(a), i = 0; i < a; i++) o[i] = arguments[i];
                     return n = r = bt(this, e.call.apply(e, [this].concat(o))), r.handleClick = function(e) {
+                        e.stopPropagation();
                         var t = r.props,
                             n = t.command,
                             a = t.commands,
                             o = t.parentRowId,
                             i = t.setProgramRow,
-                            s = n.value + 1;
-                        s > 8 && (s = 1), i(o, a[o].map(function(e) {
-                            return e.id === n.id ? yt({}, e, {
-                                value: s
-                            }) : e
-                        }))
+                            s = n.value + 1,
+                            l = function(e) {
+                                return a[o].map(function(t) {
+                                    return t.id === n.id ? yt({}, t, {
+                                        value: e
+                                    }) : t
+                                })
+                            },
+                            c = void 0;
+                        (s > we.l || !fitsMaxCommands(yt({}, a, ((c = {})[o] = l(s), c)), t.maxCommands)) && (s = 1), i(o, l(s))
                     }, bt(r, n)
                 }
                 return function(e, t) {
@@ -1262,6 +1598,7 @@
             wt.propTypes = {
                 command: p.object,
                 commands: p.object,
+                maxCommands: p.number,
                 parentRowId: p.string,
                 setProgramRow: p.func
             }, wt.defaultProps = {
@@ -1272,11 +1609,105 @@
             };
             var Et = Object(s.b)(function(e) {
                     return {
-                        commands: e.commands
+                        commands: e.commands,
+                        maxCommands: e.game.currentLevelData.maxCommands
                     }
                 }, {
                     setProgramRow: be.n
                 })(wt),
+                ConditionIcon = function(e) {
+                    var t = e.condition;
+                    return o.a.createElement("svg", {
+                        className: e.className,
+                        height: "19",
+                        viewBox: "0 0 19 19",
+                        width: "19",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("path", {
+                        d: "M9.5 1l8.5 8.5-8.5 8.5L1 9.5z",
+                        fill: "#8e5bd0"
+                    }), o.a.createElement("text", {
+                        x: "9.5",
+                        y: "13.5",
+                        fill: "#fff",
+                        fontSize: "10",
+                        fontWeight: "700",
+                        textAnchor: "middle"
+                    }, t === we.u ? "!" : t === we.v ? "=" : t === we.w ? "~" : "?"))
+                },
+                CallIcon = function(e) {
+                    return o.a.createElement("svg", {
+                        className: e.className,
+                        style: e.style,
+                        height: "19",
+                        viewBox: "0 0 19 19",
+                        width: "19",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("rect", {
+                        x: "1",
+                        y: "1",
+                        width: "17",
+                        height: "17",
+                        rx: "4",
+                        fill: "#007e7b"
+                    }), o.a.createElement("text", {
+                        x: "9.5",
+                        y: "13.5",
+                        fill: "#fff",
+                        fontSize: "11",
+                        fontWeight: "700",
+                        textAnchor: "middle"
+                    }, e.name))
+                },
+                ConditionBlock = Object(s.b)(function(e) {
+                    return {
+                        commands: e.commands,
+                        levelData: e.game.currentLevelData
+                    }
+                }, {
+                    setProgramRow: be.n
+                })(function(e) {
+                    var t = e.command,
+                        n = e.commands,
+                        r = e.parentRowId,
+                        a = e.setProgramRow,
+                        i = we.y(t.id),
+                        c = we.D(e.levelData);
+                    return o.a.createElement("div", {
+                        className: L()(mt.a.main, mt.a.condition),
+                        title: f()("conditions." + t.condition, {
+                            value: t.value || 0
+                        }),
+                        onClick: function(e) {
+                            e.stopPropagation(), t.condition === we.v && a(r, n[r].map(function(e) {
+                                return e.id === t.id ? yt({}, e, {
+                                    value: (e.value || 0) < c[1] ? (e.value || 0) + 1 : c[0]
+                                }) : e
+                            }))
+                        }
+                    }, o.a.createElement("div", {
+                        className: mt.a.inputContainer
+                    }, o.a.createElement(ConditionIcon, {
+                        condition: t.condition
+                    }), t.condition === we.v ? o.a.createElement("span", {
+                        className: mt.a.value
+                    }, t.value || 0) : null), o.a.createElement("div", {
+                        className: mt.a.inner
+                    }, o.a.createElement(At, {
+                        commands: n[t.id],
+                        rowId: t.id,
+                        parentRowId: t.id
+                    })), o.a.createElement("span", {
+                        className: mt.a.elseLabel
+                    }, f()("conditions.else")), o.a.createElement("div", {
+                        className: mt.a.inner
+                    }, o.a.createElement(At, {
+                        commands: n[i],
+                        rowId: i,
+                        parentRowId: i,
+                        label: f()("conditions.else")
+                    })))
+                }),
                 xt = n("vuYm"),
                 Ct = n.n(xt),
                 Ot = Object.assign || function(e) {
@@ -1390,6 +1821,132 @@
                         d: "M16.5 7.5l-9 9M16.5 16.5l-9-9"
                     })))
                 },
+                keyboardCursor = {
+                    rowId: we.h,
+                    index: null
+                },
+                commandLabel = function(e) {
+                    return e.action === we.t ? f()("conditions." + e.condition, {
+                        value: e.value || 0
+                    }) : e.action === we.z ? f()("functions.call", {
+                        name: e.function
+                    }) : f()("a11y.commands." + e.action, {
+                        value: e.value || 1
+                    })
+                },
+                activateOnKey = function(e) {
+                    return function(t) {
+                        "Enter" !== t.key && " " !== t.key || (t.preventDefault(), e(t))
+                    }
+                },
+                focusLater = function(e) {
+                    setTimeout(function() {
+                        var t = document.querySelector(e);
+                        t && t.focus()
+                    }, 0)
+                },
+                findBlockPosition = function(e, t) {
+                    for (var n = Object.keys(e), r = 0; r < n.length; r++)
+                        if (n[r] !== we.i && Array.isArray(e[n[r]]))
+                            for (var a = 0; a < e[n[r]].length; a++)
+                                if (-1 !== we.x(e[n[r]][a]).indexOf(t)) return {
+                                    rowId: n[r],
+                                    index: a
+                                };
+                    return null
+                },
+                announcer = new function e() {
+                    var t = this;
+                    ! function(e, t) {
+                        if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                    }(this, e), this.element = null, this.timeout = null, this.animations = V.getState().game.characterAnimations, this.announce = function(e) {
+                        t.element || (t.element = document.createElement("div"), t.element.className = Ct.a.visuallyHidden, t.element.setAttribute("role", "status"), t.element.setAttribute("aria-live", "polite"), document.body.appendChild(t.element)), t.element.textContent = "", clearTimeout(t.timeout), t.timeout = setTimeout(function() {
+                            t.element.textContent = e
+                        }, 100)
+                    }, this.describeMoves = function(e) {
+                        return e.toArray().map(function(e) {
+                            switch (e.type) {
+                                case En:
+                                    return f()("a11y.moves.forward");
+                                case xn:
+                                    return f()("a11y.moves.back");
+                                case Cn:
+                                    return f()("a11y.moves.left");
+                                case On:
+                                    return f()("a11y.moves.right");
+                                case CHARACTER_ANIM_WAIT:
+                                    return f()("a11y.moves.wait");
+                                case In:
+                                    return f()("a11y.moves.fall");
+                                case Mn:
+                                    return f()("a11y.moves.denied");
+                                case Tn:
+                                    return f()("a11y.moves.completed");
+                                case Ln:
+                                    return f()("a11y.moves.notCompleted")
+                            }
+                            return null
+                        }).filter(Boolean).join(" ")
+                    }, V.subscribe(function() {
+                        var e = V.getState().game.characterAnimations,
+                            n = void 0;
+                        e !== t.animations && (t.animations = e, e && (n = t.describeMoves(e)) && t.announce(n))
+                    })
+                },
+                moveKeyboardCursor = function(e, t) {
+                    var n = V.getState().commands[e] || [],
+                        r = Math.max(0, Math.min(t, n.length));
+                    keyboardCursor = {
+                        rowId: e,
+                        index: r
+                    }, r ? focusLater('[data-command-id="' + n[r - 1].id + '"]') : (focusLater('[data-row-id="' + e + '"]'), announcer.announce(f()("a11y.cursorStart")))
+                },
+                insertCommandAtCursor = function(e, t, n, r) {
+                    var a = document.querySelector('[data-row-id="' + keyboardCursor.rowId + '"]') ? keyboardCursor.rowId : we.h,
+                        o = t[a] || [],
+                        i = a === keyboardCursor.rowId && null !== keyboardCursor.index ? Math.min(keyboardCursor.index, o.length) : o.length,
+                        s = Te({}, e, {
+                            id: Oe()()
+                        }),
+                        l = [].concat(o),
+                        c = void 0;
+                    return l.splice(i, 0, s), we.x(e).length && a !== we.h && we.q(t, a) + we.r(t, e) > we.k ? (ot.clips.fail.play(), announcer.announce(f()("a11y.tooDeep")), !1) : fitsMaxCommands(Te({}, t, ((c = {})[a] = l, c)), n) ? (r(a, l), keyboardCursor = {
+                        rowId: a,
+                        index: i + 1
+                    }, ot.clips.add.play(), announcer.announce(f()("a11y.added", {
+                        command: commandLabel(s),
+                        position: i + 1,
+                        total: l.length
+                    })), !0) : (ot.clips.fail.play(), announcer.announce(f()("a11y.tooMany")), !1)
+                },
+                handleRowKeyDown = function(e, t) {
+                    if (t.target === t.currentTarget) {
+                        var n = V.getState().commands,
+                            r = n[e] || [],
+                            a = findBlockPosition(n, e),
+                            o = !0;
+                        switch (t.key) {
+                            case "ArrowRight":
+                            case "ArrowDown":
+                                r.length ? moveKeyboardCursor(e, 1) : o = !1;
+                                break;
+                            case "End":
+                                moveKeyboardCursor(e, r.length);
+                                break;
+                            case "Home":
+                            case "Enter":
+                            case " ":
+                                moveKeyboardCursor(e, 0);
+                                break;
+                            case "Escape":
+                                a ? moveKeyboardCursor(a.rowId, a.index + 1) : o = !1;
+                                break;
+                            default:
+                                o = !1
+                        }
+                        o && (t.preventDefault(), t.stopPropagation())
+                    }
+                },
                 Dt = {
                     beginDrag: function(e, t, n) {
                         return {
@@ -1403,27 +1960,21 @@
                         var n = e.parentRowId,
                             r = e.command,
                             a = e.commands,
-                            o = e.setProgramRow,
-                            i = e.numCommands,
-                            s = e.setNumCommands;
+                            o = e.setProgramRow;
                         if (n !== we.i)
                             if (t.getDropResult()) {
                                 if (t.getDropResult().nested) return;
-                                if (t.getDropResult().container) {
-                                    var l = 1;
-                                    r.action === we.d && a[r.id] && (l += a[r.id].length), s(i - l)
-                                }
                                 if (n !== t.getDropResult().rowId) o(n, Le(r, a[n]))
-                            } else if (!t.getDropResult()) {
-                            o(n, Le(r, a[n]));
-                            var c = 1;
-                            r.action === we.d && a[r.id] && (c += a[r.id].length), s(i - c)
-                        }
+                            } else t.getDropResult() || o(n, Le(r, a[n]))
                     },
                     canDrag: function(e) {
                         return !e.disabled
                     }
                 };
+            document.addEventListener("keydown", function(e) {
+                var t = V.getState();
+                "Enter" !== e.key || !e.ctrlKey && !e.metaKey || !t.app.game || t.app.levelCompleteDialogVisible || t.game.gameRunning || t.commands.numCommands <= 0 || (e.preventDefault(), t.game.debugMode && V.dispatch(q.E("running")), V.dispatch(q.t(!0)))
+            });
 
             function Pt(e, t) {
                 if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
@@ -1440,17 +1991,12 @@
                         e.stopPropagation();
                         var t = r.props,
                             n = t.index,
-                            a = t.command,
                             o = t.commands,
-                            i = t.numCommands,
                             s = t.parentRowId,
-                            l = t.setProgramRow,
-                            c = t.setNumCommands;
+                            l = t.setProgramRow;
                         l(s, o[s].filter(function(e, t) {
                             return t !== n
-                        }));
-                        var V = 1;
-                        a.action === we.d && o[a.id] && (V += o[a.id].length), c(i - V), ot.clips.remove.play()
+                        })), ot.clips.remove.play()
                     }, r.addCommand = function() {
                         var e = r.props,
                             t = e.command,
@@ -1458,11 +2004,91 @@
                             a = e.commands,
                             o = e.parentRowId,
                             i = e.disabled,
-                            s = e.setNumCommands,
-                            l = e.numCommands;
+                            s = e.maxCommands;
                         if (o === we.i && !i) {
-                            var c = Me(t, a[we.h].length + 1, a[we.h]);
-                            n(we.h, c), s(l + 1), ot.clips.add.play()
+                            var l, c = Me(t, a[we.h].length + 1, a[we.h]);
+                            fitsMaxCommands(Te({}, a, ((l = {})[we.h] = c, l)), s) ? (n(we.h, c), ot.clips.add.play()) : ot.clips.fail.play()
+                        }
+                    }, r.moveCommand = function(e) {
+                        var t = r.props,
+                            n = t.command,
+                            a = t.commands,
+                            o = t.parentRowId,
+                            i = t.index,
+                            s = i + e,
+                            l = [].concat(a[o]);
+                        s < 0 || s >= l.length || (l.splice(i, 1), l.splice(s, 0, n), t.setProgramRow(o, l), moveKeyboardCursor(o, s + 1), announcer.announce(f()("a11y.moved", {
+                            command: commandLabel(n),
+                            position: s + 1,
+                            total: l.length
+                        })))
+                    }, r.changeValue = function(e) {
+                        var t = r.props,
+                            n = t.command,
+                            a = t.commands,
+                            o = t.parentRowId,
+                            A = we.D(t.levelData),
+                            i = n.action === we.t ? A[0] : 1,
+                            s = n.action === we.t ? A[1] : we.l,
+                            l = Math.max(i, Math.min(s, (n.value || 0) + e)),
+                            c = Te({}, n, {
+                                value: l
+                            }),
+                            V = a[o].map(function(e) {
+                                return e.id === n.id ? c : e
+                            }),
+                            u = void 0;
+                        l !== n.value && (fitsMaxCommands(Te({}, a, ((u = {})[o] = V, u)), t.maxCommands) ? (t.setProgramRow(o, V), focusLater('[data-command-id="' + n.id + '"]'), announcer.announce(commandLabel(c))) : ot.clips.fail.play())
+                    }, r.handleKeyDown = function(e) {
+                        if (e.target === e.currentTarget) {
+                            var t = r.props,
+                                n = t.command,
+                                a = t.commands,
+                                o = t.parentRowId,
+                                i = t.index,
+                                s = a[o] || [],
+                                l = we.x(n),
+                                c = findBlockPosition(a, o),
+                                u = l[e.shiftKey && l.length > 1 ? 1 : 0],
+                                V = !0;
+                            if (o === we.i) "Enter" === e.key || " " === e.key ? t.disabled ? (ot.clips.fail.play(), announcer.announce(f()("a11y.tooMany"))) : insertCommandAtCursor(n, a, t.maxCommands, t.setProgramRow) && focusLater('[data-command-id="' + n.id + '"]') : V = !1;
+                            else switch (e.key) {
+                                case "ArrowLeft":
+                                case "ArrowUp":
+                                    e.shiftKey ? r.moveCommand(-1) : moveKeyboardCursor(o, i);
+                                    break;
+                                case "ArrowRight":
+                                case "ArrowDown":
+                                    e.shiftKey ? r.moveCommand(1) : i + 1 < s.length && moveKeyboardCursor(o, i + 2);
+                                    break;
+                                case "Home":
+                                    moveKeyboardCursor(o, 0);
+                                    break;
+                                case "End":
+                                    moveKeyboardCursor(o, s.length);
+                                    break;
+                                case "Delete":
+                                case "Backspace":
+                                    r.removeCommand(e), moveKeyboardCursor(o, i), announcer.announce(f()("a11y.removed", {
+                                        command: commandLabel(n)
+                                    }));
+                                    break;
+                                case "Enter":
+                                case " ":
+                                    u ? moveKeyboardCursor(u, (a[u] || []).length) : V = !1;
+                                    break;
+                                case "+":
+                                case "=":
+                                case "-":
+                                    n.action === we.d || n.action === we.j || n.action === we.t && n.condition === we.v ? r.changeValue("-" === e.key ? -1 : 1) : V = !1;
+                                    break;
+                                case "Escape":
+                                    c ? moveKeyboardCursor(c.rowId, c.index + 1) : V = !1;
+                                    break;
+                                default:
+                                    V = !1
+                            }
+                            V && (e.preventDefault(), e.stopPropagation())
                         }
                     }, Pt(r, n)
                 }
@@ -1487,11 +2113,38 @@
                         l = t.disabled,
                         c = L()(Ct.a.main, Ct.a[n.type]),
                         V = L()(Ct.a.wrapper, a && i !== we.i ? Ct.a.dragged : null, l ? Ct.a.hidden : null, "command"),
-                        u = L()(V, Ct.a.loopWrapper);
-                    return r(!s || n.action !== we.d && n.action !== we.j ? o.a.createElement("div", {
-                        className: V
-                    }, i !== we.i && !a && o.a.createElement("button", {
+                        u = L()(V, Ct.a.loopWrapper),
+                        A = i !== we.i && t.debugCommandId && t.debugCommandId === n.id ? {
+                            borderRadius: "8px",
+                            boxShadow: "0 0 0 3px #ff003a"
+                        } : t.hint && t.hint.commandId === n.id ? {
+                            borderRadius: "8px",
+                            boxShadow: "0 0 0 3px " + ("wrong" === t.hint.type ? "#ff003a" : "#ffb400")
+                        } : void 0,
+                        d = {
+                            role: "button",
+                            tabIndex: i === we.i ? 0 : -1,
+                            "aria-label": i === we.i ? commandLabel(n) : f()("a11y.position", {
+                                command: commandLabel(n),
+                                position: t.index + 1,
+                                total: (t.commands[i] || []).length
+                            }),
+                            "aria-disabled": i === we.i ? !!l : void 0,
+                            "data-command-id": n.id,
+                            onKeyDown: this.handleKeyDown
+                        };
+                    return r(!s || n.action !== we.d && n.action !== we.j && n.action !== we.t ? o.a.createElement("div", Te({
+                        className: V,
+                        style: A,
+                        title: n.action === we.t ? f()("conditions." + n.condition, {
+                            value: n.value || 0
+                        }) : n.action === we.z ? f()("functions.call", {
+                            name: n.function
+                        }) : void 0
+                    }, d), i !== we.i && !a && o.a.createElement("button", {
                         className: Ct.a.remove,
+                        tabIndex: -1,
+                        "aria-label": f()("a11y.remove"),
                         onClick: function(t) {
                             return e.removeCommand(t)
                         }
@@ -1513,9 +2166,19 @@
                         className: "command-icon"
                     }) : null, n.action === we.d ? o.a.createElement(ft, {
                         className: "command-icon"
-                    }) : null))) : o.a.createElement("div", {
-                        className: u
-                    }, o.a.createElement(Et, {
+                    }) : null, n.action === we.t ? o.a.createElement(ConditionIcon, {
+                        className: "command-icon",
+                        condition: n.condition
+                    }) : null, n.action === we.z ? o.a.createElement(CallIcon, {
+                        className: "command-icon",
+                        name: n.function
+                    }) : null))) : o.a.createElement("div", Te({
+                        className: u,
+                        style: A
+                    }, d), n.action === we.t ? o.a.createElement(ConditionBlock, {
+                        parentRowId: i,
+                        command: n
+                    }) : o.a.createElement(Et, {
                         onClick: this.addCommand,
                         parentRowId: i,
                         command: n
@@ -1533,7 +2196,10 @@
                 loopEnabled: p.bool,
                 isDragging: p.bool,
                 parentRowId: p.string,
-                disabled: p.bool
+                disabled: p.bool,
+                debugCommandId: p.string,
+                hint: p.object,
+                levelData: p.object
             }, Bt.defaultProps = {
                 index: 0,
                 numCommands: 0,
@@ -1556,7 +2222,10 @@
                         hoverSide: e.commands.hoverSide,
                         numCommands: e.commands.numCommands,
                         amDragging: e.commands.amDragging,
-                        draggingIndex: e.commands.draggingIndex
+                        draggingIndex: e.commands.draggingIndex,
+                        debugCommandId: e.game.debugCommandId,
+                        hint: e.game.hint,
+                        levelData: e.game.currentLevelData
                     }
                 }, {
                     setProgramRow: be.n,
@@ -1592,7 +2261,15 @@
                             parentRowId: r
                         }))
                     })), o.a.createElement("div", {
-                        className: a
+                        className: a,
+                        role: "group",
+                        tabIndex: 0,
+                        "aria-label": f()("a11y.programRow"),
+                        "aria-describedby": "keyboard-hint",
+                        "data-row-id": r,
+                        onKeyDown: function(e) {
+                            return handleRowKeyDown(r, e)
+                        }
                     }, t && t.map(function(e, t) {
                         return o.a.createElement(Nt, {
                             key: Oe()(),
@@ -1601,7 +2278,10 @@
                             parentRowId: r,
                             loopEnabled: !0
                         })
-                    })))
+                    })), o.a.createElement("p", {
+                        id: "keyboard-hint",
+                        className: Ct.a.visuallyHidden
+                    }, f()("a11y.hint")))
                 };
             Ft.propTypes = {
                 commands: p.array,
@@ -1818,27 +2498,398 @@
                     })))
                 },
                 nn = n("oil/"),
-                rn = n.n(nn);
-            var an = void 0,
-                on = (O.a && "IE" === O.a.browser && O.a.os, function(e) {
-                    function t() {
-                        return function(e, t) {
-                                if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
-                            }(this, t),
-                            function(e, t) {
-                                if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
-                                return !t || "object" != typeof t && "function" != typeof t ? e : t
-                            }(this, e.apply(this, arguments))
-                    }
-                    return function(e, t) {
-                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
-                        e.prototype = Object.create(t && t.prototype, {
-                            constructor: {
-                                value: e,
-                                enumerable: !1,
-                                writable: !0,
-                                configurable: !0
-                            }
+                rn = n.n(nn),
+                DebugPanel = function(e) {
+                    var t = e.debugRun,
+                        n = e.debugState,
+                        r = e.gameRunning,
+                        a = e.numCommands,
+                        i = e.setDebugRun,
+                        s = e.debugStep,
+                        l = e.setGameRunning,
+                        c = {
+                            "0,1": "\u2191",
+                            "1,0": "\u2192",
+                            "0,-1": "\u2193",
+                            "-1,0": "\u2190"
+                        },
+                        V = function(e, t, n, r) {
+                            return o.a.createElement("button", {
+                                title: f()("debugger." + e),
+                                "aria-label": f()("debugger." + e),
+                                disabled: !n,
+                                onClick: r,
+                                style: {
+                                    border: "1px solid #2a3744",
+                                    borderRadius: "6px",
+                                    background: "#fff",
+                                    margin: "0 3px",
+                                    minWidth: "34px",
+                                    height: "30px",
+                                    cursor: n ? "pointer" : "default",
+                                    opacity: n ? 1 : .4
+                                }
+                            }, t)
+                        };
+                    return o.a.createElement("div", {
+                        style: {
+                            display: "flex",
+                            flexWrap: "wrap",
+                            alignItems: "center",
+                            justifyContent: "center",
+                            marginBottom: "6px",
+                            fontSize: "14px"
+                        }
+                    }, V("step", "\u23ed", !r && a > 0 || r && "paused" === t, function() {
+                        r ? s() : (i("paused"), l(!0))
+                    }), V("pause", "\u23f8", r && "running" === t, function() {
+                        return i("paused")
+                    }), V("resume", "\u25b6", r && "paused" === t, function() {
+                        return i("running")
+                    }), V("runToEnd", "\u23e9", !r && a > 0 || r && "toEnd" !== t, function() {
+                        i("toEnd"), r || l(!0)
+                    }), n && o.a.createElement("span", {
+                        role: "status",
+                        style: {
+                            marginLeft: "8px",
+                            padding: "4px 8px",
+                            borderRadius: "6px",
+                            background: "#2a3744",
+                            color: "#fff"
+                        }
+                    }, f()("debugger.state", {
+                        x: n.x,
+                        y: n.y,
+                        heading: c[n.heading.x + "," + n.heading.y],
+                        math: n.math,
+                        wifi: f()(n.wifi ? "debugger.wifiOn" : "debugger.wifiOff"),
+                        time: n.time
+                    })))
+                },
+                FunctionRows = function(e) {
+                    var t = e.functions,
+                        n = e.commands;
+                    return o.a.createElement("div", {
+                        style: {
+                            display: "flex",
+                            flexFlow: "column nowrap",
+                            marginTop: "6px"
+                        }
+                    }, t.map(function(e) {
+                        var t = we.B(e);
+                        return o.a.createElement("div", {
+                            key: t,
+                            role: "group",
+                            "aria-label": f()("functions.title", {
+                                name: e
+                            }),
+                            style: {
+                                display: "flex",
+                                alignItems: "center",
+                                marginTop: "4px"
+                            }
+                        }, o.a.createElement(CallIcon, {
+                            name: e,
+                            style: {
+                                flexShrink: 0,
+                                height: "32px",
+                                marginRight: "8px",
+                                width: "32px"
+                            }
+                        }), o.a.createElement("div", {
+                            style: {
+                                background: "#2a3744",
+                                borderRadius: "3px",
+                                flex: "1",
+                                minHeight: "44px"
+                            }
+                        }, o.a.createElement(At, {
+                            commands: n[t],
+                            rowId: t,
+                            parentRowId: t,
+                            label: f()("functions.title", {
+                                name: e
+                            })
+                        })))
+                    }))
+                };
+            var ProgramTextEditor = function(e) {
+                function t(n) {
+                    ! function(e, t) {
+                        if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                    }(this, t);
+                    var r = function(e, t) {
+                        if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                        return !t || "object" != typeof t && "function" != typeof t ? e : t
+                    }(this, e.call(this, n));
+                    return r.printed = Object(programText.c)(n.commands, n.functions), r.state = {
+                        text: r.printed,
+                        errors: []
+                    }, r.handleChange = function(e) {
+                        var t = e.target.value,
+                            n = r.props,
+                            a = Object(programText.b)(t, {
+                                commandSelectionRow: n.commands.commandSelectionRow,
+                                functions: n.functions,
+                                mathRange: n.mathRange,
+                                maxCommands: n.maxCommands,
+                                commandCounting: n.commands.commandCounting
+                            });
+                        r.setState({
+                            text: t,
+                            errors: a.errors
+                        }), a.rows && (r.printed = Object(programText.c)(a.rows, n.functions), n.setProgramRows(a.rows))
+                    }, r
+                }
+                return function(e, t) {
+                    if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                    e.prototype = Object.create(t && t.prototype, {
+                        constructor: {
+                            value: e,
+                            enumerable: !1,
+                            writable: !0,
+                            configurable: !0
+                        }
+                    }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                }(t, e), t.prototype.componentDidUpdate = function() {
+                    var e = Object(programText.c)(this.props.commands, this.props.functions);
+                    e !== this.printed && (this.printed = e, this.setState({
+                        text: e,
+                        errors: []
+                    }))
+                }, t.prototype.render = function() {
+                    var e = this.props,
+                        t = this.state,
+                        n = t.errors;
+                    return o.a.createElement("div", {
+                        style: {
+                            display: "flex",
+                            flex: "1",
+                            flexFlow: "column nowrap",
+                            margin: "0 8px",
+                            minWidth: 0
+                        }
+                    }, o.a.createElement("textarea", {
+                        value: t.text,
+                        onChange: this.handleChange,
+                        readOnly: e.disabled,
+                        spellCheck: !1,
+                        autoCapitalize: "off",
+                        autoComplete: "off",
+                        rows: Math.max(4, t.text.split("\n").length + 1),
+                        "aria-label": f()("textProgram.label"),
+                        "aria-invalid": n.length > 0,
+                        "aria-describedby": "program-text-help",
+                        style: {
+                            border: "1px solid " + (n.length ? "#ff003a" : "#2a3744"),
+                            borderRadius: "6px",
+                            fontFamily: "monospace",
+                            fontSize: "14px",
+                            lineHeight: "1.4",
+                            padding: "6px 8px",
+                            resize: "vertical",
+                            width: "100%"
+                        }
+                    }), n.length ? o.a.createElement("ul", {
+                        role: "alert",
+                        style: {
+                            color: "#ff003a",
+                            fontSize: "13px",
+                            listStyle: "none",
+                            margin: "4px 0 0",
+                            padding: 0
+                        }
+                    }, n.map(function(e, t) {
+                        return o.a.createElement("li", {
+                            key: t
+                        }, f()("textProgram.errors.line", {
+                            line: e.line,
+                            message: f()(e.message, e.params)
+                        }))
+                    })) : null, o.a.createElement("p", {
+                        id: "program-text-help",
+                        style: {
+                            fontSize: "12px",
+                            margin: "4px 0 0",
+                            opacity: .7
+                        }
+                    }, f()("textProgram.available", {
+                        commands: Object(programText.a)(e.commands.commandSelectionRow).join(", ")
+                    })))
+                }, t
+            }(a.Component);
+            ProgramTextEditor.propTypes = {
+                commands: p.object,
+                functions: p.array,
+                mathRange: p.array,
+                maxCommands: p.number,
+                disabled: p.bool,
+                setProgramRows: p.func
+            }, ProgramTextEditor.defaultProps = {
+                commands: {},
+                functions: [],
+                disabled: !1,
+                setProgramRows: function() {}
+            };
+            var HINTS_PER_LEVEL = 3,
+                showHintAd = function() {
+                    // Resolves to null if rewarded ads can't be shown, in which case the hint is given without one
+                    return window.AdPolicy ? window.AdPolicy.showRewarded("hint") : Promise.resolve(null)
+                },
+                hintsLeft = function(e) {
+                    var t = e.hintsUsed[e.currentLevelGroup];
+                    return Math.max(0, HINTS_PER_LEVEL - (t && t[e.currentLevel] || 0))
+                },
+                lastHintLevel = void 0,
+                lastHintCommands = void 0,
+                lastHint = void 0,
+                // Asking again for the same program doesn't search again
+                findHintCached = function(e, t) {
+                    return lastHintLevel === e && lastHintCommands === t || (lastHintLevel = e, lastHintCommands = t, lastHint = findHint(e, t)), lastHint
+                },
+                HintButton = function(e) {
+                    function t(n) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var r = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n));
+                        return r.requestHint = function() {
+                            var e = r.props,
+                                t = e.levelData;
+                            if (!r.state.loading && !e.gameRunning) {
+                                if (hintsLeft(e) <= 0) return ot.clips.fail.play(), void r.say(f()("hints.noneLeft"));
+                                // The search runs after the button shows it's busy rather than inside the click
+                                r.setState({
+                                    loading: !0
+                                }), setTimeout(function() {
+                                    var n = r.props.levelData === t ? findHintCached(t, r.props.commands) : null;
+                                    if (!n || "completed" === n.type) return r.setState({
+                                        loading: !1
+                                    }), void(r.props.levelData === t && r.say(f()(n ? "hints.completed" : "hints.unavailable")));
+                                    showHintAd().then(function(e) {
+                                        r.setState({
+                                            loading: !1
+                                        }), r.props.levelData === t && (!1 === e ? r.say(f()("hints.adFailed")) : r.showHint(n))
+                                    })
+                                }, 0)
+                            }
+                        }, r.state = {
+                            loading: !1
+                        }, r
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.componentDidUpdate = function(e) {
+                        var t = this.props;
+                        t.hint && (e.commands.programRow !== t.commands.programRow || e.commands.numCommands !== t.commands.numCommands) && t.setHint(null)
+                    }, t.prototype.say = function(e) {
+                        this.props.setHelpText(e), announcer.announce(e)
+                    }, t.prototype.showHint = function(e) {
+                        var n = this.props;
+                        if (n.setLevelHintsUsed(n.currentLevelGroup, n.currentLevel, HINTS_PER_LEVEL - hintsLeft(n) + 1), "wrong" === e.type) return this.props.setHint({
+                            type: e.type,
+                            commandId: e.command.id
+                        }), void this.say(f()("hints.wrong", {
+                            command: commandLabel(e.command),
+                            position: e.index + 1
+                        }));
+                        var t = this.props.commands.commandSelectionRow.find(function(t) {
+                            return t.action === e.action
+                        });
+                        this.props.setHint({
+                            type: e.type,
+                            commandId: t ? t.id : null
+                        }), this.say(f()("hints.next", {
+                            command: commandLabel({
+                                action: e.action
+                            })
+                        }))
+                    }, t.prototype.render = function() {
+                        var e = this.props,
+                            t = hintsLeft(e),
+                            n = f()("hints.button", {
+                                count: t
+                            });
+                        return o.a.createElement("div", {
+                            className: L()(rn.a.playButton, e.gameRunning || this.state.loading || !t ? rn.a.faded : null),
+                            role: "button",
+                            tabIndex: 0,
+                            title: n,
+                            "aria-label": n,
+                            "aria-disabled": e.gameRunning || this.state.loading || !t,
+                            "aria-busy": this.state.loading,
+                            onClick: this.requestHint,
+                            onKeyDown: activateOnKey(this.requestHint)
+                        }, "\ud83d\udca1", o.a.createElement("sup", null, t))
+                    }, t
+                }(a.Component);
+            HintButton.propTypes = {
+                levelData: p.object,
+                currentLevelGroup: p.number,
+                currentLevel: p.number,
+                hintsUsed: p.object,
+                setLevelHintsUsed: p.func,
+                commands: p.object,
+                gameRunning: p.bool,
+                hint: p.object,
+                setHint: p.func,
+                setHelpText: p.func
+            }, HintButton.defaultProps = {
+                levelData: {},
+                hintsUsed: {},
+                setLevelHintsUsed: function() {},
+                commands: {},
+                gameRunning: !1,
+                hint: null,
+                setHint: function() {},
+                setHelpText: function() {}
+            };
+            var ConnectedHintButton = Object(s.b)(function(e) {
+                    return {
+                        levelData: e.game.currentLevelData,
+                        currentLevelGroup: e.game.currentLevelGroup,
+                        currentLevel: e.game.currentLevel,
+                        hintsUsed: e.app.hintsUsed,
+                        commands: e.commands,
+                        gameRunning: e.game.gameRunning,
+                        hint: e.game.hint
+                    }
+                }, {
+                    setHint: q.M,
+                    setHelpText: j.m,
+                    setLevelHintsUsed: j.db
+                })(HintButton);
+            var an = void 0,
+                on = (O.a && "IE" === O.a.browser && O.a.os, function(e) {
+                    function t() {
+                        return function(e, t) {
+                                if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                            }(this, t),
+                            function(e, t) {
+                                if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                                return !t || "object" != typeof t && "function" != typeof t ? e : t
+                            }(this, e.apply(this, arguments))
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
                         }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
                     }(t, e), t.prototype.render = function() {
                         var e = this,
@@ -1853,17 +2904,47 @@
                             V = t.gameRunning,
                             u = (t.connectDropTarget, t.editorModeActive),
                             p = t.isOver,
+                            m = t.debugMode,
+                            h = t.setDebugMode,
+                            v = t.setDebugRun,
                             A = L()(rn.a.wrapper, n && !r ? rn.a.visible : null, p ? rn.a.pointer : null, u ? rn.a.wrapperPadded : null),
-                            d = L()(rn.a.playButton, i <= 0 || V ? rn.a.faded : null);
+                            d = L()(rn.a.playButton, i <= 0 || V ? rn.a.faded : null),
+                            g = function() {
+                                e.props.gameRunning || i > 0 && !e.props.gameRunning && (m && v("running"), c(!0))
+                            },
+                            b = function() {
+                                V || h(!m)
+                            },
+                            k = t.textMode,
+                            x = function() {
+                                V || t.setTextMode(!k)
+                            };
                         return o.a.createElement("div", {
                             className: A
                         }, o.a.createElement("div", {
-                            className: rn.a.main
-                        }, o.a.createElement("div", {
+                            className: rn.a.main,
+                            style: m || k || t.functions.length ? {
+                                height: "auto"
+                            } : void 0
+                        }, m && o.a.createElement(DebugPanel, {
+                            debugRun: t.debugRun,
+                            debugState: t.debugState,
+                            gameRunning: V,
+                            numCommands: i,
+                            setDebugRun: v,
+                            debugStep: t.debugStep,
+                            setGameRunning: c
+                        }), o.a.createElement("div", {
                             className: rn.a.topRow
                         }, o.a.createElement("div", {
                             className: rn.a.biip,
-                            onClick: l
+                            role: "button",
+                            tabIndex: 0,
+                            "aria-label": f()("a11y.clear"),
+                            onClick: l,
+                            onKeyDown: activateOnKey(function() {
+                                l(), announcer.announce(f()("a11y.cleared"))
+                            })
                         }, o.a.createElement(tn, null), o.a.createElement("div", {
                             className: rn.a.faceContainer,
                             ref: function(t) {
@@ -1874,16 +2955,53 @@
                             ref: function(e) {
                                 e && (an = e)
                             }
-                        }))), o.a.createElement(Gt, {
+                        }))), k ? o.a.createElement(ProgramTextEditor, {
+                            commands: s,
+                            functions: t.functions,
+                            mathRange: we.D(t.levelData),
+                            maxCommands: a,
+                            disabled: V,
+                            setProgramRows: t.setProgramRows
+                        }) : o.a.createElement(Gt, {
                             commands: s.programRow,
                             maxCommands: a,
                             parentRowId: we.h
                         }), o.a.createElement("div", {
                             className: d,
-                            onClick: function() {
-                                e.props.gameRunning || i > 0 && !e.props.gameRunning && c(!0)
-                            }
-                        }, o.a.createElement($t, null))), o.a.createElement(Ut, {
+                            role: "button",
+                            tabIndex: 0,
+                            "aria-label": f()("a11y.run"),
+                            "aria-disabled": i <= 0 || V,
+                            onClick: g,
+                            onKeyDown: activateOnKey(g)
+                        }, o.a.createElement($t, null)), o.a.createElement("div", {
+                            className: L()(rn.a.playButton, V ? rn.a.faded : null),
+                            role: "button",
+                            tabIndex: 0,
+                            title: f()(m ? "debugger.off" : "debugger.on"),
+                            "aria-label": f()(m ? "debugger.off" : "debugger.on"),
+                            "aria-pressed": m,
+                            style: m ? {
+                                background: "#ff003a"
+                            } : void 0,
+                            onClick: b,
+                            onKeyDown: activateOnKey(b)
+                        }, "\ud83d\udc1e"), o.a.createElement("div", {
+                            className: L()(rn.a.playButton, V ? rn.a.faded : null),
+                            role: "button",
+                            tabIndex: 0,
+                            title: f()(k ? "textProgram.showBlocks" : "textProgram.showText"),
+                            "aria-label": f()(k ? "textProgram.showBlocks" : "textProgram.showText"),
+                            "aria-pressed": k,
+                            style: k ? {
+                                background: "#ff003a"
+                            } : void 0,
+                            onClick: x,
+                            onKeyDown: activateOnKey(x)
+                        }, "{ }"), u || k ? null : o.a.createElement(ConnectedHintButton, null)), !k && t.functions.length ? o.a.createElement(FunctionRows, {
+                            functions: t.functions,
+                            commands: s
+                        }) : null, k ? null : o.a.createElement(Ut, {
                             commands: s.commandSelectionRow,
                             disabled: i >= a || r
                         })))
@@ -1900,9 +3018,22 @@
                 connectDropTarget: p.func,
                 gameRunning: p.bool,
                 editorModeActive: p.bool,
-                isOver: p.bool
+                isOver: p.bool,
+                debugMode: p.bool,
+                debugRun: p.string,
+                debugState: p.object,
+                functions: p.array,
+                levelData: p.object,
+                setDebugMode: p.func,
+                setDebugRun: p.func,
+                debugStep: p.func,
+                textMode: p.bool,
+                setTextMode: p.func,
+                setProgramRows: p.func
             }, on.defaultProps = {
                 visible: !1,
+                functions: [],
+                levelData: {},
                 levelCompleteDialogVisible: !1,
                 maxCommands: 8,
                 numCommands: 0,
@@ -1920,13 +3051,24 @@
                         numCommands: e.commands.numCommands,
                         gameRunning: e.game.gameRunning,
                         levelCompleteDialogVisible: e.app.levelCompleteDialogVisible,
-                        editorModeActive: e.app.editorModeActive
+                        editorModeActive: e.app.editorModeActive,
+                        debugMode: e.game.debugMode,
+                        debugRun: e.game.debugRun,
+                        debugState: e.game.debugState,
+                        functions: e.game.currentLevelData.functions,
+                        levelData: e.game.currentLevelData,
+                        textMode: e.game.textMode
                     }
                 }, {
                     clearProgram: be.j,
                     setGameRunning: q.t,
                     setProgramRow: be.n,
-                    setNumCommands: be.m
+                    setNumCommands: be.m,
+                    setDebugMode: q.D,
+                    setDebugRun: q.E,
+                    debugStep: q.F,
+                    setTextMode: q.K,
+                    setProgramRows: be.r
                 })(on),
                 ln = n("FIFa"),
                 cn = n.n(ln),
@@ -2018,6 +3160,10 @@
                 Dn = "TILES_ANIM_WIFI_UPDATE",
                 Pn = "TILES_ANIM_WIFI_OBSTRUCTION_ON",
                 Bn = "TILES_ANIM_WIFI_OBSTRUCTION_OFF",
+                CHARACTER_ANIM_WAIT = "CHARACTER_ANIM_WAIT",
+                TILES_ANIM_BLINK_ON = "TILES_ANIM_BLINK_ON",
+                TILES_ANIM_BLINK_OFF = "TILES_ANIM_BLINK_OFF",
+                TILES_ANIM_PLATFORM_MOVE = "TILES_ANIM_PLATFORM_MOVE",
                 Nn = 256,
                 jn = 40,
                 qn = n("mx6Y"),
@@ -2152,8 +3298,9 @@
                     }, e.prototype.update = function() {
                         var e = new Date;
                         this.mixer && this.prevTime && (1 === this.actions.idleAction.weight ? this.mixer.update((e - this.prevTime) / 1e3) : this.mixer.update(0)), this.prevTime = new Date
-                    }, e.prototype.resetOnNewLevel = function(e) {
-                        this.model ? (this.model.rotation.set(0, 1.5 * Math.PI, 0), e ? this.model.position.copy(new or.Vector3(-e.x, 0, e.y)) : this.startPositionAtLoad && this.model.position.copy(new or.Vector3(-this.startPositionAtLoad.x, 0, this.startPositionAtLoad.y)), this.setIdle(), this.model.scale.setScalar(F.b), this.biipFace.resetFace()) : this.startPositionAtLoad = e
+                    }, e.prototype.resetOnNewLevel = function(e, t) {
+                        var n = t || this.startLevelAtLoad;
+                        this.model ? (this.model.rotation.set(0, 1.5 * Math.PI + (1 - F.e.indexOf(getStartHeading(n))) * Math.PI / 2, 0), e ? this.model.position.copy(new or.Vector3(-e.x, 0, e.y)) : this.startPositionAtLoad && this.model.position.copy(new or.Vector3(-this.startPositionAtLoad.x, 0, this.startPositionAtLoad.y)), this.setIdle(), this.model.scale.setScalar(F.b), n && n.math ? this.biipFace.updateText(n.math) : this.biipFace.resetFace()) : (this.startPositionAtLoad = e, this.startLevelAtLoad = t)
                     }, e
                 }();
             var Vr = n("Womt"),
@@ -2168,8 +3315,12 @@
                         switch (a.model) {
                             case F.k:
                             case F.o:
+                            case F.F:
                                 o = pn.j;
                                 break;
+                            case F.G:
+                                o = pn.m;
+                                break;
                             case F.p:
                                 o = pn.k;
                                 break;
@@ -2461,6 +3612,94 @@
                     }, t.prototype.update = function() {}, t.prototype.resetState = function() {
                         this.getObstruction().position.y = this.getObstructionPosition(!0).y
                     }, t
+                }(pr),
+                BlinkingObstructionTile = function(e) {
+                    function t(n, r, a, o) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var i = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n, r, a, o));
+                        return i.modify(o), i
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.modify = function(e) {
+                        var t = new jr.BufferGeometry;
+                        t.fromGeometry(new jr.BoxGeometry(.75, .75 * .4, .75)), t.addGroup(0, t.attributes.position.count, 0), t.addGroup(9, 10, 1);
+                        var n = new jr.MeshLambertMaterial({
+                                color: pn.j
+                            }),
+                            r = document.createElement("canvas");
+                        r.width = r.height = 128;
+                        var a = r.getContext("2d");
+                        a.strokeStyle = "#ffffff", a.lineWidth = 10, a.lineCap = "round", a.beginPath(), a.arc(64, 64, 44, 0, 2 * Math.PI), a.moveTo(64, 64), a.lineTo(64, 34), a.moveTo(64, 64), a.lineTo(86, 64), a.stroke();
+                        var o = new jr.MeshLambertMaterial({
+                            alphaMap: new jr.CanvasTexture(r),
+                            color: 16777215,
+                            transparent: !0
+                        });
+                        this.obstructionCubeMesh = new jr.Mesh(t, [n, o]), this.obstructionCubeMesh.castShadow = !0, this.obstructionCubeMesh.receiveShadow = !0, this.scene.add(this.obstructionCubeMesh), this.resetState()
+                    }, t.prototype.getObstruction = function() {
+                        return this.obstructionCubeMesh
+                    }, t.prototype.getObstructionPosition = function(e) {
+                        return e ? {
+                            y: .75 * .2
+                        } : {
+                            y: .2 * -.75 + .02
+                        }
+                    }, t.prototype.update = function() {}, t.prototype.resetState = function() {
+                        this.getObstruction().position.y = this.getObstructionPosition(isBlinkingObstructionClosed(this.data, 0)).y
+                    }, t
+                }(pr),
+                MovingPlatformTile = function(e) {
+                    function t(n, r, a, o) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var i = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n, r, a, o));
+                        return i.renderPath(a, o), i
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.renderPath = function(e, t) {
+                        var n = new jr.MeshLambertMaterial({
+                            color: pn.m,
+                            transparent: !0,
+                            opacity: .35
+                        });
+                        (t.path || []).forEach(function(r) {
+                            if (r.x !== t.x || r.y !== t.y) {
+                                var a = new jr.Mesh(new jr.BoxGeometry(.9 * F.r, .02, .9 * F.r), n);
+                                a.position.set(-r.x, -F.r / 3, r.y), a.raycast = function() {
+                                    return null
+                                }, e.add(a)
+                            }
+                        })
+                    }, t.prototype.resetState = function() {
+                        this.scene.position.set(-this.data.x, 0, this.data.y)
+                    }, t
                 }(pr);
             var Fr = n("Womt"),
                 Gr = function(e) {
@@ -2665,6 +3904,12 @@
                                 case F.o:
                                     n = qr;
                                     break;
+                                case F.F:
+                                    n = BlinkingObstructionTile;
+                                    break;
+                                case F.G:
+                                    n = MovingPlatformTile;
+                                    break;
                                 case F.p:
                                     n = Gr;
                                     break;
@@ -2713,23 +3958,28 @@
                         this.biip.resetOnNewLevel(e || {
                             x: 0,
                             y: 0
-                        }), this.tilesScene.resetState()
+                        }, this.tilesScene.level), this.tilesScene.resetState()
                     }, e.prototype.setCharacterAnimations = function(e, t) {
                         var n = this,
-                            r = !(arguments.length > 2 && void 0 !== arguments[2]) || arguments[2];
+                            r = !(arguments.length > 2 && void 0 !== arguments[2]) || arguments[2],
+                            o = arguments.length > 3 && void 0 !== arguments[3] && arguments[3];
                         this.tl && this.tl.kill(), this.tl = new yn.d({
                             onComplete: t
                         });
                         var a = this.tilesScene.tiles.find(function(e) {
                             return e.data.type === F.A
                         });
+                        var V = {};
                         r && (this.tl.set(this.biip.scene, {
                             visible: !0
                         }), a && this.tl.set(a.biip.scene, {
                             visible: !1
                         })), e.forEach(function(e, t) {
                             var a = "animation" + t;
-                            n.tl.addLabel(a);
+                            void 0 !== e.tick && e.tick === V.tick ? a = V.label : (n.tl.addLabel(a), V = {
+                                tick: e.tick,
+                                label: a
+                            });
                             var o = {
                                 current: 0,
                                 last: 0
@@ -2853,10 +4103,32 @@
                                 case Rn:
                                     n.tl.addCallback(n.biip.biipFace.updateText, "" + a, [e.math], n.biip.biipFace);
                                     break;
+                                case CHARACTER_ANIM_WAIT:
+                                    n.tl.add(n.biip.startClipAction(n.biip.actions.idleAction, 1), a), n.tl.to(o, 1, {
+                                        current: 1
+                                    }, a);
+                                    break;
+                                case TILES_ANIM_BLINK_ON:
+                                case TILES_ANIM_BLINK_OFF:
+                                    c = n.tilesScene.tilesToArray().find(function(t) {
+                                        return t.data.x === e.x && t.data.y === e.y
+                                    });
+                                    n.tl.to(c.getObstruction().position, .5, c.getObstructionPosition(e.type === TILES_ANIM_BLINK_ON), a);
+                                    break;
+                                case TILES_ANIM_PLATFORM_MOVE:
+                                    c = n.tilesScene.tilesToArray().find(function(t) {
+                                        return t.data.x === e.x && t.data.y === e.y
+                                    }), l = {
+                                        x: -e.toX,
+                                        z: e.toY,
+                                        ease: yn.b.easeInOut
+                                    };
+                                    n.tl.to(c.scene.position, 1, l, a), e.carry && n.tl.to(n.biip.model.position, 1, Te({}, l), a);
+                                    break;
                                 case Dn:
                                     n.tl.addCallback(n.biip.biipFace.updateImage, "" + a, [n.biip.biipFace.icons.signal.img], n.biip.biipFace), n.tl.add(n.biip.startClipAction(n.biip.actions.antenna), "" + a), n.tl.add(n.biip.startClipAction(n.biip.actions.idleAction, 1))
                             }
-                        }), r && (this.tl.set(this.biip.scene, {
+                        }), r && !o && (this.tl.set(this.biip.scene, {
                             visible: !1
                         }), a && this.tl.set(a.biip.scene, {
                             visible: !0
@@ -2985,6 +4257,17 @@
                 y: 1,
                 type: F.B,
                 model: F.o
+            }, {
+                x: 3,
+                y: 0,
+                type: F.D,
+                model: F.F,
+                period: 1
+            }, {
+                x: 2,
+                y: -1,
+                type: F.E,
+                model: F.G
             }];
             var ia = oa,
                 sa = Object.assign || function(e) {
@@ -3039,7 +4322,7 @@
                                 o = t.filter(function(e) {
                                     return e.model === F.n
                                 });
-                            e || t.length ? e && !t.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-select"))) : 0 === n.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-start"))) : 0 === r.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-end"))) : 0 === o.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-spaceship"))) : n.length > 1 ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-start-toomany"))) : r.length > 1 ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-end-toomany"))) : o.length > 1 ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-spaceship-toomany"))) : u().dispatch(Object(j.m)(f()("helptext.editor-select-type-delete"))) : u().dispatch(Object(j.m)(f()("helptext.editor-select-tile")))
+                            e || t.length ? e && !t.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-select"))) : 0 === n.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-start"))) : 0 === r.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-end"))) : 0 === o.length ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-spaceship"))) : n.length > 1 ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-start-toomany"))) : r.length > 1 ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-end-toomany"))) : o.length > 1 ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-spaceship-toomany"))) : isLevelSaveable(u().getState().game.currentLevelData) ? u().dispatch(Object(j.m)(f()("helptext.editor-select-type-delete"))) : u().dispatch(Object(j.m)(f()("helptext.editor-unsolvable"))) : u().dispatch(Object(j.m)(f()("helptext.editor-select-tile")))
                         }, this.tilesScene = t, this.menuScene = n, this.gameScene = r, this.menuScene.initInteractiveMode(), this.tilesScene.initInteractiveMode();
                         this.menuScene.scene.position.y = 3, this.menuScene.scene.position.x = -3, this.menuScene.scene.position.z = -3, this.menuScene.scene.visible = !1, this.separatorPlane = new la.Mesh(new la.PlaneGeometry(100, 100), new la.MeshLambertMaterial({
                             color: pn.l,
@@ -3098,6 +4381,11 @@
                     }
                     return e.prototype.setEditorModeActive = function(e) {
                         this.biip.scene.visible = !e, e && !this.menuScene && (this.menuScene = new ta, this.menuScene.setLevel(ia.level), this.gameScene.add(this.menuScene.scene), this.levelEditor = new ma(this.tilesScene, this.menuScene, this.gameScene)), this.levelEditor && this.levelEditor.setEnabled(e)
+                    }, e.prototype.isLoaded = function() {
+                        // Biip and spaceship models load asynchronously, and a run can't be animated without them
+                        return !!this.biip.actions && this.tilesScene.getTiles().every(function(e) {
+                            return !(e instanceof hr) || !!e.actions
+                        })
                     }, e.prototype.addDebugInfo = function() {
                         var e = n("93O+").default;
                         this.monitor = new e, this.monitor.domElement.style.position = "fixed", this.monitor.domElement.style.bottom = "0px", this.monitor.domElement.style.left = "0px", this.monitor.domElement.style.zIndex = "10", document.body.appendChild(this.monitor.domElement), this.stats = new ra.a, document.body.appendChild(this.stats.dom)
@@ -3116,7 +4404,7 @@
                     }, e.prototype.checkIfToRender = function() {
                         cancelAnimationFrame(this.raf), this.enabled && !this.hidden && this.render()
                     }, e.prototype.render = function() {
-                        this.tilesScene.update(), this.menuScene && this.menuScene.scene.visible && this.menuScene.update(), this.biip.update(), this.stats && this.stats.begin(), this.renderer.render(this.scene, this.camera), this.stats && this.stats.end(), this.monitor && this.monitor.update(this.renderer), this.raf = requestAnimationFrame(this.render)
+                        this.tilesScene.update(), this.menuScene && this.menuScene.scene.visible && this.menuScene.update(), this.biip.update(), this.stats && this.stats.begin(), this.renderer.render(this.scene, this.camera), this.recorder && this.recorder.capture(this.renderer.domElement), this.stats && this.stats.end(), this.monitor && this.monitor.update(this.renderer), this.raf = requestAnimationFrame(this.render)
                     }, e.prototype.setLevel = function(e) {
                         var t = e.tiles.find(function(e) {
                             return e.type === F.A
@@ -3124,7 +4412,10 @@
                         this.biip.resetOnNewLevel(t || {
                             x: 0,
                             y: 0
-                        }), this.tilesScene.setLevel(e), this.gameScene.position.x = this.tilesScene.min.x + (this.tilesScene.max.x - this.tilesScene.min.x) / 2, this.gameScene.position.z = -(this.tilesScene.min.y + (this.tilesScene.max.y - this.tilesScene.min.y) / 2), u().getState().app.editorModeActive || this.animationFactory.newLevel(), this.resize()
+                        }, e), this.tilesScene.setLevel(e), this.tilesScene.tiles.forEach(function(t) {
+                            // The editor shows Biip on the start tile, facing the way the level starts
+                            t.biip && t.biip.resetOnNewLevel(void 0, e)
+                        }), this.gameScene.position.x = this.tilesScene.min.x + (this.tilesScene.max.x - this.tilesScene.min.x) / 2, this.gameScene.position.z = -(this.tilesScene.min.y + (this.tilesScene.max.y - this.tilesScene.min.y) / 2), u().getState().app.editorModeActive || this.animationFactory.newLevel(), this.resize()
                     }, e
                 }(),
                 ga = function(e) {
@@ -3155,7 +4446,7 @@
                     var r = {
                         type: e
                     };
-                    t && "number" == typeof t.math && (r.math = t.math), t && "boolean" == typeof t.wifi && (r.wifi = t.wifi), t && "number" == typeof t.x && "number" == typeof t.y && (r.x = t.x, r.y = t.y), this.animations.push(r)
+                    t && "number" == typeof t.math && (r.math = t.math), t && "boolean" == typeof t.wifi && (r.wifi = t.wifi), t && "number" == typeof t.x && "number" == typeof t.y && (r.x = t.x, r.y = t.y), t && "number" == typeof t.toX && "number" == typeof t.toY && (r.toX = t.toX, r.toY = t.toY), t && "boolean" == typeof t.carry && (r.carry = t.carry), t && "number" == typeof t.tick && (r.tick = t.tick), this.animations.push(r)
                 }, e.prototype.checkType = function(e) {
                     return Object.keys(r).find(function(t) {
                         return r[t] === e
@@ -3176,52 +4467,108 @@
                     }, [])
                 }, e.prototype.forEach = function(e) {
                     this.animations.forEach(e)
+                }, e.prototype.append = function(e) {
+                    this.animations = this.animations.concat(e.toArray())
                 }, e
             }();
 
-            function xa(e, t, n, r) {
+            function isBlinkingObstructionClosed(e, t) {
+                return Math.floor((t + (e.offset || 0)) / (e.period || 1)) % 2 == 0
+            }
+
+            function getPlatformPosition(e, t) {
+                var n = e.path && e.path.length > 1 ? e.path : [{
+                        x: e.x,
+                        y: e.y
+                    }],
+                    r = 2 * (n.length - 1) || 1,
+                    a = t % r;
+                return n[a < n.length ? a : r - a]
+            }
+
+            var PROGRAM_MAX_STEPS = 512,
+                HEADINGS = ["up", "right", "down", "left"];
+
+            // Levels name the way Biip faces at the start, in the order of the headings it turns through
+            function getStartHeading(e) {
+                var t = e ? HEADINGS.indexOf(e.heading) : -1;
+                return -1 === t ? F.f : F.e[t]
+            }
+
+            // Without a state to start from, Biip starts on the start tile of the level
+            function createProgramRunner(e, t, r, w) {
                 var a = t.tiles.find(function(e) {
                         return e.type === F.A
                     }),
-                    o = {
+                    o = w ? sa({}, w, {
+                        position: w.position.clone()
+                    }) : {
                         position: a ? new Vn.Vector2(a.x, a.y) : new Vn.Vector2(0, 0),
-                        heading: F.f,
+                        heading: getStartHeading(t),
                         completed: !1,
                         dead: !1,
-                        math: 0,
-                        wifi: !1
+                        math: t.math || 0,
+                        wifi: !1,
+                        time: 0,
+                        tooManySteps: !1
                     },
                     i = new Ea,
-                    s = [];
-                e.forEach(function(e) {
-                    if (e.action === we.d)
-                        for (var t = e.value; t > 0; t--) r[e.id] && r[e.id].forEach(function(e) {
-                            s.push(e)
-                        });
-                    else s.push(e)
-                });
-                var l = function(e) {
-                        return e ? En : xn
+                    s = [{
+                        row: e,
+                        index: 0,
+                        repeat: 1,
+                        depth: 0,
+                        path: [],
+                        calls: 0
+                    }],
+                    A = t.tiles.filter(function(e) {
+                        return e.type === F.E
+                    }),
+                    d = function(e) {
+                        return A.find(function(t) {
+                            var n = getPlatformPosition(t, o.time);
+                            return e.x === n.x && e.y === n.y
+                        }) || t.tiles.find(function(t) {
+                            return t.type !== F.E && e.x === t.x && e.y === t.y
+                        })
+                    },
+                    m = function() {
+                        var e = o.time++,
+                            n = o.position;
+                        t.tiles.forEach(function(t) {
+                            t.type === F.D && isBlinkingObstructionClosed(t, e) !== isBlinkingObstructionClosed(t, o.time) && i.push(isBlinkingObstructionClosed(t, o.time) ? TILES_ANIM_BLINK_ON : TILES_ANIM_BLINK_OFF, {
+                                x: t.x,
+                                y: t.y,
+                                tick: e
+                            })
+                        }), A.forEach(function(t) {
+                            var r = getPlatformPosition(t, e),
+                                a = getPlatformPosition(t, o.time),
+                                s = r.x === n.x && r.y === n.y;
+                            r !== a && (i.push(TILES_ANIM_PLATFORM_MOVE, {
+                                x: t.x,
+                                y: t.y,
+                                toX: a.x,
+                                toY: a.y,
+                                carry: s,
+                                tick: e
+                            }), s && (o.position = new Vn.Vector2(a.x, a.y)))
+                        })
+                    };
+                var l = function(e) {
+                        return e ? En : xn
                     },
                     c = function() {
-                        var e, n = !(arguments.length > 0 && void 0 !== arguments[0]) || arguments[0],
+                        var n = !(arguments.length > 0 && void 0 !== arguments[0]) || arguments[0],
                             r = function() {
                                 var e = !(arguments.length > 0 && void 0 !== arguments[0]) || arguments[0],
                                     t = o.position.clone();
                                 return e ? t.add(o.heading) : t.sub(o.heading)
                             }(n),
-                            a = (e = r, t.tiles.find(function(t) {
-                                return e.x === t.x && e.y === t.y
-                            }));
+                            a = d(r);
                         ! function(e) {
                             return void 0 === e || e.type === F.t
-                        }(a) ? function(e) {
-                            return e.type === F.z
-                        }(a) || function(e) {
-                            return e.type === F.x && o.math !== e.math
-                        }(a) || function(e) {
-                            return e.type === F.B && !o.wifi
-                        }(a) ? i.push(Mn): ! function(e) {
+                        }(a) ? h(a) ? i.push(Mn): ! function(e) {
                             return e.type === F.u
                         }(a) ? (o.position = r, i.push(l(n), {
                             x: a.x,
@@ -3270,21 +4617,504 @@
                             })
                         }(a)
                     };
-                return s.forEach(function(e) {
-                    if (!o.completed && !o.dead) switch (e.action) {
-                        case we.c:
-                            c(!0);
-                            break;
-                        case we.b:
-                            c(!1);
-                            break;
-                        case we.e:
-                            i.push(Cn), o.heading = ya(o.heading);
-                            break;
-                        case we.f:
-                            o.heading = ba(o.heading), i.push(On)
+                var V = function(e) {
+                        switch (e.action) {
+                            case we.c:
+                                c(!0);
+                                break;
+                            case we.b:
+                                c(!1);
+                                break;
+                            case we.e:
+                                i.push(Cn), o.heading = ya(o.heading);
+                                break;
+                            case we.f:
+                                o.heading = ba(o.heading), i.push(On);
+                                break;
+                            case we.j:
+                                for (var t = e.value || 1; t > 0 && !o.completed && !o.dead; t--) i.push(CHARACTER_ANIM_WAIT, {
+                                    tick: o.time
+                                }), m()
+                        }
+                        e.action === we.j || o.completed || o.dead || m()
+                    },
+                    h = function(e) {
+                        return e.type === F.z || e.type === F.x && o.math !== e.math || e.type === F.B && !o.wifi || e.type === F.D && isBlinkingObstructionClosed(e, o.time)
+                    },
+                    g = function(e) {
+                        switch (e.condition) {
+                            case we.u:
+                                var t = d(o.position.clone().add(o.heading));
+                                return !!t && t.type !== F.t && h(t);
+                            case we.v:
+                                return o.math === e.value;
+                            case we.w:
+                                return o.wifi
+                        }
+                        return !1
+                    },
+                    x = 0,
+                    u = function() {
+                        for (; s.length;) {
+                            var e = s[s.length - 1];
+                            if (e.index >= e.row.length) --e.repeat > 0 ? e.index = 0 : s.pop();
+                            else {
+                                var t = e.row[e.index++];
+                                if (x++ >= PROGRAM_MAX_STEPS) return void(o.tooManySteps = !0);
+                                if (t.action === we.z) {
+                                    var n = r[we.B(t.function)];
+                                    n && e.calls < we.A && s.push({
+                                        row: n,
+                                        index: 0,
+                                        repeat: 1,
+                                        depth: 0,
+                                        path: [],
+                                        calls: e.calls + 1
+                                    })
+                                } else {
+                                    if (!we.x(t).length) return t;
+                                    (n = r[t.action === we.t && !g(t) ? we.y(t.id) : t.id]) && e.depth < we.k && -1 === e.path.indexOf(t.id) && s.push({
+                                        row: n,
+                                        index: 0,
+                                        repeat: t.action === we.d ? Math.min(t.value, we.l) : 1,
+                                        depth: e.depth + 1,
+                                        path: e.path.concat(t.id),
+                                        calls: e.calls
+                                    })
+                                }
+                            }
+                        }
+                    },
+                    b = u(),
+                    p = {
+                        state: o,
+                        done: !1,
+                        step: function() {
+                            var e;
+                            for (i = new Ea; !p.done && !i.toArray().length;)(e = b) && V(e), b = o.completed || o.dead ? void 0 : u(), (o.completed || o.dead || !b) && (p.done = !0, o.completed || o.dead || i.push(Ln));
+                            return {
+                                command: e,
+                                animations: i
+                            }
+                        },
+                        run: function() {
+                            for (var e = new Ea, t = void 0; !p.done;) t = p.step(), e.append(t.animations);
+                            return {
+                                command: t ? t.command : void 0,
+                                animations: e
+                            }
+                        }
+                    };
+                return p
+            }
+
+            function snapshotRunnerState(e) {
+                return {
+                    x: e.position.x,
+                    y: e.position.y,
+                    heading: {
+                        x: e.heading.x,
+                        y: e.heading.y
+                    },
+                    math: e.math,
+                    wifi: e.wifi,
+                    time: e.time,
+                    completed: e.completed,
+                    dead: e.dead,
+                    tooManySteps: e.tooManySteps
+                }
+            }
+
+            function xa(e, t, n, r) {
+                var a = createProgramRunner(e, t, r);
+                return n(a.run().animations), a.state
+            }
+
+            var SOLVER_MAX_STATES = 4096,
+                SOLVER_MAX_RUNS = 100000,
+                SOLVER_SOLVABLE = "solvable",
+                SOLVER_UNSOLVABLE = "unsolvable",
+                SOLVER_UNKNOWN = "unknown";
+
+            function getLevelTimeCycle(e) {
+                var t = function(e, n) {
+                    return n ? t(n, e % n) : e
+                };
+                return e.tiles.reduce(function(e, n) {
+                    var r = n.type === F.D ? 2 * (n.period || 1) : n.type === F.E && n.path && n.path.length > 1 ? 2 * (n.path.length - 1) : 1;
+                    return e * r / t(e, r)
+                }, 1)
+            }
+
+            function getSolverStateKey(e, t) {
+                return [e.position.x, e.position.y, e.heading.x, e.heading.y, e.math, e.wifi, e.time % t].join()
+            }
+
+            function runProgramFrom(e, t, n, r) {
+                var a = createProgramRunner(e, t, n, r);
+                return a.run(), a.state
+            }
+
+            // The plain commands of the level, with a wait block for every number of ticks it can be set to if t is set
+            function getSolverCommands(e, t) {
+                return [we.c, we.b, we.e, we.f, we.j].filter(function(t) {
+                    return -1 !== e.commands.indexOf(t)
+                }).reduce(function(e, n) {
+                    for (var r = 1; r <= (n === we.j && t ? we.l : 1); r++) e.push(n === we.j ? {
+                        action: n,
+                        value: r
+                    } : {
+                        action: n
+                    });
+                    return e
+                }, [])
+            }
+
+            // Breadth-first search for the shortest list of plain commands that brings Biip from the state n to the goal
+            function findPlainProgram(e, t, n, r) {
+                var a = getLevelTimeCycle(e),
+                    o = [{
+                        state: n,
+                        program: []
+                    }],
+                    i = {},
+                    s = 0;
+                for (i[getSolverStateKey(n, a)] = !0; o.length;) {
+                    if (s >= SOLVER_MAX_STATES) return {
+                        program: null,
+                        complete: !1
+                    };
+                    for (var l = o.shift(), c = 0; c < t.length; c++) {
+                        var V = runProgramFrom([sa({
+                                id: "solver"
+                            }, t[c])], e, r, l.state),
+                            u = l.program.concat(t[c]),
+                            p = getSolverStateKey(V, a);
+                        if (V.completed) return {
+                            program: u,
+                            complete: !0
+                        };
+                        V.dead || V.tooManySteps || i[p] || (i[p] = !0, s++, o.push({
+                            state: V,
+                            program: u
+                        }))
+                    }
+                }
+                return {
+                    program: null,
+                    complete: !0
+                }
+            }
+
+            function countLoopedCommands(e, t) {
+                if (t === we.o || !e.length) return e.length;
+                var n = {},
+                    r = function(a, o, i) {
+                        var s = a + ":" + o + ":" + i;
+                        if (void 0 !== n[s]) return n[s];
+                        for (var l = o - a > 1 ? 1 / 0 : 1, c = a + 1; c < o; c++) l = Math.min(l, r(a, c, i) + r(c, o, i));
+                        for (var V = 1; i < we.k && V < o - a; V++)
+                            if (((o - a) % V == 0 || o === e.length) && Math.ceil((o - a) / V) <= we.l) {
+                                for (var u = a + V; u < o && e[u] === e[u - V];) u++;
+                                u === o && (l = Math.min(l, t === we.n ? 1 : 1 + r(a, a + V, i + 1)))
+                            }
+                        return n[s] = l
+                    };
+                return r(0, e.length, 0)
+            }
+
+            /**
+             * Cheapest block program that costs at most r, or Infinity. Top-level blocks are searched by increasing
+             * cost over the states Biip can be in, loop and condition bodies are tried from the state they start in.
+             * The search is incomplete when it runs out of work or leaves some kinds of bodies out.
+             */
+            function findBlockProgram(e, t, n, r) {
+                var a = e.commandCounting || we.m,
+                    o = getLevelTimeCycle(e),
+                    i = -1 !== e.commands.indexOf(we.d),
+                    s = -1 !== e.commands.indexOf(we.t),
+                    l = -1 !== e.commands.indexOf(we.z) && e.functions && e.functions.length ? e.functions[0] : null,
+                    c = [{
+                        condition: we.u
+                    }, {
+                        condition: we.w
+                    }].concat(e.tiles.filter(function(e) {
+                        return e.type === F.x
+                    }).map(function(e) {
+                        return e.math
+                    }).concat(e.math || 0).filter(function(e, t, n) {
+                        return n.indexOf(e) === t
+                    }).map(function(e) {
+                        return {
+                            condition: we.v,
+                            value: e
+                        }
+                    })),
+                    // Waiting only matters on levels with blinking tiles or platforms
+                    V = t.filter(function(e) {
+                        return e.action !== we.j || o > 1
+                    }),
+                    u = 0,
+                    p = 0,
+                    A = !(s || a === we.n || l && (i || e.functions.length > 1)),
+                    d = {},
+                    m = {},
+                    h = function(e) {
+                        return getSolverStateKey(e, o)
+                    },
+                    g = function(e) {
+                        return a === we.n && e > 0 ? 0 : 1
+                    },
+                    x = function(e, t, n) {
+                        var r = sa({
+                                id: "solver-" + u++
+                            }, e),
+                            a = function(e, t) {
+                                return n.reduce(function(n, r) {
+                                    return r.reduce(function(n, r) {
+                                        return n + r[e]
+                                    }, n)
+                                }, t)
+                            };
+                        return {
+                            command: r,
+                            rows: n.reduce(function(e, t, n) {
+                                return e[n ? we.y(r.id) : r.id] = t.map(function(e) {
+                                    return e.command
+                                }), t.reduce(function(e, t) {
+                                    return sa(e, t.rows)
+                                }, e)
+                            }, {}),
+                            key: [e.action, e.value, e.condition].join() + n.map(function(e) {
+                                return "(" + e.map(function(e) {
+                                    return e.key
+                                }).join() + ")"
+                            }).join(""),
+                            cost: a("cost", g(t)),
+                            raw: a("raw", 1)
+                        }
+                    },
+                    b = function(t, n) {
+                        var r = t.key + "@" + h(n);
+                        return p++, m[r] || (m[r] = runProgramFrom([t.command], e, sa({}, d, t.rows), n))
+                    },
+                    y = function(e, t) {
+                        for (var n = 0; n < e.length && k(t) && !t.completed; n++) t = b(e[n], t);
+                        return t
+                    },
+                    k = function(e) {
+                        return !e.dead && !e.tooManySteps
+                    },
+                    // Turning left and right in a row does nothing when the level doesn't change over time
+                    v = function(e, t) {
+                        return 1 === o && !!e && (e.command.action === we.e && t.command.action === we.f || e.command.action === we.f && t.command.action === we.e)
+                    },
+                    // Every row of the commands e that fits the cost t and the number of blocks n, tried blindly
+                    C = function(e, t, n, r) {
+                        var a = [
+                            []
+                        ];
+                        return function o(i, s, l) {
+                            s >= g(r) && l > 0 && p < SOLVER_MAX_RUNS && e.forEach(function(e) {
+                                var t = x(e, r, []),
+                                    n = i.concat(t);
+                                v(i[i.length - 1], t) || (p++, a.push(n), o(n, s - t.cost, l - 1))
+                            })
+                        }([], t, n), a
+                    },
+                    // Rows that Biip can run from the state e without failing, each with the state the row ends in
+                    E = function e(t, n, r, a, o, i) {
+                        T(t, n, r, a, function(s, l) {
+                            if (!v(i[i.length - 1], s)) {
+                                var c = i.concat(s);
+                                o(c, l), l.completed || e(l, n - s.cost, r - s.raw, a, o, c)
+                            }
+                        })
+                    },
+                    // Blocks that fit the cost t and the number of blocks n at the depth r, each with the state it leaves Biip in
+                    T = function(e, t, n, r, a) {
+                        var o = g(r);
+                        if (!(o > t || n < 1)) {
+                            if (p >= SOLVER_MAX_RUNS) return void(A = !1);
+                            V.concat(l && d[we.B(l)] ? {
+                                action: we.z,
+                                function: l
+                            } : []).forEach(function(t) {
+                                var n = x(t, r, []),
+                                    o = b(n, e);
+                                k(o) && a(n, o)
+                            }), i && r < I && n > 1 && E(e, t - o, n - 1, r + 1, function(t, n) {
+                                if (n.completed) return a(x({
+                                    action: we.d,
+                                    value: 2
+                                }, r, [t]), n);
+                                for (var o = e, i = n, s = 2; s <= we.l && h(i) !== h(o) && (o = i, k(i = y(t, i))); s++)
+                                    if (a(x({
+                                            action: we.d,
+                                            value: s
+                                        }, r, [t]), i), i.completed) break
+                            }, []), s && r > 0 && r < I && n > 1 && c.forEach(function(i) {
+                                // Only the branch taken on the first run can be tried, the other one is filled in blindly
+                                var s = b(x(i, r, [
+                                        [],
+                                        [x({
+                                            action: we.e
+                                        }, r + 1, [])]
+                                    ]), e),
+                                    l = s.heading.x !== e.heading.x || s.heading.y !== e.heading.y,
+                                    c = function(e, s, c, u) {
+                                        C(V, t - o - s, n - 1 - c, r + 1).forEach(function(t) {
+                                            (e.length || t.length) && a(x(i, r, l ? [t, e] : [e, t]), u)
+                                        })
+                                    };
+                                c([], 0, 0, e), E(e, t - o, n - 1, r + 1, function(e, t) {
+                                    c(e, e.reduce(function(e, t) {
+                                        return e + t.cost
+                                    }, 0), e.reduce(function(e, t) {
+                                        return e + t.raw
+                                    }, 0), t)
+                                }, [])
+                            })
+                        }
+                    },
+                    w = function(t) {
+                        var r = [
+                                [n]
+                            ],
+                            o = {},
+                            i = 1 / 0;
+                        o[h(n)] = 0, m = {};
+                        for (var s = 0; s <= t && s < i; s++)(r[s] || []).forEach(function(n) {
+                            o[h(n)] === s && T(n, Math.min(t, i - 1) - s, a === we.n ? e.maxCommands : 1 / 0, 0, function(e, t) {
+                                var n = s + e.cost,
+                                    a = h(t);
+                                t.completed ? i = Math.min(i, n) : void 0 !== o[a] && o[a] <= n || (o[a] = n, (r[n] = r[n] || []).push(t))
+                            })
+                        });
+                        return i
+                    },
+                    I = 1,
+                    S = 1 / 0;
+                // Blocks may nest one level deeper on every pass, while a cheaper program can still be found
+                for (; I <= we.k && p < SOLVER_MAX_RUNS && Math.min(S - 1, r) > 0 && (d = {}, S = Math.min(S, w(Math.min(S - 1, r))), l && C(V.concat({
+                        action: we.z,
+                        function: l
+                    }), Math.min(S - 1, r) - 1, 1 / 0, 0).forEach(function(e) {
+                        // A function body is counted once, and a program that calls it needs at least one more block
+                        var t = Math.min(S - 1, r) - e.length;
+                        e.length && t > 0 && p < SOLVER_MAX_RUNS && (d[we.B(l)] = e.map(function(e) {
+                            return e.command
+                        }), S = Math.min(S, e.length + w(t)))
+                    }), i || s); I++);
+                return {
+                    cost: S,
+                    complete: A && p < SOLVER_MAX_RUNS
+                }
+            }
+
+            /**
+             * Looks for the cheapest program that solves the level. If no list of plain commands reaches the goal
+             * the level can't be solved at all, otherwise block programs are searched up to maxCommands. The status
+             * is "unknown" when the search gave up before it found a program that fits maxCommands.
+             */
+            function solveLevel(e) {
+                var t = e.commandCounting || we.m,
+                    n = getSolverCommands(e, !0),
+                    r = createProgramRunner([], e).state,
+                    a = findPlainProgram(e, n, r, {}),
+                    o = -1 !== e.commands.indexOf(we.d),
+                    i = {
+                        cost: a.program ? t === we.o ? a.program.length : countLoopedCommands(a.program, o ? t : we.o) : 1 / 0,
+                        complete: a.complete
+                    };
+                if (!a.program && a.complete) return {
+                    status: SOLVER_UNSOLVABLE,
+                    solvable: !1,
+                    solution: [],
+                    numCommands: 0,
+                    optimal: !0
+                };
+                if (t !== we.o && (o || -1 !== e.commands.indexOf(we.z) && e.functions && e.functions.length)) {
+                    var s = findBlockProgram(e, n, r, Math.min(i.cost - 1, e.maxCommands));
+                    i = {
+                        cost: Math.min(i.cost, s.cost),
+                        complete: s.complete
                     }
-                }), o.completed || o.dead || i.push(Ln), n(i), o
+                }
+                var l = i.cost <= e.maxCommands ? SOLVER_SOLVABLE : i.complete ? SOLVER_UNSOLVABLE : SOLVER_UNKNOWN;
+                return {
+                    status: l,
+                    solvable: l === SOLVER_SOLVABLE,
+                    solution: a.program ? a.program.map(function(e) {
+                        return e.action
+                    }) : [],
+                    numCommands: i.cost < 1 / 0 ? i.cost : 0,
+                    optimal: i.complete && i.cost < 1 / 0
+                }
+            }
+
+            var lastSolvedLevel = void 0,
+                lastSolvedResult = void 0;
+
+            function isLevelSaveable(e) {
+                return !!_(e) && (lastSolvedLevel !== e && (lastSolvedLevel = e, lastSolvedResult = solveLevel(Q(e))), lastSolvedResult.status !== SOLVER_UNSOLVABLE)
+            }
+
+            var STARS_MAX = 3,
+                STARS_MAX_ATTEMPTS = 3,
+                lastScoredLevel = void 0,
+                lastScoredOptimum = void 0;
+
+            function scoreLevel(e, t, n) {
+                lastScoredLevel !== e && (lastScoredLevel = e, lastScoredOptimum = solveLevel(Q(e)), lastScoredOptimum = lastScoredOptimum.status === SOLVER_SOLVABLE ? lastScoredOptimum.numCommands : null), n = Math.max(1, n || 0);
+                return {
+                    stars: 1 + (null === lastScoredOptimum || t <= lastScoredOptimum ? 1 : 0) + (n <= STARS_MAX_ATTEMPTS ? 1 : 0),
+                    attempts: n,
+                    numCommands: t,
+                    optimalCommands: null === lastScoredOptimum ? t : Math.min(t, lastScoredOptimum)
+                }
+            }
+
+            function findContinuation(e, t, n) {
+                var r = runProgramFrom(t, e, n);
+                return r.completed ? [] : r.dead || r.tooManySteps ? null : (r = findPlainProgram(e, getSolverCommands(e), r, n).program) ? r.map(function(e) {
+                    return e.action
+                }) : null
+            }
+
+            function findHint(e, t) {
+                var n = t.programRow,
+                    r = findContinuation(e, n, t);
+                if (r && !r.length) return {
+                    type: "completed"
+                };
+                if (!(r = findContinuation(e, [], t))) return null;
+                // A block is on track if it brings Biip closer to the goal, i.e. the shortest way to finish gets shorter
+                for (var a = 1; a <= n.length; a++) {
+                    var o = findContinuation(e, n.slice(0, a), t);
+                    if (!o || o.length >= r.length) return {
+                        type: "wrong",
+                        command: n[a - 1],
+                        index: a - 1
+                    };
+                    r = o
+                }
+                return {
+                    type: "next",
+                    action: r[0]
+                }
+            }
+
+            function renderStars(e, t) {
+                for (var n = "", r = 0; r < STARS_MAX; r++) n += r < e ? "\u2605" : "\u2606";
+                return o.a.createElement("span", {
+                    className: t,
+                    role: "img",
+                    "aria-label": f()("stars.label", {
+                        stars: e,
+                        max: STARS_MAX
+                    })
+                }, n)
             }
             var Ca = function(e) {
                 function t() {
@@ -3313,15 +5143,81 @@
                     e = this.props.currentLevelGroup, t = this.props.currentLevel, g({
                         event: "VirtualPageview",
                         virtualPageURL: "/level/" + e + "/" + t
-                    }), this.stage.setLevel(this.props.currentLevelData), this.props.setCommandSelectionRow(this.props.commands.commandsAvailable.filter(function(e) {
+                    }), this.stage.setLevel(this.props.currentLevelData), this.props.setCommandCounting(this.props.currentLevelData.commandCounting), this.props.setCommandSelectionRow(this.props.commands.commandsAvailable.filter(function(e) {
                         return -1 !== n.props.currentLevelData.commands.indexOf(e.action)
-                    }))
+                    }).concat(-1 !== this.props.currentLevelData.commands.indexOf(we.z) ? (this.props.currentLevelData.functions || []).map(function(e) {
+                        return {
+                            id: "command-call-" + e,
+                            type: "call",
+                            action: we.z,
+                            function: e
+                        }
+                    }) : []))
                 }, t.prototype.playCharacterAnimations = function() {
-                    this.stage.animationFactory.setCharacterAnimations(this.props.characterAnimations, this.onCharacterAnimationsCompleted.bind(this), this.props.editorModeActive)
+                    this.stage.animationFactory.setCharacterAnimations(this.props.characterAnimations, this.onCharacterAnimationsCompleted.bind(this), this.props.editorModeActive, !!this.runner && !this.runner.done)
                 }, t.prototype.onCharacterAnimationsCompleted = function() {
-                    this.props.setGameRunning(!1)
+                    if (this.stepping = !1, this.runner && !this.runner.done) return void("paused" !== this.props.debugRun && this.debugStep());
+                    var e = this.runner ? this.runner.state : this.runState;
+                    this.runner && this.props.setDebugState(null, snapshotRunnerState(this.runner.state)), this.runner = null, this.runState = null, e && e.tooManySteps && this.setStepLimitNotice(!0), this.props.setGameRunning(!1)
+                }, t.prototype.setStepLimitNotice = function(e) {
+                    // Without it a program stopped by the step limit looks like Biip just got lost
+                    (e || this.stepLimitNotice) && this.props.setHelpText(e ? f()("helptext.too-many-steps", {
+                        steps: PROGRAM_MAX_STEPS
+                    }) : void 0), this.stepLimitNotice = e
+                }, t.prototype.countAttempt = function() {
+                    var e = this.props,
+                        t = e.levelAttempts[e.currentLevelGroup];
+                    // The store only catches up after this update, so the run keeps its own count for scoring
+                    e.replay || e.editorModeActive || void 0 === e.currentLevelGroup || (this.attempts = (t && t[e.currentLevel] || 0) + 1, e.setLevelAttempt(e.currentLevelGroup, e.currentLevel, this.attempts))
+                }, t.prototype.onProgramCompleted = function() {
+                    var e = this.props,
+                        t = e.currentLevelData;
+                    e.editorModeActive || void 0 === e.currentLevelGroup || (e.setLevelScore(t.isCustom ? null : e.currentLevelGroup, e.currentLevel, scoreLevel(t, e.commands.numCommands, this.attempts)), e.setLevelAttempt(e.currentLevelGroup, e.currentLevel, 0)), this.props.setLevelFinished(!0), this.props.setLevelComplete(), this.props.setCompletedLevels(this.props.currentLevelGroup, this.props.currentLevel)
+                }, t.prototype.runProgram = function() {
+                    var n = this;
+                    if (!this.stage.isLoaded()) return void setTimeout(function() {
+                        n.props.gameRunning && n.runProgram()
+                    }, 100);
+                    var e = this.props;
+                    e.replay && e.replay.record && this.startClip(), this.setStepLimitNotice(!1);
+                    var t = this.runState = xa(e.programRow, e.currentLevelData, e.setCharacterAnimations, e.commands),
+                        n = Object(replayRecords.d)(e.currentLevelData, e.currentLevelGroup, e.currentLevel);
+                    e.replay || (n && !e.editorModeActive && e.recordReplay(Object(replayRecords.c)(n), Object(replayRecords.a)(n, e.commands, e.currentLevelData.functions, t)), t.completed && this.onProgramCompleted())
+                }, t.prototype.startClip = function() {
+                    var e = this.props.replay.replay.level;
+                    this.stage.recorder = Object(clipRecorder.a)(replayLevelTitle(e), "#" + this.props.backgroundColor.toString(16)), this.props.setClip({
+                        status: "recording",
+                        level: e,
+                        type: this.stage.recorder.type
+                    })
+                }, t.prototype.stopClip = function() {
+                    var e = this,
+                        t = this.stage.recorder;
+                    // Keep the final pose in the clip for a moment
+                    setTimeout(function() {
+                        var n = e.props.clip;
+                        e.stage.recorder = null, e.props.setClip(K({}, n, {
+                            status: "encoding"
+                        })), t.stop().then(function(t) {
+                            e.props.setClip(K({}, n, {
+                                status: "ready",
+                                blob: t,
+                                url: URL.createObjectURL(t)
+                            }))
+                        }, function() {
+                            e.props.setClip(K({}, n, {
+                                status: "failed"
+                            }))
+                        })
+                    }, 1e3)
+                }, t.prototype.startDebugger = function() {
+                    this.setStepLimitNotice(!1), this.runner = createProgramRunner(this.props.programRow, this.props.currentLevelData, this.props.commands), this.debugStep()
+                }, t.prototype.debugStep = function() {
+                    var e = this.runner,
+                        t = "toEnd" === this.props.debugRun ? e.run() : e.step();
+                    this.stepping = !0, this.props.setDebugState(t.command ? t.command.id : null, snapshotRunnerState(e.state)), e.done && e.state.completed && this.onProgramCompleted(), this.props.setCharacterAnimations(t.animations)
                 }, t.prototype.componentDidUpdate = function(e) {
-                    (e.characterAnimations !== this.props.characterAnimations && this.playCharacterAnimations(), e.visible !== this.props.visible && this.stage.setEnabled(this.props.visible), e.editorModeActive !== this.props.editorModeActive && (this.stage.setEditorModeActive(this.props.editorModeActive), this.stage.animationFactory.newLevel()), (e.currentLevel !== this.props.currentLevel || e.currentLevelGroup !== this.props.currentLevelGroup || e.currentLevelData !== this.props.currentLevelData || this.props.restart && this.props.restart !== e.restart) && (this.setLevelOnStage(this.props.currentLevelData), this.props.setLevelFinished(!1)), this.props.restart && this.props.restart !== e.restart && this.props.setRestart(!1), !e.gameRunning && this.props.gameRunning && this.props.programRow.length && this.props.currentLevelData) && (xa(this.props.programRow, this.props.currentLevelData, this.props.setCharacterAnimations, this.props.commands).completed && (this.props.setLevelFinished(!0), this.props.setLevelComplete(), this.props.setCompletedLevels(this.props.currentLevelGroup, this.props.currentLevel)))
+                    e.gameRunning && !this.props.gameRunning && (this.runner = null, this.stepping = !1, this.stage.recorder && this.stopClip()), this.runner && !this.stepping && (e.debugStepRequests !== this.props.debugStepRequests || e.debugRun !== this.props.debugRun && "paused" !== this.props.debugRun) && this.debugStep(), (e.characterAnimations !== this.props.characterAnimations && this.playCharacterAnimations(), (e.visible !== this.props.visible || e.adPlaying !== this.props.adPlaying) && this.stage.setEnabled(this.props.visible && !this.props.adPlaying), (e.adPlaying !== this.props.adPlaying || e.replay !== this.props.replay) && yn.f.globalTimeScale(this.props.adPlaying ? 0 : this.props.replay ? this.props.replay.speed : 1), e.editorModeActive !== this.props.editorModeActive && (this.stage.setEditorModeActive(this.props.editorModeActive), this.stage.animationFactory.newLevel()), (e.currentLevel !== this.props.currentLevel || e.currentLevelGroup !== this.props.currentLevelGroup || e.currentLevelData !== this.props.currentLevelData || this.props.restart && this.props.restart !== e.restart) && (this.setLevelOnStage(this.props.currentLevelData), this.props.setLevelFinished(!1), this.setStepLimitNotice(!1)), this.props.restart && this.props.restart !== e.restart && this.props.setRestart(!1), !e.gameRunning && this.props.gameRunning && this.props.programRow.length && this.props.currentLevelData) && (this.countAttempt(), this.props.debugMode && !this.props.replay ? this.startDebugger() : this.runProgram())
                 }, t.prototype.render = function() {
                     var e = this,
                         t = L()(cn.a.main, this.props.visible ? cn.a.visible : null);
@@ -3343,6 +5239,7 @@
                 setLevelFinished: p.func,
                 clearProgram: p.func,
                 setCommandSelectionRow: p.func,
+                setCommandCounting: p.func,
                 setRestart: p.func,
                 characterAnimations: p.PropTypes.instanceOf(Ea),
                 gameRunning: p.bool,
@@ -3351,7 +5248,21 @@
                 visible: p.bool,
                 restart: p.bool,
                 setCompletedLevels: p.func,
-                editorModeActive: p.bool
+                editorModeActive: p.bool,
+                debugMode: p.bool,
+                debugRun: p.string,
+                debugStepRequests: p.number,
+                setDebugState: p.func,
+                setLevelScore: p.func,
+                levelAttempts: p.object,
+                setLevelAttempt: p.func,
+                adPlaying: p.bool,
+                replay: p.object,
+                recordReplay: p.func,
+                clip: p.object,
+                setClip: p.func,
+                backgroundColor: p.number,
+                setHelpText: p.func
             };
             var Oa = Object(s.b)(function(e) {
                     return {
@@ -3362,7 +5273,15 @@
                         gameRunning: e.game.gameRunning,
                         restart: e.game.restart,
                         programRow: e.commands.programRow,
-                        commands: e.commands
+                        commands: e.commands,
+                        debugMode: e.game.debugMode,
+                        debugRun: e.game.debugRun,
+                        debugStepRequests: e.game.debugStepRequests,
+                        adPlaying: e.app.adPlaying,
+                        levelAttempts: e.app.levelAttempts,
+                        replay: e.game.replay,
+                        clip: e.game.clip,
+                        backgroundColor: e.game.backgroundColor
                     }
                 }, {
                     setLevel: q.u,
@@ -3372,8 +5291,15 @@
                     setLevelFinished: q.w,
                     clearProgram: be.j,
                     setCommandSelectionRow: be.k,
+                    setCommandCounting: be.p,
                     setRestart: q.x,
-                    setCompletedLevels: j.p
+                    setCompletedLevels: j.p,
+                    setDebugState: q.G,
+                    setLevelScore: j.B,
+                    setLevelAttempt: j.Z,
+                    recordReplay: j.O,
+                    setClip: q.Q,
+                    setHelpText: j.m
                 })(Ca),
                 Ia = n("q27t"),
                 Ta = n.n(Ia),
@@ -3400,9 +5326,9 @@
                         className: Sa.a.text
                     }, o.a.createElement("h2", null, f()("info.title")), o.a.createElement("p", null, f()("info.body"))), o.a.createElement("table", null, o.a.createElement("tr", null, o.a.createElement("th", {
                         className: Sa.a.place
-                    }, o.a.createElement("div", null, "Dato"), o.a.createElement("div", null, "Sted")), o.a.createElement("th", {
+                    }, o.a.createElement("div", null, f()("info.date")), o.a.createElement("div", null, f()("info.place"))), o.a.createElement("th", {
                         className: Sa.a.map
-                    }, "Kart")), e && e.map(function(e) {
+                    }, f()("info.map"))), e && e.map(function(e) {
                         return o.a.createElement("tr", {
                             key: Oe()()
                         }, o.a.createElement("td", {
@@ -3415,7 +5341,7 @@
                             className: Sa.a.map
                         }, e.location && o.a.createElement("a", {
                             href: e.location
-                        }, "Kart")))
+                        }, f()("info.map"))))
                     }))))
                 },
                 Da = n("nJoL"),
@@ -3430,13 +5356,52 @@
                         return !t || "object" != typeof t && "function" != typeof t ? e : t
                     }(this, e.call(this));
                     return n.state = {
-                        codeInputValue: ""
+                        codeInputValue: "",
+                        packToolsVisible: !1,
+                        packUrl: "",
+                        packBusy: !1,
+                        packMessage: null,
+                        packError: !1
                     }, n.handleInput = function(e) {
                         var t = e.target.value;
-                        e.target.value.length > 4 && (t = e.target.value.slice(0, 4)), n.setState({
+                        e.target.value.length > LEVEL_CODE_MAX_LENGTH && (t = e.target.value.slice(0, LEVEL_CODE_MAX_LENGTH)), n.setState({
                             codeInputValue: t.toUpperCase()
                         })
-                    }, n.codeInput = o.a.createRef(), n
+                    }, n.importPack = function(e, t) {
+                        // level-packs.js loads after the bundle; it validates the pack and adds it to levelPacks
+                        return n.setState({
+                            packBusy: !0,
+                            packMessage: null
+                        }), (window.LevelPacks ? window.LevelPacks[e](t) : Promise.reject(null)).then(function(e) {
+                            n.setState({
+                                packBusy: !1,
+                                packUrl: "",
+                                packError: !1,
+                                packMessage: f()("levelPacks.imported", {
+                                    title: packText(e.title),
+                                    count: e.levels.length
+                                })
+                            })
+                        }, function(e) {
+                            var t = e && e.errors || {};
+                            n.setState({
+                                packBusy: !1,
+                                packError: !0,
+                                packMessage: [f()(t.message && 0 === t.message.indexOf("levelPacks.") ? t.message : "levelPacks.invalid")].concat((t.details || []).slice(0, 3)).join(" ")
+                            })
+                        })
+                    }, n.handlePackFile = function(e) {
+                        var t = e.target.files[0];
+                        e.target.value = "", t && (y("import_pack"), n.importPack("importFile", t))
+                    }, n.handlePackUrl = function(e) {
+                        e.preventDefault(), y("import_pack_url"), n.importPack("importUrl", n.state.packUrl)
+                    }, n.exportPack = function(e) {
+                        y("export_pack"), window.LevelPacks && window.LevelPacks.download(e, f()("levelSelection.customLevelsTitle"))
+                    }, n.removePack = function(e) {
+                        window.LevelPacks && window.confirm(f()("levelPacks.confirmRemove", {
+                            title: packText(e.title)
+                        })) && (y("remove_pack"), window.LevelPacks.remove(e.id))
+                    }, n.codeInput = o.a.createRef(), n.packFileInput = o.a.createRef(), n
                 }
                 return function(e, t) {
                     if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
@@ -3460,26 +5425,37 @@
                         c = t.clearProgram,
                         V = t.displayLevelCompleteDialog,
                         u = t.completedLevels,
+                        d = t.levelScores,
+                        lockedGroups = t.lockedGroups,
                         p = n.filter(function(e) {
                             return !e.isCustom
                         }),
                         A = n.find(function(e) {
                             return e.isCustom
-                        });
+                        }),
+                        packs = n.filter(function(e) {
+                            return e.pack
+                        }),
+                        m = this,
+                        h = this.state,
+                        extended;
                     return o.a.createElement("div", {
-                        className: Pa.a.main
+                        className: L()(Pa.a.main, (extended = {}, extended[Pa.a.extended] = h.packToolsVisible || packs.length > 0 || A && A.levels.length > 0, extended))
                     }, o.a.createElement("ol", null, p.map(function(e) {
                         var t = n.indexOf(e);
+                        var locked = -1 !== lockedGroups.indexOf(t);
                         return e.levels.map(function(e, n) {
                             var r;
                             return o.a.createElement("li", {
-                                className: L()(Pa.a["group" + t], (r = {}, r[Pa.a.complete] = u[t] && -1 !== u[t].indexOf(n), r)),
+                                className: L()(Pa.a["group" + t], (r = {}, r[Pa.a.complete] = u[t] && -1 !== u[t].indexOf(n), r[Pa.a.locked] = locked, r)),
                                 key: t + "-" + n
                             }, o.a.createElement("button", {
+                                disabled: locked,
+                                title: locked ? f()("classroom.locked") : void 0,
                                 onClick: function() {
                                     s(!0), a(parseInt(t), parseInt(n)), l(!0), c(), V(!1), i.push("/")
                                 }
-                            }, parseInt(t) + 1, ".", parseInt(n) + 1))
+                            }, parseInt(t) + 1, ".", parseInt(n) + 1), d[t] && d[t][n] && renderStars(d[t][n].stars, Pa.a.stars))
                         })
                     })), A && A.levels.length > 0 && o.a.createElement("div", {
                         style: {
@@ -3508,23 +5484,105 @@
                             }
                         }, f()("levelSelection.customBadge")), e.levelId || f()("levelSelection.customLevelLabel", {
                             levelNumber: t + 1
+                        }), e.title && " \u00b7 " + packText(e.title)))
+                    }))), packs.map(function(e) {
+                        var t = n.indexOf(e),
+                            r = e.pack;
+                        return o.a.createElement("section", {
+                            key: "pack-" + r.id,
+                            className: Pa.a.packGroup
+                        }, o.a.createElement("div", {
+                            className: Pa.a.packHeader
+                        }, o.a.createElement("h3", null, packText(r.title)), r.author && o.a.createElement("span", null, f()("levelPacks.by", {
+                            author: packText(r.author)
+                        })), o.a.createElement("button", {
+                            className: Pa.a.packAction,
+                            onClick: function() {
+                                return m.exportPack(t)
+                            }
+                        }, f()("levelPacks.export")), o.a.createElement("button", {
+                            className: Pa.a.packAction,
+                            onClick: function() {
+                                return m.removePack(r)
+                            }
+                        }, f()("levelPacks.remove"))), o.a.createElement("ol", null, e.levels.map(function(e, n) {
+                            var r;
+                            return o.a.createElement("li", {
+                                className: L()(Pa.a.packLevel, (r = {}, r[Pa.a.complete] = u[t] && -1 !== u[t].indexOf(n), r)),
+                                key: t + "-" + n
+                            }, o.a.createElement("button", {
+                                title: e.title ? packText(e.title) : void 0,
+                                onClick: function() {
+                                    s(!0), a(t, n), l(!0), c(), V(!1), i.push("/")
+                                }
+                            }, n + 1))
                         })))
-                    }))), o.a.createElement("div", null, o.a.createElement("input", {
+                    }), o.a.createElement("div", null, o.a.createElement("input", {
                         ref: this.codeInput,
                         value: e,
                         onChange: this.handleInput,
                         name: "codeInput",
-                        placeholder: "Kode f.eks 6AXP"
+                        placeholder: f()("levelEditor.getFieldPlaceholder")
                     }), o.a.createElement("button", {
                         onClick: function() {
                             return r(e)
                         }
-                    }, "Legg til brett")))
+                    }, f()("levelSelection.addLevel"))), o.a.createElement("button", {
+                        className: L()(Pa.a.packAction, Pa.a.packToggle),
+                        "aria-expanded": h.packToolsVisible,
+                        onClick: function() {
+                            return m.setState({
+                                packToolsVisible: !h.packToolsVisible
+                            })
+                        }
+                    }, f()("levelPacks.title")), h.packToolsVisible && o.a.createElement("section", {
+                        className: Pa.a.packTools
+                    }, o.a.createElement("p", null, f()("levelPacks.intro")), o.a.createElement("div", {
+                        className: Pa.a.packForm
+                    }, o.a.createElement("input", {
+                        ref: this.packFileInput,
+                        type: "file",
+                        accept: ".json,application/json",
+                        hidden: !0,
+                        onChange: this.handlePackFile
+                    }), o.a.createElement("button", {
+                        disabled: h.packBusy,
+                        onClick: function() {
+                            return m.packFileInput.current.click()
+                        }
+                    }, f()("levelPacks.chooseFile")), A && A.levels.length > 0 && o.a.createElement("button", {
+                        onClick: function() {
+                            return m.exportPack(n.indexOf(A))
+                        }
+                    }, f()("levelPacks.exportCustom"))), o.a.createElement("form", {
+                        className: Pa.a.packForm,
+                        onSubmit: this.handlePackUrl
+                    }, o.a.createElement("input", {
+                        name: "packUrl",
+                        type: "url",
+                        value: h.packUrl,
+                        autoComplete: "off",
+                        onChange: function(e) {
+                            return m.setState({
+                                packUrl: e.target.value
+                            })
+                        },
+                        placeholder: f()("levelPacks.urlPlaceholder"),
+                        "aria-label": f()("levelPacks.urlPlaceholder")
+                    }), o.a.createElement("button", {
+                        type: "submit",
+                        disabled: h.packBusy || !h.packUrl.trim()
+                    }, f()("levelPacks.load"))), h.packMessage && o.a.createElement("p", {
+                        role: h.packError ? "alert" : "status",
+                        className: h.packError ? Pa.a.packError : void 0
+                    }, h.packMessage)))
                 }, t
             }(a.Component);
             Ba.propTypes = {
                 history: p.object,
                 completedLevels: p.object,
+                levelScores: p.object,
+                lockedGroups: p.array,
                 levelGroups: p.array,
                 getLevel: p.func,
                 setLevel: p.func,
@@ -3536,6 +5594,8 @@
                 currentLevel: 0,
                 levelGroups: {},
                 completedLevels: {},
+                levelScores: {},
+                lockedGroups: [],
                 setLevel: function() {},
                 setGame: function() {},
                 clearProgram: function() {},
@@ -3546,7 +5606,9 @@
                     return {
                         currentLevel: e.game.currentLevel,
                         levelGroups: e.game.levelGroups,
-                        completedLevels: e.app.completedLevels
+                        completedLevels: e.app.completedLevels,
+                        levelScores: e.app.levelScores,
+                        lockedGroups: e.app.classroom ? e.app.classroom.lockedGroups : void 0
                     }
                 }, {
                     getLevel: q.p,
@@ -3556,17 +5618,247 @@
                     clearProgram: be.j,
                     displayLevelCompleteDialog: j.o
                 })(Ba)),
-                ja = n("S/9n"),
-                qa = n.n(ja);
-            var Fa = function(e) {
-                function t() {
-                    return function(e, t) {
+                achievementRules = n("aC4m"),
+                achievementStyleModule = n("ZkP5"),
+                achievementStyles = n.n(achievementStyleModule),
+                achievementText = function(e, t) {
+                    return f()("achievements.items." + e.key + "." + t, e.params)
+                },
+                AchievementList = function(e) {
+                    var t = e.achievements,
+                        n = Object(achievementRules.a)(e.levelGroups),
+                        r = n.filter(function(e) {
+                            return t[e.id]
+                        }).length;
+                    return o.a.createElement("div", {
+                        className: achievementStyles.a.main
+                    }, o.a.createElement("h2", null, f()("achievements.title")), o.a.createElement("p", null, f()("achievements.progress", {
+                        count: r,
+                        total: n.length
+                    })), o.a.createElement("ul", {
+                        className: achievementStyles.a.list
+                    }, n.map(function(e) {
+                        var n = t[e.id];
+                        return o.a.createElement("li", {
+                            key: e.id,
+                            className: L()(achievementStyles.a.item, n ? achievementStyles.a.unlocked : null)
+                        }, o.a.createElement("span", {
+                            className: achievementStyles.a.icon,
+                            "aria-hidden": !0
+                        }, n ? e.icon : "\ud83d\udd12"), o.a.createElement("div", null, o.a.createElement("strong", null, achievementText(e, "title")), o.a.createElement("p", null, achievementText(e, "description")), n && o.a.createElement("p", {
+                            className: achievementStyles.a.date
+                        }, f()("achievements.unlockedAt", {
+                            date: new Date(n).toLocaleDateString(f.a.getLocale())
+                        }))))
+                    })))
+                };
+            AchievementList.propTypes = {
+                achievements: p.object,
+                levelGroups: p.array
+            }, AchievementList.defaultProps = {
+                achievements: {},
+                levelGroups: []
+            };
+            var AchievementsScreen = Object(s.b)(function(e) {
+                    return {
+                        achievements: e.app.achievements,
+                        levelGroups: e.game.levelGroups
+                    }
+                })(AchievementList),
+                leaderboardStyleModule = n("cQ7d"),
+                leaderboardStyles = n.n(leaderboardStyleModule),
+                emptyScore = {
+                    groups: [],
+                    levels: 0,
+                    stars: 0
+                },
+                LeaderboardList = function(e) {
+                    function t(n) {
+                        ! function(e, t) {
                             if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
-                        }(this, t),
-                        function(e, t) {
+                        }(this, t);
+                        var r = function(e, t) {
                             if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
                             return !t || "object" != typeof t && "function" != typeof t ? e : t
-                        }(this, e.apply(this, arguments))
+                        }(this, e.call(this, n));
+                        return r.load = function() {
+                            // vk-leaderboard.js loads after the bundle, so on a direct visit this waits for the page to load
+                            window.VKLeaderboard ? window.VKLeaderboard.getLeaderboard().then(function(e) {
+                                r.mounted && r.setState({
+                                    loading: !1,
+                                    available: e.available,
+                                    entries: e.entries
+                                })
+                            }) : r.setState({
+                                loading: !1
+                            })
+                        }, r.showLeaderBoardBox = function() {
+                            y("leaderboardBox"), window.VKLeaderboard.showLeaderBoardBox()
+                        }, r.state = {
+                            loading: !0,
+                            available: !1,
+                            entries: []
+                        }, r
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.componentDidMount = function() {
+                        this.mounted = !0, "complete" === document.readyState ? this.load() : window.addEventListener("load", this.load)
+                    }, t.prototype.componentWillUnmount = function() {
+                        this.mounted = !1, window.removeEventListener("load", this.load)
+                    }, t.prototype.renderEntry = function(e, t) {
+                        var n = this.props.levelGroups.filter(function(e) {
+                                return !e.isCustom
+                            }),
+                            r = e.score || emptyScore;
+                        return o.a.createElement("li", {
+                            key: e.isPlayer ? "player" : e.id,
+                            className: L()(leaderboardStyles.a.item, e.isPlayer ? leaderboardStyles.a.player : null)
+                        }, o.a.createElement("span", {
+                            className: leaderboardStyles.a.rank
+                        }, t + 1), e.photo ? o.a.createElement("img", {
+                            className: leaderboardStyles.a.avatar,
+                            src: e.photo,
+                            alt: ""
+                        }) : o.a.createElement("span", {
+                            className: leaderboardStyles.a.avatar,
+                            "aria-hidden": !0
+                        }, e.name ? e.name.charAt(0) : "\ud83e\udd16"), o.a.createElement("div", {
+                            className: leaderboardStyles.a.details
+                        }, o.a.createElement("strong", null, e.isPlayer ? f()("leaderboard.you") : e.name), o.a.createElement("p", null, n.map(function(e, t) {
+                            return f()("leaderboard.group", {
+                                group: t + 1,
+                                count: r.groups[t] || 0,
+                                total: e.levels.length
+                            })
+                        }).join("  "))), o.a.createElement("div", {
+                            className: leaderboardStyles.a.score
+                        }, o.a.createElement("strong", null, "\u2605 ", r.stars), o.a.createElement("p", null, f()("leaderboard.levels", {
+                            count: r.levels
+                        }))))
+                    }, t.prototype.render = function() {
+                        var e = this,
+                            t = this.state,
+                            n = window.VKLeaderboard && window.VKLeaderboard.isLeaderBoardBoxAvailable();
+                        return o.a.createElement("div", {
+                            className: leaderboardStyles.a.main
+                        }, o.a.createElement("h2", null, f()("leaderboard.title")), t.loading ? o.a.createElement("p", {
+                            "aria-busy": !0
+                        }, f()("leaderboard.loading")) : [!t.available && o.a.createElement("p", {
+                            key: "unavailable"
+                        }, f()("leaderboard.unavailable")), t.available && t.entries.length < 2 && o.a.createElement("p", {
+                            key: "noFriends"
+                        }, f()("leaderboard.noFriends")), o.a.createElement("ol", {
+                            key: "list",
+                            className: leaderboardStyles.a.list
+                        }, t.entries.map(function(t, n) {
+                            return e.renderEntry(t, n)
+                        })), n && o.a.createElement("button", {
+                            key: "box",
+                            className: leaderboardStyles.a.button,
+                            onClick: this.showLeaderBoardBox
+                        }, f()("leaderboard.showBox"))])
+                    }, t
+                }(a.Component);
+            LeaderboardList.propTypes = {
+                levelGroups: p.array
+            }, LeaderboardList.defaultProps = {
+                levelGroups: []
+            };
+            var LeaderboardScreen = Object(s.b)(function(e) {
+                    return {
+                        levelGroups: e.game.levelGroups
+                    }
+                })(LeaderboardList),
+                replayStyleModule = n("hW2c"),
+                replayStyles = n.n(replayStyleModule),
+                replayLevelTitle = function(e) {
+                    return e.code ? f()("replays.customLevel", {
+                        code: e.code
+                    }) : f()("replays.level", {
+                        level: e.group + 1 + "." + (e.level + 1)
+                    })
+                },
+                replayLink = function(e) {
+                    return window.VKBridgeWrapper ? window.VKBridgeWrapper.getAppLink("replay=" + e) : window.location.origin + "/#replay=" + e
+                },
+                compareReplayLevels = function(e, t) {
+                    var n = e.code ? 1 : 0,
+                        r = t.code ? 1 : 0;
+                    return n - r || (n ? e.code < t.code ? -1 : e.code > t.code ? 1 : 0 : e.group - t.group || e.level - t.level)
+                },
+                ReplaySpeeds = function(e) {
+                    var t = e.speed,
+                        n = e.setSpeed;
+                    return o.a.createElement("span", {
+                        className: replayStyles.a.speeds,
+                        role: "group",
+                        "aria-label": f()("replays.speed")
+                    }, replayRecords.h.map(function(e) {
+                        return o.a.createElement("button", {
+                            key: e,
+                            className: L()(replayStyles.a.speed, e === t ? replayStyles.a.active : null),
+                            "aria-pressed": e === t,
+                            onClick: function() {
+                                n(e)
+                            }
+                        }, e + "\u00d7")
+                    }))
+                };
+            ReplaySpeeds.propTypes = {
+                speed: p.number,
+                setSpeed: p.func
+            };
+            var ReplayList = function(e) {
+                function t(n) {
+                    ! function(e, t) {
+                        if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                    }(this, t);
+                    var r = function(e, t) {
+                        if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                        return !t || "object" != typeof t && "function" != typeof t ? e : t
+                    }(this, e.call(this, n));
+                    return r.play = function(e) {
+                        r.setState({
+                            error: null
+                        }), r.props.playReplay(e, r.state.speed).then(function(e) {
+                            e ? r.props.history.push("/") : r.mounted && r.setState({
+                                error: f()("replays.unavailable")
+                            })
+                        })
+                    }, r.share = function(e, t) {
+                        y("share_replay"), shareOnWall(f()("replays.shareText", {
+                            level: replayLevelTitle(e.level)
+                        }), "replay=" + t)
+                    }, r.setSpeed = function(e) {
+                        r.setState({
+                            speed: e
+                        })
+                    }, r.handleInput = function(e) {
+                        r.setState({
+                            input: e.target.value,
+                            error: null
+                        })
+                    }, r.playInput = function(e) {
+                        e.preventDefault();
+                        var t = Object(replayRecords.b)(r.state.input);
+                        t ? (y("import_replay"), r.play(t)) : r.setState({
+                            error: f()("replays.invalid")
+                        })
+                    }, r.state = {
+                        speed: 1,
+                        input: "",
+                        error: null,
+                        shareTime: null
+                    }, r
                 }
                 return function(e, t) {
                     if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
@@ -3578,24 +5870,930 @@
                             configurable: !0
                         }
                     }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
-                }(t, e), t.prototype.render = function() {
-                    var e = this.props,
-                        t = e.game,
-                        n = e.setGame,
-                        r = e.currentLevelData,
-                        a = e.saveLevel,
-                        i = (e.currentCustomLevelCode, e.savingInProgress);
-                    return o.a.createElement("div", {
-                        className: qa.a.main
-                    }, o.a.createElement("button", {
-                        disabled: !_(r) && !t,
+                }(t, e), t.prototype.componentDidMount = function() {
+                    this.mounted = !0
+                }, t.prototype.componentWillUnmount = function() {
+                    this.mounted = !1
+                }, t.prototype.renderReplay = function(e) {
+                    var t = this,
+                        n = this.state.shareTime === e.time,
+                        r = n && Object(replayRecords.e)(e);
+                    return o.a.createElement("li", {
+                        key: e.time,
+                        className: replayStyles.a.item
+                    }, o.a.createElement("div", {
+                        className: replayStyles.a.summary
+                    }, o.a.createElement("span", {
+                        className: L()(replayStyles.a.result, e.completed ? replayStyles.a.completed : null)
+                    }, e.completed ? "\u2714 " + f()("replays.completed") : "\u2716 " + f()("replays.failed")), o.a.createElement("span", null, f()("replays.commands", {
+                        count: e.commands
+                    })), o.a.createElement("time", {
+                        dateTime: new Date(e.time).toISOString()
+                    }, new Date(e.time).toLocaleString(f.a.getLocale())), o.a.createElement("button", {
+                        className: replayStyles.a.button,
                         onClick: function() {
-                            return n(!t)
+                            y("play_replay"), t.play(e)
                         }
-                    }, t ? f()("levelEditor.buttonLabelEdit") : f()("levelEditor.buttonLabelTest")), o.a.createElement("button", {
-                        disabled: !_(r),
+                    }, "\u25b6 ", f()("replays.play")), o.a.createElement("button", {
+                        className: replayStyles.a.button,
+                        "aria-expanded": n,
                         onClick: function() {
-                            return a(Q(r).tiles)
+                            t.setState({
+                                shareTime: n ? null : e.time
+                            })
+                        }
+                    }, f()("replays.share"))), n && o.a.createElement("div", {
+                        className: replayStyles.a.share
+                    }, o.a.createElement("input", {
+                        readOnly: !0,
+                        value: replayLink(r),
+                        "aria-label": f()("replays.link"),
+                        onFocus: function(e) {
+                            e.target.select()
+                        }
+                    }), o.a.createElement("button", {
+                        className: replayStyles.a.button,
+                        onClick: function() {
+                            t.share(e, r)
+                        }
+                    }, f()("replays.shareWall"))))
+                }, t.prototype.render = function() {
+                    var e = this,
+                        t = this.props.replays,
+                        n = this.state,
+                        r = Object.keys(t).filter(function(e) {
+                            return t[e].length
+                        }).sort(function(e, n) {
+                            return compareReplayLevels(t[e][0].level, t[n][0].level)
+                        });
+                    return o.a.createElement("div", {
+                        className: replayStyles.a.main
+                    }, o.a.createElement("h2", null, f()("replays.title")), o.a.createElement("p", null, f()("replays.intro")), o.a.createElement("form", {
+                        className: replayStyles.a.form,
+                        onSubmit: this.playInput
+                    }, o.a.createElement("input", {
+                        value: n.input,
+                        onChange: this.handleInput,
+                        placeholder: f()("replays.import"),
+                        "aria-label": f()("replays.import")
+                    }), o.a.createElement("button", {
+                        type: "submit",
+                        className: replayStyles.a.button
+                    }, "\u25b6 ", f()("replays.play"))), o.a.createElement("div", {
+                        className: replayStyles.a.toolbar
+                    }, o.a.createElement("span", null, f()("replays.speed")), o.a.createElement(ReplaySpeeds, {
+                        speed: n.speed,
+                        setSpeed: this.setSpeed
+                    })), n.error && o.a.createElement("p", {
+                        role: "alert",
+                        className: replayStyles.a.error
+                    }, n.error), r.length ? r.map(function(n) {
+                        return o.a.createElement("section", {
+                            key: n
+                        }, o.a.createElement("h3", null, replayLevelTitle(t[n][0].level)), o.a.createElement("ol", {
+                            className: replayStyles.a.list
+                        }, t[n].map(function(t) {
+                            return e.renderReplay(t)
+                        })))
+                    }) : o.a.createElement("p", null, f()("replays.empty")))
+                }, t
+            }(a.Component);
+            ReplayList.propTypes = {
+                replays: p.object,
+                playReplay: p.func,
+                history: p.object
+            }, ReplayList.defaultProps = {
+                replays: {}
+            };
+            var ReplaysScreen = Object(m.a)(Object(s.b)(function(e) {
+                    return {
+                        replays: e.app.replays
+                    }
+                }, {
+                    playReplay: replayRecords.g
+                })(ReplayList)),
+                ReplayBar = function(e) {
+                    var t = e.replay,
+                        n = e.setReplay;
+                    return t ? o.a.createElement("div", {
+                        className: replayStyles.a.bar,
+                        role: "status"
+                    }, o.a.createElement("span", null, t.record ? "\u25cf " : "\u25b6 ", f()(t.record ? "clip.recording" : "replays.playing", {
+                        level: replayLevelTitle(t.replay.level)
+                    })), o.a.createElement(ReplaySpeeds, {
+                        speed: t.speed,
+                        setSpeed: function(e) {
+                            n(K({}, t, {
+                                speed: e
+                            }))
+                        }
+                    })) : null
+                };
+            ReplayBar.propTypes = {
+                replay: p.object,
+                setReplay: p.func
+            };
+            var ReplayBarContainer = Object(s.b)(function(e) {
+                    return {
+                        replay: e.game.replay
+                    }
+                }, {
+                    setReplay: q.O
+                })(ReplayBar),
+                clipStyleModule = n("Xe7c"),
+                clipStyles = n.n(clipStyleModule),
+                ClipPanel = function(e) {
+                    function t(n) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var r = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n));
+                        return r.close = function() {
+                            var e = r.props;
+                            e.clip.url && URL.revokeObjectURL(e.clip.url), r.setState({
+                                posting: !1,
+                                posted: null
+                            }), e.setClip(null), e.displayLevelCompleteDialog(!0)
+                        }, r.post = function() {
+                            var e = r.props.clip,
+                                t = replayLevelTitle(e.level);
+                            y("post_clip"), r.setState({
+                                posting: !0,
+                                posted: null
+                            }), window.VKBridgeWrapper.postFileToWall(e.blob, Object(clipRecorder.b)(t, e.blob.type), f()("clip.shareText", {
+                                level: t
+                            })).then(function(e) {
+                                r.setState({
+                                    posting: !1,
+                                    posted: e
+                                })
+                            })
+                        }, r.state = {
+                            posting: !1,
+                            posted: null
+                        }, r
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.render = function() {
+                        var e = this.props.clip,
+                            t = this.state;
+                        if (!e || "recording" === e.status) return null;
+                        var n = "ready" === e.status && Object(clipRecorder.b)(replayLevelTitle(e.level), e.blob.type);
+                        return o.a.createElement("div", {
+                            className: clipStyles.a.main
+                        }, o.a.createElement("div", {
+                            className: clipStyles.a.inner,
+                            role: "dialog",
+                            "aria-label": f()("clip.title")
+                        }, o.a.createElement("h2", null, f()("clip.title")), "encoding" === e.status && o.a.createElement("p", {
+                            role: "status",
+                            "aria-busy": !0
+                        }, f()("clip.encoding")), "failed" === e.status && o.a.createElement("p", {
+                            role: "alert"
+                        }, f()("clip.failed")), n && ("image/gif" === e.blob.type ? o.a.createElement("img", {
+                            className: clipStyles.a.preview,
+                            src: e.url,
+                            alt: f()("clip.preview")
+                        }) : o.a.createElement("video", {
+                            className: clipStyles.a.preview,
+                            src: e.url,
+                            "aria-label": f()("clip.preview"),
+                            autoPlay: !0,
+                            loop: !0,
+                            muted: !0,
+                            playsInline: !0
+                        })), null !== t.posted && o.a.createElement("p", {
+                            role: "status"
+                        }, f()(t.posted ? "clip.posted" : "clip.postFailed")), o.a.createElement("div", {
+                            className: clipStyles.a.actions
+                        }, n && o.a.createElement("a", {
+                            className: clipStyles.a.button,
+                            href: e.url,
+                            download: n,
+                            onClick: function() {
+                                y("download_clip")
+                            }
+                        }, f()("clip.download")), n && window.VKBridgeWrapper && window.VKBridgeWrapper.initialized && o.a.createElement("button", {
+                            className: clipStyles.a.button,
+                            disabled: t.posting,
+                            onClick: this.post
+                        }, f()(t.posting ? "clip.posting" : "clip.post")), "encoding" !== e.status && o.a.createElement("button", {
+                            className: clipStyles.a.button,
+                            onClick: this.close
+                        }, f()("clip.close")))))
+                    }, t
+                }(a.Component);
+            ClipPanel.propTypes = {
+                clip: p.object,
+                setClip: p.func,
+                displayLevelCompleteDialog: p.func
+            };
+            var ClipPanelContainer = Object(s.b)(function(e) {
+                    return {
+                        clip: e.game.clip
+                    }
+                }, {
+                    setClip: q.Q,
+                    displayLevelCompleteDialog: j.o
+                })(ClipPanel),
+                classroomStyleModule = n("cL4s"),
+                classroomStyles = n.n(classroomStyleModule),
+                STUCK_ATTEMPTS = 3,
+                DASHBOARD_POLL_INTERVAL = 5e3,
+                classroomError = function(e) {
+                    var t = e && e.errors && e.errors.message;
+                    return f()(t && (0 === t.indexOf("classroom.") || "nav.apiError" === t) ? t : "classroom.offline")
+                },
+                ClassroomPanel = function(e) {
+                    function t(n) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var r = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n));
+                        return r.run = function(e, t) {
+                            // classroom.js loads after the bundle and talks to the server; resolves to true if the call succeeded
+                            return r.setState({
+                                busy: !0,
+                                error: null
+                            }), window.Classroom ? window.Classroom[e].apply(window.Classroom, t).then(function() {
+                                return r.mounted && r.setState({
+                                    busy: !1
+                                }), !0
+                            }, function(e) {
+                                return r.mounted && r.setState({
+                                    busy: !1,
+                                    error: classroomError(e)
+                                }), !1
+                            }) : (r.setState({
+                                busy: !1,
+                                error: f()("classroom.offline")
+                            }), Promise.resolve(!1))
+                        }, r.handleInput = function(e) {
+                            var t;
+                            r.setState((t = {
+                                error: null
+                            }, t[e.target.name] = "code" === e.target.name ? e.target.value.toUpperCase() : e.target.value, t))
+                        }, r.join = function(e) {
+                            e.preventDefault(), y("join_class"), r.run("join", [r.state.code, r.state.nickname]).then(function(e) {
+                                e && r.mounted && r.setState({
+                                    code: "",
+                                    nickname: ""
+                                })
+                            })
+                        }, r.leave = function() {
+                            y("leave_class"), r.run("leave", [])
+                        }, r.createClass = function(e) {
+                            e.preventDefault(), y("create_class"), r.run("createClass", [r.state.className]).then(function(e) {
+                                e && r.mounted && r.setState({
+                                    className: ""
+                                })
+                            })
+                        }, r.forgetClass = function(e) {
+                            window.Classroom && window.confirm(f()("classroom.confirmForget", {
+                                name: e.name
+                            })) && window.Classroom.forgetClass(e.code)
+                        }, r.state = {
+                            code: "",
+                            nickname: "",
+                            className: "",
+                            busy: !1,
+                            error: null
+                        }, r
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.componentDidMount = function() {
+                        this.mounted = !0
+                    }, t.prototype.componentWillUnmount = function() {
+                        this.mounted = !1
+                    }, t.prototype.render = function() {
+                        var e = this,
+                            t = this.props,
+                            n = t.classroom,
+                            r = t.teacherClasses,
+                            a = t.levelGroups,
+                            i = this.state,
+                            l = n ? n.lockedGroups.filter(function(e) {
+                                return a[e] && !a[e].isCustom
+                            }) : [];
+                        return o.a.createElement("div", {
+                            className: classroomStyles.a.main
+                        }, o.a.createElement("h2", null, f()("classroom.title")), o.a.createElement("p", null, f()("classroom.intro")), i.error && o.a.createElement("p", {
+                            role: "alert",
+                            className: classroomStyles.a.error
+                        }, i.error), o.a.createElement("section", null, o.a.createElement("h3", null, f()("classroom.pupilTitle")), n ? [o.a.createElement("p", {
+                            key: "joined"
+                        }, f()("classroom.joined", {
+                            name: n.name,
+                            nickname: n.nickname
+                        })), l.length > 0 && o.a.createElement("p", {
+                            key: "locked"
+                        }, f()("classroom.lockedGroups", {
+                            groups: l.map(function(e) {
+                                return e + 1
+                            }).join(", ")
+                        })), o.a.createElement("button", {
+                            key: "leave",
+                            className: classroomStyles.a.button,
+                            disabled: i.busy,
+                            onClick: this.leave
+                        }, f()("classroom.leave"))] : [o.a.createElement("form", {
+                            key: "join",
+                            className: classroomStyles.a.form,
+                            onSubmit: this.join
+                        }, o.a.createElement("input", {
+                            name: "code",
+                            value: i.code,
+                            maxLength: 6,
+                            autoComplete: "off",
+                            onChange: this.handleInput,
+                            placeholder: f()("classroom.code"),
+                            "aria-label": f()("classroom.code")
+                        }), o.a.createElement("input", {
+                            name: "nickname",
+                            value: i.nickname,
+                            maxLength: 20,
+                            autoComplete: "off",
+                            onChange: this.handleInput,
+                            placeholder: f()("classroom.nickname"),
+                            "aria-label": f()("classroom.nickname")
+                        }), o.a.createElement("button", {
+                            type: "submit",
+                            className: classroomStyles.a.button,
+                            disabled: i.busy || !i.code || !i.nickname.trim()
+                        }, f()("classroom.join"))), o.a.createElement("p", {
+                            key: "hint",
+                            className: classroomStyles.a.hint
+                        }, f()("classroom.nicknameHint"))]), o.a.createElement("section", null, o.a.createElement("h3", null, f()("classroom.teacherTitle")), o.a.createElement("p", null, f()("classroom.teacherIntro")), o.a.createElement("form", {
+                            className: classroomStyles.a.form,
+                            onSubmit: this.createClass
+                        }, o.a.createElement("input", {
+                            name: "className",
+                            value: i.className,
+                            maxLength: 40,
+                            autoComplete: "off",
+                            onChange: this.handleInput,
+                            placeholder: f()("classroom.className"),
+                            "aria-label": f()("classroom.className")
+                        }), o.a.createElement("button", {
+                            type: "submit",
+                            className: classroomStyles.a.button,
+                            disabled: i.busy || !i.className.trim()
+                        }, f()("classroom.create"))), r.length ? o.a.createElement("ul", {
+                            className: classroomStyles.a.list
+                        }, r.map(function(t) {
+                            return o.a.createElement("li", {
+                                key: t.code,
+                                className: classroomStyles.a.item
+                            }, o.a.createElement("strong", null, t.name), o.a.createElement("span", {
+                                className: classroomStyles.a.code
+                            }, f()("classroom.joinCode", {
+                                code: t.code
+                            })), o.a.createElement(T.a, {
+                                className: classroomStyles.a.button,
+                                to: "/klasse/" + t.code
+                            }, f()("classroom.open")), o.a.createElement("button", {
+                                className: classroomStyles.a.button,
+                                onClick: function() {
+                                    e.forgetClass(t)
+                                }
+                            }, f()("classroom.forget")))
+                        })) : o.a.createElement("p", null, f()("classroom.noClasses"))))
+                    }, t
+                }(a.Component);
+            ClassroomPanel.propTypes = {
+                classroom: p.object,
+                teacherClasses: p.array,
+                levelGroups: p.array
+            }, ClassroomPanel.defaultProps = {
+                classroom: null,
+                teacherClasses: [],
+                levelGroups: []
+            };
+            var ClassroomScreen = Object(s.b)(function(e) {
+                    return {
+                        classroom: e.app.classroom,
+                        teacherClasses: e.app.teacherClasses,
+                        levelGroups: e.game.levelGroups
+                    }
+                })(ClassroomPanel),
+                pupilLevelStatus = function(e, t, n) {
+                    // A pupil is stuck on the level they're playing once they've failed it a few times
+                    var r = e.progress;
+                    if (!r) return "none";
+                    var a = r.current && r.current.group === t && r.current.level === n,
+                        o = r.attempts[t + "-" + n] || 0;
+                    return r.completedLevels[t] && -1 !== r.completedLevels[t].indexOf(n) ? "completed" : a && o >= STUCK_ATTEMPTS ? "stuck" : a ? "current" : o ? "tried" : "none"
+                },
+                formatLastSeen = function(e) {
+                    var t = new Date(e);
+                    return t.toDateString() === (new Date).toDateString() ? t.toLocaleTimeString(f.a.getLocale(), {
+                        hour: "2-digit",
+                        minute: "2-digit"
+                    }) : t.toLocaleDateString(f.a.getLocale())
+                },
+                ClassroomDashboard = function(e) {
+                    function t(n) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var r = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n));
+                        return r.load = function() {
+                            window.Classroom ? window.Classroom.getClass(r.props.code).then(function(e) {
+                                r.mounted && r.setState({
+                                    loading: !1,
+                                    error: null,
+                                    data: e
+                                })
+                            }, function(e) {
+                                r.mounted && r.setState({
+                                    loading: !1,
+                                    error: classroomError(e)
+                                })
+                            }) : r.setState({
+                                loading: !1,
+                                error: f()("classroom.offline")
+                            })
+                        }, r.update = function(e, t) {
+                            // lockGroups and removePupil answer with the updated class
+                            window.Classroom[e].apply(window.Classroom, [r.props.code].concat(t)).then(function(e) {
+                                r.mounted && r.setState({
+                                    error: null,
+                                    data: e
+                                })
+                            }, function(e) {
+                                r.mounted && r.setState({
+                                    error: classroomError(e)
+                                })
+                            })
+                        }, r.toggleGroup = function(e) {
+                            var t = r.state.data.lockedGroups;
+                            y("lock_group"), r.update("lockGroups", [-1 === t.indexOf(e) ? t.concat([e]) : t.filter(function(t) {
+                                return t !== e
+                            })])
+                        }, r.removePupil = function(e) {
+                            window.confirm(f()("classroom.confirmRemove", {
+                                nickname: e.nickname
+                            })) && (y("remove_pupil"), r.update("removePupil", [e.id]))
+                        }, r.state = {
+                            loading: !0,
+                            error: null,
+                            data: null,
+                            selected: null
+                        }, r
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.componentDidMount = function() {
+                        this.mounted = !0, "complete" === document.readyState ? this.load() : window.addEventListener("load", this.load), this.poll = setInterval(this.load, DASHBOARD_POLL_INTERVAL)
+                    }, t.prototype.componentDidUpdate = function(e) {
+                        e.code !== this.props.code && (this.setState({
+                            loading: !0,
+                            error: null,
+                            data: null,
+                            selected: null
+                        }), this.load())
+                    }, t.prototype.componentWillUnmount = function() {
+                        this.mounted = !1, window.removeEventListener("load", this.load), clearInterval(this.poll)
+                    }, t.prototype.renderDetails = function(e, t) {
+                        var n = this,
+                            r = t.group + "-" + t.level,
+                            a = e.progress && e.progress.programs[r];
+                        return o.a.createElement("div", {
+                            className: classroomStyles.a.details
+                        }, o.a.createElement("h3", null, f()("classroom.details", {
+                            nickname: e.nickname,
+                            level: t.group + 1 + "." + (t.level + 1)
+                        })), o.a.createElement("p", null, f()("classroom.status." + pupilLevelStatus(e, t.group, t.level)), " \u00b7 ", f()("classroom.attempts", {
+                            count: e.progress && e.progress.attempts[r] || 0
+                        })), a ? o.a.createElement("pre", null, a.program) : o.a.createElement("p", null, f()("classroom.noProgram")), o.a.createElement("button", {
+                            className: classroomStyles.a.button,
+                            onClick: function() {
+                                n.setState({
+                                    selected: null
+                                })
+                            }
+                        }, f()("classroom.close")))
+                    }, t.prototype.renderPupil = function(e, t, n) {
+                        var r = this,
+                            a = this.state.selected,
+                            i = Date.now() - Date.parse(e.lastSeen) < n;
+                        return o.a.createElement("tr", {
+                            key: e.id
+                        }, o.a.createElement("th", {
+                            scope: "row",
+                            className: classroomStyles.a.pupil
+                        }, o.a.createElement("span", {
+                            className: L()(classroomStyles.a.presence, i ? classroomStyles.a.online : null),
+                            "aria-hidden": !0
+                        }, "\u25cf"), o.a.createElement("strong", null, e.nickname), o.a.createElement("small", null, i ? f()("classroom.online") : f()("classroom.lastSeen", {
+                            time: formatLastSeen(e.lastSeen)
+                        }))), t.map(function(t) {
+                            var n = pupilLevelStatus(e, t.group, t.level),
+                                i = e.progress && e.progress.attempts[t.group + "-" + t.level] || 0,
+                                s = a && a.pupilId === e.id && a.group === t.group && a.level === t.level;
+                            return o.a.createElement("td", {
+                                key: t.group + "-" + t.level,
+                                className: L()(classroomStyles.a.cell, classroomStyles.a[n], s ? classroomStyles.a.selected : null)
+                            }, o.a.createElement("button", {
+                                "aria-label": f()("classroom.cell", {
+                                    nickname: e.nickname,
+                                    level: t.group + 1 + "." + (t.level + 1),
+                                    status: f()("classroom.status." + n)
+                                }),
+                                onClick: function() {
+                                    r.setState({
+                                        selected: s ? null : {
+                                            pupilId: e.id,
+                                            group: t.group,
+                                            level: t.level
+                                        }
+                                    })
+                                }
+                            }, "completed" === n ? "\u2714" : "stuck" === n ? "!" : "current" === n ? "\u25cf" : i || ""))
+                        }), o.a.createElement("td", null, o.a.createElement("button", {
+                            className: classroomStyles.a.remove,
+                            "aria-label": f()("classroom.remove"),
+                            title: f()("classroom.remove"),
+                            onClick: function() {
+                                r.removePupil(e)
+                            }
+                        }, "\u00d7")))
+                    }, t.prototype.render = function() {
+                        var e = this,
+                            t = this.props.levelGroups,
+                            n = this.state,
+                            r = n.data,
+                            a = o.a.createElement(T.a, {
+                                className: classroomStyles.a.back,
+                                to: "/klasse"
+                            }, "\u2190 ", f()("classroom.back"));
+                        if (!r) return o.a.createElement("div", {
+                            className: L()(classroomStyles.a.main, classroomStyles.a.dashboard)
+                        }, a, n.loading ? o.a.createElement("p", {
+                            "aria-busy": !0
+                        }, f()("classroom.loading")) : o.a.createElement("p", {
+                            role: "alert",
+                            className: classroomStyles.a.error
+                        }, n.error));
+                        var i = t.filter(function(e) {
+                                return !e.isCustom
+                            }),
+                            l = i.reduce(function(e, n) {
+                                var r = t.indexOf(n);
+                                return e.concat(n.levels.map(function(e, t) {
+                                    return {
+                                        group: r,
+                                        level: t
+                                    }
+                                }))
+                            }, []),
+                            c = 2 * (window.Classroom ? window.Classroom.config.syncInterval : 15e3),
+                            V = r.pupils.filter(function(e) {
+                                return e.progress && e.progress.current && "stuck" === pupilLevelStatus(e, e.progress.current.group, e.progress.current.level)
+                            }).length,
+                            u = n.selected && r.pupils.find(function(e) {
+                                return e.id === n.selected.pupilId
+                            });
+                        return o.a.createElement("div", {
+                            className: L()(classroomStyles.a.main, classroomStyles.a.dashboard)
+                        }, a, o.a.createElement("h2", null, r.name), o.a.createElement("p", {
+                            className: classroomStyles.a.code
+                        }, f()("classroom.joinCode", {
+                            code: r.code
+                        })), n.error && o.a.createElement("p", {
+                            role: "alert",
+                            className: classroomStyles.a.error
+                        }, n.error), o.a.createElement("h3", null, f()("classroom.groupsTitle")), o.a.createElement("div", {
+                            className: classroomStyles.a.groups
+                        }, i.map(function(n) {
+                            var a = t.indexOf(n),
+                                i = -1 !== r.lockedGroups.indexOf(a);
+                            return o.a.createElement("button", {
+                                key: a,
+                                className: L()(classroomStyles.a.group, i ? classroomStyles.a.locked : null),
+                                "aria-pressed": i,
+                                onClick: function() {
+                                    e.toggleGroup(a)
+                                }
+                            }, i ? "\ud83d\udd12 " : "\ud83d\udd13 ", f()("classroom.group", {
+                                group: a + 1
+                            }))
+                        })), o.a.createElement("p", {
+                            className: classroomStyles.a.hint
+                        }, f()("classroom.lockHint")), o.a.createElement("h3", null, f()("classroom.pupils", {
+                            count: r.pupils.length
+                        }), V > 0 && o.a.createElement("span", {
+                            className: classroomStyles.a.stuckCount
+                        }, f()("classroom.stuckCount", {
+                            count: V
+                        }))), r.pupils.length ? o.a.createElement("div", {
+                            className: classroomStyles.a.grid
+                        }, o.a.createElement("table", null, o.a.createElement("thead", null, o.a.createElement("tr", null, o.a.createElement("th", {
+                            scope: "col"
+                        }, f()("classroom.pupil")), l.map(function(e) {
+                            return o.a.createElement("th", {
+                                key: e.group + "-" + e.level,
+                                scope: "col",
+                                className: -1 !== r.lockedGroups.indexOf(e.group) ? classroomStyles.a.locked : null
+                            }, e.group + 1, ".", e.level + 1)
+                        }), o.a.createElement("th", null))), o.a.createElement("tbody", null, r.pupils.map(function(t) {
+                            return e.renderPupil(t, l, c)
+                        })))) : o.a.createElement("p", null, f()("classroom.noPupils", {
+                            code: r.code
+                        })), u && this.renderDetails(u, n.selected), r.pupils.length > 0 && o.a.createElement("p", {
+                            className: classroomStyles.a.legend
+                        }, ["completed", "current", "stuck", "tried"].map(function(e) {
+                            return o.a.createElement("span", {
+                                key: e,
+                                className: L()(classroomStyles.a.cell, classroomStyles.a[e])
+                            }, f()("classroom.status." + e))
+                        })))
+                    }, t
+                }(a.Component);
+            ClassroomDashboard.propTypes = {
+                code: p.string,
+                levelGroups: p.array
+            }, ClassroomDashboard.defaultProps = {
+                levelGroups: []
+            };
+            var ClassroomDashboardScreen = Object(s.b)(function(e) {
+                    return {
+                        levelGroups: e.game.levelGroups
+                    }
+                })(ClassroomDashboard),
+                ja = n("S/9n"),
+                qa = n.n(ja);
+            var EDITOR_COMMANDS = [we.c, we.b, we.e, we.f, we.j, we.d, we.t, we.z],
+                EDITOR_FUNCTIONS = ["A"],
+                LEVEL_MAX_COMMANDS = 30,
+                LEVEL_TITLE_MAX_LENGTH = 60,
+                LEVEL_HINT_MAX_LENGTH = 300,
+                PLATFORM_MAX_PATH = 8,
+                HEADING_ARROWS = {
+                    up: "\u2191",
+                    right: "\u2192",
+                    down: "\u2193",
+                    left: "\u2190"
+                },
+                numberOptions = function(e, t) {
+                    for (var n = []; e <= t; e++) n.push(o.a.createElement("option", {
+                        key: e,
+                        value: e
+                    }, e));
+                    return n
+                };
+            var Fa = function(e) {
+                function t() {
+                    ! function(e, t) {
+                        if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                    }(this, t);
+                    var n = function(e, t) {
+                        if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                        return !t || "object" != typeof t && "function" != typeof t ? e : t
+                    }(this, e.call(this));
+                    return n.state = {
+                        settingsVisible: !1
+                    }, n.toggleSettings = function() {
+                        n.setState({
+                            settingsVisible: !n.state.settingsVisible
+                        })
+                    }, n.setText = function(e, t) {
+                        // Texts are committed when the field loses focus, so typing doesn't rebuild the board
+                        var r = t.trim() || void 0;
+                        r !== n.props.currentLevelData[e] && n.props.setLevelSettings((a = {}, a[e] = r, a));
+                        var a
+                    }, n.toggleCommand = function(e, t) {
+                        var r = n.props.currentLevelData.commands,
+                            a = EDITOR_COMMANDS.filter(function(n) {
+                                return n === e ? t : -1 !== r.indexOf(n)
+                            });
+                        n.props.setLevelSettings({
+                            commands: a,
+                            functions: -1 !== a.indexOf(we.z) ? EDITOR_FUNCTIONS : void 0
+                        })
+                    }, n
+                }
+                return function(e, t) {
+                    if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                    e.prototype = Object.create(t && t.prototype, {
+                        constructor: {
+                            value: e,
+                            enumerable: !1,
+                            writable: !0,
+                            configurable: !0
+                        }
+                    }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                }(t, e), t.prototype.renderSettings = function() {
+                    var e = this,
+                        t = this.props,
+                        n = t.currentLevelData,
+                        r = t.setLevelSettings,
+                        a = t.resizeLevel,
+                        i = Object(Xr.d)(n.tiles);
+                    return o.a.createElement("form", {
+                        className: qa.a.settings,
+                        onSubmit: function(e) {
+                            return e.preventDefault()
+                        }
+                    }, o.a.createElement("h2", null, f()("levelEditor.settings.title")), o.a.createElement("fieldset", null, o.a.createElement("legend", null, f()("levelEditor.settings.size")), o.a.createElement("select", {
+                        "aria-label": f()("levelEditor.settings.width"),
+                        value: i.width,
+                        onChange: function(e) {
+                            return a(Number(e.target.value), i.height)
+                        }
+                    }, numberOptions(Xr.e, Xr.f)), o.a.createElement("span", {
+                        "aria-hidden": !0
+                    }, "\u00d7"), o.a.createElement("select", {
+                        "aria-label": f()("levelEditor.settings.height"),
+                        value: i.height,
+                        onChange: function(e) {
+                            return a(i.width, Number(e.target.value))
+                        }
+                    }, numberOptions(Xr.e, Xr.f))), o.a.createElement("label", null, f()("levelEditor.settings.maxCommands"), o.a.createElement("select", {
+                        value: n.maxCommands,
+                        onChange: function(e) {
+                            return r({
+                                maxCommands: Number(e.target.value)
+                            })
+                        }
+                    }, numberOptions(1, LEVEL_MAX_COMMANDS))), o.a.createElement("fieldset", {
+                        className: qa.a.commands
+                    }, o.a.createElement("legend", null, f()("levelEditor.settings.commands")), EDITOR_COMMANDS.map(function(t) {
+                        var r = -1 !== n.commands.indexOf(t);
+                        return o.a.createElement("label", {
+                            key: t
+                        }, o.a.createElement("input", {
+                            type: "checkbox",
+                            checked: r,
+                            disabled: r && 1 === n.commands.length,
+                            onChange: function(n) {
+                                return e.toggleCommand(t, n.target.checked)
+                            }
+                        }), f()("levelEditor.commands." + t))
+                    })), o.a.createElement("label", null, f()("levelEditor.settings.heading"), o.a.createElement("select", {
+                        value: n.heading || HEADINGS[1],
+                        onChange: function(e) {
+                            return r({
+                                heading: e.target.value
+                            })
+                        }
+                    }, HEADINGS.map(function(e) {
+                        return o.a.createElement("option", {
+                            key: e,
+                            value: e
+                        }, HEADING_ARROWS[e] + " " + f()("levelEditor.headings." + e))
+                    }))), o.a.createElement("label", null, f()("levelEditor.settings.math"), o.a.createElement("select", {
+                        value: n.math || 0,
+                        onChange: function(e) {
+                            return r({
+                                math: Number(e.target.value) || void 0
+                            })
+                        }
+                    }, numberOptions(-9, 9))), o.a.createElement("label", null, f()("levelEditor.settings.levelTitle"), o.a.createElement("input", {
+                        key: "title-" + (n.title || ""),
+                        type: "text",
+                        name: "levelTitle",
+                        maxLength: LEVEL_TITLE_MAX_LENGTH,
+                        defaultValue: n.title || "",
+                        onBlur: function(t) {
+                            return e.setText("title", t.target.value)
+                        }
+                    })), o.a.createElement("label", null, f()("levelEditor.settings.hint"), o.a.createElement("textarea", {
+                        key: "hint-" + (n.hint || ""),
+                        name: "levelHint",
+                        rows: 3,
+                        maxLength: LEVEL_HINT_MAX_LENGTH,
+                        defaultValue: n.hint || "",
+                        onBlur: function(t) {
+                            return e.setText("hint", t.target.value)
+                        }
+                    })), this.renderTiles())
+                }, t.prototype.renderTiles = function() {
+                    var e = this.props,
+                        t = e.currentLevelData.tiles,
+                        n = e.setTileData,
+                        r = t.filter(function(e) {
+                            return e.type === F.D || e.type === F.E
+                        }),
+                        a = function(e) {
+                            return t.some(function(t) {
+                                return t.x === e.x && t.y === e.y
+                            })
+                        };
+                    return r.length ? o.a.createElement("fieldset", null, o.a.createElement("legend", null, f()("levelEditor.settings.tiles")), r.map(function(e) {
+                        var t = {
+                            x: e.x,
+                            y: e.y
+                        };
+                        if (e.type === F.D) return o.a.createElement("fieldset", {
+                            key: e.x + "," + e.y,
+                            className: qa.a.tile
+                        }, o.a.createElement("legend", null, f()("levelEditor.tiles.blinking", t)), o.a.createElement("label", null, f()("levelEditor.tiles.period"), o.a.createElement("select", {
+                            value: e.period || 1,
+                            onChange: function(t) {
+                                return n(e.x, e.y, sa({}, e, {
+                                    period: Number(t.target.value)
+                                }))
+                            }
+                        }, numberOptions(1, 8))), o.a.createElement("label", null, f()("levelEditor.tiles.offset"), o.a.createElement("select", {
+                            value: e.offset || 0,
+                            onChange: function(t) {
+                                return n(e.x, e.y, sa({}, e, {
+                                    offset: Number(t.target.value)
+                                }))
+                            }
+                        }, numberOptions(0, 16))));
+                        var r = e.path && e.path.length > 1 ? e.path : [t],
+                            i = r[r.length - 1];
+                        return o.a.createElement("fieldset", {
+                            key: e.x + "," + e.y,
+                            className: qa.a.tile
+                        }, o.a.createElement("legend", null, f()("levelEditor.tiles.platform", t)), o.a.createElement("span", null, f()("levelEditor.tiles.route", {
+                            steps: r.length - 1
+                        })), HEADINGS.map(function(t, s) {
+                            var l = {
+                                x: i.x + F.e[s].x,
+                                y: i.y + F.e[s].y
+                            };
+                            return o.a.createElement("button", {
+                                key: t,
+                                type: "button",
+                                "aria-label": f()("levelEditor.headings." + t),
+                                disabled: r.length >= PLATFORM_MAX_PATH || !a(l),
+                                onClick: function() {
+                                    return n(e.x, e.y, sa({}, e, {
+                                        path: r.concat(l)
+                                    }))
+                                }
+                            }, HEADING_ARROWS[t])
+                        }), o.a.createElement("button", {
+                            type: "button",
+                            "aria-label": f()("levelEditor.tiles.removeStep"),
+                            disabled: r.length < 2,
+                            onClick: function() {
+                                return n(e.x, e.y, sa({}, e, {
+                                    path: r.slice(0, -1)
+                                }))
+                            }
+                        }, "\u2715"))
+                    })) : null
+                }, t.prototype.render = function() {
+                    var e = this.props,
+                        t = e.game,
+                        n = e.setGame,
+                        r = e.currentLevelData,
+                        a = e.saveLevel,
+                        i = (e.currentCustomLevelCode, e.savingInProgress),
+                        s = this.state.settingsVisible && !t;
+                    return o.a.createElement("div", {
+                        className: qa.a.main
+                    }, s && this.renderSettings(), o.a.createElement("button", {
+                        disabled: !_(r) && !t,
+                        onClick: function() {
+                            return n(!t)
+                        }
+                    }, t ? f()("levelEditor.buttonLabelEdit") : f()("levelEditor.buttonLabelTest")), !t && o.a.createElement("button", {
+                        "aria-expanded": s,
+                        onClick: this.toggleSettings
+                    }, f()("levelEditor.buttonLabelSettings")), o.a.createElement("button", {
+                        disabled: !isLevelSaveable(r),
+                        onClick: function() {
+                            return a(toSavedLevel(r))
                         }
                     }, i ? o.a.createElement(ue, {
                         className: qa.a.savingInProgress
@@ -3608,7 +6806,10 @@
                 currentCustomLevelCode: A.a.oneOfType([p.bool, p.string]),
                 currentLevelData: p.object,
                 saveLevel: p.func,
-                savingInProgress: p.bool
+                savingInProgress: p.bool,
+                setLevelSettings: p.func,
+                resizeLevel: p.func,
+                setTileData: p.func
             };
             var Ga = Object(s.b)(function(e) {
                     return {
@@ -3620,7 +6821,10 @@
                     }
                 }, {
                     setGame: j.r,
-                    saveLevel: q.r
+                    saveLevel: q.r,
+                    setLevelSettings: q.S,
+                    resizeLevel: q.U,
+                    setTileData: q.y
                 })(Fa),
                 Qa = n("1w3K"),
                 _a = function(e, t) {
@@ -3797,6 +7001,22 @@
                         d: "M13 20l8-8-8-8"
                     })))
                 },
+                VideoIcon = function() {
+                    return o.a.createElement("svg", {
+                        height: "24",
+                        viewBox: "0 0 24 24",
+                        width: "24",
+                        xmlns: "http://www.w3.org/2000/svg"
+                    }, o.a.createElement("g", {
+                        fill: "none",
+                        stroke: "#ff003a",
+                        strokeLinejoin: "round"
+                    }, o.a.createElement("path", {
+                        d: "M2.5 6.5h13v11h-13z"
+                    }), o.a.createElement("path", {
+                        d: "M15.5 10.5l6-3v9l-6-3"
+                    })))
+                },
                 to = n("XiDY"),
                 no = n.n(to),
                 ro = 600;
@@ -3831,12 +7051,34 @@
                                     return !e.isCustom
                                 }),
                                 r = e.indexOf(o[n]);
-                            if (-1 !== r) {
+                            if (o[n].pack) t + 1 < o[n].levels.length && i(n, t + 1);
+                            else if (-1 !== r) {
                                 var a = e[r].levels,
                                     s = o.indexOf(e[r]);
                                 t + 1 < a.length ? i(s, t + 1) : r + 1 < e.length && i(o.indexOf(e[r + 1]), 0)
                             }
                         }, ro)
+                    }, r.share = function() {
+                        var e = r.props,
+                            t = e.currentLevel,
+                            n = e.currentLevelGroup,
+                            a = e.levelGroups[n] && e.levelGroups[n].levels[t];
+                        a && isPrivateLevelCode(a.levelId) ? shareOnWall(f()("share.app")) : a && a.levelId ? shareOnWall(f()("share.customVictory", {
+                            code: a.levelId
+                        }), "level=" + a.levelId).then(function(t) {
+                            t && e.shareLevel(a.levelId)
+                        }) : shareOnWall(f()("share.victory", {
+                            level: n + 1 + "." + (t + 1)
+                        }))
+                    }, r.getWinningReplay = function() {
+                        // The winning run is the newest replay of the level; the program itself is cleared by now
+                        var e = r.props,
+                            t = e.currentLevelData && Object(replayRecords.d)(e.currentLevelData, e.currentLevelGroup, e.currentLevel),
+                            n = t && e.replays[Object(replayRecords.c)(t)];
+                        return n && n[0] && n[0].completed ? n[0] : null
+                    }, r.saveClip = function() {
+                        var e = r.getWinningReplay();
+                        e && r.props.playReplay(e, 1, !0)
                     }, r.dialogRef = o.a.createRef(), r
                 }
                 return function(e, t) {
@@ -3855,12 +7097,10 @@
                         n = t.levelGroups,
                         r = t.currentLevelGroup,
                         a = t.currentLevel,
-                        i = n.filter(function(e) {
-                            return !e.isCustom
-                        }),
-                        s = i.indexOf(n[r]),
-                        l = -1 === s || s + 1 >= i.length && a + 1 >= n[r].levels.length,
-                        c = l ? f()("levelCompleteDialog.lastLevel") : f()("levelCompleteDialog.body");
+                        l = isLastLevel(n, r, a),
+                        nextLocked = !l && -1 !== t.lockedGroups.indexOf(nextLevelGroup(n, r, a)),
+                        c = l ? f()("levelCompleteDialog.lastLevel") : nextLocked ? f()("classroom.nextLocked") : f()("levelCompleteDialog.body"),
+                        i = t.levelScore;
                     return o.a.createElement("div", {
                         ref: this.dialogRef,
                         className: no.a.main
@@ -3868,13 +7108,19 @@
                         className: no.a.inner
                     }, o.a.createElement("div", {
                         className: no.a.text
-                    }, o.a.createElement("h2", null, r + 1, ".", a + 1), o.a.createElement("p", {
+                    }, o.a.createElement("h2", null, r + 1, ".", a + 1), i && renderStars(i.stars, no.a.stars), i && o.a.createElement("p", {
+                        className: no.a.score
+                    }, f()("levelCompleteDialog.score", {
+                        commands: i.numCommands,
+                        optimal: i.optimalCommands,
+                        attempts: i.attempts
+                    })), o.a.createElement("p", {
                         dangerouslySetInnerHTML: {
                             __html: c
                         }
                     })), o.a.createElement("div", {
                         className: no.a.actions
-                    }, l ? o.a.createElement(T.a, {
+                    }, l || nextLocked ? o.a.createElement(T.a, {
                         className: no.a.next,
                         to: "/brett"
                     }, o.a.createElement("span", null, f()("levelCompleteDialog.gotoLevels")), o.a.createElement(eo, null)) : o.a.createElement("button", {
@@ -3887,35 +7133,60 @@
                         onClick: function() {
                             b("retry"), e.retry()
                         }
-                    }, o.a.createElement(ue, null), o.a.createElement("span", null, f()("levelCompleteDialog.retryButtonLabel"))))))
+                    }, o.a.createElement(ue, null), o.a.createElement("span", null, f()("levelCompleteDialog.retryButtonLabel"))), o.a.createElement("button", {
+                        className: no.a.share,
+                        onClick: function() {
+                            b("share"), e.share()
+                        }
+                    }, o.a.createElement(Z, null), o.a.createElement("span", null, f()("levelCompleteDialog.shareButtonLabel"))), this.getWinningReplay() && o.a.createElement("button", {
+                        className: no.a.share,
+                        onClick: function() {
+                            b("clip"), e.saveClip()
+                        }
+                    }, o.a.createElement(VideoIcon, null), o.a.createElement("span", null, f()("levelCompleteDialog.clipButtonLabel"))))))
                 }, t
             }(a.Component);
             ao.propTypes = {
                 currentLevel: p.number,
                 currentLevelGroup: p.number,
                 levelGroups: p.array,
+                levelScore: p.object,
+                currentLevelData: p.object,
+                replays: p.object,
+                lockedGroups: p.array,
                 displayLevelCompleteDialog: p.func,
+                shareLevel: p.func,
                 setLevel: p.func,
-                setRestart: p.func
+                setRestart: p.func,
+                playReplay: p.func
             }, ao.defaultProps = {
                 levelCompleteDialogVisible: !1,
                 currentLevel: 0,
                 currentLevelGroup: 0,
                 levelGroups: [],
+                replays: {},
+                lockedGroups: [],
                 displayLevelCompleteDialog: function() {},
                 setLevel: function() {},
-                setRestart: function() {}
+                setRestart: function() {},
+                shareLevel: function() {}
             };
             var oo = Object(s.b)(function(e) {
                     return {
                         currentLevel: e.game.currentLevel,
                         currentLevelGroup: e.game.currentLevelGroup,
-                        levelGroups: e.game.levelGroups
+                        levelGroups: e.game.levelGroups,
+                        levelScore: e.app.levelScore,
+                        currentLevelData: e.game.currentLevelData,
+                        replays: e.app.replays,
+                        lockedGroups: e.app.classroom ? e.app.classroom.lockedGroups : void 0
                     }
                 }, {
                     displayLevelCompleteDialog: j.o,
                     setLevel: q.u,
-                    setRestart: q.x
+                    setRestart: q.x,
+                    shareLevel: j.K,
+                    playReplay: replayRecords.g
                 })(ao),
                 io = n("bCCX"),
                 so = n.n(io);
@@ -3943,42 +7214,48 @@
                     var e = this.props,
                         t = e.currentLevelGroup,
                         n = e.displayInstructions,
-                        r = e.levelGroupData;
-                    return o.a.createElement("div", {
+                        r = e.levelGroupData,
+                        a = e.levelData,
+                        i = r && r.intro,
+                        video = i && r.intro.video;
+                    return i || levelNote(a) ? o.a.createElement("div", {
                         className: so.a.main
                     }, o.a.createElement("div", {
                         className: so.a.inner
                     }, o.a.createElement("div", {
-                        className: so.a.instructionVideo
+                        className: L()(so.a.instructionVideo, video ? null : so.a.noVideo)
                     }, o.a.createElement("button", {
                         className: so.a.close,
                         onClick: function() {
                             return n(!1, t)
                         }
-                    }, o.a.createElement("span", null, "Закрыть"), o.a.createElement(Yt, null)), o.a.createElement("video", {
+                    }, o.a.createElement("span", null, f()("nav.close")), o.a.createElement(Yt, null)), video && o.a.createElement("video", {
                         autoPlay: !0,
                         loop: !0,
                         muted: !0,
                         playsInline: !0,
-                        src: r.intro.video
+                        src: video
                     })), o.a.createElement("div", {
                         className: so.a.textContainer
                     }, o.a.createElement("div", {
                         className: so.a.textfield
-                    }, r.intro.text), o.a.createElement("div", {
+                    }, i && o.a.createElement("p", null, introText(r)), a && a.title && o.a.createElement("h3", {
+                        className: so.a.levelTitle
+                    }, packText(a.title)), a && a.hint && o.a.createElement("p", null, packText(a.hint))), o.a.createElement("div", {
                         className: so.a.button
                     }, o.a.createElement("button", {
                         onClick: function() {
                             return n(!1, t)
                         }
-                    }, "Ok")))))
+                    }, "Ok"))))) : null
                 }, t
             }(a.Component);
             lo.propTypes = {
                 displayInstructions: p.func,
                 levelGroup: p.object,
                 currentLevelGroup: p.number,
-                levelGroupData: p.object
+                levelGroupData: p.object,
+                levelData: p.object
             }, lo.defaultProps = {
                 displayInstructions: function() {},
                 currentLevelGroup: 0
@@ -3986,7 +7263,8 @@
             var co = Object(s.b)(function(e) {
                     return {
                         currentLevelGroup: e.game.currentLevelGroup,
-                        levelGroupData: e.game.levelGroups[e.game.currentLevelGroup]
+                        levelGroupData: e.game.levelGroups[e.game.currentLevelGroup],
+                        levelData: e.game.currentLevelData
                     }
                 }, {
                     displayInstructions: j.n
@@ -4175,6 +7453,7 @@
                 Mo = n.n(To),
                 Lo = n("1t8Y"),
                 ko = n("TaP5"),
+                ruTranslations = n("Ru5k"),
                 So = n("qZLe"),
                 Ro = n.n(So);
             var Do = function(e) {
@@ -4229,8 +7508,153 @@
             Do.propTypes = {
                 helpText: p.string
             };
-            var Po = Do;
-            f.a.registerTranslations("nb", Lo), f.a.registerTranslations("en", ko), f.a.setLocale("en");
+            var Po = Do,
+                LOCALES = {
+                    ru: {
+                        translations: ruTranslations,
+                        name: "Русский",
+                        speechLang: "ru-RU"
+                    },
+                    en: {
+                        translations: ko,
+                        name: "English",
+                        speechLang: "en-US"
+                    },
+                    nb: {
+                        translations: Lo,
+                        name: "Norsk",
+                        speechLang: "nb-NO"
+                    }
+                },
+                DEFAULT_LOCALE = "ru",
+                LOCALE_STORAGE_KEY = "locale",
+                LOCALE_ALIASES = {
+                    uk: "ru",
+                    be: "ru",
+                    kk: "ru",
+                    no: "nb",
+                    nn: "nb"
+                },
+                findLocale = function(e) {
+                    var t = String(e || "").toLowerCase().split(/[-_]/)[0];
+                    return t = LOCALE_ALIASES[t] || t, Object.prototype.hasOwnProperty.call(LOCALES, t) ? t : null
+                },
+                detectLocale = function() {
+                    var e = /[?&]vk_language=([^&]*)/.exec(window.location.search);
+                    return [window.GameStorage && window.GameStorage.get(LOCALE_STORAGE_KEY), e && decodeURIComponent(e[1])].concat(navigator.languages || [navigator.language]).map(findLocale).filter(Boolean)[0] || DEFAULT_LOCALE
+                },
+                getTranslationKeys = function(e, t) {
+                    return Object.keys(e).reduce(function(n, r) {
+                        var a = t ? t + "." + r : r;
+                        return n.concat("object" == typeof e[r] ? getTranslationKeys(e[r], a) : [a])
+                    }, [])
+                },
+                findMissingTranslations = function() {
+                    var e = {},
+                        t = [];
+                    return Object.keys(LOCALES).forEach(function(n) {
+                        e[n] = getTranslationKeys(LOCALES[n].translations), t = t.concat(e[n])
+                    }), Object.keys(e).reduce(function(n, r) {
+                        return n[r] = t.filter(function(t, n, a) {
+                            return a.indexOf(t) === n && -1 === e[r].indexOf(t)
+                        }), n
+                    }, {})
+                },
+                applyLocale = function(e) {
+                    f.a.setLocale(e), document.documentElement.lang = e
+                },
+                missingTranslations = findMissingTranslations();
+            Object.keys(LOCALES).forEach(function(e) {
+                f.a.registerTranslations(e, LOCALES[e].translations), missingTranslations[e].length && console.warn('Missing translations in "' + e + '":', missingTranslations[e])
+            }), f.a.setFallbackLocale(DEFAULT_LOCALE), f.a.onTranslationNotFound(function(e, t) {
+                console.warn('Missing translation in "' + e + '": ' + t)
+            }), applyLocale(detectLocale()), V.dispatch(Object(j.y)(f.a.getLocale())), V.subscribe(function() {
+                var e = V.getState().app.locale;
+                e !== f.a.getLocale() && (applyLocale(e), window.GameStorage && window.GameStorage.set(LOCALE_STORAGE_KEY, e))
+            }), window.GameStorage && window.GameStorage.subscribe(function(e, t, n) {
+                e === LOCALE_STORAGE_KEY && n !== window.GameStorage.SOURCES.WRITE && findLocale(t) && V.dispatch(Object(j.y)(findLocale(t)))
+            });
+            var persistAppState = function(e, t) {
+                var n = void 0,
+                    r = function() {
+                        var r = window.GameStorage.getJSON(e, null);
+                        r && "object" == typeof r && V.dispatch(t(r)), n = V.getState().app[e]
+                    };
+                r(), V.subscribe(function() {
+                    var t = V.getState().app[e];
+                    t !== n && (n = t, window.GameStorage.setJSON(e, t))
+                }), window.GameStorage.subscribe(function(t, n, a) {
+                    t === e && a !== window.GameStorage.SOURCES.WRITE && r()
+                })
+            };
+            window.GameStorage && (persistAppState("levelScores", j.C), persistAppState("achievements", j.J), persistAppState("replays", j.Q), persistAppState("classroom", j.T), persistAppState("teacherClasses", j.U), persistAppState("levelPacks", j.W), persistAppState("levelAttempts", j.ab), persistAppState("hintsUsed", j.eb));
+            var ACHIEVEMENT_TOAST_DURATION = 4e3,
+                AchievementToast = function(e) {
+                    function t(n) {
+                        ! function(e, t) {
+                            if (!(e instanceof t)) throw new TypeError("Cannot call a class as a function")
+                        }(this, t);
+                        var r = function(e, t) {
+                            if (!e) throw new ReferenceError("this hasn't been initialised - super() hasn't been called");
+                            return !t || "object" != typeof t && "function" != typeof t ? e : t
+                        }(this, e.call(this, n));
+                        return r.ref = o.a.createRef(), r
+                    }
+                    return function(e, t) {
+                        if ("function" != typeof t && null !== t) throw new TypeError("Super expression must either be null or a function, not " + typeof t);
+                        e.prototype = Object.create(t && t.prototype, {
+                            constructor: {
+                                value: e,
+                                enumerable: !1,
+                                writable: !0,
+                                configurable: !0
+                            }
+                        }), t && (Object.setPrototypeOf ? Object.setPrototypeOf(e, t) : e.__proto__ = t)
+                    }(t, e), t.prototype.componentDidMount = function() {
+                        this.show()
+                    }, t.prototype.componentDidUpdate = function(e) {
+                        e.achievementId !== this.props.achievementId && this.show()
+                    }, t.prototype.componentWillUnmount = function() {
+                        clearTimeout(this.timer)
+                    }, t.prototype.show = function() {
+                        var e = this.props.dismiss;
+                        clearTimeout(this.timer), this.ref.current && (yn.f.fromTo(this.ref.current, .8, {
+                            y: 50,
+                            opacity: 0
+                        }, {
+                            y: 0,
+                            opacity: 1
+                        }), this.timer = setTimeout(e, ACHIEVEMENT_TOAST_DURATION))
+                    }, t.prototype.render = function() {
+                        var e = this.props,
+                            t = e.achievementId,
+                            n = t && Object(achievementRules.a)(e.levelGroups).find(function(e) {
+                                return e.id === t
+                            });
+                        return n ? o.a.createElement("div", {
+                            className: achievementStyles.a.toast,
+                            role: "status",
+                            ref: this.ref,
+                            onClick: e.dismiss
+                        }, o.a.createElement("span", {
+                            className: achievementStyles.a.icon,
+                            "aria-hidden": !0
+                        }, n.icon), o.a.createElement("div", null, o.a.createElement("p", null, f()("achievements.unlocked")), o.a.createElement("strong", null, achievementText(n, "title")))) : null
+                    }, t
+                }(a.Component);
+            AchievementToast.propTypes = {
+                achievementId: p.string,
+                levelGroups: p.array,
+                dismiss: p.func
+            };
+            var AchievementToastContainer = Object(s.b)(function(e) {
+                    return {
+                        achievementId: e.app.achievementToasts[0],
+                        levelGroups: e.game.levelGroups
+                    }
+                }, {
+                    dismiss: j.I
+                })(AchievementToast);
             var Bo = O.a && "IE" === O.a.browser && "Windows" === O.a.os,
                 No = O.a && "Safari" === O.a.browser && "iOS" === O.a.os,
                 jo = function(e) {
@@ -4280,7 +7704,7 @@
                             V = t.instructionsViewed,
                             u = t.setEditorMode,
                             p = t.editorModeActive;
-                        e.currentLevel === r && e.currentLevelGroup === a || c(0), !1 === n && !0 === e.gameRunning && !0 === this.props.currentLevelData.finished && !0 === this.props.currentLevelData.completed && !1 === this.props.editorModeActive && (o(!0), l()), e.location.pathname !== this.props.location.pathname && u(this.props.location.pathname === "/" + ve), (e.currentLevelGroup === a || 0 !== r) && e.game === s || -1 !== V.indexOf(a) || p || i(!0)
+                        e.currentLevel === r && e.currentLevelGroup === a || c(0), !1 === n && !0 === e.gameRunning && !0 === this.props.currentLevelData.finished && !0 === this.props.currentLevelData.completed && !1 === this.props.editorModeActive && (o(!0), l()), e.location.pathname !== this.props.location.pathname && u(this.props.location.pathname === "/" + ve), p || ((e.currentLevelGroup === a || 0 !== r) && e.game === s || -1 !== V.indexOf(a) || !this.props.levelGroups[a] || !this.props.levelGroups[a].intro) && (e.currentLevel === r && e.currentLevelGroup === a && e.game === s || !s || !levelNote(this.props.currentLevelData)) || i(!0)
                     }, t.prototype.render = function() {
                         var e = this,
                             t = this.props,
@@ -4292,6 +7716,7 @@
                             l = t.weCareAboutPrivacy,
                             c = t.editorModeActive,
                             V = t.backgroundColor,
+                            locale = t.locale,
                             u = (t.setGame, t.getLevel, {
                                 backgroundColor: "#" + V.toString(16)
                             });
@@ -4301,7 +7726,9 @@
                         }, (this.state.showStage || c || n) && o.a.createElement(Oa, {
                             visible: n || c,
                             editorModeActive: c
-                        }), o.a.createElement(mo, {
+                        }), o.a.createElement(o.a.Fragment, {
+                            key: locale
+                        }, o.a.createElement(mo, {
                             visible: s && n,
                             durationIn: 900,
                             durationOut: ro
@@ -4322,6 +7749,34 @@
                             render: function() {
                                 return o.a.createElement(La, null, o.a.createElement(Na, null))
                             }
+                        }), o.a.createElement(d.a, {
+                            path: "/toppliste",
+                            render: function() {
+                                return o.a.createElement(La, null, o.a.createElement(LeaderboardScreen, null))
+                            }
+                        }), o.a.createElement(d.a, {
+                            path: "/merker",
+                            render: function() {
+                                return o.a.createElement(La, null, o.a.createElement(AchievementsScreen, null))
+                            }
+                        }), o.a.createElement(d.a, {
+                            path: "/opptak",
+                            render: function() {
+                                return o.a.createElement(La, null, o.a.createElement(ReplaysScreen, null))
+                            }
+                        }), o.a.createElement(d.a, {
+                            path: "/klasse",
+                            exact: !0,
+                            render: function() {
+                                return o.a.createElement(La, null, o.a.createElement(ClassroomScreen, null))
+                            }
+                        }), o.a.createElement(d.a, {
+                            path: "/klasse/:code",
+                            render: function(e) {
+                                return o.a.createElement(La, null, o.a.createElement(ClassroomDashboardScreen, {
+                                    code: e.match.params.code
+                                }))
+                            }
                         }), o.a.createElement(d.a, {
                             path: "/",
                             exact: !0,
@@ -4349,7 +7804,7 @@
                             className: Mo.a.privacyDialogContainer
                         }, o.a.createElement(go, null)), this.props.helpText && o.a.createElement(Po, {
                             helpText: this.props.helpText
-                        }), !Bo && o.a.createElement(Zt, null))
+                        }), o.a.createElement(ReplayBarContainer, null), o.a.createElement(ClipPanelContainer, null), o.a.createElement(AchievementToastContainer, null), !Bo && o.a.createElement(Zt, null)))
                     }, t
                 }(a.Component);
             jo.propTypes = {
@@ -4374,6 +7829,7 @@
                 editorModeActive: p.bool,
                 setEditorMode: p.func,
                 helpText: p.string,
+                locale: p.string,
                 currentLevelData: p.object,
                 getLevel: p.func,
                 setGame: p.func
@@ -4420,7 +7876,8 @@
                         instructionsVisible: e.app.instructionsVisible,
                         backgroundColor: e.game.backgroundColor,
                         commands: e.commands,
-                        helpText: e.app.helpText
+                        helpText: e.app.helpText,
+                        locale: e.app.locale
                     }
                 }, {
                     getLevel: q.p,
@@ -4456,16 +7913,21 @@
             e.exports = {
                 lead: "Kodedager",
                 nav: {
-                    level: "Выбрать уровень",
-                    play: "Игра в код",
-                    help: "Помощь",
+                    achievements: "Merker",
+                    leaderboard: "Toppliste",
+                    replays: "Opptak",
+                    classroom: "Klasse",
+                    level: "Velg brett",
+                    play: "Spill",
+                    help: "Hjelp",
                     share: "Del",
-                    close: "Закрыть",
-                    back: "Назад",
-                    create: "Создать уровень",
-                    save: "Сохранить",
-                    discard: "Отменить",
-                    load: "Загрузить уровень",
+                    close: "Lukk",
+                    back: "Tilbake",
+                    create: "Lag brett",
+                    save: "Lagre",
+                    discard: "Forkast",
+                    load: "Last inn brett",
+                    language: "Språk",
                     voice: {
                         on: "Stemme på",
                         off: "Stemme av"
@@ -4474,22 +7936,32 @@
                         on: "Lyd på",
                         off: "Lyd av"
                     },
-                    loadError: "Мы не смогли найти уровень с таким кодом :-(",
+                    loadError: "Vi fant ikke noe brett med den koden :-(",
                     apiError: "Vi klarte ikke å hente brettet ditt pga. en teknisk feil :-("
                 },
                 startScreen: {
-                    title: "Помоги Biip добраться домой с помощью кода!",
+                    title: "Hjelp Biip hjem ved hjelp av koding!",
                     lead: " Fra 15. sept.- 1. des. arrangerer <br>Equinor Morgenendagens Helter <br>i samarbeid med 6 vitensentre, <br>kodedager.",
                     link: "Finn nærmeste her",
-                    button: "Начать игру"
+                    button: "Start spillet"
                 },
                 introduction: {
-                    body: "Romskipet til Biip har gått tom for strøm. Помощь Biip frem til vindmøllen så han får ladet opp og kommet seg hjem.",
-                    buttonLabel: "Далее"
+                    body: "Romskipet til Biip har gått tom for strøm. Hjelp Biip frem til vindmøllen så han får ladet opp og kommet seg hjem.",
+                    buttonLabel: "Neste"
+                },
+                instructions: {
+                    commands: "Dra kodeblokkene inn i feltet for å gi Biip instruksjoner",
+                    loops: "Kjør kode flere ganger ved å legge kodeblokker inni de brune blokkene. Trykk på tallet for å endre hvor mange ganger.",
+                    math: "Led Biip gjennom matteblokkene til tallet i hodet til Biip er det samme som tallet på porten",
+                    turns: "Snu Biip til venstre eller høyre med de blå kodeblokkene",
+                    gates: "Led Biip gjennom den gule blokken for å åpne porten"
                 },
                 info: {
                     title: "Kodedager 2018",
                     body: "Fra 15. sept. arrangerer Equinor Morgendagens Helter i samarbeid 6 vitensentre kodedager for de mellom 6–12 år. La barna utforske og lære mer om alt det spennende man kan gjøre med koding.",
+                    date: "Dato",
+                    place: "Sted",
+                    map: "Kart",
                     locations: {
                         Oslo: {
                             city: "Sarpsborg",
@@ -4548,39 +8020,341 @@
                     }
                 },
                 levelCompleteDialog: {
-                    body: "Ты справился!<br/>Давай попробуем следующий уровень.",
-                    lastLevel: "Ура, ты прошёл последний уровень!<br/>Теперь можешь сыграть заново.",
-                    gotoLevels: "Выбрать уровень",
-                    retryButtonLabel: "Играть снова",
-                    nextButtonLable: "Далее"
+                    body: "Bra jobbet!<br/>La oss prøve neste brett.",
+                    lastLevel: "Hurra, du har klart det siste brettet!<br/>Nå kan du spille på nytt.",
+                    gotoLevels: "Velg brett",
+                    retryButtonLabel: "Spill igjen",
+                    nextButtonLable: "Neste",
+                    shareButtonLabel: "Del",
+                    clipButtonLabel: "Lagre video",
+                    score: "Kommandoer: %(commands)s (beste løsning: %(optimal)s) · Forsøk: %(attempts)s"
                 },
                 privacy: {
-                    body: "Мы используем cookies для улучшения работы сайта. Закрывая это сообщение, вы соглашаетесь с использованием cookies.",
-                    buttonLabel: "Закрыть"
+                    body: "Vi bruker informasjonskapsler for å gjøre nettstedet bedre. Ved å lukke denne meldingen godtar du at vi bruker informasjonskapsler.",
+                    buttonLabel: "Lukk"
                 },
                 levelEditor: {
-                    buttonLabelTest: "Тестировать уровень",
-                    buttonLabelEdit: "Изменить уровень",
-                    yourCodeIs: "Код вашего уровня: %(currentCustomLevelCode)s.<br>Вы найдете его в разделе \"Выбор уровня\". Поделитесь кодом с другом!",
-                    saveLevelFailed: "Не удалось сохранить уровень. Проверьте подключение к интернету и попробуйте еще раз.",
+                    buttonLabelTest: "Test brettet",
+                    buttonLabelEdit: "Endre brettet",
+                    yourCodeIs: "Koden til brettet ditt er %(currentCustomLevelCode)s.<br>Du finner det under \"Velg brett\". Del koden med en venn!",
+                    yourPrivateCodeIs: "Koden til brettet ditt er %(currentCustomLevelCode)s.<br>Brettserveren svarte ikke, så brettet er bare lagret i VK-lagringen din og kan ikke deles ennå.",
+                    saveLevelFailed: "Vi klarte ikke å lagre brettet. Sjekk internettforbindelsen og prøv igjen.",
+                    invalidLevel: "Serveren godtok ikke brettet: sjekk at det har Biip, en vindmølle og et romskip.",
                     getFieldPlaceholder: "Kode f.eks 6AXP",
-                    buttonLabelSave: "Сохранить"
+                    buttonLabelSave: "Lagre",
+                    buttonLabelSettings: "Innstillinger",
+                    settings: {
+                        title: "Innstillinger for brettet",
+                        size: "Størrelse",
+                        width: "Bredde",
+                        height: "Høyde",
+                        maxCommands: "Maks antall blokker",
+                        commands: "Blokker",
+                        heading: "Biip ser mot",
+                        math: "Starttall",
+                        levelTitle: "Navn på brettet",
+                        hint: "Hint",
+                        tiles: "Spesielle ruter"
+                    },
+                    commands: {
+                        COMMAND_FORWARD: "Frem",
+                        COMMAND_BACKWARD: "Bakover",
+                        COMMAND_ROTATE_LEFT: "Snu til venstre",
+                        COMMAND_ROTATE_RIGHT: "Snu til høyre",
+                        COMMAND_WAIT: "Vent",
+                        COMMAND_LOOP: "Gjenta",
+                        COMMAND_IF: "Hvis",
+                        COMMAND_CALL: "Funksjon A (én rad som spilleren fyller ut og kaller)"
+                    },
+                    headings: {
+                        up: "Opp",
+                        right: "Høyre",
+                        down: "Ned",
+                        left: "Venstre"
+                    },
+                    tiles: {
+                        blinking: "Blinkende hinder (%(x)s, %(y)s)",
+                        period: "Periode",
+                        offset: "Forskyvning",
+                        platform: "Bevegelig plattform (%(x)s, %(y)s)",
+                        route: "Rute: %(steps)s steg",
+                        removeStep: "Fjern siste steg"
+                    }
                 },
                 levelSelection: {
-                    customLevelsTitle: "Пользовательские уровни",
-                    customBadge: "Пользовательский",
-                    customLevelLabel: "Уровень %(levelNumber)s"
+                    customLevelsTitle: "Egne brett",
+                    customBadge: "Eget",
+                    customLevelLabel: "Brett %(levelNumber)s",
+                    addLevel: "Legg til brett"
+                },
+                debugger: {
+                    on: "Slå på trinnvis modus",
+                    off: "Slå av trinnvis modus",
+                    step: "Ta ett steg",
+                    pause: "Pause",
+                    resume: "Fortsett",
+                    runToEnd: "Kjør til slutten",
+                    state: "Rute: %(x)s, %(y)s · Retning: %(heading)s · Tall: %(math)s · Wi-Fi: %(wifi)s · Takt: %(time)s",
+                    wifiOn: "på",
+                    wifiOff: "av"
+                },
+                conditions: {
+                    CONDITION_BLOCKED: "Hvis ruten foran er sperret",
+                    CONDITION_MATH_EQUALS: "Hvis tallet er %(value)s",
+                    CONDITION_WIFI_ON: "Hvis Wi-Fi er på",
+                    "else": "ellers"
+                },
+                functions: {
+                    title: "Funksjon %(name)s",
+                    call: "Kall funksjon %(name)s"
+                },
+                a11y: {
+                    commands: {
+                        COMMAND_FORWARD: "Frem",
+                        COMMAND_BACKWARD: "Bakover",
+                        COMMAND_ROTATE_LEFT: "Snu til venstre",
+                        COMMAND_ROTATE_RIGHT: "Snu til høyre",
+                        COMMAND_WAIT: "Vent %(value)s",
+                        COMMAND_LOOP: "Gjenta %(value)s"
+                    },
+                    programRow: "Program",
+                    innerRow: "Inne i blokken",
+                    hint: "Velg en kommando og trykk Enter for å sette den inn etter den valgte programblokken. Piltastene flytter mellom blokkene, Shift med pil flytter en blokk og Delete fjerner den. Enter åpner en gjenta- eller hvis-blokk, Shift+Enter åpner ellers-grenen og Escape går tilbake. Pluss og minus endrer tallet i en blokk. Ctrl+Enter kjører programmet.",
+                    position: "%(command)s, %(position)s av %(total)s",
+                    added: "%(command)s lagt til, plass %(position)s av %(total)s",
+                    moved: "%(command)s, plass %(position)s av %(total)s",
+                    removed: "%(command)s fjernet",
+                    cursorStart: "Nye kommandoer settes inn først",
+                    tooMany: "Du kan ikke legge til flere kommandoer",
+                    tooDeep: "Her kan du ikke legge inn en blokk til",
+                    remove: "Fjern",
+                    run: "Kjør programmet",
+                    clear: "Tøm programmet",
+                    cleared: "Programmet er tømt",
+                    moves: {
+                        forward: "Biip kjører frem.",
+                        back: "Biip kjører bakover.",
+                        left: "Biip snur til venstre.",
+                        right: "Biip snur til høyre.",
+                        wait: "Biip venter.",
+                        fall: "Biip falt ned!",
+                        denied: "Biip kommer seg ikke dit.",
+                        completed: "Biip kom frem til vindmøllen!",
+                        notCompleted: "Biip kom ikke frem til vindmøllen."
+                    }
+                },
+                textProgram: {
+                    showText: "Vis programmet som tekst",
+                    showBlocks: "Vis programmet som blokker",
+                    label: "Programtekst",
+                    available: "Tilgjengelig: %(commands)s",
+                    errors: {
+                        line: "Linje %(line)s: %(message)s",
+                        character: "ukjent tegn «%(found)s»",
+                        expected: "forventet «%(expected)s», ikke «%(found)s»",
+                        unexpectedEnd: "teksten slutter, men «%(expected)s» mangler",
+                        number: "forventet et tall, ikke «%(found)s»",
+                        statement: "forventet en kommando, ikke «%(found)s»",
+                        unknownCommand: "ukjent kommando «%(name)s»",
+                        unknownCondition: "ukjent betingelse «%(name)s»",
+                        unavailable: "«%(name)s» kan ikke brukes på dette brettet",
+                        value: "tallet må være fra %(min)s til %(max)s",
+                        noValue: "«%(name)s» tar ikke et tall",
+                        tooDeep: "blokker kan bare ligge %(max)s nivåer inne i hverandre",
+                        functionInside: "en funksjon kan bare defineres utenfor andre blokker",
+                        unknownFunction: "ukjent funksjon «%(name)s»",
+                        duplicateFunction: "funksjonen «%(name)s» er definert to ganger",
+                        tooMany: "for mange kommandoer: %(count)s av %(max)s"
+                    }
+                },
+                achievements: {
+                    title: "Merker",
+                    progress: "Du har låst opp %(count)s av %(total)s merker",
+                    unlocked: "Nytt merke!",
+                    unlockedAt: "Låst opp %(date)s",
+                    items: {
+                        firstLevel: {
+                            title: "Første brett",
+                            description: "Klar ditt første brett"
+                        },
+                        firstLoop: {
+                            title: "Rundt og rundt",
+                            description: "Kjør et program med en gjenta-blokk"
+                        },
+                        optimal: {
+                            title: "Kort og godt",
+                            description: "Klar et brett med så få kommandoer som mulig"
+                        },
+                        flawless: {
+                            title: "Feilfritt",
+                            description: "Klar et brett på første forsøk"
+                        },
+                        levelBuilder: {
+                            title: "Brettbygger",
+                            description: "Lag og lagre ditt eget brett"
+                        },
+                        levelSharer: {
+                            title: "Del med venner",
+                            description: "Del koden til et brett du har laget"
+                        },
+                        group: {
+                            title: "Gruppe %(group)s",
+                            description: "Klar alle brettene i gruppe %(group)s"
+                        }
+                    }
+                },
+                leaderboard: {
+                    title: "Toppliste",
+                    loading: "Henter vennene dine …",
+                    unavailable: "Topplisten med venner finnes bare i VK. Her ser du din egen fremgang.",
+                    noFriends: "Ingen av vennene dine spiller ennå. Inviter dem!",
+                    you: "Deg",
+                    group: "%(group)s: %(count)s/%(total)s",
+                    levels: "Brett klart: %(count)s",
+                    showBox: "Vis VK-topplisten"
+                },
+                replays: {
+                    title: "Opptak",
+                    intro: "Hver kjøring av et program lagres her, de ti siste for hvert brett. Spill dem av igjen, eller del en kode med andre.",
+                    empty: "Ingen opptak ennå. Kjør et program, så dukker det opp her.",
+                    level: "Brett %(level)s",
+                    customLevel: "Brett med kode %(code)s",
+                    completed: "Klart",
+                    failed: "Ikke klart",
+                    commands: "Klosser: %(count)s",
+                    play: "Spill av",
+                    share: "Del",
+                    shareWall: "Del på veggen",
+                    shareText: "Se hvordan jeg løste %(level)s!",
+                    link: "Lenke til opptaket",
+                    import: "Lim inn en opptakskode eller lenke",
+                    invalid: "Dette er ikke en opptakskode.",
+                    unavailable: "Fant ikke brettet til dette opptaket.",
+                    speed: "Fart",
+                    playing: "Opptak: %(level)s"
+                },
+                clip: {
+                    title: "Video",
+                    recording: "Tar opp %(level)s",
+                    encoding: "Lager videoen …",
+                    failed: "Videoen kunne ikke lages.",
+                    preview: "Videoen av løsningen",
+                    download: "Last ned",
+                    post: "Del i VK",
+                    posting: "Deler …",
+                    posted: "Videoen er delt!",
+                    postFailed: "Videoen ble ikke delt.",
+                    shareText: "Se hvordan Biip klarer %(level)s med programmet mitt!",
+                    close: "Lukk"
+                },
+                classroom: {
+                    title: "Klasse",
+                    intro: "Spill sammen med klassen din: bli med med koden fra læreren, så kan læreren følge med på hvordan det går.",
+                    pupilTitle: "Bli med i en klasse",
+                    code: "Klassekode",
+                    nickname: "Kallenavn",
+                    nicknameHint: "Bruk fornavnet ditt eller et kallenavn, ikke hele navnet.",
+                    join: "Bli med",
+                    joined: "Du er med i klassen %(name)s som %(nickname)s.",
+                    lockedGroups: "Læreren har låst disse brettgruppene: %(groups)s",
+                    locked: "Låst av læreren",
+                    nextLocked: "Bra jobba! De neste brettene er låst foreløpig, så velg et annet brett.",
+                    leave: "Forlat klassen",
+                    teacherTitle: "For lærere",
+                    teacherIntro: "Opprett en klasse og gi elevene koden. Da ser du hvem som har klart hvilke brett og hvem som står fast.",
+                    className: "Navn på klassen, f.eks. 4B",
+                    create: "Opprett klasse",
+                    noClasses: "Du har ikke opprettet noen klasser på denne enheten ennå.",
+                    joinCode: "Kode: %(code)s",
+                    open: "Åpne",
+                    forget: "Fjern",
+                    confirmForget: "Fjerne %(name)s fra denne enheten? Klassen er fortsatt åpen for elevene.",
+                    back: "Alle klasser",
+                    loading: "Henter klassen …",
+                    groupsTitle: "Brettgrupper",
+                    group: "Gruppe %(group)s",
+                    lockHint: "Elevene kan ikke velge brett i låste grupper.",
+                    pupils: "Elever: %(count)s",
+                    stuckCount: "Trenger hjelp: %(count)s",
+                    noPupils: "Ingen elever ennå. Gi dem koden %(code)s.",
+                    pupil: "Elev",
+                    online: "Pålogget",
+                    lastSeen: "Sist sett %(time)s",
+                    remove: "Fjern eleven",
+                    confirmRemove: "Fjerne %(nickname)s fra klassen?",
+                    attempts: "Forsøk: %(count)s",
+                    cell: "%(nickname)s, brett %(level)s: %(status)s",
+                    details: "%(nickname)s · brett %(level)s",
+                    noProgram: "Ingen program er kjørt på dette brettet ennå.",
+                    close: "Lukk",
+                    status: {
+                        completed: "Klart",
+                        current: "Spiller nå",
+                        stuck: "Trenger hjelp",
+                        tried: "Ikke klart ennå",
+                        none: "Ikke startet"
+                    },
+                    offline: "Får ikke kontakt med klasseserveren. Sjekk tilkoblingen og prøv igjen.",
+                    notFound: "Det finnes ingen klasse med den koden.",
+                    invalidName: "Klassenavnet kan ha opptil 40 bokstaver, tall, mellomrom, punktum og bindestreker.",
+                    invalidNickname: "Kallenavnet kan ha opptil 20 bokstaver, tall og mellomrom.",
+                    nicknameTaken: "Noen i klassen bruker allerede det kallenavnet.",
+                    classFull: "Klassen er full.",
+                    forbidden: "Denne klassen ble ikke opprettet på denne enheten.",
+                    notMember: "Du er ikke lenger med i denne klassen.",
+                    syncFailed: "Vi klarte ikke å lagre fremgangen."
+                },
+                levelPacks: {
+                    title: "Brettpakker",
+                    intro: "En brettpakke er en fil med brett, for eksempel fra læreren din. Åpne den fra en fil eller en lenke, så dukker brettene opp i listen over.",
+                    chooseFile: "Åpne fil",
+                    exportCustom: "Lagre egne brett som pakke",
+                    urlPlaceholder: "Lenke til pakken",
+                    load: "Last inn",
+                    by: "av %(author)s",
+                    export: "Last ned",
+                    remove: "Fjern",
+                    confirmRemove: "Fjerne pakken «%(title)s»? Brettene du har klart i den, blir også glemt.",
+                    imported: "Pakken «%(title)s» er lagt til. Antall brett: %(count)s.",
+                    invalid: "Denne filen er ikke en gyldig brettpakke.",
+                    newerVersion: "Pakken er laget for en nyere versjon av spillet.",
+                    notJson: "Filen er ikke en JSON-fil.",
+                    tooLarge: "Pakken er for stor.",
+                    tooMany: "Du kan ha opptil 10 pakker. Fjern en pakke og prøv igjen.",
+                    invalidUrl: "Skriv inn en lenke som begynner med http:// eller https://.",
+                    downloadFailed: "Vi klarte ikke å laste ned pakken. Sjekk lenken og internettforbindelsen."
+                },
+                hints: {
+                    button: "Hint (%(count)s igjen)",
+                    next: "Hint: neste blokk er «%(command)s»",
+                    wrong: "Blokk %(position)s, «%(command)s», fører Biip feil vei. Prøv å bytte den ut!",
+                    completed: "Programmet ditt klarer allerede brettet. Kjør det!",
+                    unavailable: "Her kan jeg dessverre ikke gi noe hint",
+                    noneLeft: "Du har brukt opp hintene på dette brettet",
+                    adFailed: "Reklamen ble ikke sett ferdig, så du får ikke hint denne gangen"
+                },
+                stars: {
+                    label: "%(stars)s av %(max)s stjerner"
+                },
+                share: {
+                    app: "Hjelp roboten Biip hjem ved hjelp av koding!",
+                    level: "Jeg har laget et brett for Biip. Klarer du det? Brettkode: %(code)s",
+                    victory: "Jeg klarte brett %(level)s og hjalp Biip frem til vindmøllen!",
+                    customVictory: "Jeg klarte brett %(code)s og hjalp Biip frem til vindmøllen! Prøv du også."
                 },
                 helptext: {
-                    "editor-select-tile": "Выбери, где разместить или изменить блок.",
-                    "editor-select-type-start": "Вам обязательно нужно определить стартовую позицию для робота Biip",
-                    "editor-select-type-end": "Вам также понадобится ветряк, который Biip сможет использовать в качестве цели.",
-                    "editor-select-type-spaceship": "Также возьмите с собой космический корабль Биипа, чтобы он мог полететь домой.",
-                    "editor-select-type-select": "Выбери тип блока, который хочешь использовать",
-                    "editor-select-type-delete": "Вы можете удалить, выбрав пустой фрагмент.",
-                    "editor-select-type-start-toomany": "Вы можете иметь только один Biip. Выберите тот, который хотите удалить, чтобы он стал прозрачным.",
-                    "editor-select-type-end-toomany": "Вы можете иметь только одну ветряную электростанцию. Выберите ту, которую хотите удалить, чтобы она стала прозрачной.",
-                    "editor-select-type-spaceship-toomany": "Вы можете иметь только один космический корабль. Выберите тот, который хотите удалить, чтобы он стал прозрачным."
+                    "editor-select-tile": "Velg hvor du vil plassere eller endre en blokk.",
+                    "editor-select-type-start": "Du må velge hvor Biip skal starte.",
+                    "editor-select-type-end": "Du trenger også en vindmølle som Biip skal komme frem til.",
+                    "editor-select-type-spaceship": "Ta med romskipet til Biip også, så han kan fly hjem.",
+                    "editor-select-type-select": "Velg hvilken type blokk du vil bruke.",
+                    "editor-select-type-delete": "Du kan slette en blokk ved å velge den tomme ruten.",
+                    "editor-select-type-start-toomany": "Det kan bare være én Biip. Velg den du vil fjerne, og velg den tomme ruten.",
+                    "editor-select-type-end-toomany": "Det kan bare være én vindmølle. Velg den du vil fjerne, og velg den tomme ruten.",
+                    "editor-select-type-spaceship-toomany": "Det kan bare være ett romskip. Velg det du vil fjerne, og velg den tomme ruten.",
+                    "editor-unsolvable": "Biip klarer ikke dette brettet med kommandoene som finnes. Endre brettet så det kan lagres.",
+                    "level-private": "Dette brettet er bare lagret i VK-lagringen din, så ingen andre kan åpne koden. Lagre det på nytt når brettserveren virker, så kan du dele det.",
+                    "too-many-steps": "Biip stoppet etter %(steps)s steg fordi programmet aldri blir ferdig. Sjekk løkkene og funksjonene."
                 }
             }
         },
@@ -4675,6 +8449,14 @@
                 return D
             }), n.d(t, "e", function() {
                 return P
+            }), n.d(t, "D", function() {
+                return N
+            }), n.d(t, "E", function() {
+                return j
+            }), n.d(t, "F", function() {
+                return q
+            }), n.d(t, "G", function() {
+                return B
             });
             var r = n("Womt"),
                 a = "TILE_TYPE_EMPTY",
@@ -4687,6 +8469,8 @@
                 u = "TILE_TYPE_MATH_OBSTRUCTION",
                 p = "TILE_TYPE_WIFI_SEND",
                 A = "TILE_TYPE_WIFI_OBSTRUCTION",
+                N = "TILE_TYPE_BLINKING_OBSTRUCTION",
+                j = "TILE_TYPE_MOVING_PLATFORM",
                 d = "TILE_MODEL_EMPTY",
                 m = "TILE_MODEL_BOX",
                 h = "TILE_MODEL_SPACESHIP",
@@ -4697,6 +8481,8 @@
                 b = "TILE_MODEL_MATH_OBSTRUCTION",
                 w = "TILE_MODEL_WIFI_SEND",
                 E = "TILE_MODEL_WIFI_OBSTRUCTION",
+                q = "TILE_MODEL_BLINKING_OBSTRUCTION",
+                B = "TILE_MODEL_MOVING_PLATFORM",
                 x = new r.Vector2(0, 1),
                 C = new r.Vector2(1, 0),
                 O = new r.Vector2(0, -1),
@@ -4771,6 +8557,8 @@
                 return A
             }), n.d(t, "h", function() {
                 return d
+            }), n.d(t, "m", function() {
+                return m
             });
             var r = 16441831,
                 a = 16377559,
@@ -4783,7 +8571,8 @@
                 u = 16731766,
                 p = 4498030,
                 A = 364243,
-                d = .4
+                d = .4,
+                m = 9413045
         },
         By9V: function(e, t, n) {
             e.exports = {
@@ -4841,9 +8630,21 @@
                     instructionsVisible: !1,
                     weCareAboutPrivacy: !1,
                     completedLevels: {},
+                    levelScores: {},
+                    levelScore: null,
+                    levelAttempts: {},
+                    hintsUsed: {},
+                    achievements: {},
+                    achievementToasts: [],
+                    adPlaying: !1,
+                    replays: {},
+                    classroom: null,
+                    teacherClasses: [],
+                    levelPacks: [],
                     instructionsViewed: [5],
                     editorModeActive: !1,
-                    helpText: void 0
+                    helpText: void 0,
+                    locale: null
                 },
                 u = n("HKMw"),
                 p = n("GMIN"),
@@ -4881,6 +8682,22 @@
                         type: "loop",
                         action: p.d,
                         value: 2
+                    }, {
+                        id: "command-6",
+                        type: "condition",
+                        action: p.t,
+                        condition: p.u
+                    }, {
+                        id: "command-7",
+                        type: "condition",
+                        action: p.t,
+                        condition: p.v,
+                        value: 0
+                    }, {
+                        id: "command-8",
+                        type: "condition",
+                        action: p.t,
+                        condition: p.w
                     }],
                     commandSelectionRow: [],
                     programRow: [],
@@ -4888,7 +8705,13 @@
                     hoverSide: "right",
                     amDragging: !1,
                     draggingIndex: null,
-                    numCommands: 0
+                    numCommands: 0,
+                    commandCounting: p.m
+                },
+                withNumCommands = function(e) {
+                    return A({}, e, {
+                        numCommands: p.p(e, e.commandCounting)
+                    })
                 },
                 m = [p.c, p.b, p.e, p.f, p.d],
                 h = function() {
@@ -4901,7 +8724,7 @@
                         attempts: 0,
                         tiles: JSON.parse(e),
                         commands: t,
-                        macCommands: n
+                        maxCommands: n
                     }
                 },
                 f = n("7u9A"),
@@ -4914,7 +8737,7 @@
                     },
                     intro: {
                         video: y.a,
-                        text: "Перетащи блоки кода в поле, чтобы дать инструкции Biip",
+                        text: "instructions.commands",
                         seen: !1
                     },
                     levels: [{
@@ -4981,7 +8804,7 @@
                     },
                     intro: {
                         video: E.a,
-                        text: "Запусти код несколько раз, поместив блоки кода внутрь коричневых блоков. Нажми на число, чтобы изменить количество повторений.",
+                        text: "instructions.loops",
                         seen: !1
                     },
                     levels: [{
@@ -5172,7 +8995,7 @@
                     },
                     intro: {
                         video: O.a,
-                        text: "Проведи Biip через математические блоки, пока число в голове Biip не совпадёт с числом на воротах",
+                        text: "instructions.math",
                         seen: !1
                     },
                     levels: [{
@@ -6809,48 +10632,208 @@
                             ],
                             commands: [p.c, p.b, p.f, p.e, p.d],
                             maxCommands: 8
-                        }
-                    ]
-                },
-                T = n("maE9"),
-                M = n.n(T),
-                L = {
-                    settings: {
-                        backgroundColor: v.d
-                    },
-                    intro: {
-                        video: M.a,
-                        text: "Поверни Biip влево или вправо, используя синие блоки кода",
-                        seen: !1
-                    },
-                    levels: [{
-                        completed: !1,
-                        finished: !1,
-                        attempts: 0,
-                        tiles: [{
-                            x: -1,
-                            y: 0,
-                            type: f.z,
-                            model: f.n
                         }, {
-                            x: 0,
-                            y: 0,
-                            type: f.v,
-                            model: f.h
+                            completed: !1,
+                            finished: !1,
+                            attempts: 0,
+                            tiles: [{
+                                    x: -1,
+                                    y: 0,
+                                    type: f.z,
+                                    model: f.n
+                                }, {
+                                    x: 0,
+                                    y: 0,
+                                    type: f.A,
+                                    model: f.h
+                                }, {
+                                    x: 1,
+                                    y: 0,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 2,
+                                    y: 0,
+                                    type: f.D,
+                                    model: f.F,
+                                    period: 1,
+                                    offset: 1
+                                }, {
+                                    x: 3,
+                                    y: 0,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 4,
+                                    y: 0,
+                                    type: f.u,
+                                    model: f.q
+                                }],
+                            commands: [p.c, p.j, p.d],
+                            maxCommands: 5
                         }, {
-                            x: 1,
-                            y: 0,
-                            type: f.v,
-                            model: f.h
+                            completed: !1,
+                            finished: !1,
+                            attempts: 0,
+                            tiles: [{
+                                    x: -1,
+                                    y: 0,
+                                    type: f.z,
+                                    model: f.n
+                                }, {
+                                    x: 0,
+                                    y: 0,
+                                    type: f.A,
+                                    model: f.h
+                                }, {
+                                    x: 1,
+                                    y: 1,
+                                    type: f.E,
+                                    model: f.G,
+                                    path: [{
+                                        x: 1,
+                                        y: 1
+                                    }, {
+                                        x: 1,
+                                        y: 0
+                                    }]
+                                }, {
+                                    x: 2,
+                                    y: 1,
+                                    type: f.u,
+                                    model: f.q
+                                }],
+                            commands: [p.c, p.j, p.d],
+                            maxCommands: 4
                         }, {
-                            x: 2,
-                            y: 0,
-                            type: f.v,
-                            model: f.h
+                            completed: !1,
+                            finished: !1,
+                            attempts: 0,
+                            tiles: [{
+                                    x: 3,
+                                    y: 0,
+                                    type: f.z,
+                                    model: f.n
+                                }, {
+                                    x: 0,
+                                    y: 0,
+                                    type: f.A,
+                                    model: f.h
+                                }, {
+                                    x: 1,
+                                    y: 0,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 2,
+                                    y: 0,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 2,
+                                    y: -1,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 2,
+                                    y: -2,
+                                    type: f.u,
+                                    model: f.q
+                                }],
+                            commands: [p.c, p.f, p.e, p.d, p.t],
+                            commandCounting: p.m,
+                            maxCommands: 4
                         }, {
-                            x: 2,
-                            y: 1,
-                            type: f.u,
+                            completed: !1,
+                            finished: !1,
+                            attempts: 0,
+                            tiles: [{
+                                    x: -1,
+                                    y: 0,
+                                    type: f.z,
+                                    model: f.n
+                                }, {
+                                    x: 0,
+                                    y: 0,
+                                    type: f.A,
+                                    model: f.h
+                                }, {
+                                    x: 1,
+                                    y: 0,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 1,
+                                    y: -1,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 2,
+                                    y: -1,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 2,
+                                    y: -2,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 3,
+                                    y: -2,
+                                    type: f.v,
+                                    model: f.h
+                                }, {
+                                    x: 3,
+                                    y: -3,
+                                    type: f.u,
+                                    model: f.q
+                                }],
+                            commands: [p.c, p.f, p.e, p.z],
+                            functions: ["A"],
+                            commandCounting: p.m,
+                            maxCommands: 7
+                        }
+                    ]
+                },
+                T = n("maE9"),
+                M = n.n(T),
+                L = {
+                    settings: {
+                        backgroundColor: v.d
+                    },
+                    intro: {
+                        video: M.a,
+                        text: "instructions.turns",
+                        seen: !1
+                    },
+                    levels: [{
+                        completed: !1,
+                        finished: !1,
+                        attempts: 0,
+                        tiles: [{
+                            x: -1,
+                            y: 0,
+                            type: f.z,
+                            model: f.n
+                        }, {
+                            x: 0,
+                            y: 0,
+                            type: f.v,
+                            model: f.h
+                        }, {
+                            x: 1,
+                            y: 0,
+                            type: f.v,
+                            model: f.h
+                        }, {
+                            x: 2,
+                            y: 0,
+                            type: f.v,
+                            model: f.h
+                        }, {
+                            x: 2,
+                            y: 1,
+                            type: f.u,
                             model: f.q
                         }],
                         commands: [p.c, p.e],
@@ -6980,7 +10963,7 @@
                     },
                     intro: {
                         video: S.a,
-                        text: "Проведи Biip через жёлтый блок, чтобы открыть ворота",
+                        text: "instructions.gates",
                         seen: !1
                     },
                     levels: [{
@@ -7250,7 +11233,16 @@
                     getLevelError: !1,
                     currentCustomLevelCode: !1,
                     loadedCustomLevelCodes: [],
-                    levelGroups: [b, L, x, R, I, D]
+                    levelGroups: [b, L, x, R, I, D],
+                    debugMode: !1,
+                    debugRun: "paused",
+                    debugStepRequests: 0,
+                    debugCommandId: null,
+                    debugState: null,
+                    textMode: !1,
+                    hint: null,
+                    replay: null,
+                    clip: null
                 },
                 j = function(e, t, n, r, a) {
                     return B({}, t, {
@@ -7259,12 +11251,102 @@
                         backgroundColor: t.levelGroups[n].settings.backgroundColor,
                         currentLevelData: a,
                         gameRunning: !1,
-                        characterAnimationRunning: !1
+                        characterAnimationRunning: !1,
+                        debugCommandId: null,
+                        debugState: null,
+                        hint: null,
+                        replay: null
+                    })
+                },
+                // Per-level counters are kept as { <group>: { <level>: <count> } } and a zero count is dropped
+                setLevelCount = function(e, t, n, r) {
+                    var a, o = c({}, e[t]);
+                    return r ? o[n] = r : delete o[n], c({}, e, (a = {}, a[t] = o, a))
+                },
+                bestLevelScore = function(e, t) {
+                    return !e || t.stars > e.stars || t.stars === e.stars && (t.numCommands < e.numCommands || t.numCommands === e.numCommands && t.attempts < e.attempts) ? t : e
+                },
+                REPLAYS_PER_LEVEL = 10,
+                mergeReplays = function(e, t) {
+                    // Replays from both sides per level, newest first, without duplicates
+                    return Object.keys(e).reduce(function(n, r) {
+                        var a = (t[r] || []).map(function(e) {
+                            return e.time
+                        });
+                        return n[r] = (t[r] || []).concat(e[r].filter(function(e) {
+                            return -1 === a.indexOf(e.time)
+                        })).sort(function(e, t) {
+                            return t.time - e.time
+                        }).slice(0, REPLAYS_PER_LEVEL), n
+                    }, c({}, t))
+                },
+                LEVEL_SETTINGS = ["functions", "commandCounting", "heading", "math", "title", "hint"],
+                withLevelSettings = function(e, t) {
+                    return LEVEL_SETTINGS.forEach(function(n) {
+                        void 0 !== t[n] && (e[n] = t[n])
+                    }), e
+                },
+                isIntegerInRange = function(e, t, n) {
+                    return "number" == typeof e && e % 1 == 0 && e >= t && e <= n
+                },
+                isPlatformPath = function(e, t) {
+                    // A platform starts on its own tile and moves one tile per step
+                    return Array.isArray(e) && e.length <= 8 && e.every(function(n, r) {
+                        var a = r ? e[r - 1] : t;
+                        return !!n && isIntegerInRange(n.x, -10, 10) && isIntegerInRange(n.y, -10, 10) && Math.abs(n.x - a.x) + Math.abs(n.y - a.y) === (r ? 1 : 0)
                     })
                 },
+                editorTile = function(e, t) {
+                    var n = c({}, e, {
+                        type: t.type,
+                        model: t.model
+                    });
+                    return "number" == typeof t.math && (n.math = t.math), isIntegerInRange(t.period, 1, 8) && (n.period = t.period), isIntegerInRange(t.offset, 0, 16) && (n.offset = t.offset), isPlatformPath(t.path, n) && (t.path.length > 1 ? n.path = t.path.map(function(e) {
+                        return {
+                            x: e.x,
+                            y: e.y
+                        }
+                    }) : delete n.path), n.type !== f.D && (delete n.period, delete n.offset), n.type !== f.E && delete n.path, n
+                },
+                customLevel = function(e) {
+                    // Levels saved before the editor had settings only carry their tiles
+                    var t = withLevelSettings(h(e.tiles, e.commands, e.maxCommands), e);
+                    return t.levelId = e.levelId, t.isCustom = !0, t
+                },
+                packLevelGroup = function(e) {
+                    // Imported packs are custom groups: they don't count towards stars, achievements or classes
+                    var t = {
+                        settings: {
+                            backgroundColor: e.backgroundColor ? parseInt(e.backgroundColor.slice(1), 16) : v.e
+                        },
+                        isCustom: !0,
+                        pack: e,
+                        levels: e.levels.map(function(e) {
+                            return withLevelSettings(h(JSON.stringify(e.tiles), e.commands, e.maxCommands), e)
+                        })
+                    };
+                    return e.intro && (t.intro = {
+                        video: e.intro.video,
+                        text: e.intro.text,
+                        seen: !1
+                    }), t
+                },
+                movePackProgress = function(e, t, n) {
+                    // Pack groups follow the built-in and custom groups, so completed levels move with their pack when another pack is removed
+                    var r = N.levelGroups.length,
+                        a = c({}, e);
+                    return t.forEach(function(e, t) {
+                        delete a[r + t]
+                    }), n.forEach(function(n, o) {
+                        var i = t.findIndex(function(e) {
+                            return e.id === n.id
+                        });
+                        e[r + i] && -1 !== i && (a[r + o] = e[r + i])
+                    }), a
+                },
                 q = Object(a.combineReducers)({
                     app: function() {
-                        var e, t = arguments.length > 0 && void 0 !== arguments[0] ? arguments[0] : V,
+                        var e, r, t = arguments.length > 0 && void 0 !== arguments[0] ? arguments[0] : V,
                             n = arguments[1];
                         switch (n.type) {
                             case o.k:
@@ -7312,7 +11394,7 @@
                                 });
                             case i.g:
                                 return c({}, t, {
-                                    helpText: l()("levelEditor.yourCodeIs", {
+                                    helpText: l()(window.VKLevelStorage && window.VKLevelStorage.isStorageCode(n.payload.levelId) ? "levelEditor.yourPrivateCodeIs" : "levelEditor.yourCodeIs", {
                                         currentCustomLevelCode: n.payload.levelId
                                     })
                                 });
@@ -7346,6 +11428,82 @@
                                     helpText: void 0,
                                     editorModeActive: n.value
                                 });
+                            case o.x:
+                                return c({}, t, {
+                                    locale: n.value
+                                });
+                            case o.z:
+                                var scores = t.levelScores[n.levelGroup] || {};
+                                return c({}, t, {
+                                    levelScore: n.score,
+                                    levelScores: null === n.levelGroup ? t.levelScores : c({}, t.levelScores, (e = {}, e[n.levelGroup] = c({}, scores, (r = {}, r[n.level] = bestLevelScore(scores[n.level], n.score), r)), e))
+                                });
+                            case o.A:
+                                return c({}, t, {
+                                    levelScores: n.value,
+                                    completedLevels: Object.keys(n.value).reduce(function(e, t) {
+                                        var r = e[t] || [];
+                                        return e[t] = r.concat(Object.keys(n.value[t]).map(Number).filter(function(e) {
+                                            return -1 === r.indexOf(e)
+                                        })), e
+                                    }, c({}, t.completedLevels))
+                                });
+                            case o.X:
+                                return c({}, t, {
+                                    levelAttempts: setLevelCount(t.levelAttempts, n.levelGroup, n.level, n.value)
+                                });
+                            case o.Y:
+                                return c({}, t, {
+                                    levelAttempts: n.value
+                                });
+                            case o.bb:
+                                return c({}, t, {
+                                    hintsUsed: setLevelCount(t.hintsUsed, n.levelGroup, n.level, n.value)
+                                });
+                            case o.cb:
+                                return c({}, t, {
+                                    hintsUsed: n.value
+                                });
+                            case o.D:
+                                return c({}, t, {
+                                    achievements: n.ids.reduce(function(e, t) {
+                                        return e[t] = n.time, e
+                                    }, c({}, t.achievements)),
+                                    achievementToasts: t.achievementToasts.concat(n.ids)
+                                });
+                            case o.E:
+                                return c({}, t, {
+                                    achievementToasts: t.achievementToasts.slice(1)
+                                });
+                            case o.F:
+                                return c({}, t, {
+                                    achievements: c({}, n.value, t.achievements)
+                                });
+                            case o.L:
+                                return c({}, t, {
+                                    adPlaying: n.value
+                                });
+                            case o.N:
+                                return c({}, t, {
+                                    replays: c({}, t.replays, (e = {}, e[n.levelKey] = [n.replay].concat(t.replays[n.levelKey] || []).slice(0, REPLAYS_PER_LEVEL), e))
+                                });
+                            case o.P:
+                                return c({}, t, {
+                                    replays: mergeReplays(n.value, t.replays)
+                                });
+                            case o.R:
+                                return c({}, t, {
+                                    classroom: n.value
+                                });
+                            case o.S:
+                                return c({}, t, {
+                                    teacherClasses: n.value
+                                });
+                            case o.V:
+                                return c({}, t, {
+                                    levelPacks: n.value,
+                                    completedLevels: movePackProgress(t.completedLevels, t.levelPacks, n.value)
+                                });
                             default:
                                 return t
                         }
@@ -7359,15 +11517,20 @@
                                     commandSelectionRow: r.commands
                                 });
                             case u.h:
-                                return A({}, n, ((e = {})[r.rowId] = r.commands, e));
+                                return withNumCommands(A({}, n, ((e = {})[r.rowId] = r.commands, e)));
+                            case u.q:
+                                return withNumCommands(A({}, n, r.rows));
                             case u.c:
-                                return A({}, n, {
+                                var i = A({}, n, {
                                     programRow: [],
                                     numCommands: 0
                                 });
+                                return Object.keys(i).filter(p.C).forEach(function(e) {
+                                    i[e] = []
+                                }), i;
                             case u.a:
                                 var a, o;
-                                return void 0 !== n[r.rowId] ? A({}, n, ((a = {})[r.rowId] = [].concat(n[r.rowId], [r.command]), a)) : A({}, n, ((o = {})[r.rowId] = [r.command], o));
+                                return withNumCommands(void 0 !== n[r.rowId] ? A({}, n, ((a = {})[r.rowId] = [].concat(n[r.rowId], [r.command]), a)) : A({}, n, ((o = {})[r.rowId] = [r.command], o)));
                             case u.f:
                                 return A({}, n, {
                                     hoverIndex: r.index,
@@ -7385,6 +11548,10 @@
                                 });
                             case u.b:
                                 return A({}, n, ((t = {})[r.id] = [], t));
+                            case u.o:
+                                return withNumCommands(A({}, n, {
+                                    commandCounting: r.value || p.m
+                                }));
                             default:
                                 return n
                         }
@@ -7407,7 +11574,9 @@
                                 });
                             case i.j:
                                 return B({}, e, {
-                                    gameRunning: t.payload
+                                    gameRunning: t.payload,
+                                    hint: t.payload ? null : e.hint,
+                                    replay: t.payload ? e.replay : null
                                 });
                             case i.l:
                                 return (r = B({}, e)).currentLevelData.completed = !0, r;
@@ -7425,14 +11594,7 @@
                                 } : {}, B({}, e, r);
                             case i.o:
                                 var n = e.currentLevelData.tiles.map(function(e) {
-                                        if (e.x === t.value.x && e.y === t.value.y) {
-                                            var n = B({}, e, {
-                                                type: t.value.data.type,
-                                                model: t.value.data.model
-                                            });
-                                            return "number" == typeof t.value.data.math && (n.math = t.value.data.math), n
-                                        }
-                                        return e
+                                        return e.x === t.value.x && e.y === t.value.y ? editorTile(e, t.value.data) : e
                                     }),
                                     a = B({}, e.currentLevelData);
                                 return a.tiles = n, B({}, e, {
@@ -7442,6 +11604,16 @@
                                 return B({}, e, {
                                     currentLevelData: P.b.level
                                 });
+                            case i.R:
+                                return B({}, e, {
+                                    currentLevelData: B({}, e.currentLevelData, t.value)
+                                });
+                            case i.T:
+                                return B({}, e, {
+                                    currentLevelData: B({}, e.currentLevelData, {
+                                        tiles: Object(P.c)(e.currentLevelData.tiles, t.value.width, t.value.height)
+                                    })
+                                });
                             case i.f:
                                 return B({}, e, {
                                     savingInProgress: !0
@@ -7477,11 +11649,14 @@
                                 var s = [].concat(e.levelGroups),
                                     l = s.findIndex(function(e) {
                                         return e.isCustom
-                                    }),
-                                    c = h(t.payload.tiles);
-                                c.levelId = t.payload.levelId, c.isCustom = !0, -1 === l && (l = s.length - 1), s[l] = B({}, s[l], {
-                                    levels: [].concat(s[l].levels, [c])
+                                    });
+                                -1 === l && (l = s.length - 1);
+                                var c = s[l].levels.find(function(e) {
+                                    return e.levelId === t.payload.levelId
                                 });
+                                c || (c = customLevel(t.payload), s[l] = B({}, s[l], {
+                                    levels: [].concat(s[l].levels, [c])
+                                }));
                                 var V = s[l].levels.indexOf(c),
                                     u = j(0, e, l, V, c);
                                 return B({}, e, u, {
@@ -7494,11 +11669,79 @@
                                     getLevelError: !0,
                                     getLevelInProgress: !1
                                 });
+                            case i.H:
+                                var m = [].concat(e.levelGroups),
+                                    f = m.findIndex(function(e) {
+                                        return e.isCustom
+                                    });
+                                -1 === f && (f = m.length - 1);
+                                var v = t.payload.levels.filter(function(e) {
+                                    return !m[f].levels.some(function(t) {
+                                        return t.levelId === e.levelId
+                                    })
+                                }).map(customLevel);
+                                return v.length ? (m[f] = B({}, m[f], {
+                                    levels: [].concat(m[f].levels, v)
+                                }), B({}, e, {
+                                    levelGroups: m
+                                })) : e;
                             case i.b:
                                 return B({}, e, {
                                     getLevelInProgress: !0,
                                     getLevelError: !1
                                 });
+                            case o.V:
+                                var packGroups = t.value.map(function(t) {
+                                        return e.levelGroups.find(function(e) {
+                                            return e.pack === t
+                                        }) || packLevelGroup(t)
+                                    }),
+                                    groups = e.levelGroups.filter(function(e) {
+                                        return !e.pack
+                                    }).concat(packGroups),
+                                    currentGroup = groups.indexOf(e.levelGroups[e.currentLevelGroup]);
+                                return -1 === currentGroup ? j(0, B({}, e, {
+                                    levelGroups: groups
+                                }), 0, 0, groups[0].levels[0]) : B({}, e, {
+                                    levelGroups: groups,
+                                    currentLevelGroup: currentGroup
+                                });
+                            case i.z:
+                                return B({}, e, {
+                                    debugMode: t.value,
+                                    debugRun: "paused",
+                                    debugCommandId: null,
+                                    debugState: null
+                                });
+                            case i.A:
+                                return B({}, e, {
+                                    debugRun: t.value
+                                });
+                            case i.J:
+                                return B({}, e, {
+                                    textMode: t.value
+                                });
+                            case i.L:
+                                return B({}, e, {
+                                    hint: t.payload
+                                });
+                            case i.N:
+                                return B({}, e, {
+                                    replay: t.payload
+                                });
+                            case i.P:
+                                return B({}, e, {
+                                    clip: t.payload
+                                });
+                            case i.B:
+                                return B({}, e, {
+                                    debugStepRequests: e.debugStepRequests + 1
+                                });
+                            case i.C:
+                                return B({}, e, {
+                                    debugCommandId: t.payload.commandId,
+                                    debugState: t.payload.state
+                                });
                             default:
                                 return e
                         }
@@ -7533,6 +11776,46 @@
                 return u
             }), n.d(t, "a", function() {
                 return p
+            }), n.d(t, "k", function() {
+                return BLOCK_MAX_DEPTH
+            }), n.d(t, "l", function() {
+                return LOOP_MAX_REPEAT
+            }), n.d(t, "m", function() {
+                return COMMAND_COUNTING_BLOCKS
+            }), n.d(t, "n", function() {
+                return COMMAND_COUNTING_TOP_LEVEL
+            }), n.d(t, "o", function() {
+                return COMMAND_COUNTING_UNROLLED
+            }), n.d(t, "p", function() {
+                return countProgramCommands
+            }), n.d(t, "q", function() {
+                return getRowDepth
+            }), n.d(t, "r", function() {
+                return getBlockDepth
+            }), n.d(t, "s", function() {
+                return isRowInsideBlock
+            }), n.d(t, "t", function() {
+                return COMMAND_IF
+            }), n.d(t, "u", function() {
+                return CONDITION_BLOCKED
+            }), n.d(t, "v", function() {
+                return CONDITION_MATH_EQUALS
+            }), n.d(t, "w", function() {
+                return CONDITION_WIFI_ON
+            }), n.d(t, "x", function() {
+                return getBlockRows
+            }), n.d(t, "y", function() {
+                return getElseRowId
+            }), n.d(t, "z", function() {
+                return COMMAND_CALL
+            }), n.d(t, "A", function() {
+                return CALL_MAX_DEPTH
+            }), n.d(t, "B", function() {
+                return getFunctionRowId
+            }), n.d(t, "C", function() {
+                return isFunctionRow
+            }), n.d(t, "D", function() {
+                return getMathRange
             });
             var r = "COMMAND_FORWARD",
                 a = "COMMAND_BACKWARD",
@@ -7543,7 +11826,108 @@
                 c = "commandSelectionRow",
                 V = "programRow",
                 u = "commandsContainer",
-                p = "command"
+                p = "command",
+                COMMAND_IF = "COMMAND_IF",
+                COMMAND_CALL = "COMMAND_CALL",
+                CONDITION_BLOCKED = "CONDITION_BLOCKED",
+                CONDITION_MATH_EQUALS = "CONDITION_MATH_EQUALS",
+                CONDITION_WIFI_ON = "CONDITION_WIFI_ON",
+                BLOCK_MAX_DEPTH = 3,
+                LOOP_MAX_REPEAT = 8,
+                CALL_MAX_DEPTH = 8,
+                COMMAND_COUNTING_BLOCKS = "blocks",
+                COMMAND_COUNTING_TOP_LEVEL = "topLevel",
+                COMMAND_COUNTING_UNROLLED = "unrolled";
+
+            function getElseRowId(e) {
+                return e + "-else"
+            }
+
+            function getFunctionRowId(e) {
+                return "function-" + e
+            }
+
+            function isFunctionRow(e) {
+                return 0 === e.indexOf("function-")
+            }
+
+            // Lowest and highest number a math condition can test on a level: the numbers its
+            // start and math tiles use, plus the 0 the robot counts from when the level sets none
+            function getMathRange(e) {
+                var t = (e.tiles || []).map(function(e) {
+                    return e.math
+                }).concat(e.math || 0, 0).filter(function(e) {
+                    return "number" == typeof e
+                });
+                return [Math.min.apply(Math, t), Math.max.apply(Math, t)]
+            }
+
+            // Rows owned by a block command: a loop body, or the then/else bodies of a condition
+            function getBlockRows(e) {
+                switch (e.action) {
+                    case l:
+                        return [e.id];
+                    case COMMAND_IF:
+                        return [e.id, getElseRowId(e.id)];
+                    default:
+                        return []
+                }
+            }
+
+            /**
+             * Counts the commands of the program row against the level's maxCommands.
+             * "blocks" counts every block once, "topLevel" ignores block bodies and
+             * "unrolled" counts every block as many times as it would be executed
+             * (the longer branch of a condition, a function body once per call).
+             * Outside of "unrolled" the function rows are counted like the program row.
+             */
+            function countProgramCommands(e, t) {
+                var n = function n(r, a, o) {
+                    return (e[r] || []).reduce(function(e, r) {
+                        var i = t === COMMAND_COUNTING_TOP_LEVEL && a > 0 ? 0 : 1,
+                            s = getBlockRows(r),
+                            A = getFunctionRowId(r.function);
+                        if (r.action === COMMAND_CALL) return t === COMMAND_COUNTING_UNROLLED && -1 === o.indexOf(A) ? e + i + n(A, 0, o.concat(A)) : e + i;
+                        if (!s.length || a >= BLOCK_MAX_DEPTH || -1 !== o.indexOf(r.id)) return e + i;
+                        var c = s.map(function(e) {
+                            return n(e, a + 1, o.concat(r.id))
+                        });
+                        return t !== COMMAND_COUNTING_UNROLLED ? e + i + c.reduce(function(e, t) {
+                            return e + t
+                        }, 0) : r.action === l ? e + i + c[0] * (r.value || 1) : e + i + Math.max.apply(Math, c)
+                    }, 0)
+                };
+                return n(V, 0, []) + (t === COMMAND_COUNTING_UNROLLED ? 0 : Object.keys(e).filter(isFunctionRow).reduce(function(e, t) {
+                    return e + n(t, 0, [])
+                }, 0))
+            }
+
+            function getRowDepth(e, t) {
+                for (var n = 0, r = t, a = function(t) {
+                        return Object.keys(e).find(function(n) {
+                            return n !== c && Array.isArray(e[n]) && e[n].some(function(e) {
+                                return -1 !== getBlockRows(e).indexOf(t)
+                            })
+                        })
+                    }; r && r !== V && !isFunctionRow(r) && n <= BLOCK_MAX_DEPTH;) r = a(r), n++;
+                return n
+            }
+
+            function getBlockDepth(e, t) {
+                return 1 + getBlockRows(t).reduce(function(t, n) {
+                    return (e[n] || []).reduce(function(t, n) {
+                        return getBlockRows(n).length ? Math.max(t, getBlockDepth(e, n)) : t
+                    }, t)
+                }, 0)
+            }
+
+            function isRowInsideBlock(e, t, n) {
+                return getBlockRows(t).some(function(t) {
+                    return t === n || (e[t] || []).some(function(t) {
+                        return isRowInsideBlock(e, t, n)
+                    })
+                })
+            }
         },
         HKMw: function(e, t, n) {
             "use strict";
@@ -7575,6 +11959,14 @@
                 return m
             }), n.d(t, "m", function() {
                 return h
+            }), n.d(t, "o", function() {
+                return f
+            }), n.d(t, "p", function() {
+                return v
+            }), n.d(t, "q", function() {
+                return SET_PROGRAM_ROWS
+            }), n.d(t, "r", function() {
+                return setProgramRows
             });
             var r = "SET_COMMAND_SELECTION_ROW",
                 a = "SET_PROGRAM_ROW",
@@ -7584,6 +11976,7 @@
                 l = "SET_DRAGGING",
                 c = "SET_NUM_COMMANDS",
                 V = "ADD_ROW",
+                f = "SET_COMMAND_COUNTING",
                 u = function(e) {
                     return {
                         type: r,
@@ -7621,6 +12014,19 @@
                         type: c,
                         value: e
                     }
+                },
+                v = function(e) {
+                    return {
+                        type: f,
+                        value: e
+                    }
+                },
+                SET_PROGRAM_ROWS = "SET_PROGRAM_ROWS",
+                setProgramRows = function(e) {
+                    return {
+                        type: SET_PROGRAM_ROWS,
+                        rows: e
+                    }
                 }
         },
         I2VK: function(e, t, n) {
@@ -7634,58 +12040,360 @@
                 game: "_541cc"
             }
         },
-        Nmeb: function(e, t, n) {
+        Kx7d: function(e, t, n) {
             "use strict";
-            n.d(t, "a", function() {
-                return s
+            n.d(t, "b", function() {
+                return parseProgramText
+            }), n.d(t, "c", function() {
+                return printProgramText
+            }), n.d(t, "a", function() {
+                return describeProgramText
             });
-            var r = n("gdlH"),
-                a = Object.assign || function(e) {
+            var r = n("GMIN"),
+                a = n("zJgK"),
+                o = n.n(a),
+                COMMAND_NAMES = {
+                    forward: r.c,
+                    backward: r.b,
+                    rotateLeft: r.e,
+                    rotateRight: r.f,
+                    wait: r.j
+                },
+                CONDITION_NAMES = {
+                    blocked: r.u,
+                    number: r.v,
+                    wifi: r.w
+                },
+                INDENT = "  ",
+                assign = Object.assign || function(e) {
                     for (var t = 1; t < arguments.length; t++) {
                         var n = arguments[t];
                         for (var r in n) Object.prototype.hasOwnProperty.call(n, r) && (e[r] = n[r])
                     }
                     return e
-                },
-                o = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function(e) {
-                    return typeof e
-                } : function(e) {
-                    return e && "function" == typeof Symbol && e.constructor === Symbol && e !== Symbol.prototype ? "symbol" : typeof e
                 };
-            var i = function(e, t, n) {
-                    var a = window.fetch,
-                        i = {
-                            method: t || "GET"
+
+            function findName(e, t) {
+                return Object.keys(e).find(function(n) {
+                    return e[n] === t
+                })
+            }
+
+            function tokenize(e) {
+                for (var t = [], n = 1, r = 0; r < e.length;) {
+                    var a = e[r],
+                        o = e.slice(r).match(/^(?:[A-Za-z_][A-Za-z0-9_]*|-?\d+)/);
+                    if ("\n" === a) n++, r++;
+                    else if (/\s/.test(a)) r++;
+                    else if ("#" === a || "/" === a && "/" === e[r + 1])
+                        for (; r < e.length && "\n" !== e[r];) r++;
+                    else if (o) t.push({
+                        type: /^-?\d/.test(o[0]) ? "number" : "name",
+                        value: o[0],
+                        line: n
+                    }), r += o[0].length;
+                    else {
+                        if (-1 === "(){};".indexOf(a)) throw {
+                            line: n,
+                            message: "textProgram.errors.character",
+                            params: {
+                                found: a
+                            }
                         };
-                    if (n) {
-                        if ("object" !== (void 0 === n ? "undefined" : o(n))) return new Promise(function(e, t) {
-                            return t("Body must be an object.")
-                        });
-                        switch (t) {
-                            case "PUT":
-                            case "POST":
-                                i.body = JSON.stringify(n);
-                                break;
-                            case "GET":
-                            case "DELETE":
-                                e += "?" + Object(r.a)(n)
-                        }
+                        t.push({
+                            type: a,
+                            value: a,
+                            line: n
+                        }), r++
                     }
-                    return a("https://us-central1-equinor-koding-er-goy-stage.cloudfunctions.net/" + e, i).then(function(e) {
-                        return e.ok ? e.json() : Promise.reject({
-                            errors: {
-                                server: e.statusText
-                            }
+                }
+                return t.push({
+                    type: "end",
+                    value: "",
+                    line: n
+                }), t
+            }
+
+            /**
+             * Parses the text form of a program into the rows the commands reducer stores:
+             * the program row, a row per loop and condition branch keyed by the block's id,
+             * and a row per level function. Commands are copied from the level's command
+             * selection row, so only commands available on the level can be used, and
+             * numbers in conditions must be within its mathRange.
+             * Returns { rows, errors }, rows being null if there are errors.
+             */
+            function parseProgramText(e, t) {
+                var n = t.commandSelectionRow || [],
+                    a = t.functions || [],
+                    i = [],
+                    s = {},
+                    l = [],
+                    c = 0,
+                    V = 1,
+                    M = t.mathRange || [0, 0];
+                s[r.h] = [];
+                var u = function(e, t, n) {
+                        i.push({
+                            line: e,
+                            message: "textProgram.errors." + t,
+                            params: n || {}
                         })
-                    }).then(function(e) {
-                        return e.errors ? Promise.reject(e) : e
-                    }).catch(function(e) {
-                        return e.errors ? Promise.reject(e) : Promise.reject({
-                            errors: {
-                                message: "nav.apiError"
+                    },
+                    p = function(e, t) {
+                        return "end" === e.type ? {
+                            line: e.line,
+                            message: "textProgram.errors.unexpectedEnd",
+                            params: {
+                                expected: t
                             }
-                        })
-                    })
+                        } : {
+                            line: e.line,
+                            message: "textProgram.errors.expected",
+                            params: {
+                                expected: t,
+                                found: e.value
+                            }
+                        }
+                    },
+                    A = function(e) {
+                        var t = l[c];
+                        if (t.type !== e) throw p(t, e);
+                        return c++, t
+                    },
+                    d = function() {
+                        var e = l[c];
+                        if ("number" !== e.type) throw "end" === e.type ? p(e, "0-9") : {
+                            line: e.line,
+                            message: "textProgram.errors.number",
+                            params: {
+                                found: e.value
+                            }
+                        };
+                        return c++, parseInt(e.value, 10)
+                    },
+                    m = function(e, t, n, r) {
+                        return t < n || t > r ? (u(e, "value", {
+                            min: n,
+                            max: r
+                        }), Math.max(n, Math.min(r, t))) : t
+                    },
+                    h = function(e) {
+                        A("(");
+                        var t = "number" === l[c].type ? d() : null;
+                        return A(")"), t
+                    },
+                    f = function(e, t, a) {
+                        var i = n.find(function(n) {
+                            return n.action === e && (e !== r.t || n.condition === a.condition) && (e !== r.z || n.function === a.function)
+                        });
+                        return i ? (V = t, assign({}, i, a, {
+                            id: o()()
+                        })) : null
+                    },
+                    v = function(e, t) {
+                        t > r.k && u(e, "tooDeep", {
+                            max: r.k
+                        })
+                    },
+                    g = function(e) {
+                        A("{");
+                        for (var t = []; "}" !== l[c].type;) {
+                            if ("end" === l[c].type) throw p(l[c], "}");
+                            y(t, e)
+                        }
+                        return c++, t
+                    },
+                    y = function(e, t) {
+                        var n = l[c++],
+                            i = void 0,
+                            o = void 0,
+                            x = void 0,
+                            E = void 0,
+                            w = void 0;
+                        if (";" !== n.type) {
+                            if ("name" !== n.type) throw {
+                                line: n.line,
+                                message: "textProgram.errors.statement",
+                                params: {
+                                    found: n.value
+                                }
+                            };
+                            switch (n.value) {
+                                case "repeat":
+                                    return i = m(n.line, d(), 1, r.l), v(n.line, t + 1), (o = f(r.d, n.line, {
+                                        value: i
+                                    })) || u(n.line, "unavailable", {
+                                        name: "repeat"
+                                    }), E = g(t + 1), void(o && (s[o.id] = E, e.push(o)));
+                                case "if":
+                                    if ("end" === (x = l[c++]).type) throw p(x, "blocked()");
+                                    if (!CONDITION_NAMES[x.value]) throw {
+                                        line: x.line,
+                                        message: "textProgram.errors.unknownCondition",
+                                        params: {
+                                            name: x.value
+                                        }
+                                    };
+                                    return i = h(), CONDITION_NAMES[x.value] === r.v ? i = m(x.line, null === i ? 0 : i, M[0], M[1]) : null !== i && u(x.line, "noValue", {
+                                        name: x.value
+                                    }), v(n.line, t + 1), (o = f(r.t, n.line, {
+                                        condition: CONDITION_NAMES[x.value],
+                                        value: CONDITION_NAMES[x.value] === r.v ? i : void 0
+                                    })) || u(n.line, "unavailable", {
+                                        name: x.value
+                                    }), E = g(t + 1), w = "name" === l[c].type && "else" === l[c].value ? (c++, g(t + 1)) : [], void(o && (s[o.id] = E, s[r.y(o.id)] = w, e.push(o)));
+                                case "function":
+                                    throw {
+                                        line: n.line,
+                                        message: "textProgram.errors.functionInside",
+                                        params: {}
+                                    };
+                                default:
+                                    if (i = h(), COMMAND_NAMES[n.value]) COMMAND_NAMES[n.value] === r.j ? i = m(n.line, null === i ? 1 : i, 1, r.l) : null !== i && u(n.line, "noValue", {
+                                        name: n.value
+                                    }), (o = f(COMMAND_NAMES[n.value], n.line, COMMAND_NAMES[n.value] === r.j ? {
+                                        value: i
+                                    } : {})) || u(n.line, "unavailable", {
+                                        name: n.value
+                                    });
+                                    else {
+                                        if (-1 === a.indexOf(n.value)) return void u(n.line, "unknownCommand", {
+                                            name: n.value
+                                        });
+                                        null !== i && u(n.line, "noValue", {
+                                            name: n.value
+                                        }), (o = f(r.z, n.line, {
+                                            function: n.value
+                                        })) || u(n.line, "unavailable", {
+                                            name: n.value
+                                        })
+                                    }
+                                    o && e.push(o)
+                            }
+                        }
+                    };
+                try {
+                    for (l = tokenize(e); "end" !== l[c].type;)
+                        if ("name" === l[c].type && "function" === l[c].value) {
+                            var b = l[c++],
+                                w = A("name");
+                            if (-1 === a.indexOf(w.value)) throw {
+                                line: w.line,
+                                message: "textProgram.errors.unknownFunction",
+                                params: {
+                                    name: w.value
+                                }
+                            };
+                            s[r.B(w.value)] && u(b.line, "duplicateFunction", {
+                                name: w.value
+                            }), s[r.B(w.value)] = g(0)
+                        } else y(s[r.h], 0)
+                } catch (e) {
+                    i.push(e)
+                }
+                if (a.forEach(function(e) {
+                        s[r.B(e)] = s[r.B(e)] || []
+                    }), !i.length && void 0 !== t.maxCommands) {
+                    var E = r.p(s, t.commandCounting);
+                    E > t.maxCommands && u(V, "tooMany", {
+                        count: E,
+                        max: t.maxCommands
+                    })
+                }
+                return {
+                    rows: i.length ? null : s,
+                    errors: i.sort(function(e, t) {
+                        return e.line - t.line
+                    })
+                }
+            }
+
+            /**
+             * Prints the program row and the level's function rows as text that
+             * parseProgramText reads back into the same rows.
+             */
+            function printProgramText(e, t) {
+                var n = [],
+                    a = function(t, o) {
+                        (e[t] || []).forEach(function(e) {
+                            i(e, o)
+                        })
+                    },
+                    i = function(t, i) {
+                        var s = Array(i + 1).join(INDENT);
+                        switch (t.action) {
+                            case r.d:
+                                n.push(s + "repeat " + (t.value || 1) + " {"), a(t.id, i + 1), n.push(s + "}");
+                                break;
+                            case r.t:
+                                n.push(s + "if " + findName(CONDITION_NAMES, t.condition) + "(" + (t.condition === r.v ? t.value || 0 : "") + ") {"), a(t.id, i + 1), (e[r.y(t.id)] || []).length && (n.push(s + "} else {"), a(r.y(t.id), i + 1)), n.push(s + "}");
+                                break;
+                            case r.z:
+                                n.push(s + t.function + "()");
+                                break;
+                            case r.j:
+                                n.push(s + "wait(" + (t.value || 1) + ")");
+                                break;
+                            default:
+                                n.push(s + findName(COMMAND_NAMES, t.action) + "()")
+                        }
+                    };
+                return (t || []).forEach(function(e) {
+                    n.push("function " + e + " {"), a(r.B(e), 1), n.push("}", "")
+                }), a(r.h, 0), n.join("\n")
+            }
+
+            // Examples of every statement available with the given command selection row
+            function describeProgramText(e) {
+                return e.map(function(e) {
+                    switch (e.action) {
+                        case r.d:
+                            return "repeat 2 { }";
+                        case r.t:
+                            return "if " + findName(CONDITION_NAMES, e.condition) + "(" + (e.condition === r.v ? 1 : "") + ") { } else { }";
+                        case r.z:
+                            return e.function + "()";
+                        case r.j:
+                            return "wait(1)";
+                        default:
+                            return findName(COMMAND_NAMES, e.action) + "()"
+                    }
+                })
+            }
+        },
+        Nmeb: function(e, t, n) {
+            "use strict";
+            n.d(t, "a", function() {
+                return s
+            });
+            var a = Object.assign || function(e) {
+                    for (var t = 1; t < arguments.length; t++) {
+                        var n = arguments[t];
+                        for (var r in n) Object.prototype.hasOwnProperty.call(n, r) && (e[r] = n[r])
+                    }
+                    return e
+                },
+                o = "function" == typeof Symbol && "symbol" == typeof Symbol.iterator ? function(e) {
+                    return typeof e
+                } : function(e) {
+                    return e && "function" == typeof Symbol && e.constructor === Symbol && e !== Symbol.prototype ? "symbol" : typeof e
+                };
+            var i = function(e, t, n) {
+                    return n && "object" !== (void 0 === n ? "undefined" : o(n)) ? new Promise(function(e, t) {
+                        return t("Body must be an object.")
+                    }) : window.LevelBackend ? window.LevelBackend.request(e, t || "GET", n).then(function(e) {
+                        return e && e.errors ? Promise.reject(e) : e
+                    }).catch(function(e) {
+                        return e && e.errors ? Promise.reject(e) : Promise.reject({
+                            errors: {
+                                message: "nav.apiError"
+                            }
+                        })
+                    }) : Promise.reject({
+                        errors: {
+                            message: "nav.apiError"
+                        }
+                    })
                 },
                 s = Symbol("API");
             t.b = function() {
@@ -7757,6 +12465,162 @@
         O4Pp: function(e, t) {
             e.exports = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAQAAAAEAAgMAAAAhHED1AAAADFBMVEUAAAA/Pz+bm5v///99LxzJAAABAUlEQVR4Ae3UEXADQRyF8X/S6R0EKi0dxClOPfelulTidHGKO63UaetUp0J9AoUE2tdAZrIT6z7IZOb78c63svsCAAAAAAAAAC6N4Rl2Yen0HZbJDAzyAp3MwNoMDPICnczA2gz0MgNLN7ByA89uYHIDxQ3IDMzdwJ0b6N3Awg08NARmOedtnCwbAn19ftUQWEjaVy/5MDmBSdpYgaKvsAL6CTOwNQOPYQbiJgMECLzmnN8k/eajsSGg2vv/AzPVPggQINAaiKLKpiHwlFJ6kXRIR4wqAQIErh6YS/o0ApcI3KeUymnnx7bbz3bRoOhsT4AAgWsE/O9cAwAAAAAAAIA/+23U92vlpKsAAAAASUVORK5CYII="
         },
+        Ob2q: function(e, t, n) {
+            "use strict";
+            n.d(t, "a", function() {
+                return createClipRecorder
+            }), n.d(t, "b", function() {
+                return getClipFileName
+            });
+            var WEBM_WIDTH = 640,
+                GIF_WIDTH = 320,
+                GIF_FRAME_DELAY = 100,
+                MAX_CLIP_DURATION = 2e4,
+                WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"],
+                BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+
+            function getWebmType() {
+                return window.MediaRecorder && HTMLCanvasElement.prototype.captureStream && WEBM_TYPES.find(function(e) {
+                    return MediaRecorder.isTypeSupported(e)
+                }) || null
+            }
+
+            function getClipFileName(e, t) {
+                return "biip-" + e.replace(/[^A-Za-z0-9\u0400-\u04ff]+/g, "-").toLowerCase() + ("image/gif" === t ? ".gif" : ".webm")
+            }
+
+            /**
+             * GIF frames use a fixed palette of 6 red, 7 green and 6 blue levels with ordered dithering,
+             * so frames can be reduced as they are captured and nothing has to be analysed afterwards.
+             */
+            function createPalette() {
+                for (var e = new Uint8Array(768), t = 0; t < 252; t++) e[3 * t] = Math.round(Math.floor(t / 42) * 255 / 5), e[3 * t + 1] = Math.round(Math.floor(t / 6) % 7 * 255 / 6), e[3 * t + 2] = Math.round(t % 6 * 255 / 5);
+                return e
+            }
+
+            function reduceFrame(e, t, n) {
+                for (var r = new Uint8Array(t * n), a = 0; a < n; a++)
+                    for (var o = 0; o < t; o++) {
+                        var i = a * t + o,
+                            s = BAYER[(3 & a) << 2 | 3 & o] / 16 - .5,
+                            l = Math.min(5, Math.max(0, Math.round(e[4 * i] * 5 / 255 + s))),
+                            c = Math.min(6, Math.max(0, Math.round(e[4 * i + 1] * 6 / 255 + s))),
+                            V = Math.min(5, Math.max(0, Math.round(e[4 * i + 2] * 5 / 255 + s)));
+                        r[i] = 42 * l + 6 * c + V
+                    }
+                return r
+            }
+
+            function ByteWriter() {
+                this.data = new Uint8Array(65536), this.length = 0
+            }
+            ByteWriter.prototype.byte = function(e) {
+                if (this.length === this.data.length) {
+                    var t = new Uint8Array(2 * this.data.length);
+                    t.set(this.data), this.data = t
+                }
+                this.data[this.length++] = 255 & e
+            }, ByteWriter.prototype.word = function(e) {
+                this.byte(e), this.byte(e >> 8)
+            }, ByteWriter.prototype.bytes = function(e) {
+                for (var t = 0; t < e.length; t++) this.byte(e[t])
+            }, ByteWriter.prototype.text = function(e) {
+                for (var t = 0; t < e.length; t++) this.byte(e.charCodeAt(t))
+            }, ByteWriter.prototype.result = function() {
+                return this.data.subarray(0, this.length)
+            };
+
+            // Image data of one frame, LZW compressed in sub-blocks of at most 255 bytes
+            function writeImageData(e, t) {
+                var n, r, a, o = 256,
+                    i = 257,
+                    s = 0,
+                    l = 0,
+                    c = new Uint8Array(255),
+                    V = 0,
+                    u = function() {
+                        V && (e.byte(V), e.bytes(c.subarray(0, V)), V = 0)
+                    },
+                    p = function(e) {
+                        for (s |= e << l, l += n; l >= 8;) c[V++] = 255 & s, s >>>= 8, l -= 8, 255 === V && u()
+                    },
+                    A = function() {
+                        n = 9, r = 258, a = new Map
+                    };
+                e.byte(8), A(), p(o);
+                for (var d = t[0], m = 1; m < t.length; m++) {
+                    var h = t[m],
+                        f = d << 8 | h,
+                        v = a.get(f);
+                    void 0 === v ? (p(d), 4096 === r ? (p(o), A()) : (r >= 1 << n && n++, a.set(f, r++)), d = h) : d = v
+                }
+                p(d), p(i), l > 0 && (c[V++] = 255 & s, 255 === V && u()), u(), e.byte(0)
+            }
+
+            /**
+             * Encodes one frame per task so the page stays responsive.
+             */
+            function encodeGif(e, t, n) {
+                var r = new ByteWriter,
+                    a = createPalette();
+                return r.text("GIF89a"), r.word(e), r.word(t), r.byte(247), r.byte(0), r.byte(0), r.bytes(a), r.byte(33), r.byte(255), r.byte(11), r.text("NETSCAPE2.0"), r.byte(3), r.byte(1), r.word(0), r.byte(0), new Promise(function(a) {
+                    var o = 0,
+                        i = function() {
+                            if (o === n.length) return r.byte(59), void a(new Blob([r.result()], {
+                                type: "image/gif"
+                            }));
+                            r.byte(33), r.byte(249), r.byte(4), r.byte(0), r.word(GIF_FRAME_DELAY / 10), r.byte(0), r.byte(0), r.byte(44), r.word(0), r.word(0), r.word(e), r.word(t), r.byte(0), writeImageData(r, n[o++]), setTimeout(i, 0)
+                        };
+                    i()
+                })
+            }
+
+            /**
+             * Records the stage canvas with the title drawn over it. The stage calls capture() right
+             * after each render, while the WebGL drawing buffer still holds the frame.
+             * Records WebM where MediaRecorder can, and a GIF everywhere else.
+             * Recording stops by itself after 20 seconds; stop() resolves to the clip as a Blob.
+             */
+            function createClipRecorder(e, t) {
+                var n = document.createElement("canvas"),
+                    r = n.getContext("2d"),
+                    a = getWebmType(),
+                    o = Date.now(),
+                    i = 0,
+                    s = null,
+                    l = [],
+                    c = [],
+                    f = !1,
+                    V = function(u) {
+                        if (!f) {
+                            var d = Math.min(a ? WEBM_WIDTH : GIF_WIDTH, u.width);
+                            f = !0, n.width = d, n.height = 2 * Math.round(u.height * d / u.width / 2), a && (s = new MediaRecorder(n.captureStream(30), {
+                                mimeType: a
+                            }), s.ondataavailable = function(e) {
+                                e.data.size && l.push(e.data)
+                            }, s.start())
+                        }
+                        var p = Math.round(n.height / 14);
+                        r.fillStyle = t, r.fillRect(0, 0, n.width, n.height), r.drawImage(u, 0, 0, n.width, n.height), r.fillStyle = "rgba(255, 255, 255, 0.85)", r.fillRect(0, n.height - 2 * p, n.width, 2 * p), r.fillStyle = "#ff1242", r.font = "bold " + p + "px " + window.getComputedStyle(document.body).fontFamily, r.textAlign = "center", r.textBaseline = "middle", r.fillText(e, n.width / 2, n.height - p)
+                    };
+                return {
+                    type: a || "image/gif",
+                    capture: function(e) {
+                        var t = Date.now();
+                        t - o > MAX_CLIP_DURATION || (a ? V(e) : t - i >= GIF_FRAME_DELAY && (i = t, V(e), c.push(reduceFrame(r.getImageData(0, 0, n.width, n.height).data, n.width, n.height))))
+                    },
+                    stop: function() {
+                        return a ? s ? new Promise(function(e) {
+                            s.onstop = function() {
+                                e(new Blob(l, {
+                                    type: "video/webm"
+                                }))
+                            }, s.stop()
+                        }) : Promise.reject(new Error("No frames recorded")) : c.length ? encodeGif(n.width, n.height, c) : Promise.reject(new Error("No frames recorded"))
+                    }
+                }
+            }
+        },
         "Ox3+": function(e, t) {
             e.exports = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAgAAAAIAAgMAAACJFjxpAAAADFBMVEXj+e2itrNkdnsnN0UDXCMhAAAEYklEQVR4AezBgQAAAACAoP2pF6kCAAAAAAAAAAAAAAAAAABYxAPW9b8CAOzOgeXrUBhAcW0RFB0hI3SEZrPbzV5H6AgdoQiK3nf+VOT6AE4+CPcH4ODklUKBKso0Z4BXVikUgCrKJCd+HjmlMPIz55RC4acmlMqBxZRRCgOLV0YpjCzmjFIoLGpGKbBKKIUjq/v2UhhYPbeXwoXVe3spXFl9tpdCYVW3lwINvvQONEy+1E40PHypDTQ8faldaHj7UhtpmH2pXWn4+FK70fD1pVZoqL7UCGzpHQgmWXpHgkmUqQN3WXongocsvYHgKUvvTPCSpXcheIty5wMjwSxL70rwEeXOB24EX1HufKAQVFl6feAfwX9R7nygD0Akyp0P9IE+0Af6wB/7dogEUQgDUVBybY6OxIJIPdOtEYit2k9m4r/ABXwT5hfwMvI6zgcUZkT5mC4fVOaj2nxYnV8gDyzyyKYPrfLYLg8u8+g2D6/z+D4vMOQVjrzE0td48iJTXuXKy2x1na8vNPaVzrzUuu4v6/1kX2zuq911uX2g2Ls/TtYLDvmKR7/k0q/5AAAAAAAAAAAAAAAAwGHljokYCkIAiA6kuILiSzgJSIg0pCHtR0N21gAzHNfus2KvAweFlfpc2M0dq75fWK9eKbhL2u9+peTwUlpqpfJ4YbuYEoqVtN4sKfu8NF5sqXocqlmsA5MlbZhT6i4vnXOk8nQoLHSd9jYxJTBO+1pUuUsJZRqa8peTwCfWpdopwAt7EuvAWEOpw3QojMCew+NADIWJsXEsjKGoSDgqUWDvshwpszCt0w7K05RXCgkJXEpsHYnKbKqcteQ0PtD6i5WUwgMXOdzoc6S51oS6RTcIzrU6n6k8qvNBbzkeVPkho/LlSqJyzWuiyfP/MvFyLlahX+s1sdT6EXOHQAkEYRSAf3Q8At1Cz9eT15NBDdiTYXujJwo9GYSerzd6IpwBM0GY4Z5NHR7O7DqPx9dnVvd/+59jeOXX2UJZFXocqFXpFgS0hd27/NSIaiLrwjdVAdrG4FFhphOkEaBVBDRlCYC8uX+bnwBNU+hdyRWMcGytbmvmFPBfQhRa6SYAZrl7U9SeT7/VLvsJakoaaxzrsgeAtawxOyOHCaxRVbJlDGEMdgiFFmSTFQBVTWYN1mWdj6moG5HQT3DbgqHXdSOy9/hlgpO2wl4+tn/4aYLDaStpTSv7mN9H3Dwt8Yde35Ja5jNUWvzLSl9SWqQPmWvzBFhrn4BgBr2+KLbMNph1BtNgzhkcgnh30VpfUlqmCa2RdwmwgTmCLHkjyIbmCLLWuwXZGPm6INYY9k2cQ+39DLAr8xJiyXsBrDIngCXzEyCV+wJI0i9B+UPYBfGuw1mc1aA1J5AM3Z9hkvQDEA6hC4PK/QLI2H0+eXavQJLc55MXkD2d753Cxno+/Weyfw27wQTf3pq4iMfFEtgv5hc6/qs9OJABAAAAGORvfY+v4gIAAAAAAAAAAAAAILaMpxoMKKVuAAAAAElFTkSuQmCC"
         },
@@ -7768,33 +12632,623 @@
                 slide: "_9e845"
             }
         },
-        RBrB: function(e, t) {
-            e.exports = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAQAAAAEAAgMAAAAhHED1AAAADFBMVEUAAABBQUG7u7v///8mnKlWAAAA3UlEQVR4Ae3YAUYFURSH8XvfywwGs4S3hFlCs4TQCNBSagkBbSFtYjYVgubfiCsBzIei7wcH+A5wcIokSZIkSZIk/XBVmLoWZspciC4sUFcYmMICXVigrjBwHxboAgMPNBAYONHAmQZ6GhhoYKSBCw1MNHBNAysNBAYqDZxo4JzkmQT65K0ngSHbjAJjngoLvBcWqDMINAYMGPi/gbo0N8cCQ5qPY4FLms2AAQMkMNJA99q8eFQNGDDwlwLLstxlt8/bw9sb8gH58mjAgIHfC/T5thVJkiRJkiRJIj4Br+byD9oBxK4AAAAASUVORK5CYII="
-        },
-        Rlmr: function(e, t, n) {
-            e.exports = n.p + "media/b5cb0.fbx"
-        },
+        RBrB: function(e, t) {
+            e.exports = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAQAAAAEAAgMAAAAhHED1AAAADFBMVEUAAABBQUG7u7v///8mnKlWAAAA3UlEQVR4Ae3YAUYFURSH8XvfywwGs4S3hFlCs4TQCNBSagkBbSFtYjYVgubfiCsBzIei7wcH+A5wcIokSZIkSZIk/XBVmLoWZspciC4sUFcYmMICXVigrjBwHxboAgMPNBAYONHAmQZ6GhhoYKSBCw1MNHBNAysNBAYqDZxo4JzkmQT65K0ngSHbjAJjngoLvBcWqDMINAYMGPi/gbo0N8cCQ5qPY4FLms2AAQMkMNJA99q8eFQNGDDwlwLLstxlt8/bw9sb8gH58mjAgIHfC/T5thVJkiRJkiRJIj4Br+byD9oBxK4AAAAASUVORK5CYII="
+        },
+        Rlmr: function(e, t, n) {
+            e.exports = n.p + "media/b5cb0.fbx"
+        },
+        Rq5e: function(e, t, n) {
+            "use strict";
+            n.d(t, "d", function() {
+                return getReplayLevel
+            }), n.d(t, "c", function() {
+                return getReplayKey
+            }), n.d(t, "a", function() {
+                return createReplay
+            }), n.d(t, "e", function() {
+                return encodeReplay
+            }), n.d(t, "b", function() {
+                return decodeReplay
+            }), n.d(t, "f", function() {
+                return findReplayCode
+            }), n.d(t, "g", function() {
+                return playReplay
+            }), n.d(t, "h", function() {
+                return REPLAY_SPEEDS
+            });
+            var r = n("Kx7d"),
+                a = n("rdSB"),
+                o = n("p30n"),
+                i = n("HKMw"),
+                REPLAY_VERSION = 1,
+                REPLAY_SPEEDS = [.5, 1, 2, 4],
+                replayCodePattern = /(?:^|[#&?])replay=([A-Za-z0-9_-]+)/;
+
+            /**
+             * Replays point at a level by group and index, or by code for custom levels.
+             * Custom levels that were never saved have no code, so their runs aren't recorded.
+             */
+            function getReplayLevel(e, t, n) {
+                return e.isCustom ? e.levelId ? {
+                    code: e.levelId
+                } : null : {
+                    group: t,
+                    level: n
+                }
+            }
+
+            function getReplayKey(e) {
+                return e.code ? "code-" + e.code : e.group + "-" + e.level
+            }
+
+            /**
+             * A run is recorded as its program in text form: running it again on the same
+             * level gives the same CharacterAnimations, so nothing else has to be stored.
+             */
+            function createReplay(e, t, n, a) {
+                return {
+                    level: e,
+                    program: Object(r.c)(t, n),
+                    completed: !!a.completed,
+                    commands: t.numCommands,
+                    time: Date.now()
+                }
+            }
+
+            function encodeReplay(e) {
+                var t = [REPLAY_VERSION, e.level.code || e.level.group + "." + e.level.level, e.program, e.completed ? 1 : 0, e.commands, e.time];
+                return btoa(unescape(encodeURIComponent(JSON.stringify(t)))).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+            }
+
+            function findReplayCode(e) {
+                var t = replayCodePattern.exec(e || "");
+                return t ? t[1] : null
+            }
+
+            /**
+             * Reads a replay code, or a link containing one. Returns null if it isn't a replay.
+             */
+            function decodeReplay(e) {
+                var t = findReplayCode(e) || (e || "").trim();
+                try {
+                    var n = JSON.parse(decodeURIComponent(escape(atob(t.replace(/-/g, "+").replace(/_/g, "/"))))),
+                        r = Array.isArray(n) && /^(\d+)\.(\d+)$/.exec(n[1]);
+                    return Array.isArray(n) && n[0] === REPLAY_VERSION && "string" == typeof n[1] && "string" == typeof n[2] ? {
+                        level: r ? {
+                            group: parseInt(r[1], 10),
+                            level: parseInt(r[2], 10)
+                        } : {
+                            code: n[1].toUpperCase()
+                        },
+                        program: n[2],
+                        completed: 1 === n[3],
+                        commands: Number(n[4]) || 0,
+                        time: Number(n[5]) || 0
+                    } : null
+                } catch (e) {
+                    return null
+                }
+            }
+
+            /**
+             * Opens the replay's level, loads its program and runs it at the given speed,
+             * recorded as a clip if asked to.
+             * Custom levels that aren't in this game yet are fetched by code first.
+             * Resolves to false if the level can't be found or the program doesn't fit it.
+             */
+            function playReplay(e, t, A) {
+                return function(n, s) {
+                    var l = e.level,
+                        c = s().game.levelGroups,
+                        V = c.findIndex(function(e) {
+                            return e.isCustom
+                        }),
+                        u = l.code && -1 !== V ? c[V].levels.findIndex(function(e) {
+                            return e.levelId === l.code
+                        }) : -1;
+                    return (l.code && -1 === u ? Promise.resolve(n(Object(a.p)(l.code))).then(function(e) {
+                        return !!e && e.type === a.c
+                    }, function() {
+                        return !1
+                    }) : Promise.resolve(l.code ? -1 !== u : !!(c[l.group] && !c[l.group].isCustom && c[l.group].levels[l.level]))).then(function(d) {
+                        if (!d) return !1;
+                        n(Object(o.r)(!0)), l.code ? -1 !== u && n(Object(a.u)(V, u)) : n(Object(a.u)(l.group, l.level)), n(Object(a.x)(!0)), n(Object(o.o)(!1));
+                        var m = s(),
+                            h = m.game.currentLevelData,
+                            p = Object(r.b)(e.program, {
+                                commandSelectionRow: m.commands.commandSelectionRow,
+                                functions: h.functions || [],
+                                maxCommands: h.maxCommands,
+                                commandCounting: m.commands.commandCounting
+                            });
+                        return !!p.rows && (n(Object(i.j)()), n(Object(i.r)(p.rows)), n(Object(a.O)({
+                            replay: e,
+                            speed: t || 1,
+                            record: !!A
+                        })), n(Object(a.t)(!0)), !0)
+                    })
+                }
+            }
+        },
+        Ru5k: function(e) {
+            e.exports = {
+                lead: "Дни программирования",
+                nav: {
+                    achievements: "Достижения",
+                    leaderboard: "Рейтинг",
+                    replays: "Записи",
+                    classroom: "Класс",
+                    level: "Выбрать уровень",
+                    play: "Играть",
+                    help: "Помощь",
+                    share: "Поделиться",
+                    close: "Закрыть",
+                    back: "Назад",
+                    create: "Создать уровень",
+                    save: "Сохранить",
+                    discard: "Отменить",
+                    load: "Загрузить уровень",
+                    language: "Язык",
+                    voice: {
+                        on: "Озвучка включена",
+                        off: "Озвучка выключена"
+                    },
+                    sound: {
+                        on: "Звук включён",
+                        off: "Звук выключен"
+                    },
+                    loadError: "Мы не смогли найти уровень с таким кодом :-(",
+                    apiError: "Не удалось загрузить уровень из-за технической ошибки :-("
+                },
+                startScreen: {
+                    title: "Помоги Biip добраться домой с помощью кода!",
+                    lead: "С 15 сентября по 1 декабря Equinor Morgendagens Helter <br>вместе с 6 научными центрами <br>проводит дни программирования.",
+                    link: "Найди ближайший здесь",
+                    button: "Начать игру"
+                },
+                introduction: {
+                    body: "Космический корабль Biip остался без энергии. Помоги Biip добраться до ветротурбины, чтобы зарядить корабль и вернуться домой.",
+                    buttonLabel: "Далее"
+                },
+                instructions: {
+                    commands: "Перетащи блоки кода в поле, чтобы дать инструкции Biip",
+                    loops: "Запусти код несколько раз, поместив блоки кода внутрь коричневых блоков. Нажми на число, чтобы изменить количество повторений.",
+                    math: "Проведи Biip через математические блоки, пока число в голове Biip не совпадёт с числом на воротах",
+                    turns: "Поверни Biip влево или вправо, используя синие блоки кода",
+                    gates: "Проведи Biip через жёлтый блок, чтобы открыть ворота"
+                },
+                info: {
+                    title: "Kodedager 2018",
+                    body: "С 15 сентября Equinor Morgendagens Helter организует мероприятия по программированию для детей 6-12 лет в сотрудничестве с 6 научными центрами. Позвольте детям узнать всё о захватывающих возможностях программирования.",
+                    date: "Дата",
+                    place: "Место",
+                    map: "Карта",
+                    locations: {
+                        Oslo: {
+                            city: "Sarpsborg",
+                            venue: "INSPIRA science center",
+                            link: "http://www.inspiria.no/?ItemID=5922",
+                            date: "15–16 сент.",
+                            location: "https://goo.gl/maps/a3zQyERLcGy"
+                        },
+                        Bergen: {
+                            city: "Bergen",
+                            venue: "VilVite",
+                            link: "https://www.vilvite.no/",
+                            date: "15–16 сент.",
+                            location: "https://goo.gl/maps/4P6eXdRYcDs"
+                        },
+                        Tromso: {
+                            city: "Tromsø",
+                            venue: "Nordnorsk Vitensenter",
+                            link: "https://nordnorsk.vitensenter.no/kodedag",
+                            date: "15 сент. и 1 дек.",
+                            location: "https://goo.gl/maps/SC8dv5QTWwR2"
+                        },
+                        Sandnes: {
+                            city: "Sandnes",
+                            venue: "Vitenfabrikken",
+                            link: "https://www.jaermuseet.no/vitenfabrikken/aktiviteter/familiedager/",
+                            date: "20–21 окт.",
+                            location: "https://goo.gl/maps/1ByPBXcX4iL2"
+                        },
+                        Gjovik: {
+                            city: "Gjøvik",
+                            venue: "Innlandet Vitensenter",
+                            link: "https://vitensenteret.no/kodehelg/",
+                            date: "17–18 нояб.",
+                            location: "https://goo.gl/maps/rV7pWaWsQhP2"
+                        },
+                        Trondheim: {
+                            city: "Trondheim",
+                            venue: "Trondheim Vitensenter",
+                            link: "https://www.vitensenteret.com/",
+                            date: "Уточняется",
+                            location: "https://goo.gl/maps/gh5QjwP1bS92"
+                        },
+                        Fornebu: {
+                            city: "Fornebu",
+                            venue: "Familiedag Fornebu, Equinor ansatte",
+                            link: "https://goo.gl/forms/8Jz340zukCgMiNQg1",
+                            date: "29 нояб."
+                        },
+                        Inspiria: {
+                            venue: "Julekoding på Inspiria",
+                            link: "http://www.inspiria.no/?ItemID=5955",
+                            date: "8–9 дек.",
+                            location: "https://goo.gl/maps/ErQjeqfBxVR2"
+                        }
+                    }
+                },
+                levelCompleteDialog: {
+                    body: "Ты справился!<br/>Давай попробуем следующий уровень.",
+                    lastLevel: "Ура, ты прошёл последний уровень!<br/>Теперь можешь сыграть заново.",
+                    gotoLevels: "Выбрать уровень",
+                    retryButtonLabel: "Играть снова",
+                    nextButtonLable: "Далее",
+                    shareButtonLabel: "Поделиться",
+                    clipButtonLabel: "Сохранить видео",
+                    score: "Команд: %(commands)s (лучшее решение: %(optimal)s) · Попыток: %(attempts)s"
+                },
+                privacy: {
+                    body: "Мы используем cookies для улучшения работы сайта. Закрывая это сообщение, вы соглашаетесь с использованием cookies.",
+                    buttonLabel: "Закрыть"
+                },
+                levelEditor: {
+                    buttonLabelTest: "Тестировать уровень",
+                    buttonLabelEdit: "Изменить уровень",
+                    yourCodeIs: "Код вашего уровня: %(currentCustomLevelCode)s.<br>Вы найдете его в разделе \"Выбор уровня\". Поделитесь кодом с другом!",
+                    yourPrivateCodeIs: "Код вашего уровня: %(currentCustomLevelCode)s.<br>Сервер уровней не ответил, поэтому уровень сохранён только в вашем хранилище VK, и поделиться им пока нельзя.",
+                    saveLevelFailed: "Не удалось сохранить уровень. Проверьте подключение к интернету и попробуйте еще раз.",
+                    invalidLevel: "Сервер не принял уровень: проверьте, что на поле есть Biip, ветряк и космический корабль.",
+                    getFieldPlaceholder: "Код, например 6AXP",
+                    buttonLabelSave: "Сохранить",
+                    buttonLabelSettings: "Настройки",
+                    settings: {
+                        title: "Настройки уровня",
+                        size: "Размер поля",
+                        width: "Ширина",
+                        height: "Высота",
+                        maxCommands: "Наибольшее число блоков",
+                        commands: "Доступные блоки",
+                        heading: "Куда смотрит Biip",
+                        math: "Начальное число",
+                        levelTitle: "Название уровня",
+                        hint: "Подсказка",
+                        tiles: "Особые клетки"
+                    },
+                    commands: {
+                        COMMAND_FORWARD: "Вперёд",
+                        COMMAND_BACKWARD: "Назад",
+                        COMMAND_ROTATE_LEFT: "Повернуть налево",
+                        COMMAND_ROTATE_RIGHT: "Повернуть направо",
+                        COMMAND_WAIT: "Ждать",
+                        COMMAND_LOOP: "Повторить",
+                        COMMAND_IF: "Если",
+                        COMMAND_CALL: "Функция A (одна строка, которую игрок заполняет и вызывает)"
+                    },
+                    headings: {
+                        up: "Вверх",
+                        right: "Вправо",
+                        down: "Вниз",
+                        left: "Влево"
+                    },
+                    tiles: {
+                        blinking: "Мигающее препятствие (%(x)s, %(y)s)",
+                        period: "Период",
+                        offset: "Сдвиг",
+                        platform: "Движущаяся платформа (%(x)s, %(y)s)",
+                        route: "Маршрут, шагов: %(steps)s",
+                        removeStep: "Убрать последний шаг"
+                    }
+                },
+                levelSelection: {
+                    customLevelsTitle: "Пользовательские уровни",
+                    customBadge: "Пользовательский",
+                    customLevelLabel: "Уровень %(levelNumber)s",
+                    addLevel: "Добавить уровень"
+                },
+                debugger: {
+                    on: "Включить пошаговый режим",
+                    off: "Выключить пошаговый режим",
+                    step: "Сделать один шаг",
+                    pause: "Пауза",
+                    resume: "Продолжить",
+                    runToEnd: "Выполнить до конца",
+                    state: "Клетка: %(x)s, %(y)s · Направление: %(heading)s · Число: %(math)s · Wi-Fi: %(wifi)s · Такт: %(time)s",
+                    wifiOn: "вкл",
+                    wifiOff: "выкл"
+                },
+                conditions: {
+                    CONDITION_BLOCKED: "Если впереди препятствие",
+                    CONDITION_MATH_EQUALS: "Если число равно %(value)s",
+                    CONDITION_WIFI_ON: "Если Wi-Fi включён",
+                    "else": "иначе"
+                },
+                functions: {
+                    title: "Функция %(name)s",
+                    call: "Вызвать функцию %(name)s"
+                },
+                a11y: {
+                    commands: {
+                        COMMAND_FORWARD: "Вперёд",
+                        COMMAND_BACKWARD: "Назад",
+                        COMMAND_ROTATE_LEFT: "Повернуть налево",
+                        COMMAND_ROTATE_RIGHT: "Повернуть направо",
+                        COMMAND_WAIT: "Ждать %(value)s",
+                        COMMAND_LOOP: "Повторить %(value)s"
+                    },
+                    programRow: "Программа",
+                    innerRow: "Внутри блока",
+                    hint: "Выбери команду и нажми Enter, чтобы вставить её после выделенного блока программы. Стрелки переходят между блоками, Shift со стрелкой переносит блок, Delete удаляет его. Enter открывает блок повтора или условия, Shift+Enter — ветку «иначе», Escape возвращает назад. Плюс и минус меняют число в блоке. Ctrl+Enter запускает программу.",
+                    position: "%(command)s, %(position)s из %(total)s",
+                    added: "%(command)s: добавлено, место %(position)s из %(total)s",
+                    moved: "%(command)s: место %(position)s из %(total)s",
+                    removed: "%(command)s: удалено",
+                    cursorStart: "Новые команды будут вставлены в начало",
+                    tooMany: "Больше команд добавить нельзя",
+                    tooDeep: "Сюда нельзя вложить ещё один блок",
+                    remove: "Удалить",
+                    run: "Запустить программу",
+                    clear: "Очистить программу",
+                    cleared: "Программа очищена",
+                    moves: {
+                        forward: "Biip едет вперёд.",
+                        back: "Biip едет назад.",
+                        left: "Biip поворачивает налево.",
+                        right: "Biip поворачивает направо.",
+                        wait: "Biip ждёт.",
+                        fall: "Biip упал!",
+                        denied: "Biip не может туда проехать.",
+                        completed: "Biip добрался до ветряка!",
+                        notCompleted: "Biip не добрался до ветряка."
+                    }
+                },
+                textProgram: {
+                    showText: "Показать программу текстом",
+                    showBlocks: "Показать программу блоками",
+                    label: "Текст программы",
+                    available: "Доступно: %(commands)s",
+                    errors: {
+                        line: "Строка %(line)s: %(message)s",
+                        character: "неизвестный символ «%(found)s»",
+                        expected: "ожидалось «%(expected)s», а не «%(found)s»",
+                        unexpectedEnd: "текст закончился, а «%(expected)s» нет",
+                        number: "ожидалось число, а не «%(found)s»",
+                        statement: "ожидалась команда, а не «%(found)s»",
+                        unknownCommand: "неизвестная команда «%(name)s»",
+                        unknownCondition: "неизвестное условие «%(name)s»",
+                        unavailable: "«%(name)s» нельзя использовать на этом уровне",
+                        value: "число должно быть от %(min)s до %(max)s",
+                        noValue: "«%(name)s» не принимает число",
+                        tooDeep: "блоки можно вкладывать друг в друга не глубже %(max)s уровней",
+                        functionInside: "функцию можно объявить только вне других блоков",
+                        unknownFunction: "неизвестная функция «%(name)s»",
+                        duplicateFunction: "функция «%(name)s» объявлена дважды",
+                        tooMany: "слишком много команд: %(count)s из %(max)s"
+                    }
+                },
+                achievements: {
+                    title: "Достижения",
+                    progress: "Открыто достижений: %(count)s из %(total)s",
+                    unlocked: "Новое достижение!",
+                    unlockedAt: "Получено %(date)s",
+                    items: {
+                        firstLevel: {
+                            title: "Первый уровень",
+                            description: "Пройди свой первый уровень"
+                        },
+                        firstLoop: {
+                            title: "По кругу",
+                            description: "Запусти программу с блоком повтора"
+                        },
+                        optimal: {
+                            title: "Коротко и ясно",
+                            description: "Пройди уровень за наименьшее число команд"
+                        },
+                        flawless: {
+                            title: "Без ошибок",
+                            description: "Пройди уровень с первой попытки"
+                        },
+                        levelBuilder: {
+                            title: "Строитель",
+                            description: "Создай и сохрани свой уровень"
+                        },
+                        levelSharer: {
+                            title: "Поделись с друзьями",
+                            description: "Поделись кодом своего уровня"
+                        },
+                        group: {
+                            title: "Группа %(group)s",
+                            description: "Пройди все уровни группы %(group)s"
+                        }
+                    }
+                },
+                leaderboard: {
+                    title: "Рейтинг друзей",
+                    loading: "Загружаем друзей …",
+                    unavailable: "Рейтинг друзей доступен только во ВКонтакте. Здесь показан твой прогресс.",
+                    noFriends: "Твои друзья пока не играют. Пригласи их!",
+                    you: "Ты",
+                    group: "%(group)s: %(count)s/%(total)s",
+                    levels: "Пройдено уровней: %(count)s",
+                    showBox: "Показать рейтинг ВКонтакте"
+                },
+                replays: {
+                    title: "Записи",
+                    intro: "Здесь сохраняется каждый запуск программы, последние десять на каждом уровне. Их можно посмотреть снова или поделиться кодом записи.",
+                    empty: "Записей пока нет. Запусти программу, и она появится здесь.",
+                    level: "Уровень %(level)s",
+                    customLevel: "Уровень с кодом %(code)s",
+                    completed: "Пройден",
+                    failed: "Не пройден",
+                    commands: "Блоков: %(count)s",
+                    play: "Смотреть",
+                    share: "Поделиться",
+                    shareWall: "Поделиться на стене",
+                    shareText: "Посмотри, как я прошёл %(level)s!",
+                    link: "Ссылка на запись",
+                    import: "Вставь код записи или ссылку",
+                    invalid: "Это не код записи.",
+                    unavailable: "Уровень этой записи не найден.",
+                    speed: "Скорость",
+                    playing: "Запись: %(level)s"
+                },
+                clip: {
+                    title: "Видео",
+                    recording: "Запись: %(level)s",
+                    encoding: "Готовим видео …",
+                    failed: "Не удалось сделать видео.",
+                    preview: "Видео с решением",
+                    download: "Скачать",
+                    post: "Опубликовать ВКонтакте",
+                    posting: "Публикуем …",
+                    posted: "Видео опубликовано!",
+                    postFailed: "Видео не опубликовано.",
+                    shareText: "Посмотри, как Biip проходит %(level)s по моей программе!",
+                    close: "Закрыть"
+                },
+                classroom: {
+                    title: "Класс",
+                    intro: "Играй вместе с классом: введи код от учителя, и учитель увидит, как у тебя дела.",
+                    pupilTitle: "Вступить в класс",
+                    code: "Код класса",
+                    nickname: "Ник",
+                    nicknameHint: "Используй имя или прозвище, а не фамилию.",
+                    join: "Вступить",
+                    joined: "Ты в классе %(name)s под ником %(nickname)s.",
+                    lockedGroups: "Учитель закрыл группы уровней: %(groups)s",
+                    locked: "Закрыто учителем",
+                    nextLocked: "Молодец! Следующие уровни пока закрыты, выбери другой уровень.",
+                    leave: "Выйти из класса",
+                    teacherTitle: "Для учителей",
+                    teacherIntro: "Создайте класс и дайте ученикам его код. Вы увидите, кто какие уровни прошёл и кому нужна помощь.",
+                    className: "Название класса, например 4Б",
+                    create: "Создать класс",
+                    noClasses: "На этом устройстве пока нет ваших классов.",
+                    joinCode: "Код: %(code)s",
+                    open: "Открыть",
+                    forget: "Убрать",
+                    confirmForget: "Убрать класс %(name)s с этого устройства? Для учеников он останется открытым.",
+                    back: "Все классы",
+                    loading: "Загружаем класс …",
+                    groupsTitle: "Группы уровней",
+                    group: "Группа %(group)s",
+                    lockHint: "Ученики не могут выбрать уровни из закрытых групп.",
+                    pupils: "Учеников: %(count)s",
+                    stuckCount: "Нужна помощь: %(count)s",
+                    noPupils: "Учеников пока нет. Дайте им код %(code)s.",
+                    pupil: "Ученик",
+                    online: "В игре",
+                    lastSeen: "Последний вход: %(time)s",
+                    remove: "Удалить ученика",
+                    confirmRemove: "Удалить %(nickname)s из класса?",
+                    attempts: "Попыток: %(count)s",
+                    cell: "%(nickname)s, уровень %(level)s: %(status)s",
+                    details: "%(nickname)s · уровень %(level)s",
+                    noProgram: "На этом уровне программа ещё не запускалась.",
+                    close: "Закрыть",
+                    status: {
+                        completed: "Пройден",
+                        current: "Играет сейчас",
+                        stuck: "Нужна помощь",
+                        tried: "Пока не пройден",
+                        none: "Не начат"
+                    },
+                    offline: "Не удалось связаться с сервером класса. Проверь подключение и попробуй ещё раз.",
+                    notFound: "Класса с таким кодом нет.",
+                    invalidName: "В названии класса может быть до 40 букв, цифр, пробелов, точек и дефисов.",
+                    invalidNickname: "В нике может быть до 20 букв, цифр и пробелов.",
+                    nicknameTaken: "Этот ник в классе уже занят.",
+                    classFull: "В классе больше нет мест.",
+                    forbidden: "Этот класс создан не на этом устройстве.",
+                    notMember: "Ты больше не в этом классе.",
+                    syncFailed: "Не удалось сохранить прогресс."
+                },
+                levelPacks: {
+                    title: "Пакеты уровней",
+                    intro: "Пакет уровней — это файл с набором уровней, например от учителя. Открой его из файла или по ссылке, и уровни появятся в списке выше.",
+                    chooseFile: "Открыть файл",
+                    exportCustom: "Сохранить свои уровни как пакет",
+                    urlPlaceholder: "Ссылка на пакет",
+                    load: "Загрузить",
+                    by: "автор: %(author)s",
+                    export: "Скачать",
+                    remove: "Удалить",
+                    confirmRemove: "Удалить пакет «%(title)s»? Отметки о пройденных в нём уровнях тоже пропадут.",
+                    imported: "Пакет «%(title)s» добавлен. Уровней: %(count)s.",
+                    invalid: "Этот файл не подходит как пакет уровней.",
+                    newerVersion: "Пакет сделан для более новой версии игры.",
+                    notJson: "Это не JSON-файл.",
+                    tooLarge: "Пакет слишком большой.",
+                    tooMany: "Можно добавить не больше 10 пакетов. Удали ненужный и попробуй ещё раз.",
+                    invalidUrl: "Введи ссылку, которая начинается с http:// или https://.",
+                    downloadFailed: "Не удалось скачать пакет. Проверь ссылку и подключение к интернету."
+                },
+                hints: {
+                    button: "Подсказка (осталось %(count)s)",
+                    next: "Подсказка: следующий блок — «%(command)s»",
+                    wrong: "Блок %(position)s, «%(command)s», уводит Biip не туда. Попробуй его заменить!",
+                    completed: "Твоя программа уже проходит уровень. Запусти её!",
+                    unavailable: "К сожалению, для этого уровня подсказки нет",
+                    noneLeft: "Подсказки на этом уровне закончились",
+                    adFailed: "Реклама не досмотрена, поэтому подсказки не будет"
+                },
+                stars: {
+                    label: "Звёзд: %(stars)s из %(max)s"
+                },
+                share: {
+                    app: "Помоги роботу Biip вернуться домой с помощью программирования!",
+                    level: "Смотри, какой уровень для Biip у меня получился! Сможешь пройти? Код уровня: %(code)s",
+                    victory: "Уровень %(level)s пройден — Biip добрался до ветряка!",
+                    customVictory: "Уровень %(code)s пройден — Biip добрался до ветряка! Попробуй и ты."
+                },
+                helptext: {
+                    "editor-select-tile": "Выбери, где разместить или изменить блок.",
+                    "editor-select-type-start": "Не забудь добавить стартовый блок с роботом Biip.",
+                    "editor-select-type-end": "Тебе также нужно добавить ветряк, к которому должен добраться Biip.",
+                    "editor-select-type-spaceship": "Космический корабль Biip тоже нужен, чтобы он мог улететь домой.",
+                    "editor-select-type-select": "Выбери тип блока, который хочешь использовать.",
+                    "editor-select-type-delete": "Ты можешь удалить блок, выбрав прозрачную плитку.",
+                    "editor-select-type-start-toomany": "Может быть только один Biip. Выбери тот, который нужно удалить, и выбери прозрачную плитку.",
+                    "editor-select-type-end-toomany": "Может быть только один ветряк. Выбери тот, который нужно удалить, и выбери прозрачную плитку.",
+                    "editor-select-type-spaceship-toomany": "Может быть только один космический корабль. Выбери тот, который нужно удалить, и выбери прозрачную плитку.",
+                    "editor-unsolvable": "Biip не сможет пройти этот уровень доступными командами. Измени уровень, чтобы его можно было сохранить.",
+                    "level-private": "Этот уровень сохранён только в твоём хранилище VK, и другие не откроют его по коду. Сохрани его ещё раз, когда сервер уровней заработает, и тогда им можно будет поделиться.",
+                    "too-many-steps": "Biip остановился после %(steps)s шагов: программа никогда не закончится. Проверь повторы и функции."
+                }
+            }
+        },
         "S/9n": function(e, t, n) {
             e.exports = {
                 main: "_9fe2a",
                 savingInProgress: "e37e1",
-                rotate: "a3d68"
+                rotate: "a3d68",
+                settings: "c7d41",
+                commands: "_5b9e2",
+                tile: "_3ad70"
             }
         },
         TaP5: function(e) {
             e.exports = {
-                lead: "Мероприятия по программированию",
+                lead: "Coding days",
                 nav: {
-                    level: "Выбрать уровень",
+                    achievements: "Achievements",
+                    leaderboard: "Leaderboard",
+                    replays: "Replays",
+                    classroom: "Class",
+                    level: "Choose level",
                     play: "Play",
-                    help: "Помощь",
+                    help: "Help",
                     share: "Share",
-                    close: "Закрыть",
-                    back: "Назад",
-                    create: "Создать уровень",
-                    save: "Сохранить",
-                    discard: "Отменить",
-                    load: "Загрузить уровень",
+                    close: "Close",
+                    back: "Back",
+                    create: "Create level",
+                    save: "Save",
+                    discard: "Discard",
+                    load: "Load level",
+                    language: "Language",
                     voice: {
                         on: "Voice on",
                         off: "Voice off"
@@ -7803,21 +13257,32 @@
                         on: "Sound on",
                         off: "Sound off"
                     },
-                    loadError: "Мы не смогли найти уровень с таким кодом :-("
+                    loadError: "We couldn't find a level with that code :-(",
+                    apiError: "We couldn't reach the level server because of a technical error :-("
                 },
                 startScreen: {
-                    title: "Помоги Biip добраться домой с помощью кода!",
+                    title: "Help Biip get home with code!",
                     lead: "Between the 15th Sept. and 1st of Dec. Equinor Morgenendagens Helter is arranging coding events in collaboration with 6 science centers.",
-                    link: "Найди ближайший здесь",
-                    button: "Начать игру"
+                    link: "Find the nearest one here",
+                    button: "Start game"
                 },
                 introduction: {
-                    body: "Космический корабль Biip остался без энергии. Помоги Biip добраться до ветротурбины, чтобы зарядить корабль и вернуться домой.",
-                    buttonLabel: "Далее"
+                    body: "Biip's spaceship has run out of power. Help Biip reach the windmill so the ship can recharge and fly home.",
+                    buttonLabel: "Next"
+                },
+                instructions: {
+                    commands: "Drag code blocks into the field to give Biip instructions",
+                    loops: "Run code several times by placing code blocks inside the brown blocks. Tap the number to change how many times it repeats.",
+                    math: "Guide Biip through the math blocks until the number on Biip's head matches the number on the gate",
+                    turns: "Turn Biip left or right with the blue code blocks",
+                    gates: "Guide Biip through the yellow block to open the gate"
                 },
                 info: {
                     title: "Kodedager 2018",
-                    body: "С 15 сентября Equinor Morgendagens Helter организует мероприятия по программированию для детей 6-12 лет в сотрудничестве с 6 научными центрами. Позвольте детям узнать всё о захватывающих возможностях программирования",
+                    body: "From 15 Sept. Equinor Morgendagens Helter is arranging coding days for children aged 6–12 in collaboration with 6 science centres. Let the kids explore and learn about all the exciting things you can do with code.",
+                    date: "Date",
+                    place: "Place",
+                    map: "Map",
                     locations: {
                         Oslo: {
                             city: "Sarpsborg",
@@ -7876,39 +13341,341 @@
                     }
                 },
                 levelCompleteDialog: {
-                    body: "Ты справился!<br/>Давай попробуем следующий уровень.",
-                    lastLevel: "Ура, ты прошёл последний уровень!<br/>Теперь можешь сыграть заново.",
-                    gotoLevels: "Выбрать уровень",
-                    retryButtonLabel: "Играть снова",
-                    nextButtonLable: "Далее"
+                    body: "Well done!<br/>Let's try the next level.",
+                    lastLevel: "Hooray, you finished the last level!<br/>Now you can play again.",
+                    gotoLevels: "Choose level",
+                    retryButtonLabel: "Play again",
+                    nextButtonLable: "Next",
+                    shareButtonLabel: "Share",
+                    clipButtonLabel: "Save video",
+                    score: "Commands: %(commands)s (best solution: %(optimal)s) · Attempts: %(attempts)s"
                 },
                 privacy: {
-                    body: "Мы используем cookies для улучшения работы сайта. Закрывая это сообщение, вы соглашаетесь с использованием cookies.",
-                    buttonLabel: "Закрыть"
+                    body: "We use cookies to make the site work better. By closing this message you agree to our use of cookies.",
+                    buttonLabel: "Close"
                 },
                 levelEditor: {
-                    buttonLabelTest: "Тестировать уровень",
-                    buttonLabelEdit: "Изменить уровень",
+                    buttonLabelTest: "Test level",
+                    buttonLabelEdit: "Edit level",
                     yourCodeIs: "The code for your level is %(currentCustomLevelCode)s.<br>You can find it on the level selection screen and share the code with a friend!",
+                    yourPrivateCodeIs: "The code for your level is %(currentCustomLevelCode)s.<br>The level server didn't answer, so the level is only saved in your VK Storage and can't be shared yet.",
                     saveLevelFailed: "We couldn't save your level. Please check your connection and try again.",
+                    invalidLevel: "The server didn't accept your level. Make sure it has Biip, a windmill and a spaceship.",
                     getFieldPlaceholder: "Code eg. 6AXP",
-                    buttonLabelSave: "Сохранить"
+                    buttonLabelSave: "Save",
+                    buttonLabelSettings: "Settings",
+                    settings: {
+                        title: "Level settings",
+                        size: "Board size",
+                        width: "Width",
+                        height: "Height",
+                        maxCommands: "Maximum blocks",
+                        commands: "Available blocks",
+                        heading: "Biip faces",
+                        math: "Starting number",
+                        levelTitle: "Level title",
+                        hint: "Hint",
+                        tiles: "Special tiles"
+                    },
+                    commands: {
+                        COMMAND_FORWARD: "Forward",
+                        COMMAND_BACKWARD: "Backward",
+                        COMMAND_ROTATE_LEFT: "Turn left",
+                        COMMAND_ROTATE_RIGHT: "Turn right",
+                        COMMAND_WAIT: "Wait",
+                        COMMAND_LOOP: "Repeat",
+                        COMMAND_IF: "If",
+                        COMMAND_CALL: "Function A (one row the player fills and calls)"
+                    },
+                    headings: {
+                        up: "Up",
+                        right: "Right",
+                        down: "Down",
+                        left: "Left"
+                    },
+                    tiles: {
+                        blinking: "Blinking obstacle (%(x)s, %(y)s)",
+                        period: "Period",
+                        offset: "Offset",
+                        platform: "Moving platform (%(x)s, %(y)s)",
+                        route: "Route: %(steps)s steps",
+                        removeStep: "Remove last step"
+                    }
                 },
                 levelSelection: {
                     customLevelsTitle: "Custom levels",
                     customBadge: "Custom",
-                    customLevelLabel: "Level %(levelNumber)s"
+                    customLevelLabel: "Level %(levelNumber)s",
+                    addLevel: "Add level"
+                },
+                debugger: {
+                    on: "Turn on step mode",
+                    off: "Turn off step mode",
+                    step: "Take one step",
+                    pause: "Pause",
+                    resume: "Resume",
+                    runToEnd: "Run to the end",
+                    state: "Tile: %(x)s, %(y)s · Heading: %(heading)s · Number: %(math)s · Wi-Fi: %(wifi)s · Tick: %(time)s",
+                    wifiOn: "on",
+                    wifiOff: "off"
+                },
+                conditions: {
+                    CONDITION_BLOCKED: "If the tile ahead is blocked",
+                    CONDITION_MATH_EQUALS: "If the number equals %(value)s",
+                    CONDITION_WIFI_ON: "If Wi-Fi is on",
+                    "else": "else"
+                },
+                functions: {
+                    title: "Function %(name)s",
+                    call: "Call function %(name)s"
+                },
+                a11y: {
+                    commands: {
+                        COMMAND_FORWARD: "Forward",
+                        COMMAND_BACKWARD: "Backward",
+                        COMMAND_ROTATE_LEFT: "Turn left",
+                        COMMAND_ROTATE_RIGHT: "Turn right",
+                        COMMAND_WAIT: "Wait %(value)s",
+                        COMMAND_LOOP: "Repeat %(value)s"
+                    },
+                    programRow: "Program",
+                    innerRow: "Inside the block",
+                    hint: "Pick a command and press Enter to insert it after the selected program block. Arrow keys move between blocks, Shift with an arrow moves a block and Delete removes it. Enter opens a repeat or condition block, Shift+Enter opens its else branch and Escape goes back. Plus and minus change the number in a block. Ctrl+Enter runs the program.",
+                    position: "%(command)s, %(position)s of %(total)s",
+                    added: "%(command)s added, position %(position)s of %(total)s",
+                    moved: "%(command)s, position %(position)s of %(total)s",
+                    removed: "%(command)s removed",
+                    cursorStart: "New commands will be inserted at the start",
+                    tooMany: "No more commands can be added",
+                    tooDeep: "Another block can't be nested here",
+                    remove: "Remove",
+                    run: "Run the program",
+                    clear: "Clear the program",
+                    cleared: "Program cleared",
+                    moves: {
+                        forward: "Biip drives forward.",
+                        back: "Biip drives backward.",
+                        left: "Biip turns left.",
+                        right: "Biip turns right.",
+                        wait: "Biip waits.",
+                        fall: "Biip fell off!",
+                        denied: "Biip can't go there.",
+                        completed: "Biip reached the wind turbine!",
+                        notCompleted: "Biip didn't reach the wind turbine."
+                    }
+                },
+                textProgram: {
+                    showText: "Show the program as text",
+                    showBlocks: "Show the program as blocks",
+                    label: "Program text",
+                    available: "Available: %(commands)s",
+                    errors: {
+                        line: "Line %(line)s: %(message)s",
+                        character: "unknown character “%(found)s”",
+                        expected: "expected “%(expected)s”, not “%(found)s”",
+                        unexpectedEnd: "the text ends before “%(expected)s”",
+                        number: "expected a number, not “%(found)s”",
+                        statement: "expected a command, not “%(found)s”",
+                        unknownCommand: "unknown command “%(name)s”",
+                        unknownCondition: "unknown condition “%(name)s”",
+                        unavailable: "“%(name)s” can't be used in this level",
+                        value: "the number must be from %(min)s to %(max)s",
+                        noValue: "“%(name)s” doesn't take a number",
+                        tooDeep: "blocks can only be nested %(max)s levels deep",
+                        functionInside: "functions can only be defined outside other blocks",
+                        unknownFunction: "unknown function “%(name)s”",
+                        duplicateFunction: "function “%(name)s” is defined twice",
+                        tooMany: "too many commands: %(count)s of %(max)s"
+                    }
+                },
+                achievements: {
+                    title: "Achievements",
+                    progress: "Unlocked %(count)s of %(total)s achievements",
+                    unlocked: "New achievement!",
+                    unlockedAt: "Unlocked on %(date)s",
+                    items: {
+                        firstLevel: {
+                            title: "First level",
+                            description: "Complete your first level"
+                        },
+                        firstLoop: {
+                            title: "Round and round",
+                            description: "Run a program with a repeat block"
+                        },
+                        optimal: {
+                            title: "Short and sweet",
+                            description: "Complete a level with the fewest possible commands"
+                        },
+                        flawless: {
+                            title: "Flawless",
+                            description: "Complete a level on the first attempt"
+                        },
+                        levelBuilder: {
+                            title: "Level builder",
+                            description: "Create and save your own level"
+                        },
+                        levelSharer: {
+                            title: "Share with friends",
+                            description: "Share the code of a level you made"
+                        },
+                        group: {
+                            title: "Group %(group)s",
+                            description: "Complete every level in group %(group)s"
+                        }
+                    }
+                },
+                leaderboard: {
+                    title: "Friends leaderboard",
+                    loading: "Loading your friends …",
+                    unavailable: "The friends leaderboard is only available in VK. Here is your own progress.",
+                    noFriends: "None of your friends play yet. Invite them!",
+                    you: "You",
+                    group: "%(group)s: %(count)s/%(total)s",
+                    levels: "Levels completed: %(count)s",
+                    showBox: "Show VK leaderboard"
+                },
+                replays: {
+                    title: "Replays",
+                    intro: "Every program run is saved here, the last ten for each level. Watch them again or share a replay code.",
+                    empty: "No replays yet. Run a program and it will show up here.",
+                    level: "Level %(level)s",
+                    customLevel: "Level with code %(code)s",
+                    completed: "Completed",
+                    failed: "Not completed",
+                    commands: "Blocks: %(count)s",
+                    play: "Play",
+                    share: "Share",
+                    shareWall: "Share on wall",
+                    shareText: "See how I solved %(level)s!",
+                    link: "Link to the replay",
+                    import: "Paste a replay code or link",
+                    invalid: "This is not a replay code.",
+                    unavailable: "The level of this replay was not found.",
+                    speed: "Speed",
+                    playing: "Replay: %(level)s"
+                },
+                clip: {
+                    title: "Video",
+                    recording: "Recording %(level)s",
+                    encoding: "Making the video …",
+                    failed: "The video could not be made.",
+                    preview: "Video of the solution",
+                    download: "Download",
+                    post: "Post on VK",
+                    posting: "Posting …",
+                    posted: "The video is posted!",
+                    postFailed: "The video was not posted.",
+                    shareText: "See how Biip solves %(level)s with my program!",
+                    close: "Close"
+                },
+                classroom: {
+                    title: "Class",
+                    intro: "Play along with your class: join with the code from your teacher, and your teacher can follow how it's going.",
+                    pupilTitle: "Join a class",
+                    code: "Class code",
+                    nickname: "Nickname",
+                    nicknameHint: "Use your first name or a nickname, not your full name.",
+                    join: "Join",
+                    joined: "You're in the class %(name)s as %(nickname)s.",
+                    lockedGroups: "Your teacher has locked these level groups: %(groups)s",
+                    locked: "Locked by your teacher",
+                    nextLocked: "Well done! The next levels are locked for now, so choose another level.",
+                    leave: "Leave class",
+                    teacherTitle: "For teachers",
+                    teacherIntro: "Create a class and give the pupils its code. You'll see who has completed which levels and who needs help.",
+                    className: "Class name, e.g. 4B",
+                    create: "Create class",
+                    noClasses: "You haven't created any classes on this device yet.",
+                    joinCode: "Code: %(code)s",
+                    open: "Open",
+                    forget: "Remove",
+                    confirmForget: "Remove %(name)s from this device? The class stays open to its pupils.",
+                    back: "All classes",
+                    loading: "Loading the class …",
+                    groupsTitle: "Level groups",
+                    group: "Group %(group)s",
+                    lockHint: "Pupils can't choose levels in locked groups.",
+                    pupils: "Pupils: %(count)s",
+                    stuckCount: "Need help: %(count)s",
+                    noPupils: "No pupils yet. Give them the code %(code)s.",
+                    pupil: "Pupil",
+                    online: "Online",
+                    lastSeen: "Seen %(time)s",
+                    remove: "Remove pupil",
+                    confirmRemove: "Remove %(nickname)s from the class?",
+                    attempts: "Attempts: %(count)s",
+                    cell: "%(nickname)s, level %(level)s: %(status)s",
+                    details: "%(nickname)s · level %(level)s",
+                    noProgram: "No program has been run on this level yet.",
+                    close: "Close",
+                    status: {
+                        completed: "Completed",
+                        current: "Playing now",
+                        stuck: "Needs help",
+                        tried: "Not completed yet",
+                        none: "Not started"
+                    },
+                    offline: "The class server can't be reached. Check the connection and try again.",
+                    notFound: "There's no class with that code.",
+                    invalidName: "Class names can have up to 40 letters, digits, spaces, dots and dashes.",
+                    invalidNickname: "Nicknames can have up to 20 letters, digits and spaces.",
+                    nicknameTaken: "Someone in the class already uses that nickname.",
+                    classFull: "The class is full.",
+                    forbidden: "This class wasn't created on this device.",
+                    notMember: "You're no longer in this class.",
+                    syncFailed: "The progress couldn't be saved."
+                },
+                levelPacks: {
+                    title: "Level packs",
+                    intro: "A level pack is a file with a set of levels, for example from your teacher. Open it from a file or a link and its levels show up in the list above.",
+                    chooseFile: "Open file",
+                    exportCustom: "Save your levels as a pack",
+                    urlPlaceholder: "Link to the pack",
+                    load: "Load",
+                    by: "by %(author)s",
+                    export: "Download",
+                    remove: "Remove",
+                    confirmRemove: "Remove the pack “%(title)s”? Levels you completed in it are forgotten too.",
+                    imported: "Added the pack “%(title)s”. Levels: %(count)s.",
+                    invalid: "This file isn't a valid level pack.",
+                    newerVersion: "This pack was made for a newer version of the game.",
+                    notJson: "This isn't a JSON file.",
+                    tooLarge: "The pack is too large.",
+                    tooMany: "You can have up to 10 packs. Remove one and try again.",
+                    invalidUrl: "Enter a link that starts with http:// or https://.",
+                    downloadFailed: "We couldn't download the pack. Check the link and your connection."
+                },
+                hints: {
+                    button: "Hint (%(count)s left)",
+                    next: "Hint: the next block is “%(command)s”",
+                    wrong: "Block %(position)s, “%(command)s”, leads Biip the wrong way. Try replacing it!",
+                    completed: "Your program already solves the level. Run it!",
+                    unavailable: "Sorry, there is no hint for this level",
+                    noneLeft: "You have used up the hints for this level",
+                    adFailed: "The ad wasn't watched to the end, so there is no hint this time"
+                },
+                stars: {
+                    label: "%(stars)s of %(max)s stars"
+                },
+                share: {
+                    app: "Help the robot Biip get home by programming!",
+                    level: "I made a level for Biip. Can you solve it? Level code: %(code)s",
+                    victory: "I completed level %(level)s and helped Biip reach the windmill!",
+                    customVictory: "I completed level %(code)s and helped Biip reach the windmill! Give it a try."
                 },
                 helptext: {
-                    "editor-select-tile": "Выбери, где разместить или переместить блок",
-                    "editor-select-type-start": "Не забудь добавить стартовый блок с роботом Biip",
-                    "editor-select-type-end": "Тебе также нужно добавить ветряк, к которому должен добраться Biip",
-                    "editor-select-type-spaceship": "Космический корабль Biip тоже нужен, чтобы он мог улететь домой",
-                    "editor-select-type-select": "Выбери тип блока, который хочешь использовать",
-                    "editor-select-type-delete": "Ты можешь удалить блок, выбрав прозрачную плитку",
-                    "editor-select-type-start-toomany": "Может быть только один Biip. Выбери тот, который нужно удалить, и выбери прозрачную плитку",
-                    "editor-select-type-end-toomany": "Может быть только одна ветряная турбина. Выбери ту, которую нужно удалить, и выбери прозрачную плитку",
-                    "editor-select-type-spaceship-toomany": "Может быть только один космический корабль. Выбери тот, который нужно удалить, и выбери прозрачную плитку"
+                    "editor-select-tile": "Choose where to place or change a block.",
+                    "editor-select-type-start": "You need to choose where Biip starts.",
+                    "editor-select-type-end": "You also need a windmill for Biip to reach.",
+                    "editor-select-type-spaceship": "Bring Biip's spaceship too, so Biip can fly home.",
+                    "editor-select-type-select": "Choose the type of block you want to use.",
+                    "editor-select-type-delete": "You can delete a block by choosing the empty tile.",
+                    "editor-select-type-start-toomany": "There can only be one Biip. Choose the one you want to remove and pick the empty tile.",
+                    "editor-select-type-end-toomany": "There can only be one windmill. Choose the one you want to remove and pick the empty tile.",
+                    "editor-select-type-spaceship-toomany": "There can only be one spaceship. Choose the one you want to remove and pick the empty tile.",
+                    "editor-unsolvable": "Biip can't complete this level with the available commands. Change the level so it can be saved.",
+                    "level-private": "This level is only saved in your VK Storage, so nobody else can open its code. Save it again once the level server works to share it.",
+                    "too-many-steps": "Biip stopped after %(steps)s steps because the program never ends. Check your loops and functions."
                 }
             }
         },
@@ -7920,11 +13687,12 @@
                         a = n("sINF"),
                         o = (n("lZPy"), n("Nmeb")),
                         i = n("FZwz"),
+                        achievements = n("aC4m"),
                         s = e.__PRELOADED_STATE__ || {};
                     delete e.__PRELOADED_STATE__;
-                    var l = Object(r.compose)(Object(r.applyMiddleware)(a.a, o.b)),
+                    var l = Object(r.compose)(Object(r.applyMiddleware)(a.a, o.b, achievements.b)),
                         c = Object(r.createStore)(i.a, s, l);
-                    t.default = c
+                    e.__REDUX_STORE__ = c, t.default = c
                 }.call(this, n("yLpj"))
         },
         VCjm: function(e, t, n) {
@@ -7945,6 +13713,15 @@
         XUUA: function(e, t, n) {
             e.exports = n.p + "media/d1086.fbx"
         },
+        Xe7c: function(e, t, n) {
+            e.exports = {
+                main: "_8a3f1",
+                inner: "c2d64",
+                preview: "_0f7b9",
+                actions: "e6c18",
+                button: "_3b9a5"
+            }
+        },
         XiDY: function(e, t, n) {
             e.exports = {
                 main: "_19962",
@@ -7953,9 +13730,116 @@
                 actions: "b6b96",
                 next: "_4e75b",
                 retry: "db317",
-                rotate: "_79d6a"
+                share: "_5b0e3",
+                rotate: "_79d6a",
+                stars: "_2d9f0",
+                score: "e41b8"
+            }
+        },
+        ZkP5: function(e, t, n) {
+            e.exports = {
+                main: "_5c1f3",
+                list: "a83d2",
+                item: "_9e0b4",
+                unlocked: "c47f1",
+                icon: "_2b6a8",
+                date: "e05d9",
+                toast: "_6f3c0"
             }
         },
+        aC4m: function(e, t, n) {
+            "use strict";
+            n.d(t, "a", function() {
+                return getAchievements
+            }), n.d(t, "b", function() {
+                return achievementsMiddleware
+            });
+            var r = n("p30n"),
+                a = n("rdSB"),
+                o = n("GMIN"),
+                ACHIEVEMENTS = [{
+                    id: "firstLevel",
+                    icon: "\u2b50"
+                }, {
+                    id: "firstLoop",
+                    icon: "\ud83d\udd01"
+                }, {
+                    id: "optimal",
+                    icon: "\ud83c\udfaf"
+                }, {
+                    id: "flawless",
+                    icon: "\ud83d\udc8e"
+                }, {
+                    id: "levelBuilder",
+                    icon: "\ud83e\uddf1"
+                }, {
+                    id: "levelSharer",
+                    icon: "\ud83d\udce3"
+                }],
+                getAchievements = function(e) {
+                    return ACHIEVEMENTS.map(function(e) {
+                        return {
+                            id: e.id,
+                            key: e.id,
+                            icon: e.icon,
+                            params: {}
+                        }
+                    }).concat((e || []).filter(function(e) {
+                        return !e.isCustom
+                    }).map(function(t) {
+                        var n = e.indexOf(t);
+                        return {
+                            id: "group-" + n,
+                            key: "group",
+                            icon: "\ud83c\udfc6",
+                            params: {
+                                group: n + 1
+                            }
+                        }
+                    }))
+                },
+                containsLoop = function(e) {
+                    var t = function(n) {
+                        return (e[n] || []).some(function(e) {
+                            return e.action === o.d || t(e.id) || e.action === o.t && t(o.y(e.id))
+                        })
+                    };
+                    return Object.keys(e).filter(function(e) {
+                        return e === o.h || o.C(e)
+                    }).some(t)
+                },
+                findUnlocked = function(e, t) {
+                    switch (e.type) {
+                        case a.j:
+                            return e.payload && !t.game.replay && containsLoop(t.commands) ? ["firstLoop"] : [];
+                        case r.d:
+                            if (void 0 === e.levelGroup) return [];
+                            var n = t.game.levelGroups[e.levelGroup],
+                                i = t.app.completedLevels[e.levelGroup] || [];
+                            return n && !n.isCustom && i.length >= n.levels.length ? ["firstLevel", "group-" + e.levelGroup] : ["firstLevel"];
+                        case r.z:
+                            return (e.score.numCommands === e.score.optimalCommands ? ["optimal"] : []).concat(1 === e.score.attempts ? ["flawless"] : []);
+                        case a.g:
+                            return ["levelBuilder"];
+                        case r.G:
+                            return ["levelSharer"];
+                        default:
+                            return []
+                    }
+                },
+                achievementsMiddleware = function(e) {
+                    return function(t) {
+                        return function(n) {
+                            var a = t(n),
+                                o = e.getState(),
+                                i = findUnlocked(n, o).filter(function(e) {
+                                    return !o.app.achievements[e]
+                                });
+                            return i.length && e.dispatch(Object(r.H)(i, Date.now())), a
+                        }
+                    }
+                }
+        },
         bCCX: function(e, t, n) {
             e.exports = {
                 main: "_83fd6",
@@ -7966,7 +13850,53 @@
                 "text-container": "f09ec",
                 textContainer: "f09ec",
                 textfield: "_4ff29",
-                button: "_42bf8"
+                button: "_42bf8",
+                noVideo: "_1c6d2",
+                levelTitle: "_8e3f1"
+            }
+        },
+        cL4s: function(e, t, n) {
+            e.exports = {
+                main: "_7e2c4",
+                dashboard: "b3f19",
+                error: "_5d0a8",
+                hint: "_9c6e1",
+                form: "a8d27",
+                button: "_1f4b6",
+                list: "e6a53",
+                item: "_3b8d0",
+                code: "c9e72",
+                back: "_6a1f3",
+                groups: "d2b84",
+                group: "_8e3a5",
+                locked: "f17c9",
+                stuckCount: "_4c2d7",
+                grid: "a0e96",
+                pupil: "_2d7f1",
+                presence: "b5c08",
+                online: "_0e9b4",
+                cell: "e4f26",
+                completed: "_7a5c3",
+                current: "c3d91",
+                stuck: "_9f0e2",
+                tried: "d8a47",
+                selected: "_5b1e8",
+                remove: "f6b30",
+                details: "_1c8a9",
+                legend: "a7f52"
+            }
+        },
+        cQ7d: function(e, t, n) {
+            e.exports = {
+                main: "_7e2b1",
+                list: "d4a90",
+                item: "_1c8f5",
+                player: "_3b6e2",
+                rank: "f8d27",
+                avatar: "_0a4c9",
+                details: "_6d1e8",
+                score: "b92f4",
+                button: "_5e7a3"
             }
         },
         e0xF: function(e, t, n) {
@@ -8140,8 +14070,12 @@
                 getLevelInputContainerToggled: "_3a720",
                 "music-button": "_400b2",
                 musicButton: "_400b2",
+                "voice-button": "_3f1d8",
+                voiceButton: "_3f1d8",
                 "share-button": "_6ba2f",
                 shareButton: "_6ba2f",
+                "locale-select": "_7d0c4",
+                localeSelect: "_7d0c4",
                 helpButton: "c5c2b",
                 helpButtonVisible: "_19a74",
                 discard: "_95fad",
@@ -8150,6 +14084,25 @@
                 rotate: "_86e89"
             }
         },
+        hW2c: function(e, t, n) {
+            e.exports = {
+                main: "_4d7a1",
+                form: "e93b2",
+                toolbar: "_8c1f6",
+                speeds: "a5e03",
+                speed: "_2f9d8",
+                active: "c61a4",
+                error: "_9b3e7",
+                list: "f04c5",
+                item: "_5a8e2",
+                summary: "d7b16",
+                result: "_3e5c9",
+                completed: "b8f20",
+                button: "_6c4d3",
+                share: "e2a97",
+                bar: "_1d6b8"
+            }
+        },
         hiim: function(e, t) {
             e.exports = "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAgAAAAIAAgMAAACJFjxpAAAADFBMVEX/+8K9vptxenAnN0XxUHoGAAAGzUlEQVR4AezBgQAAAACAoP2pF6kCAAAAAAAAAAAAAACA2blaICmOKNzdV7edqhbEQKVuRePNeBPWKwQgiDeJGG8YvEIEb0BwiLMx1Duv8OrEGVAnIg6Km05kiund7f76m3lVYT5/Oz3v+97r9zfXgKfn55LS1/N3T4wCTs/Tf/But/Tj36d/oXeE52mK8c/lXv8iZfFpISNsJO3B10VO8CDtx/hY9/kpja8WeL7qCTbpGMbdrPqXdBRfZjyBlVSAL2Y29KkI12YmbFMhXmkIcAEhSirGF00CABIAAhRI6FMVrhUIAEgAQpCWDmOqxkdDhEv1GA0RXQJwNYMLarlinyBc6xqAaII+gbjWcwGqCboE44pjAByjsgEoJrCpBXcK1yD7UpTUhFvTCJ8a8dK0YUiN+FvPBynBKKZmXPEzMX5uBkrw89unO2PuP/39Apchdg9O+nKn73EZghL89F036P4FfiEgEnxjJvhthvxYqpphD+jRcLO/HVjXQNzhDNQ1gU6Fy4FUh7aNMDnwQGjdMDnokAt+SwzHAmXaPY0DjwV2KywOOvBu3bA4EDTD23I48PjPDBQOIp7cbCixSBqIjAQOXEtqY6X9To5NNca2nYOhLbeT1rzINqZ2oZWD0PoGQ2Nu2rXmtr4xGArqRvtN8M1U4KQ9uQ9NwTASYrm0OOJAqG5Cg4wto9NiBf+RQElrI27GjlJcOdwRhdNy7VAlO1Jl41FDBlZtJ6AIOlZ1G0ERCKu+d5gpHa/D0UOvEng9Hg/9VOB1uawgInCYckr0fIOIcEfs810Cxz6gXPvsXFIaz18fOKMg/hSKGLDPS3b5IhLRXAkDD6Rol89DcpLjh/5j0rks4OAloN18GLZ9cfMsIiE1HGHA9uXtQ49cau7I3/Q1jXlBIopk/2bSFS7SQYfE9O4QA9u6abVHbtVwIJHdVI4JLZLXuAOxu68dUXXIpSJ7WdtWrwwE5Frv9rHm6me1Diluwj7WemBINgCJld0TBgMyJ4xIajvknVCQUalH8oqYZW0Lra5YpL71OdasYNPiR0BubXMJ1BYcmAekuhlSyhsAMIFDUss47SoFeIFJgBaHn8ZhgXcGOqC8spPQGfCdgYAUuC8mqsC3dxxSXfyC79RNNf+Bs1GFb+88XHyjamfYCMqLzWbA9+gocMqb1Sbyl8jwjpuGDD2+2q22Wn3LZkCVA58AXHEZ0OVAEoKdLgNMP4ichVY+A59fPzbm9Nl7xn0A3ANfn+R3+fgcxOP9mOcFBQKOoWCj8KwgNURhizYaz+ZzRF+W8GxnC4ZdYUewn8sRJVP5ALszMFxxurWh7BRPEMoNG2cRQVdGQJ6Eb3NI4LrGWjNIYKyKWZd8CXysihk3phX36sLrQFfhSd0ver4fSl1oGeiRqKszaaDH4lB3v1lhByJXmWJEXAKc0aOjZ4VdZYozsK/jUElpYGelrjLFssKujaTSol2eMRxdpUU9Oy0PtRYVcmHiajUd2eXxUPlCPi8BHLH2hSQrARy+Nqp05P6ALY9CyKQQGGNOAEwKgTFmBQaGBCZjzArcY0lgMsasCB3kacFYe398I3frb2vvjxvDhK/N7kINZcAYs0AEhosX+Y2+i5Q+v80GiL8MFz/lN/r27/L9bGbH2bRntijOgDEhExtgSseEFeBLPCZ6eksQIECTBKFPBwij9CsFA2iZYMseFAIGUDWBx+d05GJVKRY4/qyUNsa81pTgYjI8SQfwUpcBbjUEjfLvVH0A4wBgQJeDISVVDhy+t8HPBFTug468t8HfpxmVJcB3RHy9X+sAN9oUXP6/RajvhoGvQVwEOteh8CWAi0AlMw98CehnRLgIxtc7+0wWzsvj99+52n7Z4sxPvrO1/aIVup1mXw6XAIJhWghu8ZQUQMzoTeCkHIDP0B2W7FDYnMMJnJMDGDLWjrAEAMSM3h0sAQA+F3GGBZtUNhdxAiwBAEPmWRaWAICYe9ZAlQAwRbwHSwBALuafwBIA8KvJ4IMhApgimodmxYoVK1asWLFihQLOZHyj+nxgj4sJCw3K+F3TW0UD6Jog8Jtz4BT3To0BXQ5CSrocdHCLmN82H5UloCMCTxja874FvdHVoI4KB2B1hArgA2cqHGFaxlwpu9T1wpQ+6nqhhh9G5goXYYh9++Md4BHhXy0wt+ruNLMBnYxgPUD6DusB1gP8eAdQd8P1AP+0Z8cEAAAwCMP8u66MPomJDdiP0X6OfUT3U/q/5Xsw2aPZEE6HeD4UFENFM5RUf033F5V/VfuX1X9d/w8W/2Tzj1b/bPcPl/90+4/X/3wPAAAAAAAAAAAAAAAAABAhp1aoZIDgYwAAAABJRU5ErkJggg=="
         },
@@ -9659,7 +15612,18 @@
                 group2: "ee0b0",
                 group3: "_5ba31",
                 group4: "d4ffd",
-                complete: "_7813c"
+                complete: "_7813c",
+                stars: "_3c7a1",
+                locked: "_2c9e4",
+                extended: "_6f0d8",
+                packGroup: "_1b7e5",
+                packHeader: "a3c90",
+                packLevel: "_0e4b7",
+                packAction: "e91d4",
+                packToggle: "c7a06",
+                packTools: "_58c2f",
+                packForm: "_2d5f1",
+                packError: "b04e8"
             }
         },
         "oil/": function(e, t, n) {
@@ -9726,6 +15690,76 @@
                 return E
             }), n.d(t, "q", function() {
                 return x
+            }), n.d(t, "w", function() {
+                return C
+            }), n.d(t, "x", function() {
+                return O
+            }), n.d(t, "y", function() {
+                return I
+            }), n.d(t, "z", function() {
+                return SET_LEVEL_SCORE
+            }), n.d(t, "A", function() {
+                return SET_LEVEL_SCORES
+            }), n.d(t, "B", function() {
+                return setLevelScore
+            }), n.d(t, "C", function() {
+                return setLevelScores
+            }), n.d(t, "D", function() {
+                return UNLOCK_ACHIEVEMENTS
+            }), n.d(t, "E", function() {
+                return DISMISS_ACHIEVEMENT_TOAST
+            }), n.d(t, "F", function() {
+                return SET_ACHIEVEMENTS
+            }), n.d(t, "G", function() {
+                return SHARE_LEVEL
+            }), n.d(t, "H", function() {
+                return unlockAchievements
+            }), n.d(t, "I", function() {
+                return dismissAchievementToast
+            }), n.d(t, "J", function() {
+                return setAchievements
+            }), n.d(t, "K", function() {
+                return shareLevel
+            }), n.d(t, "L", function() {
+                return SET_AD_PLAYING
+            }), n.d(t, "M", function() {
+                return setAdPlaying
+            }), n.d(t, "N", function() {
+                return RECORD_REPLAY
+            }), n.d(t, "O", function() {
+                return recordReplay
+            }), n.d(t, "P", function() {
+                return SET_REPLAYS
+            }), n.d(t, "Q", function() {
+                return setReplays
+            }), n.d(t, "R", function() {
+                return SET_CLASSROOM
+            }), n.d(t, "S", function() {
+                return SET_TEACHER_CLASSES
+            }), n.d(t, "T", function() {
+                return setClassroom
+            }), n.d(t, "U", function() {
+                return setTeacherClasses
+            }), n.d(t, "V", function() {
+                return SET_LEVEL_PACKS
+            }), n.d(t, "W", function() {
+                return setLevelPacks
+            }), n.d(t, "X", function() {
+                return SET_LEVEL_ATTEMPT
+            }), n.d(t, "Y", function() {
+                return SET_LEVEL_ATTEMPTS
+            }), n.d(t, "Z", function() {
+                return setLevelAttempt
+            }), n.d(t, "ab", function() {
+                return setLevelAttempts
+            }), n.d(t, "bb", function() {
+                return SET_LEVEL_HINTS_USED
+            }), n.d(t, "cb", function() {
+                return SET_HINTS_USED
+            }), n.d(t, "db", function() {
+                return setLevelHintsUsed
+            }), n.d(t, "eb", function() {
+                return setHintsUsed
             });
             var r = "TOGGLE_AUDIO",
                 a = "TOGGLE_VOICE",
@@ -9739,11 +15773,17 @@
                 p = "SET_WE_CARE_ABOUT_PRIVACY",
                 A = "SET_COMPLETED_LEVELS",
                 d = "SET_EDITOR_MODE",
+                O = "SET_LOCALE",
                 m = function() {
                     return {
                         type: r
                     }
                 },
+                C = function() {
+                    return {
+                        type: a
+                    }
+                },
                 h = function(e) {
                     return {
                         type: o,
@@ -9800,6 +15840,131 @@
                         type: d,
                         value: e
                     }
+                },
+                I = function(e) {
+                    return {
+                        type: O,
+                        value: e
+                    }
+                },
+                SET_LEVEL_SCORE = "SET_LEVEL_SCORE",
+                SET_LEVEL_SCORES = "SET_LEVEL_SCORES",
+                setLevelScore = function(e, t, n) {
+                    return {
+                        type: SET_LEVEL_SCORE,
+                        levelGroup: e,
+                        level: t,
+                        score: n
+                    }
+                },
+                setLevelScores = function(e) {
+                    return {
+                        type: SET_LEVEL_SCORES,
+                        value: e
+                    }
+                },
+                UNLOCK_ACHIEVEMENTS = "UNLOCK_ACHIEVEMENTS",
+                DISMISS_ACHIEVEMENT_TOAST = "DISMISS_ACHIEVEMENT_TOAST",
+                SET_ACHIEVEMENTS = "SET_ACHIEVEMENTS",
+                SHARE_LEVEL = "SHARE_LEVEL",
+                unlockAchievements = function(e, t) {
+                    return {
+                        type: UNLOCK_ACHIEVEMENTS,
+                        ids: e,
+                        time: t
+                    }
+                },
+                dismissAchievementToast = function() {
+                    return {
+                        type: DISMISS_ACHIEVEMENT_TOAST
+                    }
+                },
+                setAchievements = function(e) {
+                    return {
+                        type: SET_ACHIEVEMENTS,
+                        value: e
+                    }
+                },
+                shareLevel = function(e) {
+                    return {
+                        type: SHARE_LEVEL,
+                        levelId: e
+                    }
+                },
+                SET_AD_PLAYING = "SET_AD_PLAYING",
+                setAdPlaying = function(e) {
+                    return {
+                        type: SET_AD_PLAYING,
+                        value: e
+                    }
+                },
+                RECORD_REPLAY = "RECORD_REPLAY",
+                SET_REPLAYS = "SET_REPLAYS",
+                recordReplay = function(e, t) {
+                    return {
+                        type: RECORD_REPLAY,
+                        levelKey: e,
+                        replay: t
+                    }
+                },
+                setReplays = function(e) {
+                    return {
+                        type: SET_REPLAYS,
+                        value: e
+                    }
+                },
+                SET_CLASSROOM = "SET_CLASSROOM",
+                SET_TEACHER_CLASSES = "SET_TEACHER_CLASSES",
+                setClassroom = function(e) {
+                    return {
+                        type: SET_CLASSROOM,
+                        value: e
+                    }
+                },
+                setTeacherClasses = function(e) {
+                    return {
+                        type: SET_TEACHER_CLASSES,
+                        value: e
+                    }
+                },
+                SET_LEVEL_PACKS = "SET_LEVEL_PACKS",
+                setLevelPacks = function(e) {
+                    return {
+                        type: SET_LEVEL_PACKS,
+                        value: e
+                    }
+                },
+                SET_LEVEL_ATTEMPT = "SET_LEVEL_ATTEMPT",
+                SET_LEVEL_ATTEMPTS = "SET_LEVEL_ATTEMPTS",
+                setLevelAttempt = function(e, t, n) {
+                    return {
+                        type: SET_LEVEL_ATTEMPT,
+                        levelGroup: e,
+                        level: t,
+                        value: n
+                    }
+                },
+                setLevelAttempts = function(e) {
+                    return {
+                        type: SET_LEVEL_ATTEMPTS,
+                        value: e
+                    }
+                },
+                SET_LEVEL_HINTS_USED = "SET_LEVEL_HINTS_USED",
+                SET_HINTS_USED = "SET_HINTS_USED",
+                setLevelHintsUsed = function(e, t, n) {
+                    return {
+                        type: SET_LEVEL_HINTS_USED,
+                        levelGroup: e,
+                        level: t,
+                        value: n
+                    }
+                },
+                setHintsUsed = function(e) {
+                    return {
+                        type: SET_HINTS_USED,
+                        value: e
+                    }
                 }
         },
         q27t: function(e, t, n) {
@@ -9864,6 +16029,50 @@
                 return I
             }), n.d(t, "q", function() {
                 return T
+            }), n.d(t, "z", function() {
+                return M
+            }), n.d(t, "A", function() {
+                return L
+            }), n.d(t, "B", function() {
+                return k
+            }), n.d(t, "C", function() {
+                return S
+            }), n.d(t, "D", function() {
+                return R
+            }), n.d(t, "E", function() {
+                return D
+            }), n.d(t, "F", function() {
+                return P
+            }), n.d(t, "G", function() {
+                return N
+            }), n.d(t, "H", function() {
+                return j
+            }), n.d(t, "I", function() {
+                return q
+            }), n.d(t, "J", function() {
+                return SET_TEXT_MODE
+            }), n.d(t, "K", function() {
+                return setTextMode
+            }), n.d(t, "L", function() {
+                return SET_HINT
+            }), n.d(t, "M", function() {
+                return setHint
+            }), n.d(t, "N", function() {
+                return SET_REPLAY
+            }), n.d(t, "O", function() {
+                return setReplay
+            }), n.d(t, "P", function() {
+                return SET_CLIP
+            }), n.d(t, "Q", function() {
+                return setClip
+            }), n.d(t, "R", function() {
+                return SET_LEVEL_SETTINGS
+            }), n.d(t, "S", function() {
+                return setLevelSettings
+            }), n.d(t, "T", function() {
+                return RESIZE_LEVEL
+            }), n.d(t, "U", function() {
+                return resizeLevel
             });
             var r = n("Nmeb"),
                 a = "SET_LEVEL",
@@ -9953,6 +16162,90 @@
                     return {
                         type: p
                     }
+                },
+                M = "SET_DEBUG_MODE",
+                L = "SET_DEBUG_RUN",
+                k = "DEBUG_STEP",
+                S = "SET_DEBUG_STATE",
+                R = function(e) {
+                    return {
+                        type: M,
+                        value: e
+                    }
+                },
+                D = function(e) {
+                    return {
+                        type: L,
+                        value: e
+                    }
+                },
+                P = function() {
+                    return {
+                        type: k
+                    }
+                },
+                N = function(e, t) {
+                    return {
+                        type: S,
+                        payload: {
+                            commandId: e,
+                            state: t
+                        }
+                    }
+                },
+                j = "ADD_CUSTOM_LEVELS",
+                q = function(e) {
+                    return {
+                        type: j,
+                        payload: {
+                            levels: e
+                        }
+                    }
+                },
+                SET_TEXT_MODE = "SET_TEXT_MODE",
+                setTextMode = function(e) {
+                    return {
+                        type: SET_TEXT_MODE,
+                        value: e
+                    }
+                },
+                SET_HINT = "SET_HINT",
+                setHint = function(e) {
+                    return {
+                        type: SET_HINT,
+                        payload: e
+                    }
+                },
+                SET_REPLAY = "SET_REPLAY",
+                setReplay = function(e) {
+                    return {
+                        type: SET_REPLAY,
+                        payload: e
+                    }
+                },
+                SET_CLIP = "SET_CLIP",
+                setClip = function(e) {
+                    return {
+                        type: SET_CLIP,
+                        payload: e
+                    }
+                },
+                SET_LEVEL_SETTINGS = "SET_LEVEL_SETTINGS",
+                setLevelSettings = function(e) {
+                    return {
+                        type: SET_LEVEL_SETTINGS,
+                        value: e
+                    }
+                },
+                RESIZE_LEVEL = "RESIZE_LEVEL",
+                resizeLevel = function(e, t) {
+                    return {
+                        type: RESIZE_LEVEL,
+                        value: {
+                            width: e,
+                            height: t
+                        }
+                    }
                 }
         },
         rlOX: function(e, t, n) {
@@ -9984,16 +16277,69 @@
                 rotation: "fa212",
                 wait: "_344c1",
                 loop: "_47ec6",
+                condition: "_5c0a1",
+                call: "_0b7e2",
                 dragged: "_229d4",
                 hidden: "ea392",
-                loopWrapper: "ce680"
+                loopWrapper: "ce680",
+                visuallyHidden: "_7b3e0"
             }
         },
         wB1T: function(e, t, n) {
             "use strict";
             n.d(t, "a", function() {
                 return s
+            }), n.d(t, "c", function() {
+                return resizeTiles
+            }), n.d(t, "d", function() {
+                return getGridSize
+            }), n.d(t, "e", function() {
+                return GRID_MIN_SIZE
+            }), n.d(t, "f", function() {
+                return GRID_MAX_SIZE
             });
+            var GRID_MIN_SIZE = 3,
+                GRID_MAX_SIZE = 11;
+
+            /**
+             * @param {Object[]} tiles - Editor tiles, empty ones included
+             * @returns {{width: number, height: number}} Size of the board the tiles cover
+             */
+            function getGridSize(e) {
+                var t = e.map(function(e) {
+                        return e.x
+                    }),
+                    n = e.map(function(e) {
+                        return e.y
+                    });
+                return {
+                    width: e.length ? Math.max.apply(Math, t) - Math.min.apply(Math, t) + 1 : 0,
+                    height: e.length ? Math.max.apply(Math, n) - Math.min.apply(Math, n) + 1 : 0
+                }
+            }
+
+            /**
+             * Lay out an editor board of the given size around the middle, keeping the tiles that still fit
+             * @param {Object[]} tiles - Editor tiles, empty ones included
+             * @param {number} width - Columns
+             * @param {number} height - Rows
+             * @returns {Object[]} Tiles with empty ones filling the rest of the board
+             */
+            function resizeTiles(e, t, n) {
+                for (var r = [], a = -Math.floor((t - 1) / 2), i = -Math.floor((n - 1) / 2), s = function(t, n) {
+                        var a = e.find(function(e) {
+                            return e.x === t && e.y === n
+                        });
+                        r.push(a || {
+                            x: t,
+                            y: n,
+                            type: o.t,
+                            model: o.i
+                        })
+                    }, l = a; l < a + t; l++)
+                    for (var c = i; c < i + n; c++) s(l, c);
+                return r
+            }
             for (var r = n("Bdd8"), a = n("GMIN"), o = n("7u9A"), i = {
                     settings: {
                         backgroundColor: r.b
@@ -10023,7 +16369,9 @@
                 value: "_68f6f",
                 wait: "cae44",
                 input: "_2b618",
-                loop: "_8eb02"
+                loop: "_8eb02",
+                condition: "_9c2d4",
+                elseLabel: "_3e1b7"
             }
         },
         wGfr: function(e, t) {
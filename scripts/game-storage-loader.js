@@ -1,7 +1,6 @@
 /**
  * Game Storage Loader
- * Intercepts localStorage calls and integrates VK Storage with browser storage
- * Loads player progress during start screen initialization
+ * Syncs player progress with VK Storage during start screen initialization
  */
 (function() {
   'use strict';
@@ -25,136 +24,25 @@
   let isStartScreenLoaded = false;
   let progressLoadAttempted = false;
 
-  // Store original localStorage methods
-  const originalLocalStorage = {
-    getItem: window.localStorage.getItem.bind(window.localStorage),
-    setItem: window.localStorage.setItem.bind(window.localStorage),
-    removeItem: window.localStorage.removeItem.bind(window.localStorage)
-  };
-
-  // Cache for VK Storage values to avoid repeated async calls
-  const vkStorageCache = new Map();
-
-  /**
-   * Enhanced getItem that tries VK Storage first, then localStorage
-   */
-  async function enhancedGetItem(key) {
-    log('info', '📥 Запрос на получение данных', { key });
-
-    try {
-      // Try VK Storage first if available
-      if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-        log('info', '🔄 Попытка загрузить из VK Storage', { key });
-
-        const vkValue = await window.VKBridgeWrapper.storageGet(key);
-
-        if (vkValue !== null && vkValue !== '') {
-          log('info', '✅ Данные успешно загружены из VK Storage', {
-            key,
-            valueLength: vkValue.length
-          });
-
-          // Update cache and localStorage
-          vkStorageCache.set(key, vkValue);
-          originalLocalStorage.setItem(key, vkValue);
-
-          return vkValue;
-        } else {
-          log('warn', '⚠️ VK Storage не содержит данных для ключа', { key });
-        }
-      } else {
-        log('warn', '⚠️ VK Bridge не инициализирован, пропускаем VK Storage', { key });
-      }
-
-      // Fallback to localStorage
-      log('info', '🔄 Попытка загрузить из localStorage (браузер)', { key });
-      const localValue = originalLocalStorage.getItem(key);
-
-      if (localValue !== null) {
-        log('info', '✅ Данные успешно загружены из localStorage', {
-          key,
-          valueLength: localValue.length
-        });
-
-        // Sync to VK Storage if available
-        if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-          log('info', '🔄 Синхронизация данных с VK Storage', { key });
-          await window.VKBridgeWrapper.storageSet(key, localValue);
-        }
-
-        return localValue;
-      } else {
-        log('info', 'ℹ️ Данных нет ни в VK Storage, ни в localStorage', { key });
-        return null;
-      }
-    } catch (error) {
-      log('error', '❌ Ошибка при загрузке данных', {
-        key,
-        error: error.message
-      });
-
-      // Final fallback to original localStorage
-      return originalLocalStorage.getItem(key);
-    }
-  }
-
-  /**
-   * Enhanced setItem that saves to both VK Storage and localStorage
-   */
-  async function enhancedSetItem(key, value) {
-    log('info', '💾 Запрос на сохранение данных', {
-      key,
-      valueLength: String(value).length
-    });
-
-    try {
-      // Save to localStorage first (synchronous, always works)
-      originalLocalStorage.setItem(key, value);
-      log('info', '✅ Данные сохранены в localStorage', { key });
-
-      // Also save to VK Storage if available
-      if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-        log('info', '🔄 Сохранение в VK Storage', { key });
-        const success = await window.VKBridgeWrapper.storageSet(key, String(value));
-
-        if (success) {
-          log('info', '✅ Данные сохранены в VK Storage', { key });
-          vkStorageCache.set(key, String(value));
-        } else {
-          log('warn', '⚠️ Не удалось сохранить в VK Storage', { key });
-        }
-      }
-    } catch (error) {
-      log('error', '❌ Ошибка при сохранении данных', {
-        key,
-        error: error.message
-      });
-    }
-  }
-
-  /**
-   * Enhanced removeItem that removes from both storages
-   */
-  async function enhancedRemoveItem(key) {
-    log('info', '🗑️ Запрос на удаление данных', { key });
-
-    try {
-      // Remove from localStorage
-      originalLocalStorage.removeItem(key);
-      vkStorageCache.delete(key);
-
-      // Remove from VK Storage (set to empty string)
-      if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-        await window.VKBridgeWrapper.storageSet(key, '');
-        log('info', '✅ Данные удалены из обоих хранилищ', { key });
-      }
-    } catch (error) {
-      log('error', '❌ Ошибка при удалении данных', {
-        key,
-        error: error.message
-      });
-    }
-  }
+  // Keys synced with VK Storage when the start screen appears
+  const PROGRESS_KEYS = [
+    'gameState',
+    'playerProgress',
+    'currentLevel',
+    'currentLevelGroup',
+    'completedLevels',
+    'levelScores',
+    'levelAttempts',
+    'hintsUsed',
+    'achievements',
+    'replays',
+    'classroom',
+    'teacherClasses',
+    'levelPacks',
+    'userBoards',
+    'progress',
+    'locale'
+  ];
 
   /**
    * Load player progress from storage
@@ -169,21 +57,21 @@
     log('info', '🎮 ========== НАЧАЛО ЗАГРУЗКИ ПРОГРЕССА ИГРОКА ==========');
 
     try {
-      // Common keys used by the game (you may need to adjust these)
-      const gameKeys = [
-        'gameState',
-        'playerProgress',
-        'currentLevel',
-        'completedLevels',
-        'userBoards',
-        'progress'
-      ];
+      log('info', '🔍 Синхронизация сохраненных данных игры', { keys: PROGRESS_KEYS });
 
-      log('info', '🔍 Поиск сохраненных данных игры', { keys: gameKeys });
+      await window.GameStorage.ready();
+      await window.GameStorage.sync(PROGRESS_KEYS);
 
-      for (const key of gameKeys) {
-        await enhancedGetItem(key);
-      }
+      PROGRESS_KEYS.forEach(key => {
+        const entry = window.GameStorage.describe(key);
+        if (entry.value !== null) {
+          log('info', '✅ Данные загружены', {
+            key,
+            source: entry.source,
+            updatedAt: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : null
+          });
+        }
+      });
 
       log('info', '✅ ========== ЗАГРУЗКА ПРОГРЕССА ЗАВЕРШЕНА ==========');
     } catch (error) {
@@ -227,53 +115,6 @@
     checkStartScreen();
   }
 
-  /**
-   * Override localStorage methods to use enhanced versions
-   */
-  function setupLocalStorageProxy() {
-    log('info', '🔧 Настройка перехватчика localStorage');
-
-    // Create a proxy that handles async operations
-    const localStorageProxy = new Proxy(window.localStorage, {
-      get(target, prop) {
-        if (prop === 'getItem') {
-          return function(key) {
-            // For synchronous code, return from cache or original
-            const cached = vkStorageCache.get(key);
-            if (cached !== undefined) {
-              return cached;
-            }
-
-            // Start async load in background
-            enhancedGetItem(key).then(value => {
-              if (value !== null) {
-                vkStorageCache.set(key, value);
-              }
-            });
-
-            // Return synchronous value for now
-            return originalLocalStorage.getItem(key);
-          };
-        } else if (prop === 'setItem') {
-          return function(key, value) {
-            // Sync operation happens first, async in background
-            enhancedSetItem(key, value);
-          };
-        } else if (prop === 'removeItem') {
-          return function(key) {
-            enhancedRemoveItem(key);
-          };
-        }
-
-        return target[prop];
-      }
-    });
-
-    // Note: Can't actually replace window.localStorage due to browser restrictions
-    // But we can intercept common patterns
-    log('info', '✅ Перехватчик localStorage настроен');
-  }
-
   /**
    * Initialize the storage loader
    */
@@ -289,42 +130,24 @@
 
     isInitialized = true;
 
-    // Wait for VK Bridge to be ready
-    if (window.VKBridgeWrapper) {
-      log('info', '⏳ Ожидание инициализации VK Bridge...');
-
-      // Give VK Bridge some time to initialize
-      let attempts = 0;
-      const maxAttempts = 50; // 5 seconds max
-
-      while (!window.VKBridgeWrapper.initialized && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        attempts++;
-      }
-
-      if (window.VKBridgeWrapper.initialized) {
-        log('info', '✅ VK Bridge инициализирован и готов к работе');
-      } else {
-        log('warn', '⚠️ VK Bridge не инициализирован после ожидания, продолжаем с localStorage');
-      }
-    } else {
-      log('warn', '⚠️ VK Bridge не найден, будет использоваться только localStorage');
-    }
-
-    // Setup localStorage interception
-    setupLocalStorageProxy();
-
     // Start watching for start screen
     watchForStartScreen();
 
     log('info', '✅ Инициализация завершена, ожидание стартового экрана...');
   }
 
-  // Expose enhanced storage methods globally for manual use
+  // Promise-based storage API kept for manual use; backed by the unified storage layer
   window.gameStorage = {
-    getItem: enhancedGetItem,
-    setItem: enhancedSetItem,
-    removeItem: enhancedRemoveItem,
+    async getItem(key) {
+      await window.GameStorage.ready();
+      return (await window.GameStorage.sync([key]))[key];
+    },
+    async setItem(key, value) {
+      window.GameStorage.set(key, value);
+    },
+    async removeItem(key) {
+      window.GameStorage.remove(key);
+    },
     loadProgress: loadPlayerProgress
   };
 
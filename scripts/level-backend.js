@@ -0,0 +1,187 @@
+/**
+ * Level Backend
+ * Pluggable transport for the saveLevel/getLevel endpoints used by the level editor
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[Level Backend][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const DEFAULT_CONFIG = {
+    adapter: 'http',
+    baseUrl: 'api/',
+    fallback: null
+  };
+
+  // Errors that mean the level itself was rejected, so another backend won't help
+  const FINAL_ERRORS = ['levelEditor.invalidLevel'];
+
+  /**
+   * Build a query string from a flat object
+   * @param {Object} params - Query parameters
+   * @returns {string} Encoded query string
+   */
+  function toQueryString(params) {
+    return Object.keys(params).map(function(key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    }).join('&');
+  }
+
+  const adapters = {
+    /**
+     * Talks to a server implementing the endpoints over HTTP (see server/)
+     */
+    http: {
+      async request(endpoint, method, body, options) {
+        const baseUrl = options.baseUrl.replace(/\/?$/, '/');
+        const init = { method: method || 'GET' };
+        let url = baseUrl + endpoint;
+
+        if (body) {
+          if (method === 'PUT' || method === 'POST') {
+            init.body = JSON.stringify(body);
+            init.headers = { 'Content-Type': 'application/json' };
+          } else {
+            url += '?' + toQueryString(body);
+          }
+        }
+
+        const response = await fetch(url, init);
+        const data = await response.json().catch(function() {
+          return null;
+        });
+
+        if (data && data.errors) {
+          throw data;
+        }
+        if (!response.ok || !data) {
+          throw { errors: { server: response.ok ? 'Invalid response' : response.statusText } };
+        }
+        return data;
+      }
+    }
+  };
+
+  const listeners = [];
+
+  /**
+   * Check whether a failed request should be retried on the fallback adapter
+   * @param {Object} error - Rejection from the primary adapter
+   * @returns {boolean} True for connection, server and lookup failures
+   */
+  function shouldFallback(error) {
+    const message = error && error.errors && error.errors.message;
+    return FINAL_ERRORS.indexOf(message) === -1;
+  }
+
+  /**
+   * Find the adapter that keeps a level code to itself
+   * @param {string} levelId - Level code
+   * @returns {string|undefined} Adapter name
+   */
+  function findOwner(levelId) {
+    return Object.keys(adapters).find(function(name) {
+      return typeof adapters[name].ownsLevel === 'function' && adapters[name].ownsLevel(levelId);
+    });
+  }
+
+  async function requestAdapter(name, endpoint, method, body, config) {
+    const adapter = adapters[name];
+
+    if (!adapter) {
+      log('error', 'Unknown backend adapter', { adapter: name });
+      throw { errors: { message: 'nav.apiError' } };
+    }
+
+    try {
+      const result = await adapter.request(endpoint, method, body, config);
+      log('info', 'Request succeeded', { endpoint, adapter: name });
+      return result;
+    } catch (error) {
+      log('error', 'Request failed', { endpoint, adapter: name, error });
+      throw error;
+    }
+  }
+
+  window.LevelBackend = {
+    config: Object.assign({}, DEFAULT_CONFIG, window.__LEVEL_BACKEND__),
+
+    /**
+     * Register a transport that can serve the level endpoints
+     * @param {string} name - Adapter name used in the config
+     * @param {{request: Function, ownsLevel: Function}} adapter - Object with an async request(endpoint, method, body, options)
+     *   and optionally ownsLevel(levelId) for codes that only this adapter can look up
+     */
+    registerAdapter(name, adapter) {
+      adapters[name] = adapter;
+    },
+
+    /**
+     * Change the active adapter or its options
+     * @param {Object} config - Partial config, e.g. { adapter: 'http', baseUrl: 'https://levels.example.com/' }
+     */
+    configure(config) {
+      this.config = Object.assign({}, this.config, config);
+      log('info', 'Backend configured', this.config);
+    },
+
+    /**
+     * Subscribe to successful requests, e.g. to mirror saved levels elsewhere
+     * @param {Function} listener - Called with (endpoint, body, result, adapterName)
+     */
+    addListener(listener) {
+      listeners.push(listener);
+    },
+
+    /**
+     * Send a request to the active adapter, retrying on the fallback adapter if it fails
+     * @param {string} endpoint - Endpoint name, e.g. "saveLevel"
+     * @param {string} method - HTTP-style method
+     * @param {Object} [body] - Request payload
+     * @returns {Promise<Object>} Response payload, rejects with { errors }
+     */
+    async request(endpoint, method, body) {
+      const config = this.config;
+      // Codes from a backend with its own namespace are looked up there and nowhere else
+      const owner = endpoint === 'getLevel' && body ? findOwner(body.levelId) : undefined;
+      let adapterName = owner || config.adapter;
+      let result;
+
+      try {
+        result = await requestAdapter(adapterName, endpoint, method, body, config);
+      } catch (error) {
+        if (owner || !config.fallback || config.fallback === adapterName || !shouldFallback(error)) {
+          throw error;
+        }
+        log('warn', 'Retrying on fallback adapter', { endpoint, adapter: config.fallback });
+        adapterName = config.fallback;
+        result = await requestAdapter(adapterName, endpoint, method, body, config).catch(function(fallbackError) {
+          // Report the primary failure unless the fallback knows better (e.g. level not found)
+          const message = fallbackError && fallbackError.errors && fallbackError.errors.message;
+          throw message && message !== 'nav.apiError' ? fallbackError : error;
+        });
+      }
+
+      listeners.forEach(function(listener) {
+        try {
+          listener(endpoint, body, result, adapterName);
+        } catch (error) {
+          log('error', 'Listener failed', { endpoint, error: error.message });
+        }
+      });
+      return result;
+    }
+  };
+})();
@@ -0,0 +1,447 @@
+/**
+ * Level Packs
+ * Teachers share sets of levels as JSON files (see LEVEL_PACKS.md and level-pack.schema.json).
+ * Imported packs are kept with the player's progress and show up as extra groups in level selection
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[Level Packs][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const FORMAT = 'robocot-level-pack';
+  const VERSION = 1;
+
+  const MAX_FILE_SIZE = 256 * 1024;
+  const MAX_PACKS = 10;
+  const MAX_LEVELS = 50;
+  const MAX_TITLE_LENGTH = 60;
+  const MAX_INTRO_LENGTH = 500;
+  const MAX_HINT_LENGTH = 300;
+  const MAX_URL_LENGTH = 500;
+  const MAX_COMMANDS = 30;
+  const MAX_TILES = 121;
+  const MAX_COORDINATE = 10;
+  const MAX_PATH_LENGTH = 8;
+  const EXPORT_ID = 'my-levels';
+
+  // Same tile types and models as the level editor and server/levels.js
+  const TILE_TYPES = [
+    'TILE_TYPE_FLOOR',
+    'TILE_TYPE_OCCUPIED',
+    'TILE_TYPE_START',
+    'TILE_TYPE_END',
+    'TILE_TYPE_MATH_ADD',
+    'TILE_TYPE_MATH_SUBTRACT',
+    'TILE_TYPE_MATH_OBSTRUCTION',
+    'TILE_TYPE_WIFI_SEND',
+    'TILE_TYPE_WIFI_OBSTRUCTION',
+    'TILE_TYPE_BLINKING_OBSTRUCTION',
+    'TILE_TYPE_MOVING_PLATFORM'
+  ];
+
+  const TILE_MODELS = [
+    'TILE_MODEL_BOX',
+    'TILE_MODEL_SPACESHIP',
+    'TILE_MODEL_WINDMILL',
+    'TILE_MODEL_SOLAR',
+    'TILE_MODEL_MATH_ADD',
+    'TILE_MODEL_MATH_SUBTRACT',
+    'TILE_MODEL_MATH_OBSTRUCTION',
+    'TILE_MODEL_WIFI_SEND',
+    'TILE_MODEL_WIFI_OBSTRUCTION',
+    'TILE_MODEL_BLINKING_OBSTRUCTION',
+    'TILE_MODEL_MOVING_PLATFORM'
+  ];
+
+  const COMMANDS = [
+    'COMMAND_FORWARD',
+    'COMMAND_BACKWARD',
+    'COMMAND_ROTATE_LEFT',
+    'COMMAND_ROTATE_RIGHT',
+    'COMMAND_WAIT',
+    'COMMAND_LOOP',
+    'COMMAND_IF',
+    'COMMAND_CALL'
+  ];
+
+  const COMMAND_COUNTING = ['blocks', 'topLevel', 'unrolled'];
+  const HEADINGS = ['up', 'right', 'down', 'left'];
+
+  function getStore() {
+    return window.__REDUX_STORE__ || null;
+  }
+
+  function fail(message, details) {
+    return { errors: { message, details: details || [] } };
+  }
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function isIntegerInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+
+  function isCoordinate(value) {
+    return isIntegerInRange(value, -MAX_COORDINATE, MAX_COORDINATE);
+  }
+
+  /**
+   * Validate a text that is either a plain string or a { <locale>: string } map
+   * @param {*} value - Text from the pack
+   * @param {number} maxLength - Longest text allowed in any language
+   * @returns {string|Object|null} Trimmed text or null if it's invalid
+   */
+  function normalizeText(value, maxLength) {
+    if (typeof value === 'string') {
+      const text = value.trim();
+      return text && text.length <= maxLength ? text : null;
+    }
+    if (!isPlainObject(value)) return null;
+
+    const locales = Object.keys(value);
+    const texts = {};
+    const valid = locales.length > 0 && locales.every(function(locale) {
+      const text = /^[a-z]{2}$/.test(locale) && normalizeText(value[locale], maxLength);
+      texts[locale] = text;
+      return typeof text === 'string';
+    });
+    return valid ? texts : null;
+  }
+
+  function isUrl(value) {
+    return typeof value === 'string' && value.length <= MAX_URL_LENGTH && /^https?:\/\/\S+$/.test(value);
+  }
+
+  function validateTiles(tiles, prefix, errors) {
+    if (!Array.isArray(tiles) || tiles.length === 0 || tiles.length > MAX_TILES) {
+      errors.push(`${prefix} must have 1 to ${MAX_TILES} tiles`);
+      return null;
+    }
+
+    const seen = new Set();
+    const normalized = tiles.map(function(tile, index) {
+      const where = `${prefix} tile ${index}`;
+      if (!isPlainObject(tile)) {
+        errors.push(`${where} is not an object`);
+        return null;
+      }
+      if (!isCoordinate(tile.x) || !isCoordinate(tile.y)) {
+        errors.push(`${where} has invalid coordinates`);
+      } else if (seen.has(tile.x + ',' + tile.y)) {
+        errors.push(`${where} overlaps another tile at ${tile.x},${tile.y}`);
+      } else {
+        seen.add(tile.x + ',' + tile.y);
+      }
+      if (TILE_TYPES.indexOf(tile.type) === -1) errors.push(`${where} has unknown type ${tile.type}`);
+      if (TILE_MODELS.indexOf(tile.model) === -1) errors.push(`${where} has unknown model ${tile.model}`);
+
+      const result = { x: tile.x, y: tile.y, type: tile.type, model: tile.model };
+      if (tile.math !== undefined) {
+        if (!isIntegerInRange(tile.math, -9, 9)) errors.push(`${where} has invalid math value`);
+        result.math = tile.math;
+      }
+      if (tile.period !== undefined) {
+        if (!isIntegerInRange(tile.period, 1, 8)) errors.push(`${where} has invalid period`);
+        result.period = tile.period;
+      }
+      if (tile.offset !== undefined) {
+        if (!isIntegerInRange(tile.offset, 0, 16)) errors.push(`${where} has invalid offset`);
+        result.offset = tile.offset;
+      }
+      if (tile.path !== undefined) {
+        const validPath = Array.isArray(tile.path) && tile.path.length <= MAX_PATH_LENGTH && tile.path.every(function(step) {
+          return isPlainObject(step) && isCoordinate(step.x) && isCoordinate(step.y);
+        });
+        if (validPath) {
+          result.path = tile.path.map(step => ({ x: step.x, y: step.y }));
+        } else {
+          errors.push(`${where} has invalid path`);
+        }
+      }
+      return result;
+    });
+
+    // Unlike the editor, packs may leave out the start tile, as some built-in levels do
+    const count = predicate => normalized.filter(tile => tile && predicate(tile)).length;
+    if (count(tile => tile.type === 'TILE_TYPE_START') > 1) errors.push(`${prefix} can have at most one start tile`);
+    if (count(tile => tile.type === 'TILE_TYPE_END') !== 1) errors.push(`${prefix} must have exactly one end tile`);
+    if (count(tile => tile.model === 'TILE_MODEL_SPACESHIP') !== 1) errors.push(`${prefix} must have exactly one spaceship`);
+    return normalized;
+  }
+
+  function validateLevel(level, index, errors) {
+    const prefix = `Level ${index + 1}`;
+    if (!isPlainObject(level)) {
+      errors.push(`${prefix} is not an object`);
+      return null;
+    }
+
+    const result = {
+      tiles: validateTiles(level.tiles, prefix, errors),
+      commands: level.commands,
+      maxCommands: level.maxCommands
+    };
+
+    const commands = level.commands;
+    if (!Array.isArray(commands) || commands.length === 0 ||
+        !commands.every((command, i) => COMMANDS.indexOf(command) !== -1 && commands.indexOf(command) === i)) {
+      errors.push(`${prefix} must list each allowed command once, from ${COMMANDS.join(', ')}`);
+    }
+    if (!isIntegerInRange(level.maxCommands, 1, MAX_COMMANDS)) {
+      errors.push(`${prefix} must have maxCommands between 1 and ${MAX_COMMANDS}`);
+    }
+
+    // A program can call a single function, named by a capital letter
+    const calls = Array.isArray(commands) && commands.indexOf('COMMAND_CALL') !== -1;
+    if (level.functions !== undefined || calls) {
+      if (!calls || !Array.isArray(level.functions) || level.functions.length !== 1 || !/^[A-Z]$/.test(level.functions[0])) {
+        errors.push(`${prefix} must have functions like ["A"] exactly when COMMAND_CALL is allowed`);
+      }
+      result.functions = level.functions;
+    }
+    if (level.commandCounting !== undefined) {
+      if (COMMAND_COUNTING.indexOf(level.commandCounting) === -1) {
+        errors.push(`${prefix} has unknown commandCounting ${level.commandCounting}`);
+      }
+      result.commandCounting = level.commandCounting;
+    }
+    if (level.heading !== undefined) {
+      if (HEADINGS.indexOf(level.heading) === -1) errors.push(`${prefix} must have heading ${HEADINGS.join(', ')}`);
+      result.heading = level.heading;
+    }
+    if (level.math !== undefined) {
+      if (!isIntegerInRange(level.math, -9, 9)) errors.push(`${prefix} must have math between -9 and 9`);
+      result.math = level.math;
+    }
+    if (level.title !== undefined) {
+      result.title = normalizeText(level.title, MAX_TITLE_LENGTH);
+      if (!result.title) errors.push(`${prefix} title must be 1 to ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (level.hint !== undefined) {
+      result.hint = normalizeText(level.hint, MAX_HINT_LENGTH);
+      if (!result.hint) errors.push(`${prefix} hint must be 1 to ${MAX_HINT_LENGTH} characters`);
+    }
+    return result;
+  }
+
+  /**
+   * Validate a parsed level pack and strip it down to the fields the game reads
+   * @param {*} data - Parsed JSON
+   * @returns {{pack: Object|null, errors: string[]}} Normalized pack or the reasons it was rejected
+   */
+  function validate(data) {
+    const errors = [];
+
+    if (!isPlainObject(data) || data.format !== FORMAT) {
+      return { pack: null, errors: [`Not a level pack: format must be "${FORMAT}"`] };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      return { pack: null, errors: ['Version must be a positive integer'] };
+    }
+    if (data.version > VERSION) {
+      return { pack: null, errors: [`Version ${data.version} is newer than this game supports (${VERSION})`] };
+    }
+
+    const pack = { format: FORMAT, version: VERSION };
+
+    if (typeof data.id !== 'string' || !/^[a-z0-9][a-z0-9-]{0,39}$/.test(data.id)) {
+      errors.push('Id must be 1 to 40 lowercase letters, digits or dashes');
+    }
+    pack.id = data.id;
+
+    pack.title = normalizeText(data.title, MAX_TITLE_LENGTH);
+    if (!pack.title) errors.push(`Title must be a text of at most ${MAX_TITLE_LENGTH} characters`);
+
+    if (data.author !== undefined) {
+      pack.author = normalizeText(data.author, MAX_TITLE_LENGTH);
+      if (!pack.author) errors.push(`Author must be a text of at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (data.backgroundColor !== undefined) {
+      if (typeof data.backgroundColor !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(data.backgroundColor)) {
+        errors.push('Background color must look like "#fae1e7"');
+      }
+      pack.backgroundColor = data.backgroundColor;
+    }
+    if (data.intro !== undefined) {
+      const text = isPlainObject(data.intro) ? normalizeText(data.intro.text, MAX_INTRO_LENGTH) : null;
+      if (!text) errors.push(`Intro must have a text of at most ${MAX_INTRO_LENGTH} characters`);
+      pack.intro = { text };
+      if (isPlainObject(data.intro) && data.intro.video !== undefined) {
+        if (!isUrl(data.intro.video)) errors.push('Intro video must be an http(s) URL');
+        pack.intro.video = data.intro.video;
+      }
+    }
+
+    if (!Array.isArray(data.levels) || data.levels.length === 0 || data.levels.length > MAX_LEVELS) {
+      errors.push(`Pack must have 1 to ${MAX_LEVELS} levels`);
+    } else {
+      pack.levels = data.levels.map((level, index) => validateLevel(level, index, errors));
+    }
+
+    return { pack: errors.length ? null : pack, errors };
+  }
+
+  /**
+   * @param {string} text - Contents of a pack file
+   * @returns {Object} Normalized pack, throws { errors: { message, details } } if it can't be used
+   */
+  function parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw fail('levelPacks.notJson', [error.message]);
+    }
+    const result = validate(data);
+    if (!result.pack) {
+      throw fail(data && data.version > VERSION ? 'levelPacks.newerVersion' : 'levelPacks.invalid', result.errors);
+    }
+    return result.pack;
+  }
+
+  /**
+   * Add a pack to the game, replacing an earlier version of it with the same id
+   * @param {Object} pack - Normalized pack
+   * @returns {Object} The pack
+   */
+  function add(pack) {
+    const store = getStore();
+    const packs = store.getState().app.levelPacks;
+    const index = packs.findIndex(item => item.id === pack.id);
+    if (index === -1 && packs.length >= MAX_PACKS) {
+      throw fail('levelPacks.tooMany');
+    }
+
+    const next = index === -1 ? packs.concat([pack]) : packs.map((item, i) => i === index ? pack : item);
+    store.dispatch({ type: 'SET_LEVEL_PACKS', value: next });
+    log('info', index === -1 ? 'Pack added' : 'Pack updated', { id: pack.id, levels: pack.levels.length });
+    return pack;
+  }
+
+  function toColor(value) {
+    return '#' + ('00000' + value.toString(16)).slice(-6);
+  }
+
+  window.LevelPacks = {
+    FORMAT,
+    VERSION,
+    validate,
+    parse,
+
+    /**
+     * Import a pack from a file the player picked
+     * @param {File} file - JSON file
+     * @returns {Promise<Object>} The pack, rejects with { errors: { message, details } }
+     */
+    async importFile(file) {
+      if (file.size > MAX_FILE_SIZE) {
+        throw fail('levelPacks.tooLarge');
+      }
+      const text = await file.text();
+      return add(parse(text));
+    },
+
+    /**
+     * Import a pack published on the web; the server has to allow cross-origin requests
+     * @param {string} url - Address of the JSON file
+     * @returns {Promise<Object>} The pack, rejects with { errors: { message, details } }
+     */
+    async importUrl(url) {
+      const address = String(url || '').trim();
+      if (!isUrl(address)) {
+        throw fail('levelPacks.invalidUrl');
+      }
+
+      let response;
+      try {
+        response = await fetch(address, { credentials: 'omit' });
+      } catch (error) {
+        log('warn', 'Could not download pack', { url: address, error: error.message });
+        throw fail('levelPacks.downloadFailed');
+      }
+      if (!response.ok) {
+        throw fail('levelPacks.downloadFailed', [`HTTP ${response.status}`]);
+      }
+      const text = await response.text();
+      if (text.length > MAX_FILE_SIZE) {
+        throw fail('levelPacks.tooLarge');
+      }
+      return add(parse(text));
+    },
+
+    /**
+     * Remove an imported pack
+     * @param {string} id - Pack id
+     */
+    remove(id) {
+      const store = getStore();
+      store.dispatch({ type: 'SET_LEVEL_PACKS', value: store.getState().app.levelPacks.filter(item => item.id !== id) });
+      log('info', 'Pack removed', { id });
+    },
+
+    /**
+     * Turn a custom level group into a pack; imported packs are returned as they were imported
+     * @param {number} groupIndex - Index in levelGroups
+     * @param {string} title - Title for a group that isn't a pack yet
+     * @returns {Object|null} Pack or null if the group has no custom levels
+     */
+    exportGroup(groupIndex, title) {
+      const group = getStore().getState().game.levelGroups[groupIndex];
+      if (!group || !group.isCustom || !group.levels.length) return null;
+      if (group.pack) return group.pack;
+
+      return {
+        format: FORMAT,
+        version: VERSION,
+        id: EXPORT_ID,
+        title,
+        backgroundColor: toColor(group.settings.backgroundColor),
+        levels: group.levels.map(function(level) {
+          const result = { tiles: level.tiles, commands: level.commands, maxCommands: level.maxCommands };
+          if (level.functions) result.functions = level.functions;
+          if (level.commandCounting) result.commandCounting = level.commandCounting;
+          ['heading', 'math', 'title', 'hint'].forEach(function(key) {
+            if (level[key] !== undefined) result[key] = level[key];
+          });
+          return result;
+        })
+      };
+    },
+
+    /**
+     * Save a custom level group as a pack file
+     * @param {number} groupIndex - Index in levelGroups
+     * @param {string} title - Title for a group that isn't a pack yet
+     * @returns {boolean} False if there was nothing to export
+     */
+    download(groupIndex, title) {
+      const pack = this.exportGroup(groupIndex, title);
+      if (!pack) return false;
+
+      const url = URL.createObjectURL(new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = pack.id + '.json';
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      log('info', 'Pack exported', { id: pack.id, levels: pack.levels.length });
+      return true;
+    }
+  };
+})();
@@ -1,7 +1,7 @@
 /**
  * Player Progress Saver
  * Automatically saves player progress when interacting with each new level
- * Logs all save attempts to VK Storage and localStorage
+ * Progress is written through the unified storage layer (scripts/storage.js)
  */
 (function() {
   'use strict';
@@ -23,7 +23,6 @@
   // Track last saved level to avoid duplicate saves
   let lastSavedLevel = null;
   let lastSavedLevelGroup = null;
-  let saveInProgress = false;
 
   // Keep a snapshot of the last successfully extracted progress
   let lastKnownProgress = null;
@@ -43,16 +42,9 @@
   }
 
   /**
-   * Save player progress to both VK Storage and localStorage
+   * Save player progress; it reaches VK Storage with the next batched write
    */
   async function savePlayerProgress(progressData) {
-    if (saveInProgress) {
-      log('info', '⏳ Сохранение уже в процессе, пропускаем');
-      return;
-    }
-
-    saveInProgress = true;
-
     // Cache snapshot for future fallbacks
     lastKnownProgress = { ...progressData };
 
@@ -61,7 +53,7 @@
         currentLevel,
         currentLevelGroup,
         completedLevels,
-        levelGroups,
+        levelScores,
         timestamp
       } = progressData;
 
@@ -73,188 +65,78 @@
         timestamp
       });
 
-      // Prepare progress object
+      // levelGroups holds the tiles of every level: it is game data rather than progress
+      // and would not fit into a VK Storage value
       const progress = {
         currentLevel,
         currentLevelGroup,
         completedLevels,
-        levelGroups,
+        levelScores,
         lastUpdated: timestamp
       };
 
-      const progressJSON = JSON.stringify(progress);
-
-      // Save to localStorage first (synchronous)
-      log('info', '🔄 Попытка сохранения в localStorage (браузер)...');
-      try {
-        localStorage.setItem('playerProgress', progressJSON);
-        log('info', '✅ Прогресс успешно сохранен в localStorage', {
-          size: progressJSON.length + ' bytes'
-        });
-      } catch (localStorageError) {
-        log('error', '❌ Ошибка сохранения в localStorage', {
-          error: localStorageError.message,
-          stack: localStorageError.stack
-        });
-      }
-
-      // Save to VK Storage (asynchronous)
-      if (window.VKBridgeWrapper && window.VKBridgeWrapper.initialized) {
-        log('info', '🔄 Попытка сохранения в VK Storage...');
-        try {
-          const success = await window.VKBridgeWrapper.storageSet('playerProgress', progressJSON);
-
-          if (success) {
-            log('info', '✅ Прогресс успешно сохранен в VK Storage', {
-              size: progressJSON.length + ' bytes'
-            });
-          } else {
-            log('warn', '⚠️ VK Storage вернул false при сохранении');
-          }
-        } catch (vkStorageError) {
-          log('error', '❌ Ошибка сохранения в VK Storage', {
-            error: vkStorageError.message,
-            stack: vkStorageError.stack
-          });
-        }
-      } else {
-        log('warn', '⚠️ VK Bridge не инициализирован, сохранение только в localStorage');
-      }
+      window.GameStorage.setJSON('playerProgress', progress);
 
       // Also save individual level data for compatibility
-      try {
-        localStorage.setItem('currentLevel', String(currentLevel || 0));
-        localStorage.setItem('currentLevelGroup', String(currentLevelGroup || 0));
-
-        if (completedLevels) {
-          localStorage.setItem('completedLevels', JSON.stringify(completedLevels));
-        }
-
-        if (levelGroups) {
-          localStorage.setItem('levelGroups', JSON.stringify(levelGroups));
-        }
-
-        log('info', '✅ Дополнительные ключи сохранены для совместимости');
-      } catch (error) {
-        log('warn', '⚠️ Ошибка при сохранении дополнительных ключей', {
-          error: error.message
-        });
+      window.GameStorage.set('currentLevel', currentLevel || 0);
+      window.GameStorage.set('currentLevelGroup', currentLevelGroup || 0);
+      if (completedLevels) {
+        window.GameStorage.setJSON('completedLevels', completedLevels);
       }
 
+      log('info', '✅ Прогресс сохранен, запись в VK Storage запланирована', {
+        size: window.GameStorage.get('playerProgress').length + ' bytes'
+      });
       log('info', '✅ ========== СОХРАНЕНИЕ ПРОГРЕССА ЗАВЕРШЕНО ==========');
-
     } catch (error) {
       log('error', '❌ Критическая ошибка при сохранении прогресса', {
         error: error.message,
         stack: error.stack
       });
-    } finally {
-      saveInProgress = false;
     }
   }
 
   /**
-   * Extract progress data from Redux state in localStorage
+   * Extract progress data from the game store, falling back to saved progress
    */
   function extractProgressFromState() {
     try {
-      // Try to find Redux state in localStorage
-      // Common keys: 'persist:root', 'reduxState', 'state'
-      const possibleKeys = ['persist:root', 'reduxState', 'state', 'app', 'progress', 'gameState'];
-
-      for (const key of possibleKeys) {
-        const stateJSON = localStorage.getItem(key);
-        if (!stateJSON) continue;
-
-        try {
-          const state = JSON.parse(stateJSON);
-
-          // Look for game state nested in different structures
-          const gameState = state.game || state.app?.game || state;
-
-          if (gameState && (gameState.currentLevel !== undefined || gameState.currentLevelGroup !== undefined)) {
-            lastKnownProgress = {
-              currentLevel: gameState.currentLevel,
-              currentLevelGroup: gameState.currentLevelGroup,
-              completedLevels: gameState.completedLevels || state.app?.completedLevels,
-              levelGroups: gameState.levelGroups,
-              timestamp: new Date().toISOString()
-            };
-            return lastKnownProgress;
-          }
-        } catch (parseError) {
-          // Try parsing nested JSON
-          try {
-            const parsed = JSON.parse(stateJSON);
-            if (parsed.game) {
-              const nestedGame = JSON.parse(parsed.game);
-              if (nestedGame.currentLevel !== undefined) {
-                lastKnownProgress = {
-                  currentLevel: nestedGame.currentLevel,
-                  currentLevelGroup: nestedGame.currentLevelGroup,
-                  completedLevels: nestedGame.completedLevels,
-                  levelGroups: nestedGame.levelGroups,
-                  timestamp: new Date().toISOString()
-                };
-                return lastKnownProgress;
-              }
-            }
-          } catch (e) {
-            // Ignore
-          }
-        }
+      const globalProgress = extractProgressFromGlobals();
+      if (globalProgress) {
+        return globalProgress;
       }
 
-      // Fall back to previously saved progress in localStorage
-      const savedProgress = localStorage.getItem('playerProgress');
-      if (savedProgress) {
-        try {
-          const parsedProgress = JSON.parse(savedProgress);
-          if (parsedProgress.currentLevel !== undefined) {
-            log('info', 'ℹ️ Используем сохраненный в localStorage прогресс как резервный источник');
-            lastKnownProgress = {
-              currentLevel: parsedProgress.currentLevel,
-              currentLevelGroup: parsedProgress.currentLevelGroup,
-              completedLevels: parsedProgress.completedLevels,
-              levelGroups: parsedProgress.levelGroups,
-              timestamp: new Date().toISOString()
-            };
-            return lastKnownProgress;
-          }
-        } catch (e) {
-          log('warn', '⚠️ Не удалось разобрать playerProgress из localStorage', { error: e.message });
-        }
+      // Fall back to previously saved progress
+      const savedProgress = window.GameStorage.getJSON('playerProgress');
+      if (savedProgress && savedProgress.currentLevel !== undefined) {
+        log('info', 'ℹ️ Используем сохраненный прогресс как резервный источник', {
+          source: window.GameStorage.describe('playerProgress').source
+        });
+        lastKnownProgress = {
+          currentLevel: savedProgress.currentLevel,
+          currentLevelGroup: savedProgress.currentLevelGroup,
+          completedLevels: savedProgress.completedLevels,
+          levelScores: savedProgress.levelScores,
+          timestamp: new Date().toISOString()
+        };
+        return lastKnownProgress;
       }
 
       // Final fallback to individual keys
-      const fallbackLevel = localStorage.getItem('currentLevel');
-      const fallbackGroup = localStorage.getItem('currentLevelGroup');
+      const fallbackLevel = window.GameStorage.get('currentLevel');
+      const fallbackGroup = window.GameStorage.get('currentLevelGroup');
 
       if (fallbackLevel !== null || fallbackGroup !== null) {
-        log('info', 'ℹ️ Используем раздельные ключи прогресса из localStorage');
+        log('info', 'ℹ️ Используем раздельные ключи прогресса');
         lastKnownProgress = {
           currentLevel: fallbackLevel !== null ? Number(fallbackLevel) : undefined,
           currentLevelGroup: fallbackGroup !== null ? Number(fallbackGroup) : undefined,
-          completedLevels: (() => {
-            const raw = localStorage.getItem('completedLevels');
-            if (!raw) return undefined;
-            try {
-              return JSON.parse(raw);
-            } catch (e) {
-              return undefined;
-            }
-          })(),
+          completedLevels: window.GameStorage.getJSON('completedLevels', undefined),
           timestamp: new Date().toISOString()
         };
         return lastKnownProgress;
       }
 
-      // Try to read from known global stores
-      const globalProgress = extractProgressFromGlobals();
-      if (globalProgress) {
-        return globalProgress;
-      }
-
       // Use last known snapshot if available
       if (lastKnownProgress) {
         log('info', 'ℹ️ Используем последний успешный снимок прогресса');
@@ -295,6 +177,7 @@
             currentLevel: game.currentLevel,
             currentLevelGroup: game.currentLevelGroup,
             completedLevels: game.completedLevels || state.app?.completedLevels,
+            levelScores: state.app?.levelScores,
             levelGroups: game.levelGroups,
             timestamp: new Date().toISOString()
           };
@@ -377,71 +260,42 @@
   }
 
   /**
-   * Monitor localStorage changes for level transitions
+   * Subscribe to the game store to detect level transitions
    */
   function monitorLevelChanges() {
-    // Store original localStorage.setItem
-    const originalSetItem = localStorage.setItem.bind(localStorage);
-
-    // Override localStorage.setItem to detect level changes
-    localStorage.setItem = function(key, value) {
-      // Call original first
-      originalSetItem(key, value);
-
-      // Check if this is a state update that might contain level info
-      if (key.includes('persist') || key.includes('redux') || key.includes('state') || key.includes('app') || key.includes('game') || key.includes('progress')) {
-        log('info', '🔍 Обнаружено обновление состояния', { key });
-
-        // Delay extraction to ensure state is fully updated
-        setTimeout(() => {
-          const progress = extractProgressFromState();
-
-            if (progress && progress.currentLevel !== undefined) {
-              const { currentLevel, currentLevelGroup } = progress;
-
-              // Check if this is a new level
-              if (currentLevel !== lastSavedLevel || currentLevelGroup !== lastSavedLevelGroup) {
-              log('info', '🎮 ========== ОБНАРУЖЕН ПЕРЕХОД НА НОВЫЙ УРОВЕНЬ ==========');
-              log('info', '📍 Предыдущий уровень:', {
-                level: lastSavedLevel,
-                group: lastSavedLevelGroup
-              });
-              log('info', '📍 Новый уровень:', {
-                level: currentLevel,
-                group: currentLevelGroup
-              });
-
-              logLevelStartIfNew(currentLevel, currentLevelGroup);
-
-              lastSavedLevel = currentLevel;
-              lastSavedLevelGroup = currentLevelGroup;
-
-              // Save progress
-              savePlayerProgress(progress);
-            }
-          }
-        }, 100);
-
-        // Try parsing the incoming value immediately to cache best-effort progress
-        try {
-          const parsedValue = JSON.parse(value);
-          const stateCandidate = parsedValue.game ? JSON.parse(parsedValue.game) : parsedValue;
-          if (stateCandidate && (stateCandidate.currentLevel !== undefined || stateCandidate.currentLevelGroup !== undefined)) {
-            lastKnownProgress = {
-              currentLevel: stateCandidate.currentLevel,
-              currentLevelGroup: stateCandidate.currentLevelGroup,
-              completedLevels: stateCandidate.completedLevels,
-              levelGroups: stateCandidate.levelGroups,
-              timestamp: new Date().toISOString()
-            };
-          }
-        } catch (e) {
-          // Ignore parsing errors
-        }
+    const store = window.__REDUX_STORE__;
+
+    if (!store) {
+      log('warn', '⚠️ Хранилище состояния игры не найдено, переход между уровнями отслеживается только через DOM');
+      return;
+    }
+
+    store.subscribe(() => {
+      const { currentLevel, currentLevelGroup } = store.getState().game;
+
+      // Check if this is a new level
+      if (currentLevel !== lastSavedLevel || currentLevelGroup !== lastSavedLevelGroup) {
+        log('info', '🎮 ========== ОБНАРУЖЕН ПЕРЕХОД НА НОВЫЙ УРОВЕНЬ ==========');
+        log('info', '📍 Предыдущий уровень:', {
+          level: lastSavedLevel,
+          group: lastSavedLevelGroup
+        });
+        log('info', '📍 Новый уровень:', {
+          level: currentLevel,
+          group: currentLevelGroup
+        });
+
+        logLevelStartIfNew(currentLevel, currentLevelGroup);
+
+        lastSavedLevel = currentLevel;
+        lastSavedLevelGroup = currentLevelGroup;
+
+        // Save progress
+        savePlayerProgress(extractProgressFromState());
       }
-    };
+    });
 
-    log('info', '✅ Мониторинг изменений localStorage настроен');
+    log('info', '✅ Мониторинг состояния игры настроен');
   }
 
   /**
@@ -486,33 +340,19 @@
   }
 
   /**
-   * Listen to storage events from other tabs/windows
+   * Log progress written by other tabs or pulled from another device
    */
   function listenToStorageEvents() {
-    window.addEventListener('storage', (event) => {
-      if (event.key && (event.key.includes('level') || event.key.includes('Level') || event.key.includes('progress'))) {
-        log('info', '🔄 Обнаружено изменение в storage из другой вкладки', {
-          key: event.key,
-          newValue: event.newValue ? event.newValue.substring(0, 100) : null
-        });
+    window.GameStorage.subscribe((key, value, source) => {
+      if (key !== 'playerProgress' || source === window.GameStorage.SOURCES.WRITE) return;
 
-        // Extract and potentially save progress
-        setTimeout(() => {
-          const progress = extractProgressFromState();
-          if (progress) {
-            const { currentLevel, currentLevelGroup } = progress;
-            if (currentLevel !== lastSavedLevel || currentLevelGroup !== lastSavedLevelGroup) {
-              logLevelStartIfNew(currentLevel, currentLevelGroup);
-              lastSavedLevel = currentLevel;
-              lastSavedLevelGroup = currentLevelGroup;
-              savePlayerProgress(progress);
-            }
-          }
-        }, 100);
-      }
+      log('info', '🔄 Прогресс обновлен извне', {
+        source,
+        newValue: value ? value.substring(0, 100) : null
+      });
     });
 
-    log('info', '✅ Слушатель событий storage настроен');
+    log('info', '✅ Слушатель изменений хранилища настроен');
   }
 
   /**
@@ -537,24 +377,7 @@
           currentProgress = {
             currentLevel: lastSavedLevel,
             currentLevelGroup: lastSavedLevelGroup,
-            completedLevels: (() => {
-              const raw = localStorage.getItem('completedLevels');
-              if (!raw) return undefined;
-              try {
-                return JSON.parse(raw);
-              } catch (e) {
-                return undefined;
-              }
-            })(),
-            levelGroups: (() => {
-              const raw = localStorage.getItem('levelGroups');
-              if (!raw) return undefined;
-              try {
-                return JSON.parse(raw);
-              } catch (e) {
-                return undefined;
-              }
-            })(),
+            completedLevels: window.GameStorage.getJSON('completedLevels', undefined),
             timestamp: new Date().toISOString()
           };
         }
@@ -645,28 +468,12 @@
    */
   async function initialize() {
     log('info', '🚀 ========== ИНИЦИАЛИЗАЦИЯ PLAYER PROGRESS SAVER ==========');
-    log('info', '📋 Версия: Player Progress Saver v1.1');
+    log('info', '📋 Версия: Player Progress Saver v2.0');
     log('info', '🌐 User Agent: ' + navigator.userAgent);
     log('info', '📍 URL: ' + window.location.href);
 
-    // Wait for VK Bridge to be ready
-    if (window.VKBridgeWrapper) {
-      log('info', '⏳ Ожидание инициализации VK Bridge...');
-
-      let attempts = 0;
-      const maxAttempts = 50;
-
-      while (!window.VKBridgeWrapper.initialized && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        attempts++;
-      }
-
-      if (window.VKBridgeWrapper.initialized) {
-        log('info', '✅ VK Bridge готов к работе');
-      } else {
-        log('warn', '⚠️ VK Bridge не инициализирован, продолжаем с localStorage');
-      }
-    }
+    // Progress saved by earlier versions kept every level's tiles under this key
+    localStorage.removeItem('levelGroups');
 
     // Setup monitoring
     monitorLevelChanges();
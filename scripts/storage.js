@@ -0,0 +1,488 @@
+/**
+ * Storage
+ * Single storage layer for player data: localStorage answers reads instantly and
+ * VK Storage carries the data across devices. Every write is timestamped and
+ * conflicts between the two are resolved last-writer-wins.
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[Storage][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  // Where the current value of a key came from
+  const SOURCES = {
+    NONE: 'none',
+    LOCAL: 'localStorage',
+    VK: 'vkStorage',
+    WRITE: 'write',
+    OTHER_TAB: 'otherTab'
+  };
+
+  // Write timestamps of the localStorage copies, keyed by storage key
+  const META_KEY = 'game_storage_meta';
+  // Writes are batched: flushed once no new write came in for FLUSH_DELAY,
+  // but never later than MAX_FLUSH_DELAY after the first pending write
+  const FLUSH_DELAY = 1000;
+  const MAX_FLUSH_DELAY = 5000;
+  // VK Storage values are limited to 4096 bytes of UTF-8
+  const MAX_VK_VALUE_BYTES = 4096;
+  // Longer values are split over the keys <key>_part0, <key>_part1, ... and the key itself
+  // holds { t, c } with the number of parts; values that need more parts stay local
+  const MAX_VK_PARTS = 32;
+  // A value VK Storage keeps refusing is left local until it changes again
+  const MAX_WRITE_ATTEMPTS = 3;
+  // A refused write is retried after RETRY_DELAY, doubled for every further refusal in a row
+  const RETRY_DELAY = 2000;
+
+  const entries = new Map();
+  const pending = new Set();
+  const listeners = [];
+  let meta = readMeta();
+  let flushTimer = null;
+  let firstPendingAt = 0;
+  let flushQueue = Promise.resolve(true);
+  let readyPromise = null;
+
+  function readMeta() {
+    try {
+      const data = JSON.parse(localStorage.getItem(META_KEY));
+      return data && typeof data === 'object' ? data : {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  function writeLocal(key, value) {
+    try {
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+      localStorage.setItem(META_KEY, JSON.stringify(meta));
+    } catch (error) {
+      log('warn', 'localStorage write failed', { key, error: error.message });
+    }
+  }
+
+  function readLocal(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function getBridge() {
+    return window.VKBridgeWrapper && window.VKBridgeWrapper.initialized ? window.VKBridgeWrapper : null;
+  }
+
+  function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  /**
+   * Split a string into pieces of at most maxBytes UTF-8 bytes without cutting a character in two
+   * @param {string} text - Value to split
+   * @param {number} maxBytes - Byte limit of a piece
+   * @returns {string[]} Pieces in order
+   */
+  function splitByBytes(text, maxBytes) {
+    const parts = [];
+    let start = 0;
+    let bytes = 0;
+    for (let i = 0; i < text.length;) {
+      const code = text.codePointAt(i);
+      const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+      if (bytes + size > maxBytes) {
+        parts.push(text.slice(start, i));
+        start = i;
+        bytes = 0;
+      }
+      bytes += size;
+      i += code > 0xffff ? 2 : 1;
+    }
+    parts.push(text.slice(start));
+    return parts;
+  }
+
+  function partKey(key, index) {
+    return `${key}_part${index}`;
+  }
+
+  /**
+   * Wrap a value with its write timestamp for VK Storage
+   */
+  function pack(entry) {
+    return JSON.stringify({ t: entry.updatedAt, v: entry.value });
+  }
+
+  /**
+   * @param {string} raw - Value read from VK Storage
+   * @returns {{value: string|null, updatedAt: number, parts: number}|null} Null if the key is empty;
+   *   for a split value only updatedAt and the number of parts are known
+   */
+  function unpack(raw) {
+    if (raw === null || raw === undefined || raw === '') return null;
+    try {
+      const data = JSON.parse(raw);
+      if (data && typeof data === 'object' && typeof data.t === 'number' && 'v' in data) {
+        return { value: data.v === null ? null : String(data.v), updatedAt: data.t, parts: 0 };
+      }
+      if (data && typeof data === 'object' && typeof data.t === 'number' && Number.isInteger(data.c) && data.c > 0) {
+        return { value: null, updatedAt: data.t, parts: data.c };
+      }
+    } catch (error) {
+      // Plain value
+    }
+    // Written before values were timestamped, so older than any timestamped write
+    return { value: raw, updatedAt: 0, parts: 0 };
+  }
+
+  /**
+   * Read keys from VK Storage, joining values that were split into parts
+   * @returns {Promise<Object>} Unpacked values keyed by storage key; undefined for a split value
+   *   that is being rewritten, so neither side should be changed yet
+   */
+  async function readRemote(bridge, keys) {
+    const raw = await bridge.storageGetMultiple(keys);
+    const remote = {};
+    const partKeys = [];
+    keys.forEach(function(key) {
+      remote[key] = unpack(raw[key]);
+      for (let i = 0; remote[key] && i < remote[key].parts; i++) {
+        partKeys.push(partKey(key, i));
+      }
+    });
+    const parts = partKeys.length ? await bridge.storageGetMultiple(partKeys) : {};
+
+    keys.forEach(function(key) {
+      const head = remote[key];
+      if (!head || !head.parts) return;
+      let joined = '';
+      for (let i = 0; i < head.parts; i++) {
+        joined += parts[partKey(key, i)] || '';
+      }
+      const value = unpack(joined);
+      // Parts from another write than the head: it is still in progress
+      remote[key] = value && value.updatedAt === head.updatedAt ? Object.assign(value, { parts: head.parts }) : undefined;
+    });
+    return remote;
+  }
+
+  /**
+   * Write an entry to VK Storage, split into parts if it doesn't fit one value
+   * The parts go first and the head last, so readers never join parts of different writes
+   * @returns {Promise<boolean|null>} Success status, null if the value is too large to sync
+   */
+  async function writeRemote(bridge, key, entry) {
+    const raw = pack(entry);
+    const parts = byteLength(raw) > MAX_VK_VALUE_BYTES ? splitByBytes(raw, MAX_VK_VALUE_BYTES) : [];
+    if (parts.length > MAX_VK_PARTS) return null;
+
+    for (let i = 0; i < parts.length; i++) {
+      if (!await bridge.storageSet(partKey(key, i), parts[i])) return false;
+    }
+    const head = parts.length ? JSON.stringify({ t: entry.updatedAt, c: parts.length }) : raw;
+    if (!await bridge.storageSet(key, head)) return false;
+
+    // Clear parts left over from a longer previous value
+    for (let i = parts.length; i < (entry.remoteParts || 0); i++) {
+      await bridge.storageSet(partKey(key, i), '');
+    }
+    entry.remoteParts = parts.length;
+    return true;
+  }
+
+  function getEntry(key) {
+    if (!entries.has(key)) {
+      const value = readLocal(key);
+      entries.set(key, {
+        value,
+        updatedAt: meta[key] || 0,
+        source: value === null ? SOURCES.NONE : SOURCES.LOCAL,
+        syncedAt: null,
+        remoteParts: 0,
+        failedWrites: 0
+      });
+    }
+    return entries.get(key);
+  }
+
+  function notify(key, entry) {
+    listeners.forEach(function(listener) {
+      try {
+        listener(key, entry.value, entry.source);
+      } catch (error) {
+        log('error', 'Listener failed', { key, error: error.message });
+      }
+    });
+  }
+
+  function apply(key, value, updatedAt, source) {
+    const entry = Object.assign(getEntry(key), { value, updatedAt, source });
+    meta[key] = updatedAt;
+    writeLocal(key, value);
+    notify(key, entry);
+    return entry;
+  }
+
+  function scheduleFlush(key) {
+    pending.add(key);
+    const now = Date.now();
+    if (!firstPendingAt) firstPendingAt = now;
+
+    clearTimeout(flushTimer);
+    const delay = Math.min(FLUSH_DELAY, firstPendingAt + MAX_FLUSH_DELAY - now);
+    flushTimer = setTimeout(function() {
+      window.GameStorage.flush();
+    }, Math.max(0, delay));
+  }
+
+  function scheduleRetry(delay) {
+    // A write made meanwhile has already scheduled a flush that picks the retries up
+    if (flushTimer) return;
+    flushTimer = setTimeout(function() {
+      window.GameStorage.flush();
+    }, delay);
+  }
+
+  function write(key, value) {
+    const previous = getEntry(key);
+    // Keep timestamps increasing even if the clock went back
+    const updatedAt = Math.max(Date.now(), previous.updatedAt + 1);
+    previous.failedWrites = 0;
+    apply(key, value, updatedAt, SOURCES.WRITE);
+    scheduleFlush(key);
+  }
+
+  window.GameStorage = {
+    SOURCES,
+    // Shared with vk-level-storage.js, which splits levels for VK Storage the same way
+    splitByBytes,
+
+    /**
+     * @param {string} key - Storage key
+     * @returns {string|null} Current value
+     */
+    get(key) {
+      return getEntry(key).value;
+    },
+
+    /**
+     * @param {string} key - Storage key
+     * @param {*} [fallback=null] - Returned if the key is empty or not valid JSON
+     * @returns {*} Parsed value
+     */
+    getJSON(key, fallback) {
+      const value = this.get(key);
+      if (value === null) return fallback === undefined ? null : fallback;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        log('warn', 'Stored value is not valid JSON', { key });
+        return fallback === undefined ? null : fallback;
+      }
+    },
+
+    /**
+     * Store a value locally right away and queue it for VK Storage
+     * @param {string} key - Storage key
+     * @param {*} value - Value, stored as a string
+     */
+    set(key, value) {
+      write(key, value === null || value === undefined ? null : String(value));
+    },
+
+    /**
+     * @param {string} key - Storage key
+     * @param {*} value - Value, stored as JSON
+     */
+    setJSON(key, value) {
+      write(key, JSON.stringify(value));
+    },
+
+    /**
+     * Remove a value from both storages
+     * The removal is timestamped too, so it isn't undone by an older copy in VK Storage
+     * @param {string} key - Storage key
+     */
+    remove(key) {
+      write(key, null);
+    },
+
+    /**
+     * Explain where the current value of a key came from
+     * @param {string} key - Storage key
+     * @returns {{value: string|null, updatedAt: number, source: string, pending: boolean, syncedAt: number|null}}
+     */
+    describe(key) {
+      return Object.assign({}, getEntry(key), { pending: pending.has(key) });
+    },
+
+    /**
+     * Subscribe to value changes, including ones pulled from VK Storage or another tab
+     * @param {Function} listener - Called with (key, value, source)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.push(listener);
+      return function() {
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+      };
+    },
+
+    /**
+     * Write all queued values to VK Storage now
+     * Values stay queued while VK Bridge is unavailable; a refused write is retried
+     * with backoff, and a value that failed MAX_WRITE_ATTEMPTS times in a row is
+     * retried only after it changes
+     * @returns {Promise<boolean>} True if everything queued was written
+     */
+    flush() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      firstPendingAt = 0;
+
+      const bridge = getBridge();
+      if (!pending.size || !bridge) {
+        return Promise.resolve(!pending.size);
+      }
+
+      const keys = Array.from(pending);
+      pending.clear();
+
+      flushQueue = flushQueue.catch(() => false).then(async function() {
+        let success = true;
+        let retryDelay = 0;
+        for (const key of keys) {
+          const entry = getEntry(key);
+          const written = await writeRemote(bridge, key, entry);
+          if (written === null) {
+            log('warn', 'Value too large for VK Storage, kept in localStorage only', { key, bytes: byteLength(pack(entry)) });
+          } else if (written) {
+            entry.syncedAt = Date.now();
+            entry.failedWrites = 0;
+          } else if (++entry.failedWrites < MAX_WRITE_ATTEMPTS) {
+            success = false;
+            pending.add(key);
+            retryDelay = Math.max(retryDelay, RETRY_DELAY * Math.pow(2, entry.failedWrites - 1));
+          } else {
+            success = false;
+            log('warn', 'VK Storage keeps refusing the value, kept in localStorage until it changes', { key });
+          }
+        }
+        log('info', 'Flushed writes to VK Storage', { keys, success });
+        if (retryDelay) scheduleRetry(retryDelay);
+        return success;
+      });
+      return flushQueue;
+    },
+
+    /**
+     * Reconcile keys with VK Storage: the newer copy wins and the older side is updated
+     * @param {string[]} keys - Storage keys
+     * @returns {Promise<Object>} Current values keyed by storage key
+     */
+    async sync(keys) {
+      const bridge = getBridge();
+      if (bridge && keys.length) {
+        const remoteValues = await readRemote(bridge, keys);
+
+        keys.forEach(function(key) {
+          const local = getEntry(key);
+          const remote = remoteValues[key];
+          if (remote === undefined) {
+            log('warn', 'Value in VK Storage is being rewritten, skipped', { key });
+            return;
+          }
+          local.remoteParts = remote ? remote.parts : 0;
+
+          // Untimestamped local data loses to anything in VK Storage, as VK Storage used to be read first
+          if (remote && (remote.updatedAt > local.updatedAt || (local.updatedAt === 0 && remote.value !== local.value))) {
+            apply(key, remote.value, remote.updatedAt, SOURCES.VK);
+            local.syncedAt = Date.now();
+          } else if ((!remote && local.value !== null) || (remote && local.updatedAt > remote.updatedAt)) {
+            pending.add(key);
+          } else {
+            local.syncedAt = Date.now();
+          }
+        });
+        log('info', 'Synced with VK Storage', keys.map(key => `${key}: ${getEntry(key).source}`));
+
+        if (pending.size) {
+          await this.flush();
+        }
+      }
+
+      const values = {};
+      keys.forEach(key => {
+        values[key] = getEntry(key).value;
+      });
+      return values;
+    },
+
+    /**
+     * Wait for VK Bridge and write anything queued before it was ready
+     * @returns {Promise<boolean>} True if VK Storage is available
+     */
+    ready() {
+      if (!readyPromise) {
+        readyPromise = (async () => {
+          const available = Boolean(window.VKBridgeWrapper && await window.VKBridgeWrapper.init());
+          if (available) {
+            await this.flush();
+          } else {
+            log('warn', 'VK Bridge unavailable, using localStorage only');
+          }
+          return available;
+        })();
+      }
+      return readyPromise;
+    }
+  };
+
+  // Values written by the game in another tab
+  window.addEventListener('storage', function(event) {
+    if (event.storageArea !== localStorage) return;
+
+    meta = readMeta();
+    if (event.key === null) {
+      entries.clear();
+      return;
+    }
+    if (event.key !== META_KEY && entries.has(event.key)) {
+      const entry = Object.assign(entries.get(event.key), {
+        value: event.newValue,
+        updatedAt: meta[event.key] || 0,
+        source: SOURCES.OTHER_TAB
+      });
+      notify(event.key, entry);
+    }
+  });
+
+  // Don't lose batched writes when the app is closed or sent to the background
+  document.addEventListener('visibilitychange', function() {
+    if (document.visibilityState === 'hidden') {
+      window.GameStorage.flush();
+    }
+  });
+  window.addEventListener('pagehide', function() {
+    window.GameStorage.flush();
+  });
+
+  log('info', 'Storage loaded');
+})();
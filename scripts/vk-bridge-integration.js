@@ -1,6 +1,6 @@
 /**
  * VK Bridge Integration Module
- * Provides integration with VK Bridge for storage and ads
+ * Provides integration with VK Bridge for storage, ads, wall posts, friends and the leaderboard
  */
 (function() {
   'use strict';
@@ -19,6 +19,17 @@
     }
   }
 
+  // VK API version for VKWebAppCallAPIMethod
+  const API_VERSION = '5.131';
+
+  // VK passes the launch params in the query string of the page it opens. The app's own
+  // navigation drops the query string, so they are kept from startup
+  let launchQuery = window.location.search.slice(1);
+
+  function getAppId() {
+    return Number(new URLSearchParams(launchQuery).get('vk_app_id')) || null;
+  }
+
   // Global VK Bridge wrapper
   window.VKBridgeWrapper = {
     initialized: false,
@@ -42,6 +53,10 @@
 
         debugLog('info', 'Initializing VK Bridge');
         await vkBridge.send('VKWebAppInit');
+        // Launch params may be completed while VKWebAppInit is pending, e.g. signed by the mock
+        if (new URLSearchParams(window.location.search).has('vk_app_id')) {
+          launchQuery = window.location.search.slice(1);
+        }
         this.initialized = true;
         debugLog('info', 'VK Bridge initialized successfully');
         return true;
@@ -309,6 +324,263 @@
         });
         return false;
       }
+    },
+
+    /**
+     * Check whether the VK client can handle a method
+     * @param {string} method - VK Bridge method, e.g. "VKWebAppShowLeaderBoardBox"
+     * @returns {boolean} True if the method is supported
+     */
+    supports(method) {
+      return this.initialized && typeof vkBridge.supports === 'function' && vkBridge.supports(method);
+    },
+
+    /**
+     * Get the player's VK profile
+     * @returns {Promise<Object|null>} User with id, first_name, last_name and photo_100, or null
+     */
+    async getUserInfo() {
+      try {
+        if (!this.initialized) {
+          await this.init();
+        }
+
+        if (!this.initialized) {
+          debugLog('error', 'Cannot get user info - VK Bridge not initialized');
+          return null;
+        }
+
+        const user = await vkBridge.send('VKWebAppGetUserInfo');
+        debugLog('info', 'User info received', { id: user && user.id });
+        return user || null;
+      } catch (error) {
+        debugLog('error', 'Error getting user info', {
+          error: error.message || error.error_data || error
+        });
+        return null;
+      }
+    },
+
+    /**
+     * Ask the player for an access token
+     * Asked once per scope, later calls reuse the token
+     * @param {string} scope - Comma-separated access rights, e.g. "friends"
+     * @returns {Promise<string|null>} Access token or null if refused
+     */
+    async getAuthToken(scope) {
+      this.authTokens = this.authTokens || {};
+      if (this.authTokens[scope]) {
+        return this.authTokens[scope];
+      }
+
+      try {
+        if (!this.initialized) {
+          await this.init();
+        }
+
+        const appId = getAppId();
+        if (!this.initialized || !appId) {
+          debugLog('error', 'Cannot get auth token - VK Bridge not initialized or app id unknown', { scope });
+          return null;
+        }
+
+        const result = await vkBridge.send('VKWebAppGetAuthToken', {
+          app_id: appId,
+          scope: scope
+        });
+
+        debugLog('info', 'Auth token received', { scope: result && result.scope });
+        this.authTokens[scope] = result && result.access_token || null;
+        return this.authTokens[scope];
+      } catch (error) {
+        // Also rejects when the player refuses access
+        debugLog('warn', 'Auth token not granted', {
+          scope,
+          error: error.message || error.error_data || error
+        });
+        return null;
+      }
+    },
+
+    /**
+     * Call a VK API method
+     * @param {string} method - API method, e.g. "apps.getFriendsList"
+     * @param {Object} params - Method parameters including access_token
+     * @returns {Promise<*>} The response field of the API answer, or null on error
+     */
+    async callAPIMethod(method, params) {
+      const startTime = performance.now();
+      try {
+        if (!this.initialized) {
+          await this.init();
+        }
+
+        if (!this.initialized) {
+          debugLog('error', 'Cannot call API method - VK Bridge not initialized', { method });
+          return null;
+        }
+
+        const result = await vkBridge.send('VKWebAppCallAPIMethod', {
+          method: method,
+          params: Object.assign({ v: API_VERSION }, params)
+        });
+
+        debugLog('info', 'API method succeeded', {
+          method,
+          duration: `${(performance.now() - startTime).toFixed(2)}ms`
+        });
+        return result ? result.response : null;
+      } catch (error) {
+        debugLog('error', 'API method failed', {
+          method,
+          error: error.message || error.error_data || error,
+          duration: `${(performance.now() - startTime).toFixed(2)}ms`
+        });
+        return null;
+      }
+    },
+
+    /**
+     * Show the VK leaderboard box of the app
+     * @param {number} userResult - Player's result shown in the box
+     * @returns {Promise<boolean>} True if the box was shown
+     */
+    async showLeaderBoardBox(userResult) {
+      try {
+        if (!this.initialized) {
+          await this.init();
+        }
+
+        if (!this.initialized) {
+          debugLog('error', 'Cannot show leaderboard - VK Bridge not initialized');
+          return false;
+        }
+
+        debugLog('info', 'Showing leaderboard box', { userResult });
+        const result = await vkBridge.send('VKWebAppShowLeaderBoardBox', {
+          user_result: userResult
+        });
+        return Boolean(result && result.success);
+      } catch (error) {
+        debugLog('warn', 'Leaderboard box not shown', {
+          error: error.message || error.error_data || error
+        });
+        return false;
+      }
+    },
+
+    /**
+     * Upload a file to the player's documents and open the wall post box with it attached
+     * @param {Blob} file - File to post, e.g. a GIF or WebM clip
+     * @param {string} fileName - Name of the document
+     * @param {string} message - Post text
+     * @returns {Promise<boolean>} True if the post was published
+     */
+    async postFileToWall(file, fileName, message) {
+      try {
+        const token = await this.getAuthToken('docs');
+        const server = token && await this.callAPIMethod('docs.getWallUploadServer', {
+          access_token: token
+        });
+        if (!server || !server.upload_url) {
+          debugLog('warn', 'Cannot post file - no upload server', { fileName });
+          return false;
+        }
+
+        const form = new FormData();
+        form.append('file', file, fileName);
+        const upload = await (await fetch(server.upload_url, { method: 'POST', body: form })).json();
+        if (!upload || !upload.file) {
+          debugLog('error', 'File upload failed', upload);
+          return false;
+        }
+
+        const saved = await this.callAPIMethod('docs.save', {
+          file: upload.file,
+          title: fileName,
+          access_token: token
+        });
+        const doc = saved && saved[saved.type];
+        if (!doc) {
+          debugLog('error', 'Uploaded file was not saved', saved);
+          return false;
+        }
+
+        debugLog('info', 'Showing wall post box with file', { fileName, size: file.size });
+        const result = await vkBridge.send('VKWebAppShowWallPostBox', {
+          message: message,
+          attachments: `${saved.type}${doc.owner_id}_${doc.id},${this.getAppLink()}`
+        });
+        return Boolean(result && result.post_id);
+      } catch (error) {
+        // Also rejects when the player closes the post box
+        debugLog('warn', 'File not posted', {
+          fileName,
+          error: error.message || error.error_data || error
+        });
+        return false;
+      }
+    },
+
+    /**
+     * @returns {string} Launch params as VK passed them, e.g. "vk_app_id=1&vk_user_id=2&sign=...", whatever the current URL is
+     */
+    getLaunchQuery() {
+      return launchQuery;
+    },
+
+    /**
+     * Build a link that opens the mini app
+     * @param {string} [hash] - Hash the app receives on launch, e.g. "level=6AXP"
+     * @returns {string} Link to the mini app on vk.com, or to this page outside VK
+     */
+    getAppLink(hash) {
+      const appId = getAppId();
+      // Outside VK the link opens the game's start page, whichever screen the player is on
+      const base = appId ? `https://vk.com/app${appId}` : window.location.origin + '/';
+      return hash ? `${base}#${hash}` : base;
+    },
+
+    /**
+     * Open the wall post box with a message and a link to the mini app
+     * Outside VK the vk.com share dialog is opened instead
+     * @param {string} message - Post text
+     * @param {string} [hash] - Launch hash for the attached app link
+     * @returns {Promise<boolean>} True if the post was published
+     */
+    async shareToWall(message, hash) {
+      const link = this.getAppLink(hash);
+
+      try {
+        if (!this.initialized) {
+          await this.init();
+        }
+
+        if (!this.initialized) {
+          debugLog('warn', 'VK Bridge not initialized, opening share dialog', { link });
+          window.open(
+            `https://vk.com/share.php?url=${encodeURIComponent(link)}&title=${encodeURIComponent(message)}`,
+            '_blank',
+            'width=650,height=450'
+          );
+          return false;
+        }
+
+        debugLog('info', 'Showing wall post box', { link });
+        const result = await vkBridge.send('VKWebAppShowWallPostBox', {
+          message: message,
+          attachments: link
+        });
+
+        debugLog('info', 'Wall post result', result);
+        return Boolean(result && result.post_id);
+      } catch (error) {
+        // Also rejects when the player closes the post box
+        debugLog('warn', 'Wall post not published', {
+          error: error.message || error.error_data || error
+        });
+        return false;
+      }
     }
   };
 
@@ -0,0 +1,434 @@
+/**
+ * VK Bridge Mock
+ * Stands in for VK Bridge outside VK so VK features can be developed and tested locally.
+ * Enable with ?vk_mock=1 (remembered until ?vk_mock=0) or window.__VK_MOCK__ = { enabled: true }.
+ * Storage follows VK's key and size limits; latency and failures can be injected per method.
+ * Must load before vk-bridge-integration.js.
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[VK Bridge Mock][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const DEFAULT_CONFIG = {
+    enabled: false,
+    // Delay of every answer in ms, or { default, <method>: ms }
+    latency: 50,
+    // "indexedDB" keeps VK Storage between reloads, "memory" starts empty on every load
+    storage: 'indexedDB',
+    // Which ad formats are available and whether a rewarded ad is watched to the end
+    ads: { interstitial: true, reward: true, rewardWatched: true },
+    // How long a mock ad covers the game, in ms
+    adDuration: 1500,
+    // Methods that fail: { <method>: true (always) | <number of calls> | { times, error } }
+    failures: {},
+    // Secret key the launch params are signed with; start the level server with the same VK_APP_SECRET
+    appSecret: 'mock_secret'
+  };
+
+  // VK Storage limits
+  const KEY_PATTERN = /^[a-zA-Z_\-0-9]{1,100}$/;
+  const MAX_VALUE_BYTES = 4096;
+  const MAX_KEYS = 1000;
+
+  const ENABLED_KEY = 'vk_mock';
+  const DB_NAME = 'vk_mock';
+  const STORE_NAME = 'storage';
+  const MAX_CALLS = 200;
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has('vk_mock')) {
+    if (params.get('vk_mock') === '0') {
+      localStorage.removeItem(ENABLED_KEY);
+    } else {
+      localStorage.setItem(ENABLED_KEY, '1');
+    }
+  }
+
+  const config = Object.assign({}, DEFAULT_CONFIG, window.__VK_MOCK__);
+  config.ads = Object.assign({}, DEFAULT_CONFIG.ads, config.ads);
+  config.failures = Object.assign({}, config.failures);
+  if (params.has('vk_mock_latency')) {
+    config.latency = Number(params.get('vk_mock_latency')) || 0;
+  }
+  if (params.has('vk_mock_storage')) {
+    config.storage = params.get('vk_mock_storage');
+  }
+  if (params.has('vk_mock_fail')) {
+    params.get('vk_mock_fail').split(',').filter(Boolean).forEach(function(method) {
+      config.failures = Object.assign({}, config.failures, { [method]: true });
+    });
+  }
+  if (params.has('vk_mock_ads')) {
+    // e.g. vk_mock_ads=none, vk_mock_ads=interstitial or vk_mock_ads=reward,interstitial
+    const formats = params.get('vk_mock_ads').split(',');
+    config.ads = Object.assign({}, config.ads, {
+      interstitial: formats.indexOf('interstitial') !== -1,
+      reward: formats.indexOf('reward') !== -1
+    });
+  }
+
+  if (!config.enabled && localStorage.getItem(ENABLED_KEY) !== '1') {
+    return;
+  }
+
+  const APP_ID = 1000000;
+  const USER = { id: 1, first_name: 'Test', last_name: 'Player', photo_100: null };
+
+  // Friends who play the game; their scores come from the level server like in VK
+  const FRIENDS = [
+    { id: 2, first_name: 'Anna', last_name: 'Ivanova', photo_100: null },
+    { id: 3, first_name: 'Boris', last_name: 'Petrov', photo_100: null },
+    { id: 4, first_name: 'Vera', last_name: 'Sidorova', photo_100: null }
+  ];
+
+  /**
+   * Sign the vk_ launch params the way VK does: HMAC-SHA256 of the sorted params, base64url without padding
+   * @param {URLSearchParams} launchParams - Params to sign
+   * @returns {Promise<string>} Value of the "sign" param
+   */
+  async function signLaunchParams(launchParams) {
+    const signed = Array.from(launchParams.keys())
+      .filter(key => key.startsWith('vk_'))
+      .sort()
+      .map(key => `${key}=${encodeURIComponent(launchParams.get(key))}`)
+      .join('&');
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(config.appSecret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(signed)));
+    return btoa(String.fromCharCode.apply(null, signature)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  // VK launch params the app reads from the URL; VKWebAppInit answers once they are signed
+  let launchParamsSigned = Promise.resolve();
+  if (!params.has('vk_app_id')) {
+    params.set('vk_app_id', APP_ID);
+    params.set('vk_user_id', USER.id);
+    params.set('vk_ts', Math.floor(Date.now() / 1000));
+    window.history.replaceState(window.history.state, '', `${window.location.pathname}?${params}${window.location.hash}`);
+
+    if (window.crypto && crypto.subtle) {
+      launchParamsSigned = signLaunchParams(params).then(function(sign) {
+        const current = new URLSearchParams(window.location.search);
+        current.set('sign', sign);
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}?${current}${window.location.hash}`);
+      });
+    } else {
+      log('warn', 'Launch params left unsigned: Web Crypto needs a secure context');
+    }
+  }
+
+  function clientError(code, reason) {
+    return { error_type: 'client_error', error_data: { error_code: code, error_reason: reason } };
+  }
+
+  function invalidParams(reason) {
+    return clientError(5, `Invalid params: ${reason}`);
+  }
+
+  function byteLength(value) {
+    return new TextEncoder().encode(value).length;
+  }
+
+  /**
+   * Key-value store behind VKWebAppStorageGet/Set
+   * @param {string} type - "indexedDB" or "memory"
+   */
+  function createStorage(type) {
+    const memory = new Map();
+    let database = null;
+
+    function openDatabase() {
+      if (!database) {
+        database = new Promise(function(resolve, reject) {
+          const request = indexedDB.open(DB_NAME, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return database;
+    }
+
+    function transaction(mode, run) {
+      return openDatabase().then(function(db) {
+        return new Promise(function(resolve, reject) {
+          const tx = db.transaction(STORE_NAME, mode);
+          const result = run(tx.objectStore(STORE_NAME));
+          tx.oncomplete = () => resolve(result.result);
+          tx.onerror = () => reject(tx.error);
+        });
+      });
+    }
+
+    if (type === 'indexedDB' && window.indexedDB) {
+      return {
+        get: key => transaction('readonly', store => store.get(key)),
+        set: (key, value) => transaction('readwrite', store => store.put(value, key)),
+        remove: key => transaction('readwrite', store => store.delete(key)),
+        count: () => transaction('readonly', store => store.count()),
+        clear: () => transaction('readwrite', store => store.clear())
+      };
+    }
+
+    return {
+      get: key => Promise.resolve(memory.get(key)),
+      set: (key, value) => Promise.resolve(memory.set(key, value)),
+      remove: key => Promise.resolve(memory.delete(key)),
+      count: () => Promise.resolve(memory.size),
+      clear: () => Promise.resolve(memory.clear())
+    };
+  }
+
+  const storage = createStorage(config.storage);
+
+  /**
+   * Cover the page while a mock ad "plays"
+   * @param {string} format - "interstitial" or "reward"
+   */
+  function playAd(format) {
+    return new Promise(function(resolve) {
+      const overlay = document.createElement('div');
+      overlay.setAttribute('data-vk-mock-ad', format);
+      overlay.textContent = `VK Bridge Mock: ${format} ad`;
+      overlay.style.cssText = 'position:fixed;top:0;right:0;bottom:0;left:0;z-index:10000;display:flex;' +
+        'align-items:center;justify-content:center;background:rgba(0,0,0,.85);color:#fff;font:20px sans-serif';
+      document.body.appendChild(overlay);
+      setTimeout(function() {
+        overlay.remove();
+        resolve();
+      }, config.adDuration);
+    });
+  }
+
+  const handlers = {
+    async VKWebAppInit() {
+      await launchParamsSigned;
+      return { result: true };
+    },
+
+    VKWebAppGetUserInfo() {
+      return USER;
+    },
+
+    async VKWebAppStorageGet(data) {
+      if (!Array.isArray(data.keys) || data.keys.length > MAX_KEYS) {
+        throw invalidParams(`keys must be an array of at most ${MAX_KEYS} keys`);
+      }
+      const invalidKey = data.keys.find(key => !KEY_PATTERN.test(key));
+      if (invalidKey !== undefined) {
+        throw invalidParams(`bad key "${invalidKey}"`);
+      }
+
+      const values = await Promise.all(data.keys.map(key => storage.get(key)));
+      return { keys: data.keys.map((key, i) => ({ key, value: values[i] || '' })) };
+    },
+
+    async VKWebAppStorageSet(data) {
+      if (!KEY_PATTERN.test(data.key)) {
+        throw invalidParams(`bad key "${data.key}"`);
+      }
+      const value = String(data.value === undefined ? '' : data.value);
+      if (byteLength(value) > MAX_VALUE_BYTES) {
+        throw invalidParams(`value of "${data.key}" is over ${MAX_VALUE_BYTES} bytes`);
+      }
+
+      // An empty value deletes the key
+      if (value === '') {
+        await storage.remove(data.key);
+        return { result: true };
+      }
+      if (await storage.get(data.key) === undefined && await storage.count() >= MAX_KEYS) {
+        throw invalidParams(`storage is full (${MAX_KEYS} keys)`);
+      }
+      await storage.set(data.key, value);
+      return { result: true };
+    },
+
+    VKWebAppCheckNativeAds(data) {
+      return { result: Boolean(config.ads[data.ad_format]) };
+    },
+
+    async VKWebAppShowNativeAds(data) {
+      if (!config.ads[data.ad_format]) {
+        throw clientError(1, `No ${data.ad_format} ads available`);
+      }
+      await playAd(data.ad_format);
+      return { result: data.ad_format !== 'reward' || Boolean(config.ads.rewardWatched) };
+    },
+
+    VKWebAppGetAuthToken(data) {
+      return { access_token: 'mock_token', scope: data.scope };
+    },
+
+    async VKWebAppCallAPIMethod(data) {
+      const request = data.params || {};
+      if (data.method === 'apps.getFriendsList') {
+        return { response: { count: FRIENDS.length, items: FRIENDS } };
+      }
+      if (data.method === 'storage.get') {
+        // From the client VK ignores user_id and always answers with the player's own storage
+        const keys = String(request.keys).split(',');
+        const values = await Promise.all(keys.map(key => storage.get(key)));
+        return {
+          response: keys.map((key, i) => ({ key, value: values[i] || '' }))
+        };
+      }
+      throw { error_type: 'api_error', error_data: { error_code: 3, error_msg: `Unknown method passed: ${data.method}` } };
+    },
+
+    VKWebAppShowLeaderBoardBox() {
+      return { success: true };
+    },
+
+    VKWebAppShowWallPostBox() {
+      return { post_id: Date.now() };
+    }
+  };
+
+  const listeners = [];
+  const calls = [];
+
+  function emit(type, data) {
+    listeners.slice().forEach(function(listener) {
+      listener({ detail: { type, data } });
+    });
+  }
+
+  function getLatency(method) {
+    const latency = config.latency;
+    if (typeof latency === 'number') return latency;
+    return latency && latency[method] !== undefined ? latency[method] : (latency && latency.default) || 0;
+  }
+
+  /**
+   * Use up an injected failure for the method
+   * @returns {Object|null} Error to reject with, or null if the call goes through
+   */
+  function takeFailure(method) {
+    const failure = config.failures[method];
+    if (!failure) return null;
+
+    const times = failure === true ? Infinity : typeof failure === 'number' ? failure : failure.times || Infinity;
+    const error = failure.error || clientError(1, `Injected failure of ${method}`);
+    if (times <= 1) {
+      delete config.failures[method];
+    } else if (times !== Infinity) {
+      config.failures[method] = { times: times - 1, error };
+    }
+    return error;
+  }
+
+  window.vkBridge = {
+    isMock: true,
+
+    send(method, data) {
+      const call = { method, data, time: Date.now() };
+      calls.push(call);
+      if (calls.length > MAX_CALLS) {
+        calls.shift();
+      }
+
+      return new Promise(function(resolve) {
+        setTimeout(resolve, getLatency(method));
+      }).then(function() {
+        const failure = takeFailure(method);
+        if (failure) throw failure;
+        if (!handlers[method]) {
+          throw clientError(6, `Unsupported method: ${method}`);
+        }
+        return handlers[method](data || {});
+      }).then(function(result) {
+        call.result = result;
+        log('info', method, { data, result });
+        emit(`${method}Result`, result);
+        return result;
+      }, function(error) {
+        call.error = error;
+        log('warn', `${method} failed`, { data, error });
+        emit(`${method}Failed`, error);
+        throw error;
+      });
+    },
+
+    supports(method) {
+      return Object.prototype.hasOwnProperty.call(handlers, method);
+    },
+
+    subscribe(listener) {
+      listeners.push(listener);
+    },
+
+    unsubscribe(listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    }
+  };
+
+  // Controls for local development and automated tests
+  window.VKBridgeMock = {
+    config,
+
+    /**
+     * Make a method fail
+     * @param {string} method - VK Bridge method, e.g. "VKWebAppStorageSet"
+     * @param {Object} [options] - { times, error }; without times the method fails until cleared
+     */
+    fail(method, options) {
+      config.failures[method] = Object.assign({ times: Infinity }, options);
+      log('info', 'Failure injected', { method, options });
+    },
+
+    clearFailures() {
+      config.failures = {};
+    },
+
+    /**
+     * @param {number|Object} latency - Delay in ms, or { default, <method>: ms }
+     */
+    setLatency(latency) {
+      config.latency = latency;
+    },
+
+    /**
+     * @param {Object} ads - { interstitial, reward, rewardWatched }
+     */
+    setAds(ads) {
+      config.ads = Object.assign({}, config.ads, ads);
+    },
+
+    /**
+     * @returns {Object[]} Recent calls with method, data and result or error, oldest first
+     */
+    getCalls() {
+      return calls.slice();
+    },
+
+    /**
+     * @returns {Promise<string|undefined>} Raw value of a VK Storage key
+     */
+    storageGet(key) {
+      return storage.get(key);
+    },
+
+    clearStorage() {
+      return storage.clear();
+    }
+  };
+
+  log('info', 'Mock VK Bridge enabled', { user: USER.id, storage: config.storage, latency: config.latency });
+})();
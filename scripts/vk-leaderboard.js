@@ -0,0 +1,238 @@
+/**
+ * VK Leaderboard
+ * Publishes the player's score (completed levels per group and stars) to the level server
+ * and reads the scores of VK friends who play the game from it. VK Storage can't be used:
+ * its values are only readable by the player who wrote them
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[VK Leaderboard][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const DEFAULT_CONFIG = {
+    baseUrl: null
+  };
+
+  // Score record read by friends: { groups: [completed levels per group], levels, stars, updatedAt }
+  const EMPTY_SCORE = { groups: [], levels: 0, stars: 0 };
+  const PUBLISH_DELAY = 2000;
+  const MAX_FRIENDS = 50;
+
+  let publishTimer = null;
+  let publishedScore = null;
+
+  function getBridge() {
+    return window.VKBridgeWrapper && window.VKBridgeWrapper.initialized ? window.VKBridgeWrapper : null;
+  }
+
+  /**
+   * Sum up progress from the game state; custom level groups don't count
+   * @param {Object} state - Game store state
+   * @returns {{groups: number[], levels: number, stars: number}} Score
+   */
+  function summarize(state) {
+    const completedLevels = state.app.completedLevels || {};
+    const levelScores = state.app.levelScores || {};
+    const score = { groups: [], levels: 0, stars: 0 };
+
+    state.game.levelGroups.forEach(function(group, index) {
+      if (group.isCustom) return;
+
+      const scores = levelScores[index] || {};
+      const levels = new Set(completedLevels[index] || []);
+      Object.keys(scores).forEach(function(level) {
+        levels.add(Number(level));
+        score.stars += scores[level].stars || 0;
+      });
+      score.groups.push(levels.size);
+      score.levels += levels.size;
+    });
+    return score;
+  }
+
+  /**
+   * Post to a leaderboard endpoint of the level server
+   * @param {string} endpoint - Endpoint name, e.g. "getScores"
+   * @param {Object} body - Request payload
+   * @returns {Promise<Object>} Response payload; rejects with { errors: { message, details } }
+   */
+  async function request(endpoint, body) {
+    const config = window.VKLeaderboard.config;
+    const baseUrl = (config.baseUrl || (window.LevelBackend && window.LevelBackend.config.baseUrl) || 'api/').replace(/\/?$/, '/');
+    let response;
+
+    try {
+      response = await fetch(baseUrl + endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+    } catch (error) {
+      throw { errors: { message: 'nav.apiError', details: [error.message] } };
+    }
+
+    const data = await response.json().catch(function() {
+      return null;
+    });
+    if (!response.ok || !data || data.errors) {
+      throw data && data.errors ? data : { errors: { message: 'nav.apiError' } };
+    }
+    return data;
+  }
+
+  /**
+   * Send the score to the server if it changed since the last time
+   * The server takes the player from the launch params VK signed, so only a score from inside VK is accepted
+   */
+  async function publishScore() {
+    const store = window.__REDUX_STORE__;
+    const bridge = getBridge();
+    if (!store || !bridge) return;
+
+    const score = summarize(store.getState());
+    const text = JSON.stringify(score);
+    if (text === publishedScore) return;
+
+    try {
+      await request('publishScore', { launchParams: bridge.getLaunchQuery(), score });
+      publishedScore = text;
+      log('info', 'Score published', score);
+    } catch (error) {
+      log('warn', 'Score not published', error.errors || error);
+    }
+  }
+
+  function schedulePublish() {
+    clearTimeout(publishTimer);
+    publishTimer = setTimeout(publishScore, PUBLISH_DELAY);
+  }
+
+  /**
+   * @param {number[]} userIds - VK user ids
+   * @returns {Promise<Object>} Scores by user id for those who published one; empty if the server can't be reached
+   */
+  async function getScores(userIds) {
+    try {
+      return (await request('getScores', { userIds })).scores || {};
+    } catch (error) {
+      log('warn', 'Friends\' scores unavailable', error.errors || error);
+      return {};
+    }
+  }
+
+  function compareEntries(a, b) {
+    return b.score.stars - a.score.stars || b.score.levels - a.score.levels;
+  }
+
+  window.VKLeaderboard = {
+    config: Object.assign({}, DEFAULT_CONFIG, window.__LEADERBOARD__),
+
+    /**
+     * @returns {{groups: number[], levels: number, stars: number}|null} The player's current score
+     */
+    getScore() {
+      const store = window.__REDUX_STORE__;
+      return store ? summarize(store.getState()) : null;
+    },
+
+    /**
+     * Load the player's and friends' scores, best first
+     * Friends who haven't published a score yet are listed with an empty one
+     * @returns {Promise<{available: boolean, entries: Object[]}>} Entries have id, name, photo, isPlayer and score;
+     *   available is false when VK or the friends list can't be reached, and then only the player is listed
+     */
+    async getLeaderboard() {
+      const player = { id: null, name: null, photo: null, isPlayer: true, score: this.getScore() || EMPTY_SCORE };
+      const bridge = window.VKBridgeWrapper && await window.VKBridgeWrapper.init() ? window.VKBridgeWrapper : null;
+      if (!bridge) {
+        log('warn', 'VK Bridge unavailable, showing the player only');
+        return { available: false, entries: [player] };
+      }
+
+      const user = await bridge.getUserInfo();
+      if (user) {
+        Object.assign(player, { id: user.id, name: `${user.first_name} ${user.last_name}`, photo: user.photo_100 || null });
+      }
+
+      const token = await bridge.getAuthToken('friends');
+      const friends = token && await bridge.callAPIMethod('apps.getFriendsList', {
+        type: 'request',
+        extended: 1,
+        count: MAX_FRIENDS,
+        fields: 'photo_100',
+        access_token: token
+      });
+      if (!friends || !Array.isArray(friends.items)) {
+        log('warn', 'Friends list unavailable');
+        return { available: false, entries: [player] };
+      }
+
+      const scores = await getScores(friends.items.map(friend => friend.id));
+      const entries = friends.items.map(function(friend) {
+        return {
+          id: friend.id,
+          name: `${friend.first_name} ${friend.last_name}`,
+          photo: friend.photo_100 || null,
+          isPlayer: false,
+          score: scores[friend.id] || EMPTY_SCORE
+        };
+      });
+      entries.push(player);
+      log('info', 'Leaderboard loaded', { friends: friends.items.length });
+      return { available: true, entries: entries.sort(compareEntries) };
+    },
+
+    /**
+     * @returns {boolean} True if the VK leaderboard box can be shown
+     */
+    isLeaderBoardBoxAvailable() {
+      const bridge = getBridge();
+      return Boolean(bridge && bridge.supports('VKWebAppShowLeaderBoardBox'));
+    },
+
+    /**
+     * Show the VK leaderboard box with the player's total stars
+     * @returns {Promise<boolean>} True if the box was shown
+     */
+    showLeaderBoardBox() {
+      const score = this.getScore();
+      return getBridge() ? getBridge().showLeaderBoardBox(score ? score.stars : 0) : Promise.resolve(false);
+    }
+  };
+
+  function watchProgress() {
+    const store = window.__REDUX_STORE__;
+    if (!store) {
+      log('error', 'Game store not found');
+      return;
+    }
+
+    let app = store.getState().app;
+    store.subscribe(function() {
+      const next = store.getState().app;
+      if (next.completedLevels !== app.completedLevels || next.levelScores !== app.levelScores) {
+        schedulePublish();
+      }
+      app = next;
+    });
+    schedulePublish();
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', watchProgress);
+  } else {
+    watchProgress();
+  }
+})();
@@ -0,0 +1,253 @@
+/**
+ * VK Level Storage
+ * Keeps the player's custom levels in VK Storage so they follow the player across devices
+ * and can be saved and loaded without a level server.
+ * Must load after storage.js.
+ */
+(function() {
+  'use strict';
+
+  // Enhanced logging with timestamps
+  function log(level, message, data) {
+    const timestamp = new Date().toISOString();
+    const prefix = `[VK Level Storage][${timestamp}][${level.toUpperCase()}]`;
+
+    if (level === 'error') {
+      console.error(prefix, message, data || '');
+    } else if (level === 'warn') {
+      console.warn(prefix, message, data || '');
+    } else {
+      console.log(prefix, message, data || '');
+    }
+  }
+
+  const INDEX_KEY = 'custom_levels';
+  const LEVEL_KEY_PREFIX = 'custom_level_';
+  // VK Storage values are limited to 4096 bytes of UTF-8; titles and hints may well be Cyrillic
+  const MAX_CHUNK_BYTES = 4096;
+  const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  // Codes of levels kept only in VK Storage start with V and are one character longer
+  // than level server codes, so they never point at another author's level on the server
+  const CODE_PREFIX = 'V';
+  const CODE_LENGTH = 4;
+
+  // Serialize writes so concurrent saves don't overwrite each other's index
+  let writeQueue = Promise.resolve();
+
+  function getBridge() {
+    return window.VKBridgeWrapper && window.VKBridgeWrapper.initialized ? window.VKBridgeWrapper : null;
+  }
+
+  /**
+   * Write a string under a key, split into numbered chunk keys
+   * The key itself holds the number of chunks
+   * @param {string} key - Base storage key
+   * @param {string} text - Value to store
+   * @returns {Promise<boolean>} Success status
+   */
+  async function writeChunked(key, text) {
+    const bridge = getBridge();
+    if (!bridge) return false;
+
+    const previousCount = parseInt(await bridge.storageGet(key), 10) || 0;
+    const chunks = window.GameStorage.splitByBytes(text, MAX_CHUNK_BYTES);
+
+    for (let i = 0; i < chunks.length; i++) {
+      if (!await bridge.storageSet(`${key}_${i}`, chunks[i])) return false;
+    }
+    // Clear chunks left over from a longer previous value
+    for (let i = chunks.length; i < previousCount; i++) {
+      await bridge.storageSet(`${key}_${i}`, '');
+    }
+    return bridge.storageSet(key, String(chunks.length));
+  }
+
+  /**
+   * Read a value written by writeChunked
+   * @param {string} key - Base storage key
+   * @returns {Promise<string|null>} Stored value or null if missing or incomplete
+   */
+  async function readChunked(key) {
+    const bridge = getBridge();
+    if (!bridge) return null;
+
+    const count = parseInt(await bridge.storageGet(key), 10) || 0;
+    if (!count) return null;
+
+    const keys = [];
+    for (let i = 0; i < count; i++) {
+      keys.push(`${key}_${i}`);
+    }
+    const values = await bridge.storageGetMultiple(keys);
+    if (keys.some(chunkKey => !values[chunkKey])) {
+      log('warn', 'Stored value is incomplete', { key, count });
+      return null;
+    }
+    return keys.map(chunkKey => values[chunkKey]).join('');
+  }
+
+  async function readIndex() {
+    try {
+      const codes = JSON.parse(await readChunked(INDEX_KEY) || '[]');
+      return Array.isArray(codes) ? codes : [];
+    } catch (error) {
+      log('error', 'Level index is corrupted', { error: error.message });
+      return [];
+    }
+  }
+
+  function normalizeCode(levelId) {
+    return String(levelId || '').trim().toUpperCase();
+  }
+
+  function isStorageCode(levelId) {
+    const code = normalizeCode(levelId);
+    return code.length === CODE_PREFIX.length + CODE_LENGTH && code.indexOf(CODE_PREFIX) === 0;
+  }
+
+  function generateCode(taken) {
+    let code;
+    do {
+      code = CODE_PREFIX;
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+      }
+    } while (taken.indexOf(code) !== -1);
+    return code;
+  }
+
+  window.VKLevelStorage = {
+    /**
+     * Store a level under a code and add it to the player's level index
+     * @param {string} levelId - Level code
+     * @param {Object|Object[]|string} level - Level, a bare tile array from older clients, or its JSON string
+     * @returns {Promise<boolean>} Success status
+     */
+    putLevel(levelId, level) {
+      const text = typeof level === 'string' ? level : JSON.stringify(level);
+      writeQueue = writeQueue.catch(() => false).then(async function() {
+        if (!await writeChunked(LEVEL_KEY_PREFIX + levelId, text)) return false;
+
+        const codes = await readIndex();
+        if (codes.indexOf(levelId) === -1) {
+          codes.push(levelId);
+          if (!await writeChunked(INDEX_KEY, JSON.stringify(codes))) return false;
+        }
+        log('info', 'Level stored', { levelId, length: text.length });
+        return true;
+      });
+      return writeQueue;
+    },
+
+    /**
+     * Store a new level under a freshly generated code
+     * @param {Object} level - Level from the editor: tiles, commands, maxCommands and its settings
+     * @returns {Promise<string|null>} Level code or null if VK Storage is unavailable
+     */
+    async saveLevel(level) {
+      if (!getBridge()) return null;
+      const levelId = generateCode(await readIndex());
+      return await this.putLevel(levelId, level) ? levelId : null;
+    },
+
+    /**
+     * @param {string} levelId - Level code
+     * @returns {Promise<{levelId: string, tiles: string}|null>} Level with tiles as a JSON string, like the level server returns it
+     */
+    async getLevel(levelId) {
+      const code = normalizeCode(levelId);
+      const text = code ? await readChunked(LEVEL_KEY_PREFIX + code) : null;
+      if (!text) return null;
+
+      let level;
+      try {
+        level = JSON.parse(text);
+      } catch (error) {
+        log('warn', 'Stored level is not valid JSON', { levelId: code });
+        return null;
+      }
+      // Levels stored before the editor had settings are a bare tile array
+      if (Array.isArray(level)) return { levelId: code, tiles: text };
+      return Object.assign({}, level, { levelId: code, tiles: JSON.stringify(level.tiles) });
+    },
+
+    /**
+     * @returns {Promise<Array<{levelId: string, tiles: string}>>} All levels stored for the player
+     */
+    async listLevels() {
+      const levels = await Promise.all((await readIndex()).map(code => this.getLevel(code)));
+      return levels.filter(Boolean);
+    },
+
+    /**
+     * @param {string} levelId - Level code
+     * @returns {boolean} True for codes generated here, which only VK Storage knows
+     */
+    isStorageCode
+  };
+
+  /**
+   * Backend adapter serving saveLevel/getLevel from VK Storage
+   */
+  const vkStorageAdapter = {
+    ownsLevel: isStorageCode,
+
+    async request(endpoint, method, body) {
+      // Levels opened from a shared link are requested before VK Bridge finishes initializing
+      if (!window.VKBridgeWrapper || !await window.VKBridgeWrapper.init()) {
+        throw { errors: { message: 'nav.apiError' } };
+      }
+
+      if (endpoint === 'saveLevel') {
+        const levelId = await window.VKLevelStorage.saveLevel(body);
+        if (!levelId) throw { errors: { message: 'levelEditor.saveLevelFailed' } };
+        return { levelId };
+      }
+      if (endpoint === 'getLevel') {
+        const level = await window.VKLevelStorage.getLevel(body && body.levelId);
+        if (!level) throw { errors: { message: 'nav.loadError' } };
+        return level;
+      }
+      throw { errors: { message: 'nav.apiError' } };
+    }
+  };
+
+  /**
+   * Add the player's stored levels to the custom level group
+   */
+  async function loadStoredLevels() {
+    if (!window.VKBridgeWrapper || !await window.VKBridgeWrapper.init()) {
+      log('warn', 'VK Bridge unavailable, custom levels are not loaded');
+      return;
+    }
+
+    const store = window.__REDUX_STORE__;
+    if (!store) {
+      log('error', 'Game store not found');
+      return;
+    }
+
+    const levels = await window.VKLevelStorage.listLevels();
+    log('info', 'Loaded custom levels', { count: levels.length });
+    if (levels.length) {
+      store.dispatch({ type: 'ADD_CUSTOM_LEVELS', payload: { levels } });
+    }
+  }
+
+  if (window.LevelBackend) {
+    window.LevelBackend.registerAdapter('vkStorage', vkStorageAdapter);
+
+    // Mirror levels saved on a level server so they show up on the player's other devices
+    window.LevelBackend.addListener(function(endpoint, body, result, adapterName) {
+      if (endpoint === 'saveLevel' && adapterName !== 'vkStorage' && getBridge() && result && result.levelId) {
+        window.VKLevelStorage.putLevel(result.levelId, body);
+      }
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadStoredLevels);
+  } else {
+    loadStoredLevels();
+  }
+})();
@@ -0,0 +1,73 @@
+/**
+ * JSON file persistence for classes and their pupils
+ * Pupils sync every few seconds, so writes are coalesced: saves made while a write
+ * is queued are picked up by that write instead of rewriting the file for each one
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class ClassroomStore {
+  /**
+   * @param {string} file - Path of the JSON file holding the classes
+   */
+  constructor(file) {
+    this.file = file;
+    this.classes = {};
+    this.writing = Promise.resolve();
+    this.pending = null;
+  }
+
+  /**
+   * Read the classes file, starting empty if it doesn't exist yet
+   */
+  load() {
+    if (fs.existsSync(this.file)) {
+      this.classes = JSON.parse(fs.readFileSync(this.file, 'utf8')).classes || {};
+    }
+  }
+
+  has(code) {
+    return Object.prototype.hasOwnProperty.call(this.classes, code);
+  }
+
+  get(code) {
+    return this.has(code) ? this.classes[code] : null;
+  }
+
+  /**
+   * Store a new class under its join code
+   * @param {string} code - Join code
+   * @param {Object} classroom - { name, teacherKey, lockedGroups, pupils }
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  put(code, classroom) {
+    this.classes[code] = Object.assign({ createdAt: new Date().toISOString() }, classroom);
+    return this.save();
+  }
+
+  /**
+   * Persist changes made to the classes in place
+   * @returns {Promise<void>} Resolves once a write that includes them has finished
+   */
+  save() {
+    if (!this.pending) {
+      this.pending = this.writing.catch(() => {}).then(() => {
+        this.pending = null;
+        return this.write(JSON.stringify({ classes: this.classes }, null, 2));
+      });
+      this.writing = this.pending;
+    }
+    return this.pending;
+  }
+
+  async write(snapshot) {
+    const tmp = this.file + '.tmp';
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmp, snapshot);
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = ClassroomStore;
@@ -0,0 +1,135 @@
+/**
+ * Classroom payload validation
+ * Pupils are only known by a nickname, and their progress is cut down to what the teacher dashboard shows
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const JOIN_CODE_LENGTH = 6;
+const MAX_CLASS_NAME_LENGTH = 40;
+const MAX_NICKNAME_LENGTH = 20;
+const MAX_GROUPS = 20;
+const MAX_LEVELS = 50;
+const MAX_ATTEMPTS = 9999;
+const MAX_PROGRAM_LENGTH = 2000;
+
+/**
+ * Clean up a free text name, e.g. a nickname or class name
+ * @param {*} value - Name from the request
+ * @param {number} maxLength - Longest name allowed
+ * @returns {string|null} Name with collapsed whitespace, or null if it's empty, too long or has odd characters
+ */
+function normalizeName(value, maxLength) {
+  if (typeof value !== 'string') return null;
+  const name = value.trim().replace(/\s+/g, ' ');
+  if (!name || name.length > maxLength) return null;
+  return /^[\p{L}\p{N} ._-]+$/u.test(name) ? name : null;
+}
+
+function normalizeNickname(value) {
+  return normalizeName(value, MAX_NICKNAME_LENGTH);
+}
+
+function normalizeClassName(value) {
+  return normalizeName(value, MAX_CLASS_NAME_LENGTH);
+}
+
+function isIndex(value, max) {
+  return Number.isInteger(value) && value >= 0 && value < max;
+}
+
+/**
+ * @param {string} key - Level key in the "group-level" form the game uses for replays
+ * @returns {boolean} True for a built-in level within the limits
+ */
+function isLevelKey(key) {
+  const match = /^(\d+)-(\d+)$/.exec(key);
+  return Boolean(match) && isIndex(Number(match[1]), MAX_GROUPS) && isIndex(Number(match[2]), MAX_LEVELS);
+}
+
+/**
+ * Validate a pupil's progress and strip it down to the fields the dashboard reads
+ * Entries that don't fit are dropped rather than failing the whole sync
+ * @param {*} progress - { completedLevels, attempts, programs, current } from the game
+ * @returns {Object|null} Normalized progress or null if it isn't an object
+ */
+function normalizeProgress(progress) {
+  if (!progress || typeof progress !== 'object') return null;
+
+  const completedLevels = {};
+  Object.keys(progress.completedLevels || {}).forEach(function(group) {
+    const levels = progress.completedLevels[group];
+    if (!isIndex(Number(group), MAX_GROUPS) || !Array.isArray(levels)) return;
+    completedLevels[Number(group)] = levels.filter(function(level, index) {
+      return isIndex(level, MAX_LEVELS) && levels.indexOf(level) === index;
+    });
+  });
+
+  const attempts = {};
+  Object.keys(progress.attempts || {}).forEach(function(key) {
+    const count = progress.attempts[key];
+    if (isLevelKey(key) && Number.isInteger(count) && count > 0) {
+      attempts[key] = Math.min(count, MAX_ATTEMPTS);
+    }
+  });
+
+  const programs = {};
+  Object.keys(progress.programs || {}).forEach(function(key) {
+    const entry = progress.programs[key];
+    if (!isLevelKey(key) || !entry || typeof entry.program !== 'string' || entry.program.length > MAX_PROGRAM_LENGTH) return;
+    programs[key] = {
+      program: entry.program,
+      completed: entry.completed === true,
+      time: Number(entry.time) || 0
+    };
+  });
+
+  const current = progress.current;
+  return {
+    completedLevels,
+    attempts,
+    programs,
+    current: current && isIndex(current.group, MAX_GROUPS) && isIndex(current.level, MAX_LEVELS)
+      ? { group: current.group, level: current.level }
+      : null
+  };
+}
+
+/**
+ * @param {*} groups - Level group indexes the teacher locked
+ * @returns {number[]|null} Sorted unique indexes, or null if it isn't a list of indexes
+ */
+function normalizeLockedGroups(groups) {
+  if (!Array.isArray(groups) || !groups.every(group => isIndex(group, MAX_GROUPS))) return null;
+  return groups.filter((group, index) => groups.indexOf(group) === index).sort((a, b) => a - b);
+}
+
+/**
+ * @returns {string} Random secret handed to a teacher or pupil, only its hash is stored
+ */
+function generateKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * @returns {string} Random id for a pupil within a class
+ */
+function generateId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+module.exports = {
+  JOIN_CODE_LENGTH,
+  normalizeNickname,
+  normalizeClassName,
+  normalizeProgress,
+  normalizeLockedGroups,
+  generateKey,
+  generateId,
+  hashKey
+};
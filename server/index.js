@@ -0,0 +1,405 @@
+/**
+ * Level code server
+ * Implements the saveLevel/getLevel endpoints used by the level editor, the classroom
+ * endpoints used by classroom mode, the leaderboard endpoints and, optionally, serves the game itself so the
+ * default "api/" base URL works as is.
+ *
+ * Usage: node server/index.js
+ * Environment:
+ *   PORT           - port to listen on (default 8787)
+ *   HOST           - interface to bind (default 0.0.0.0)
+ *   LEVELS_FILE    - JSON file the levels are persisted in (default server/data/levels.json)
+ *   CLASSES_FILE   - JSON file the classes are persisted in (default server/data/classes.json)
+ *   SCORES_FILE    - JSON file the leaderboard scores are persisted in (default server/data/scores.json)
+ *   VK_APP_SECRET  - the VK app's secret key, checks the launch params scores are published with
+ *   ALLOWED_ORIGIN - value of Access-Control-Allow-Origin (default *)
+ *   STATIC_ROOT    - directory with the game to serve, empty to disable (default: repository root)
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const LevelStore = require('./store');
+const ClassroomStore = require('./classroom-store');
+const ScoreStore = require('./score-store');
+const { validateLevel, generateLevelCode, normalizeLevelCode } = require('./levels');
+const classrooms = require('./classrooms');
+const leaderboard = require('./leaderboard');
+
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const LEVELS_FILE = process.env.LEVELS_FILE || path.join(__dirname, 'data', 'levels.json');
+const CLASSES_FILE = process.env.CLASSES_FILE || path.join(__dirname, 'data', 'classes.json');
+const SCORES_FILE = process.env.SCORES_FILE || path.join(__dirname, 'data', 'scores.json');
+const VK_APP_SECRET = process.env.VK_APP_SECRET || '';
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const STATIC_ROOT = process.env.STATIC_ROOT !== undefined ? process.env.STATIC_ROOT : path.join(__dirname, '..');
+const API_PREFIX = '/api/';
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_CODE_ATTEMPTS = 20;
+const MAX_PUPILS = 40;
+
+// Only these may be called with GET. The rest change data or take a teacher's or pupil's key,
+// which must not end up in a URL where logs, history and Referer headers keep it
+const GET_ENDPOINTS = ['getLevel'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+const store = new LevelStore(LEVELS_FILE);
+const classStore = new ClassroomStore(CLASSES_FILE);
+const scoreStore = new ScoreStore(SCORES_FILE);
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function log(message, data) {
+  console.log(`[Level Server][${new Date().toISOString()}]`, message, data || '');
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(res, status, data) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, CORS_HEADERS));
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'levelEditor.invalidLevel', ['Request body is too large']));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text) return resolve(undefined);
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, 'levelEditor.invalidLevel', ['Request body is not valid JSON']));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Read the endpoint parameters from the JSON body (POST) or the query string (GET, see GET_ENDPOINTS)
+ */
+async function readParams(req, url) {
+  if (req.method === 'POST') return readBody(req);
+  const params = {};
+  url.searchParams.forEach((value, key) => {
+    params[key] = value;
+  });
+  return params;
+}
+
+/**
+ * Look up a class by join code and check the teacher's key
+ */
+function requireTeacher(params) {
+  const code = normalizeLevelCode(params && params.code);
+  const classroom = code && classStore.get(code);
+  if (!classroom) throw new HttpError(404, 'classroom.notFound');
+  if (classrooms.hashKey(params.teacherKey) !== classroom.teacherKey) throw new HttpError(403, 'classroom.forbidden');
+  return { code, classroom };
+}
+
+/**
+ * Look up a pupil by class, id and key; pupils the teacher removed are no longer members
+ */
+function requirePupil(params) {
+  const code = normalizeLevelCode(params && params.code);
+  const classroom = code && classStore.get(code);
+  if (!classroom) throw new HttpError(404, 'classroom.notFound');
+  const pupil = Object.prototype.hasOwnProperty.call(classroom.pupils, params.pupilId) ? classroom.pupils[params.pupilId] : null;
+  if (!pupil || classrooms.hashKey(params.pupilKey) !== pupil.key) throw new HttpError(403, 'classroom.notMember');
+  return { code, classroom, pupil };
+}
+
+/**
+ * Class as the teacher dashboard sees it, pupils sorted by nickname
+ */
+function describeClass(code, classroom) {
+  return {
+    code,
+    name: classroom.name,
+    lockedGroups: classroom.lockedGroups,
+    pupils: Object.keys(classroom.pupils).map(id => {
+      const pupil = classroom.pupils[id];
+      return { id, nickname: pupil.nickname, joinedAt: pupil.joinedAt, lastSeen: pupil.lastSeen, progress: pupil.progress };
+    }).sort((a, b) => a.nickname.localeCompare(b.nickname))
+  };
+}
+
+const endpoints = {
+  /**
+   * Body: { tiles, commands, maxCommands, ... } or, from older clients, an array of tiles. Response: { levelId }
+   */
+  async saveLevel(params) {
+    const { level, errors } = validateLevel(params);
+    if (!level) throw new HttpError(400, 'levelEditor.invalidLevel', errors);
+
+    const existing = store.findCode(level);
+    if (existing) return { levelId: existing };
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const code = generateLevelCode();
+      if (!store.has(code)) {
+        await store.put(code, level);
+        log('Saved level', { levelId: code, tiles: level.tiles.length });
+        return { levelId: code };
+      }
+    }
+    throw new HttpError(503, 'levelEditor.saveLevelFailed', ['No free level code found']);
+  },
+
+  /**
+   * Body: { levelId }. Response: { levelId, tiles, ... } with tiles as a JSON string and the
+   * level's other fields as they were saved
+   */
+  async getLevel(params) {
+    const code = normalizeLevelCode(params && params.levelId);
+    const level = code && store.get(code);
+    if (!level) throw new HttpError(404, 'nav.loadError');
+    const { tiles, createdAt, ...settings } = level;
+    return Object.assign({ levelId: code, tiles: JSON.stringify(tiles) }, settings);
+  },
+
+  /**
+   * Body: { name }. Response: { code, name, teacherKey }; the key is only handed out here
+   */
+  async createClass(params) {
+    const name = classrooms.normalizeClassName(params && params.name);
+    if (!name) throw new HttpError(400, 'classroom.invalidName');
+
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const code = generateLevelCode(classrooms.JOIN_CODE_LENGTH);
+      if (!classStore.has(code)) {
+        const teacherKey = classrooms.generateKey();
+        await classStore.put(code, { name, teacherKey: classrooms.hashKey(teacherKey), lockedGroups: [], pupils: {} });
+        log('Created class', { code });
+        return { code, name, teacherKey };
+      }
+    }
+    throw new HttpError(503, 'nav.apiError', ['No free join code found']);
+  },
+
+  /**
+   * Body: { code, nickname }. Response: { code, name, pupilId, pupilKey, nickname, lockedGroups }
+   */
+  async joinClass(params) {
+    const code = normalizeLevelCode(params && params.code);
+    const classroom = code && classStore.get(code);
+    if (!classroom) throw new HttpError(404, 'classroom.notFound');
+
+    const nickname = classrooms.normalizeNickname(params.nickname);
+    if (!nickname) throw new HttpError(400, 'classroom.invalidNickname');
+    const pupils = Object.keys(classroom.pupils).map(id => classroom.pupils[id]);
+    if (pupils.some(pupil => pupil.nickname.toLowerCase() === nickname.toLowerCase())) {
+      throw new HttpError(409, 'classroom.nicknameTaken');
+    }
+    if (pupils.length >= MAX_PUPILS) throw new HttpError(409, 'classroom.classFull');
+
+    const pupilId = classrooms.generateId();
+    const pupilKey = classrooms.generateKey();
+    const now = new Date().toISOString();
+    classroom.pupils[pupilId] = { nickname, key: classrooms.hashKey(pupilKey), joinedAt: now, lastSeen: now, progress: null };
+    await classStore.save();
+    return { code, name: classroom.name, pupilId, pupilKey, nickname, lockedGroups: classroom.lockedGroups };
+  },
+
+  /**
+   * Body: { code, pupilId, pupilKey, progress }. Response: { name, lockedGroups }
+   */
+  async syncProgress(params) {
+    const { classroom, pupil } = requirePupil(params);
+    const progress = classrooms.normalizeProgress(params.progress);
+    if (!progress) throw new HttpError(400, 'classroom.syncFailed');
+
+    pupil.progress = progress;
+    pupil.lastSeen = new Date().toISOString();
+    await classStore.save();
+    return { name: classroom.name, lockedGroups: classroom.lockedGroups };
+  },
+
+  /**
+   * Body: { code, pupilId, pupilKey }. Response: {}
+   */
+  async leaveClass(params) {
+    const { classroom } = requirePupil(params);
+    delete classroom.pupils[params.pupilId];
+    await classStore.save();
+    return {};
+  },
+
+  /**
+   * Body: { code, teacherKey }. Response: class with its pupils and their progress
+   */
+  async getClass(params) {
+    const { code, classroom } = requireTeacher(params);
+    return describeClass(code, classroom);
+  },
+
+  /**
+   * Body: { code, teacherKey, lockedGroups }. Response: class with its pupils and their progress
+   */
+  async lockGroups(params) {
+    const { code, classroom } = requireTeacher(params);
+    const lockedGroups = classrooms.normalizeLockedGroups(params.lockedGroups);
+    if (!lockedGroups) throw new HttpError(400, 'classroom.syncFailed');
+
+    classroom.lockedGroups = lockedGroups;
+    await classStore.save();
+    return describeClass(code, classroom);
+  },
+
+  /**
+   * Body: { code, teacherKey, pupilId }. Response: class with its pupils and their progress
+   */
+  async removePupil(params) {
+    const { code, classroom } = requireTeacher(params);
+    delete classroom.pupils[params.pupilId];
+    await classStore.save();
+    return describeClass(code, classroom);
+  },
+
+  /**
+   * Body: { launchParams, score }, the launch params as VK signed them and { groups, stars }. Response: {}
+   */
+  async publishScore(params) {
+    if (!VK_APP_SECRET) throw new HttpError(503, 'nav.apiError', ['VK_APP_SECRET is not set']);
+    const userId = leaderboard.verifyLaunchParams(params && params.launchParams, VK_APP_SECRET);
+    if (!userId) throw new HttpError(403, 'nav.apiError', ['Launch params are not signed by VK']);
+    const score = leaderboard.normalizeScore(params.score);
+    if (!score) throw new HttpError(400, 'nav.apiError', ['Invalid score']);
+
+    await scoreStore.put(userId, score);
+    return {};
+  },
+
+  /**
+   * Body: { userIds }. Response: { scores: { <userId>: { groups, levels, stars, updatedAt } } } for the
+   * players who published one
+   */
+  async getScores(params) {
+    const userIds = leaderboard.normalizeUserIds(params && params.userIds);
+    if (!userIds) throw new HttpError(400, 'nav.apiError', ['userIds must be a list of VK user ids']);
+
+    const scores = {};
+    userIds.forEach(id => {
+      const score = scoreStore.get(id);
+      if (score) scores[id] = score;
+    });
+    return { scores };
+  }
+};
+
+/**
+ * @returns {boolean} True if file is dir itself or lies inside it; a shared name prefix such as dir + "-status" doesn't count
+ */
+function isWithin(dir, file) {
+  return file === dir || file.startsWith(dir + path.sep);
+}
+
+function serveStatic(req, res, url) {
+  const root = path.resolve(STATIC_ROOT);
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch (error) {
+    // A malformed escape such as /%E0%A4 is the client's mistake, not a server failure
+    res.writeHead(400);
+    return res.end();
+  }
+  let file = path.resolve(path.join(root, pathname));
+  const hidden = url.pathname.split('/').some(segment => segment.startsWith('.'));
+  if (hidden || !isWithin(root, file) || isWithin(path.join(root, 'server'), file)) {
+    res.writeHead(403);
+    return res.end();
+  }
+  if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    // Client-side routes such as /brett fall back to the app shell
+    file = path.join(root, 'index.html');
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+  fs.createReadStream(file).pipe(res);
+}
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (!url.pathname.startsWith(API_PREFIX)) {
+    if (STATIC_ROOT && (req.method === 'GET' || req.method === 'HEAD')) return serveStatic(req, res, url);
+    return sendJson(res, 404, { errors: { message: 'nav.apiError' } });
+  }
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    return res.end();
+  }
+
+  const name = url.pathname.slice(API_PREFIX.length);
+  if (!Object.prototype.hasOwnProperty.call(endpoints, name)) {
+    return sendJson(res, 404, { errors: { message: 'nav.apiError' } });
+  }
+  const allowed = GET_ENDPOINTS.includes(name) ? ['GET', 'POST'] : ['POST'];
+  if (!allowed.includes(req.method)) {
+    res.setHeader('Allow', allowed.join(', '));
+    return sendJson(res, 405, { errors: { message: 'nav.apiError' } });
+  }
+
+  try {
+    sendJson(res, 200, await endpoints[name](await readParams(req, url)));
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      log('Request failed', { path: url.pathname, error: error.message });
+      return sendJson(res, 500, { errors: { message: 'nav.apiError' } });
+    }
+    sendJson(res, error.status, { errors: { message: error.message, details: error.details } });
+  }
+}
+
+store.load();
+classStore.load();
+scoreStore.load();
+http.createServer((req, res) => {
+  handle(req, res).catch(error => {
+    log('Unhandled error', { error: error.message });
+    if (!res.headersSent) sendJson(res, 500, { errors: { message: 'nav.apiError' } });
+  });
+}).listen(PORT, HOST, () => {
+  log(`Listening on http://${HOST}:${PORT}`, {
+    levels: Object.keys(store.levels).length,
+    classes: Object.keys(classStore.classes).length,
+    scores: Object.keys(scoreStore.scores).length,
+    file: LEVELS_FILE
+  });
+});
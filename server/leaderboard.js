@@ -0,0 +1,73 @@
+/**
+ * Leaderboard payload validation
+ * Players are known by their VK user id, taken from the launch params VK signs with the app's secret key
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const MAX_GROUPS = 20;
+const MAX_LEVELS = 50;
+const MAX_STARS_PER_LEVEL = 3;
+const MAX_USER_IDS = 100;
+
+function isCount(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+/**
+ * Check the signature VK adds to the launch params and return the player it names
+ * @param {*} query - Launch params as the app got them in its URL, e.g. "vk_app_id=1&vk_user_id=2&sign=..."
+ * @param {string} secret - The app's secret key from the VK app settings
+ * @returns {number|null} VK user id, or null if the params aren't signed with the secret
+ */
+function verifyLaunchParams(query, secret) {
+  if (!secret || typeof query !== 'string') return null;
+  const params = new URLSearchParams(query);
+  const sign = params.get('sign');
+  // A sign is base64url; anything else can't match and would trip timingSafeEqual on byte lengths
+  if (!sign || !/^[A-Za-z0-9_-]+$/.test(sign)) return null;
+
+  const signed = Array.from(params.keys())
+    .filter(key => key.startsWith('vk_'))
+    .sort()
+    .map(key => `${key}=${encodeURIComponent(params.get(key))}`)
+    .join('&');
+  const expected = crypto.createHmac('sha256', secret).update(signed).digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  if (sign.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sign), Buffer.from(expected))) return null;
+
+  const userId = Number(params.get('vk_user_id'));
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+}
+
+/**
+ * @param {*} score - { groups, stars } from the game, completed levels per group and total stars
+ * @returns {Object|null} { groups, levels, stars } with levels recounted, or null if it doesn't fit
+ */
+function normalizeScore(score) {
+  if (!score || !Array.isArray(score.groups) || score.groups.length > MAX_GROUPS) return null;
+  if (!score.groups.every(count => isCount(count, MAX_LEVELS))) return null;
+
+  const levels = score.groups.reduce((sum, count) => sum + count, 0);
+  if (!isCount(score.stars, levels * MAX_STARS_PER_LEVEL)) return null;
+  return { groups: score.groups.slice(), levels, stars: score.stars };
+}
+
+/**
+ * @param {*} userIds - VK user ids whose scores are asked for
+ * @returns {number[]|null} Unique ids, or null if it isn't a short list of ids
+ */
+function normalizeUserIds(userIds) {
+  if (!Array.isArray(userIds) || userIds.length > MAX_USER_IDS) return null;
+  if (!userIds.every(id => Number.isInteger(id) && id > 0)) return null;
+  return userIds.filter((id, index) => userIds.indexOf(id) === index);
+}
+
+module.exports = {
+  verifyLaunchParams,
+  normalizeScore,
+  normalizeUserIds
+};
@@ -0,0 +1,246 @@
+/**
+ * Level payload validation and level code generation
+ * Mirrors the rules the level editor applies before it lets a level be saved
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+const MAX_TILES = 121;
+const MAX_COORDINATE = 10;
+const MAX_PATH_LENGTH = 8;
+const MAX_COMMANDS = 30;
+const MAX_TITLE_LENGTH = 60;
+const MAX_HINT_LENGTH = 300;
+
+const COMMANDS = [
+  'COMMAND_FORWARD',
+  'COMMAND_BACKWARD',
+  'COMMAND_ROTATE_LEFT',
+  'COMMAND_ROTATE_RIGHT',
+  'COMMAND_WAIT',
+  'COMMAND_LOOP',
+  'COMMAND_IF',
+  'COMMAND_CALL'
+];
+
+const HEADINGS = ['up', 'right', 'down', 'left'];
+
+const TILE_TYPES = [
+  'TILE_TYPE_FLOOR',
+  'TILE_TYPE_OCCUPIED',
+  'TILE_TYPE_START',
+  'TILE_TYPE_END',
+  'TILE_TYPE_MATH_ADD',
+  'TILE_TYPE_MATH_SUBTRACT',
+  'TILE_TYPE_MATH_OBSTRUCTION',
+  'TILE_TYPE_WIFI_SEND',
+  'TILE_TYPE_WIFI_OBSTRUCTION',
+  'TILE_TYPE_BLINKING_OBSTRUCTION',
+  'TILE_TYPE_MOVING_PLATFORM'
+];
+
+const TILE_MODELS = [
+  'TILE_MODEL_BOX',
+  'TILE_MODEL_SPACESHIP',
+  'TILE_MODEL_WINDMILL',
+  'TILE_MODEL_SOLAR',
+  'TILE_MODEL_MATH_ADD',
+  'TILE_MODEL_MATH_SUBTRACT',
+  'TILE_MODEL_MATH_OBSTRUCTION',
+  'TILE_MODEL_WIFI_SEND',
+  'TILE_MODEL_WIFI_OBSTRUCTION',
+  'TILE_MODEL_BLINKING_OBSTRUCTION',
+  'TILE_MODEL_MOVING_PLATFORM'
+];
+
+function isCoordinate(value) {
+  return Number.isInteger(value) && Math.abs(value) <= MAX_COORDINATE;
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate a level's tiles and strip them down to the fields the game reads
+ * @param {*} tiles - Expected to be the editor's tile array
+ * @returns {{tiles: Object[]|null, errors: string[]}} Normalized tiles or the reasons they were rejected
+ */
+function validateTiles(tiles) {
+  const errors = [];
+
+  if (!Array.isArray(tiles) || tiles.length === 0) {
+    return { tiles: null, errors: ['Level must be a non-empty array of tiles'] };
+  }
+  if (tiles.length > MAX_TILES) {
+    return { tiles: null, errors: [`Level can have at most ${MAX_TILES} tiles`] };
+  }
+
+  const seen = new Set();
+  const normalized = tiles.map(function(tile, index) {
+    if (!tile || typeof tile !== 'object') {
+      errors.push(`Tile ${index} is not an object`);
+      return null;
+    }
+    if (!isCoordinate(tile.x) || !isCoordinate(tile.y)) {
+      errors.push(`Tile ${index} has invalid coordinates`);
+    } else if (seen.has(tile.x + ',' + tile.y)) {
+      errors.push(`Tile ${index} overlaps another tile at ${tile.x},${tile.y}`);
+    } else {
+      seen.add(tile.x + ',' + tile.y);
+    }
+    if (TILE_TYPES.indexOf(tile.type) === -1) {
+      errors.push(`Tile ${index} has unknown type ${tile.type}`);
+    }
+    if (TILE_MODELS.indexOf(tile.model) === -1) {
+      errors.push(`Tile ${index} has unknown model ${tile.model}`);
+    }
+
+    const result = { x: tile.x, y: tile.y, type: tile.type, model: tile.model };
+
+    if (tile.math !== undefined) {
+      if (!isIntegerInRange(tile.math, -9, 9)) errors.push(`Tile ${index} has invalid math value`);
+      result.math = tile.math;
+    }
+    if (tile.period !== undefined) {
+      if (!isIntegerInRange(tile.period, 1, 8)) errors.push(`Tile ${index} has invalid period`);
+      result.period = tile.period;
+    }
+    if (tile.offset !== undefined) {
+      if (!isIntegerInRange(tile.offset, 0, 16)) errors.push(`Tile ${index} has invalid offset`);
+      result.offset = tile.offset;
+    }
+    if (tile.path !== undefined) {
+      const validPath = Array.isArray(tile.path) && tile.path.length <= MAX_PATH_LENGTH && tile.path.every(function(step) {
+        return step && isCoordinate(step.x) && isCoordinate(step.y);
+      });
+      if (!validPath) {
+        errors.push(`Tile ${index} has invalid path`);
+      } else {
+        result.path = tile.path.map(function(step) {
+          return { x: step.x, y: step.y };
+        });
+      }
+    }
+    return result;
+  });
+
+  const count = function(predicate) {
+    return normalized.filter(function(tile) {
+      return tile && predicate(tile);
+    }).length;
+  };
+
+  if (count(function(tile) { return tile.type === 'TILE_TYPE_START'; }) !== 1) {
+    errors.push('Level must have exactly one start tile');
+  }
+  if (count(function(tile) { return tile.type === 'TILE_TYPE_END'; }) !== 1) {
+    errors.push('Level must have exactly one end tile');
+  } else if (!count(function(tile) { return tile.type === 'TILE_TYPE_END' && tile.model === 'TILE_MODEL_WINDMILL'; })) {
+    // The windmill is the goal Biip walks to; the game has nothing else to show on the end tile
+    errors.push('The end tile must carry the windmill');
+  }
+  if (count(function(tile) { return tile.model === 'TILE_MODEL_SPACESHIP'; }) !== 1) {
+    errors.push('Level must have exactly one spaceship');
+  }
+
+  return { tiles: errors.length ? null : normalized, errors };
+}
+
+function readText(value, maxLength, name, errors) {
+  if (value === undefined) return undefined;
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text || text.length > maxLength) {
+    errors.push(`Level ${name} must be a string of 1 to ${maxLength} characters`);
+  }
+  return text;
+}
+
+/**
+ * Validate a saveLevel payload: the editor's level, or a bare tile array from older clients
+ * @param {*} body - Request body
+ * @returns {{level: Object|null, errors: string[]}} Normalized level or the reasons it was rejected
+ */
+function validateLevel(body) {
+  if (Array.isArray(body)) {
+    const { tiles, errors } = validateTiles(body);
+    return { level: tiles && { tiles }, errors };
+  }
+  if (!body || typeof body !== 'object') {
+    return { level: null, errors: ['Level must be an object with tiles'] };
+  }
+
+  const { tiles, errors } = validateTiles(body.tiles);
+  const level = { tiles };
+
+  if (body.commands !== undefined) {
+    const commands = body.commands;
+    const valid = Array.isArray(commands) && commands.length > 0 && commands.every(function(command, index) {
+      return COMMANDS.indexOf(command) !== -1 && commands.indexOf(command) === index;
+    });
+    if (!valid) errors.push('Level commands must be a non-empty list of distinct known commands');
+    level.commands = commands;
+  }
+  if (body.maxCommands !== undefined) {
+    if (!isIntegerInRange(body.maxCommands, 1, MAX_COMMANDS)) errors.push(`Level maxCommands must be 1 to ${MAX_COMMANDS}`);
+    level.maxCommands = body.maxCommands;
+  }
+
+  const hasCall = Array.isArray(body.commands) && body.commands.indexOf('COMMAND_CALL') !== -1;
+  if (body.functions !== undefined) {
+    const valid = Array.isArray(body.functions) && body.functions.length === 1 && /^[A-Z]$/.test(body.functions[0]);
+    if (!valid || !hasCall) errors.push('Level functions must be one capital letter and come with COMMAND_CALL');
+    level.functions = body.functions;
+  } else if (hasCall) {
+    errors.push('Level with COMMAND_CALL must name its function');
+  }
+
+  if (body.heading !== undefined) {
+    if (HEADINGS.indexOf(body.heading) === -1) errors.push(`Level heading must be one of ${HEADINGS.join(', ')}`);
+    level.heading = body.heading;
+  }
+  if (body.math !== undefined) {
+    if (!isIntegerInRange(body.math, -9, 9)) errors.push('Level math must be -9 to 9');
+    level.math = body.math;
+  }
+  const title = readText(body.title, MAX_TITLE_LENGTH, 'title', errors);
+  if (title !== undefined) level.title = title;
+  const hint = readText(body.hint, MAX_HINT_LENGTH, 'hint', errors);
+  if (hint !== undefined) level.hint = hint;
+
+  return { level: errors.length ? null : level, errors };
+}
+
+/**
+ * Generate a random level code, e.g. "6AXP"
+ * @param {number} [length] - Number of characters, 4 for level codes
+ * @returns {string} Code made of easily distinguishable characters
+ */
+function generateLevelCode(length = CODE_LENGTH) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a code typed by a player
+ * @param {*} levelId - Code from the getLevel request
+ * @returns {string|null} Upper-cased code or null if it can't be a level code
+ */
+function normalizeLevelCode(levelId) {
+  if (typeof levelId !== 'string') return null;
+  const code = levelId.trim().toUpperCase();
+  return /^[A-Z0-9]{2,8}$/.test(code) ? code : null;
+}
+
+module.exports = {
+  validateTiles,
+  validateLevel,
+  generateLevelCode,
+  normalizeLevelCode
+};
@@ -0,0 +1,64 @@
+/**
+ * JSON file persistence for leaderboard scores, one per VK user
+ * Scores are republished whenever progress changes, so writes are coalesced like the classes file
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+class ScoreStore {
+  /**
+   * @param {string} file - Path of the JSON file holding the scores
+   */
+  constructor(file) {
+    this.file = file;
+    this.scores = {};
+    this.writing = Promise.resolve();
+    this.pending = null;
+  }
+
+  /**
+   * Read the scores file, starting empty if it doesn't exist yet
+   */
+  load() {
+    if (fs.existsSync(this.file)) {
+      this.scores = JSON.parse(fs.readFileSync(this.file, 'utf8')).scores || {};
+    }
+  }
+
+  get(userId) {
+    return Object.prototype.hasOwnProperty.call(this.scores, userId) ? this.scores[userId] : null;
+  }
+
+  /**
+   * Store a player's score
+   * @param {number} userId - VK user id
+   * @param {Object} score - Normalized { groups, levels, stars }
+   * @returns {Promise<void>} Resolves once a write that includes it has finished
+   */
+  put(userId, score) {
+    this.scores[userId] = Object.assign({}, score, { updatedAt: Date.now() });
+    return this.save();
+  }
+
+  save() {
+    if (!this.pending) {
+      this.pending = this.writing.catch(() => {}).then(() => {
+        this.pending = null;
+        return this.write(JSON.stringify({ scores: this.scores }, null, 2));
+      });
+      this.writing = this.pending;
+    }
+    return this.pending;
+  }
+
+  async write(snapshot) {
+    const tmp = this.file + '.tmp';
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmp, snapshot);
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = ScoreStore;
@@ -0,0 +1,78 @@
+/**
+ * JSON file persistence for saved levels
+ * Keeps every level in memory and rewrites the file atomically after each save
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class LevelStore {
+  /**
+   * @param {string} file - Path of the JSON file holding the levels
+   */
+  constructor(file) {
+    this.file = file;
+    this.levels = {};
+    this.codesByHash = {};
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the levels file, starting empty if it doesn't exist yet
+   */
+  load() {
+    if (fs.existsSync(this.file)) {
+      this.levels = JSON.parse(fs.readFileSync(this.file, 'utf8')).levels || {};
+    }
+    Object.keys(this.levels).forEach(code => {
+      const { createdAt, ...level } = this.levels[code];
+      this.codesByHash[this.hash(level)] = code;
+    });
+  }
+
+  hash(level) {
+    return crypto.createHash('sha1').update(JSON.stringify(level)).digest('hex');
+  }
+
+  has(code) {
+    return Object.prototype.hasOwnProperty.call(this.levels, code);
+  }
+
+  get(code) {
+    return this.has(code) ? this.levels[code] : null;
+  }
+
+  /**
+   * Return the code of an identical level saved earlier
+   * @param {Object} level - Normalized level
+   * @returns {string|null} Existing code or null
+   */
+  findCode(level) {
+    return this.codesByHash[this.hash(level)] || null;
+  }
+
+  /**
+   * Store a level under a code and persist it
+   * @param {string} code - Level code
+   * @param {Object} level - Normalized level, tiles and the editor's settings
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  put(code, level) {
+    this.levels[code] = Object.assign({}, level, { createdAt: new Date().toISOString() });
+    this.codesByHash[this.hash(level)] = code;
+    const snapshot = JSON.stringify({ levels: this.levels }, null, 2);
+    this.writing = this.writing.catch(() => {}).then(() => this.write(snapshot));
+    return this.writing;
+  }
+
+  async write(snapshot) {
+    const tmp = this.file + '.tmp';
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmp, snapshot);
+    await fs.promises.rename(tmp, this.file);
+  }
+}
+
+module.exports = LevelStore;